@@ -0,0 +1,67 @@
+// Text alternatives for the charts: their data as table rows, the trend
+// behind the summary and keyboard movement between data points
+import { roundToCents } from "./model.js";
+
+// Half-year averages closer than this are described as steady
+const TREND_THRESHOLD = 0.05;
+
+// A chart's data as table rows: one row per label (usually a month) and one
+// column per dataset, with null where a dataset has no value
+export function buildChartTable({ labels, datasets }) {
+  return {
+    columns: datasets.map((dataset) => dataset.label),
+    rows: labels.map((label, index) => ({
+      label,
+      values: datasets.map((dataset) => {
+        const value = dataset.data[index];
+        return typeof value === "number" ? value : null;
+      }),
+    })),
+  };
+}
+
+// Compare the monthly average of January-June with July-December:
+// { first, second, direction: "up" | "down" | "flat" }
+export function getHalfYearTrend(values) {
+  const average = (part) =>
+    part.reduce((sum, value) => sum + value, 0) / part.length;
+  const first = roundToCents(average(values.slice(0, 6)));
+  const second = roundToCents(average(values.slice(6, 12)));
+
+  let direction = "flat";
+  if (first === 0) {
+    direction = second > 0 ? "up" : "flat";
+  } else if (Math.abs(second - first) / first >= TREND_THRESHOLD) {
+    direction = second > first ? "up" : "down";
+  }
+  return { first, second, direction };
+}
+
+// The data point a key moves to from { datasetIndex, index }: left/right and
+// Home/End move between labels, up/down between visible datasets. Starts at
+// the first point; returns null for keys that don't move.
+export function moveChartFocus(focus, key, { pointCount, visibleDatasets }) {
+  if (!pointCount || !visibleDatasets.length) {
+    return null;
+  }
+  const current = focus || { datasetIndex: visibleDatasets[0], index: 0 };
+  const position = Math.max(0, visibleDatasets.indexOf(current.datasetIndex));
+  const last = pointCount - 1;
+
+  const moves = {
+    ArrowRight: { index: Math.min(current.index + 1, last) },
+    ArrowLeft: { index: Math.max(current.index - 1, 0) },
+    Home: { index: 0 },
+    End: { index: last },
+    ArrowDown: {
+      datasetIndex:
+        visibleDatasets[Math.min(position + 1, visibleDatasets.length - 1)],
+    },
+    ArrowUp: { datasetIndex: visibleDatasets[Math.max(position - 1, 0)] },
+  };
+  if (!moves[key]) {
+    return null;
+  }
+  // The first key press only lands on the starting point
+  return focus ? { ...current, ...moves[key] } : current;
+}
@@ -0,0 +1,780 @@
+// JSON backup/restore of the whole budget workspace.
+// The file format is documented in docs/backup-format.md.
+import { FORECAST_METHODS } from "./forecast.js";
+import { SUPPORTED_CURRENCIES, SUPPORTED_LOCALES } from "./locale.js";
+import { monthLabels, parseBudgetValue } from "./model.js";
+import { CHART_PALETTE_NAMES } from "./palette.js";
+import { RECURRING_FREQUENCIES, parseRuleMonth } from "./recurring.js";
+import { createEmptyTargets } from "./targets.js";
+import { THEME_NAMES } from "./theme.js";
+import {
+  CATEGORY_KINDS,
+  CHART_VIEWS,
+  MAX_BUDGET_YEAR,
+  MIN_BUDGET_YEAR,
+  createDefaultSettings,
+  getBudgetYear,
+  isValidBudgetYear,
+  listBudgetYears,
+} from "./workspace.js";
+
+const BACKUP_FORMAT = "bucks2bar-backup";
+const BACKUP_VERSION = 12;
+
+// Convert a stored input string to a number, keeping blanks as null
+function toBackupAmount(raw) {
+  const result = parseBudgetValue(raw);
+  return raw.trim() === "" || !result.isValid ? null : result.value;
+}
+
+// Whole months between recurring amounts, or null if not a whole number
+function toBackupInterval(raw) {
+  return /^\d+$/.test(String(raw).trim()) && Number(raw) >= 1
+    ? Number(raw)
+    : null;
+}
+
+// Overrides of recurring amounts, as { month: number or null } maps
+function toBackupOverrides(overrides) {
+  const toMonths = (months) => {
+    const result = {};
+    Object.entries(months || {}).forEach(([month, value]) => {
+      result[month] = toBackupAmount(value);
+    });
+    return result;
+  };
+
+  const categories = {};
+  Object.entries(overrides.categoryValues || {}).forEach(([id, months]) => {
+    categories[id] = toMonths(months);
+  });
+  return {
+    income: toMonths(overrides.income),
+    expense: toMonths(overrides.expense),
+    categories,
+  };
+}
+
+function toBackupValues(values) {
+  return Array.from({ length: 12 }, (_, index) =>
+    toBackupAmount(
+      values && typeof values[index] === "string" ? values[index] : "",
+    ),
+  );
+}
+
+// Build a backup document from the workspace. Only the scenario being
+// edited is backed up, so the scenarios to compare are left out too.
+export function createBackup(workspace) {
+  const { compareScenarios, ...settings } = workspace.settings;
+  const categoryIds = CATEGORY_KINDS.flatMap((kind) =>
+    workspace.categories[kind].map((category) => category.id),
+  );
+
+  const years = {};
+  listBudgetYears(workspace).forEach((year) => {
+    const yearData = getBudgetYear(workspace, year);
+    const categories = {};
+    categoryIds.forEach((id) => {
+      categories[id] = toBackupValues(yearData.categoryValues[id]);
+    });
+
+    const targets = yearData.targets || {};
+    years[year] = {
+      income: toBackupValues(yearData.income),
+      expense: toBackupValues(yearData.expense),
+      categories,
+      targets: {
+        income: toBackupValues(targets.income),
+        expense: toBackupValues(targets.expense),
+      },
+      transactions: (yearData.transactions || []).map(
+        ({ date, amount, type, categoryId, note }) => ({
+          date,
+          amount: toBackupAmount(amount),
+          type,
+          categoryId: categoryId || null,
+          note,
+        }),
+      ),
+      recurringOverrides: toBackupOverrides(yearData.recurringOverrides || {}),
+      notes: yearData.notes || "",
+    };
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    workspace: {
+      selectedYear: workspace.selectedYear,
+      years,
+      categories: {
+        income: workspace.categories.income.map(({ id, name }) => ({
+          id,
+          name,
+        })),
+        expense: workspace.categories.expense.map(({ id, name }) => ({
+          id,
+          name,
+        })),
+      },
+      recurringRules: (workspace.recurringRules || []).map((rule) => ({
+        name: rule.name,
+        type: rule.type,
+        categoryId: rule.categoryId || null,
+        amount: toBackupAmount(rule.amount),
+        frequency: rule.frequency,
+        interval: toBackupInterval(rule.interval),
+        start: rule.start,
+        end: rule.end || null,
+        increase: toBackupAmount(rule.increase),
+      })),
+      settings,
+    },
+  };
+}
+
+// Check one list of 12 monthly amounts (numbers 0 or greater, or null)
+function validateBackupAmounts(values, path, describe, fail) {
+  if (!Array.isArray(values) || values.length !== 12) {
+    fail(path, "Must be a list of 12 monthly amounts.");
+    return;
+  }
+
+  values.forEach((value, index) => {
+    const isValid =
+      value === null ||
+      (typeof value === "number" && Number.isFinite(value) && value >= 0);
+    if (!isValid) {
+      fail(
+        `${path}[${index}]`,
+        `${describe(monthLabels[index])} must be a number 0 or greater, or null.`,
+      );
+    }
+  });
+}
+
+// Check the category lists; returns the valid category ids
+function validateBackupCategories(categories, fail) {
+  const ids = [];
+  if (categories === undefined) {
+    return ids;
+  }
+  if (!categories || typeof categories !== "object") {
+    fail(
+      "workspace.categories",
+      "Must be an object with income and expense lists.",
+    );
+    return ids;
+  }
+
+  CATEGORY_KINDS.forEach((kind) => {
+    const path = `workspace.categories.${kind}`;
+    const list = categories[kind];
+    if (list === undefined) {
+      return;
+    }
+    if (!Array.isArray(list)) {
+      fail(path, "Must be a list of categories.");
+      return;
+    }
+
+    list.forEach((category, index) => {
+      const itemPath = `${path}[${index}]`;
+      if (
+        !category ||
+        typeof category.id !== "string" ||
+        category.id.trim() === ""
+      ) {
+        fail(`${itemPath}.id`, "Must be a non-empty text id.");
+      } else if (ids.includes(category.id)) {
+        fail(`${itemPath}.id`, `"${category.id}" is used more than once.`);
+      } else {
+        ids.push(category.id);
+      }
+      if (
+        !category ||
+        typeof category.name !== "string" ||
+        category.name.trim() === ""
+      ) {
+        fail(`${itemPath}.name`, "Must be a non-empty name.");
+      }
+    });
+  });
+
+  return ids;
+}
+
+// Check a year's optional income goals and expense budgets
+function validateBackupTargets(targets, year, yearPath, fail) {
+  if (targets === undefined) {
+    return;
+  }
+  if (!targets || typeof targets !== "object" || Array.isArray(targets)) {
+    fail(`${yearPath}.targets`, "Must be an object with income and expense.");
+    return;
+  }
+
+  [
+    ["income", "income goal"],
+    ["expense", "expense budget"],
+  ].forEach(([field, description]) => {
+    if (targets[field] !== undefined) {
+      validateBackupAmounts(
+        targets[field],
+        `${yearPath}.targets.${field}`,
+        (month) => `${month} ${year} ${description}`,
+        fail,
+      );
+    }
+  });
+}
+
+// Check a year's optional ledger. Entries only need the right types here;
+// the app flags dates outside the year and missing categories after restore.
+function validateBackupTransactions(
+  transactions,
+  year,
+  yearPath,
+  categoryIds,
+  fail,
+) {
+  if (transactions === undefined) {
+    return;
+  }
+  if (!Array.isArray(transactions)) {
+    fail(`${yearPath}.transactions`, "Must be a list of transactions.");
+    return;
+  }
+
+  transactions.forEach((transaction, index) => {
+    const path = `${yearPath}.transactions[${index}]`;
+    if (!transaction || typeof transaction !== "object") {
+      fail(path, "Must be an object.");
+      return;
+    }
+
+    const { date, amount, type, categoryId, note } = transaction;
+    if (typeof date !== "string") {
+      fail(`${path}.date`, 'Must be a date such as "2025-03-14".');
+    }
+    if (
+      amount !== null &&
+      !(typeof amount === "number" && Number.isFinite(amount) && amount >= 0)
+    ) {
+      fail(
+        `${path}.amount`,
+        `Transaction ${index + 1} of ${year} must have a number 0 or greater, or null.`,
+      );
+    }
+    if (!CATEGORY_KINDS.includes(type)) {
+      fail(`${path}.type`, 'Must be "income" or "expense".');
+    }
+    if (
+      categoryId !== undefined &&
+      categoryId !== null &&
+      !categoryIds.includes(categoryId)
+    ) {
+      fail(
+        `${path}.categoryId`,
+        `"${categoryId}" is not in workspace.categories.`,
+      );
+    }
+    if (note !== undefined && typeof note !== "string") {
+      fail(`${path}.note`, "Must be text.");
+    }
+  });
+}
+
+// Check a year's optional overrides of recurring amounts
+function validateBackupOverrides(overrides, yearPath, categoryIds, fail) {
+  const path = `${yearPath}.recurringOverrides`;
+  if (overrides === undefined) {
+    return;
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    fail(path, "Must be an object with income, expense and categories.");
+    return;
+  }
+
+  const checkMonths = (months, monthsPath) => {
+    if (!months || typeof months !== "object" || Array.isArray(months)) {
+      fail(monthsPath, "Must be an object keyed by month number.");
+      return;
+    }
+    Object.entries(months).forEach(([month, value]) => {
+      if (!/^(\d|1[01])$/.test(month)) {
+        fail(`${monthsPath}.${month}`, "Must be a month number from 0 to 11.");
+      } else if (
+        value !== null &&
+        !(typeof value === "number" && Number.isFinite(value) && value >= 0)
+      ) {
+        fail(
+          `${monthsPath}.${month}`,
+          "Must be a number 0 or greater, or null.",
+        );
+      }
+    });
+  };
+
+  CATEGORY_KINDS.forEach((kind) => {
+    if (overrides[kind] !== undefined) {
+      checkMonths(overrides[kind], `${path}.${kind}`);
+    }
+  });
+  if (overrides.categories === undefined) {
+    return;
+  }
+  if (!overrides.categories || typeof overrides.categories !== "object") {
+    fail(`${path}.categories`, "Must be an object keyed by category id.");
+    return;
+  }
+  Object.entries(overrides.categories).forEach(([id, months]) => {
+    if (!categoryIds.includes(id)) {
+      fail(
+        `${path}.categories.${id}`,
+        `"${id}" is not in workspace.categories.`,
+      );
+      return;
+    }
+    checkMonths(months, `${path}.categories.${id}`);
+  });
+}
+
+// Check the optional recurring rules. As with transactions only the types
+// are checked; the app flags incomplete rules after restore.
+function validateBackupRecurringRules(rules, categoryIds, fail) {
+  if (rules === undefined) {
+    return;
+  }
+  if (!Array.isArray(rules)) {
+    fail("workspace.recurringRules", "Must be a list of rules.");
+    return;
+  }
+
+  const isAmount = (value) =>
+    value === null ||
+    (typeof value === "number" && Number.isFinite(value) && value >= 0);
+  const isMonth = (value) => parseRuleMonth(value) !== null;
+
+  rules.forEach((rule, index) => {
+    const path = `workspace.recurringRules[${index}]`;
+    if (!rule || typeof rule !== "object") {
+      fail(path, "Must be an object.");
+      return;
+    }
+
+    const { name, type, categoryId, amount, frequency, interval, start, end } =
+      rule;
+    if (name !== undefined && typeof name !== "string") {
+      fail(`${path}.name`, "Must be text.");
+    }
+    if (!CATEGORY_KINDS.includes(type)) {
+      fail(`${path}.type`, 'Must be "income" or "expense".');
+    }
+    if (
+      categoryId !== undefined &&
+      categoryId !== null &&
+      !categoryIds.includes(categoryId)
+    ) {
+      fail(
+        `${path}.categoryId`,
+        `"${categoryId}" is not in workspace.categories.`,
+      );
+    }
+    if (!isAmount(amount)) {
+      fail(`${path}.amount`, "Must be a number 0 or greater, or null.");
+    }
+    if (!RECURRING_FREQUENCIES.includes(frequency)) {
+      fail(
+        `${path}.frequency`,
+        `Must be one of ${RECURRING_FREQUENCIES.map((item) => `"${item}"`).join(", ")}.`,
+      );
+    }
+    if (
+      interval !== undefined &&
+      interval !== null &&
+      !(Number.isInteger(interval) && interval >= 1)
+    ) {
+      fail(`${path}.interval`, "Must be a whole number of months, 1 or more.");
+    }
+    if (!isMonth(start)) {
+      fail(`${path}.start`, 'Must be a month such as "2025-03".');
+    }
+    if (end !== undefined && end !== null && !isMonth(end)) {
+      fail(`${path}.end`, 'Must be null or a month such as "2025-12".');
+    }
+    if (rule.increase !== undefined && !isAmount(rule.increase)) {
+      fail(`${path}.increase`, "Must be a percentage 0 or greater, or null.");
+    }
+  });
+}
+
+// Check the optional chart settings
+function validateBackupSettings(settings, yearKeys, fail) {
+  if (settings === undefined) {
+    return;
+  }
+  if (!settings || typeof settings !== "object") {
+    fail("workspace.settings", "Must be an object.");
+    return;
+  }
+
+  const {
+    compareYear,
+    chartView,
+    categoryMonth,
+    breakdownKind,
+    openingBalance,
+    currency,
+    locale,
+    forecastMethod,
+    chartPalette,
+    liveChart,
+    theme,
+  } = settings;
+  if (
+    compareYear !== undefined &&
+    compareYear !== null &&
+    !yearKeys.includes(String(compareYear))
+  ) {
+    fail(
+      "workspace.settings.compareYear",
+      "Must be null or one of the years in the backup.",
+    );
+  }
+  if (chartView !== undefined && !CHART_VIEWS.includes(chartView)) {
+    fail(
+      "workspace.settings.chartView",
+      `Must be one of ${CHART_VIEWS.map((view) => `"${view}"`).join(", ")}.`,
+    );
+  }
+  if (
+    categoryMonth !== undefined &&
+    !(
+      Number.isInteger(categoryMonth) &&
+      categoryMonth >= 0 &&
+      categoryMonth < 12
+    )
+  ) {
+    fail(
+      "workspace.settings.categoryMonth",
+      "Must be a month number from 0 (January) to 11 (December).",
+    );
+  }
+  if (breakdownKind !== undefined && !CATEGORY_KINDS.includes(breakdownKind)) {
+    fail("workspace.settings.breakdownKind", 'Must be "income" or "expense".');
+  }
+  if (
+    openingBalance !== undefined &&
+    !(typeof openingBalance === "number" && Number.isFinite(openingBalance))
+  ) {
+    fail("workspace.settings.openingBalance", "Must be a number.");
+  }
+  if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(currency)) {
+    fail(
+      "workspace.settings.currency",
+      `Must be one of ${SUPPORTED_CURRENCIES.join(", ")}.`,
+    );
+  }
+  if (locale !== undefined && !SUPPORTED_LOCALES.includes(locale)) {
+    fail(
+      "workspace.settings.locale",
+      `Must be one of ${SUPPORTED_LOCALES.join(", ")}.`,
+    );
+  }
+  if (
+    forecastMethod !== undefined &&
+    !FORECAST_METHODS.includes(forecastMethod)
+  ) {
+    fail(
+      "workspace.settings.forecastMethod",
+      `Must be one of ${FORECAST_METHODS.map((method) => `"${method}"`).join(", ")}.`,
+    );
+  }
+  if (
+    chartPalette !== undefined &&
+    !CHART_PALETTE_NAMES.includes(chartPalette)
+  ) {
+    fail(
+      "workspace.settings.chartPalette",
+      `Must be one of ${CHART_PALETTE_NAMES.map((name) => `"${name}"`).join(", ")}.`,
+    );
+  }
+  if (liveChart !== undefined && typeof liveChart !== "boolean") {
+    fail("workspace.settings.liveChart", "Must be true or false.");
+  }
+  if (theme !== undefined && !THEME_NAMES.includes(theme)) {
+    fail(
+      "workspace.settings.theme",
+      `Must be one of ${THEME_NAMES.map((name) => `"${name}"`).join(", ")}.`,
+    );
+  }
+}
+
+// Check a parsed backup document; returns a list of { path, message } errors
+export function validateBackup(backup) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  if (!backup || typeof backup !== "object" || Array.isArray(backup)) {
+    fail("", "The file does not contain a backup object.");
+    return errors;
+  }
+  if (backup.format !== BACKUP_FORMAT) {
+    fail("format", `Expected "${BACKUP_FORMAT}".`);
+    return errors;
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    fail("version", "Must be a positive whole number.");
+    return errors;
+  }
+  if (backup.version > BACKUP_VERSION) {
+    fail(
+      "version",
+      `Backup version ${backup.version} was created by a newer version of Bucks2Bar.`,
+    );
+    return errors;
+  }
+
+  const workspace = backup.workspace;
+  if (!workspace || typeof workspace !== "object") {
+    fail("workspace", "Missing workspace object.");
+    return errors;
+  }
+
+  const years = workspace.years;
+  if (!years || typeof years !== "object" || Array.isArray(years)) {
+    fail("workspace.years", "Missing years object.");
+    return errors;
+  }
+
+  const categoryIds = validateBackupCategories(workspace.categories, fail);
+  const yearKeys = Object.keys(years);
+  if (!yearKeys.length) {
+    fail("workspace.years", "At least one year is required.");
+  }
+
+  yearKeys.forEach((key) => {
+    const yearPath = `workspace.years.${key}`;
+    if (!/^\d+$/.test(key) || !isValidBudgetYear(Number(key))) {
+      fail(
+        yearPath,
+        `"${key}" is not a year between ${MIN_BUDGET_YEAR} and ${MAX_BUDGET_YEAR}.`,
+      );
+      return;
+    }
+
+    const yearData = years[key] || {};
+    ["income", "expense"].forEach((field) => {
+      validateBackupAmounts(
+        yearData[field],
+        `${yearPath}.${field}`,
+        (month) => `${month} ${key} ${field}`,
+        fail,
+      );
+    });
+
+    validateBackupTargets(yearData.targets, key, yearPath, fail);
+    if (yearData.notes !== undefined && typeof yearData.notes !== "string") {
+      fail(`${yearPath}.notes`, "Must be text.");
+    }
+    validateBackupTransactions(
+      yearData.transactions,
+      key,
+      yearPath,
+      categoryIds,
+      fail,
+    );
+    validateBackupOverrides(
+      yearData.recurringOverrides,
+      yearPath,
+      categoryIds,
+      fail,
+    );
+
+    if (yearData.categories === undefined) {
+      return;
+    }
+    if (!yearData.categories || typeof yearData.categories !== "object") {
+      fail(`${yearPath}.categories`, "Must be an object keyed by category id.");
+      return;
+    }
+    Object.entries(yearData.categories).forEach(([id, values]) => {
+      const path = `${yearPath}.categories.${id}`;
+      if (!categoryIds.includes(id)) {
+        fail(path, `"${id}" is not in workspace.categories.`);
+        return;
+      }
+      validateBackupAmounts(
+        values,
+        path,
+        (month) => `${month} ${key} "${id}"`,
+        fail,
+      );
+    });
+  });
+
+  if (
+    workspace.selectedYear !== undefined &&
+    !yearKeys.includes(String(workspace.selectedYear))
+  ) {
+    fail("workspace.selectedYear", "Must be one of the years in the backup.");
+  }
+
+  validateBackupRecurringRules(workspace.recurringRules, categoryIds, fail);
+  validateBackupSettings(workspace.settings, yearKeys, fail);
+
+  return errors;
+}
+
+// Turn a validated backup into a workspace holding raw input strings.
+// Version 1 backups have no categories and only the comparison setting;
+// missing settings, targets, transactions, recurring rules and notes take
+// their defaults.
+function backupToWorkspace(backup) {
+  const toInputValue = (value) =>
+    value === null || value === undefined ? "" : String(value);
+  const toInputValues = (values) => values.map(toInputValue);
+  const toOverrideMonths = (months) => {
+    const result = {};
+    Object.entries(months || {}).forEach(([month, value]) => {
+      result[month] = toInputValue(value);
+    });
+    return result;
+  };
+
+  const years = {};
+  Object.entries(backup.workspace.years).forEach(([year, yearData]) => {
+    const categoryValues = {};
+    Object.entries(yearData.categories || {}).forEach(([id, values]) => {
+      categoryValues[id] = toInputValues(values);
+    });
+
+    const targets = { ...createEmptyTargets(), ...yearData.targets };
+    years[year] = {
+      income: toInputValues(yearData.income),
+      expense: toInputValues(yearData.expense),
+      categoryValues,
+      targets: {
+        income: toInputValues(targets.income),
+        expense: toInputValues(targets.expense),
+      },
+      transactions: (yearData.transactions || []).map((transaction, index) => ({
+        id: `t${index + 1}`,
+        date: transaction.date,
+        amount: transaction.amount === null ? "" : String(transaction.amount),
+        type: transaction.type,
+        categoryId: transaction.categoryId || "",
+        note: transaction.note || "",
+      })),
+      recurringOverrides: {
+        income: toOverrideMonths((yearData.recurringOverrides || {}).income),
+        expense: toOverrideMonths((yearData.recurringOverrides || {}).expense),
+        categoryValues: Object.fromEntries(
+          Object.entries(
+            (yearData.recurringOverrides || {}).categories || {},
+          ).map(([id, months]) => [id, toOverrideMonths(months)]),
+        ),
+      },
+      notes: yearData.notes || "",
+    };
+  });
+
+  const categories = backup.workspace.categories || {};
+  const yearNumbers = Object.keys(years).map(Number);
+  const settings = { ...createDefaultSettings(), ...backup.workspace.settings };
+
+  return {
+    selectedYear:
+      backup.workspace.selectedYear !== undefined
+        ? Number(backup.workspace.selectedYear)
+        : Math.max(...yearNumbers),
+    years,
+    categories: {
+      income: (categories.income || []).map(({ id, name }) => ({ id, name })),
+      expense: (categories.expense || []).map(({ id, name }) => ({ id, name })),
+    },
+    recurringRules: (backup.workspace.recurringRules || []).map(
+      (rule, index) => ({
+        id: `r${index + 1}`,
+        name: rule.name || "",
+        type: rule.type,
+        categoryId: rule.categoryId || "",
+        amount: toInputValue(rule.amount),
+        frequency: rule.frequency,
+        interval: toInputValue(rule.interval ?? 1),
+        start: rule.start,
+        end: rule.end || "",
+        increase: toInputValue(rule.increase),
+      }),
+    ),
+    settings: {
+      ...settings,
+      compareYear:
+        settings.compareYear === null ? null : Number(settings.compareYear),
+    },
+  };
+}
+
+// Parse backup file text; returns { workspace, errors }
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return {
+      workspace: null,
+      errors: [{ path: "", message: `Not valid JSON: ${error.message}` }],
+    };
+  }
+
+  const errors = validateBackup(backup);
+  return {
+    workspace: errors.length ? null : backupToWorkspace(backup),
+    errors,
+  };
+}
+
+// Copy the restored years into the current workspace, replacing any years
+// present in both and adding categories it doesn't have yet; the current
+// selection, recurring rules and settings are kept
+export function mergeWorkspaces(target, source) {
+  const categories = {};
+  CATEGORY_KINDS.forEach((kind) => {
+    const knownIds = target.categories[kind].map((category) => category.id);
+    categories[kind] = [
+      ...target.categories[kind],
+      ...source.categories[kind].filter(
+        (category) => !knownIds.includes(category.id),
+      ),
+    ];
+  });
+
+  return {
+    ...target,
+    years: { ...target.years, ...source.years },
+    categories,
+    settings: { ...target.settings },
+  };
+}
+
+// The workspace after restoring a parsed backup by replacing or merging.
+// Backups hold the scenario being edited, so a replace keeps the other
+// scenarios and which ones are compared.
+export function restoreWorkspace(current, restored, mode = "replace") {
+  if (mode === "merge") {
+    return mergeWorkspaces(current, restored);
+  }
+  const { scenarios, activeScenario, settings } = current;
+  return {
+    ...restored,
+    scenarios,
+    activeScenario,
+    settings: {
+      ...restored.settings,
+      compareScenarios: settings.compareScenarios,
+    },
+  };
+}
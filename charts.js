@@ -0,0 +1,601 @@
+// Chart adapter: Chart.js configs for each chart view, built from the
+// form's data and the workspace settings, and the only code that creates or
+// changes Chart.js charts. Chart.js itself is the `Chart` global from its
+// script in vendor/.
+import { formatCurrency } from "./locale.js";
+import {
+  fullMonthNames,
+  getAnnualTotals,
+  getCumulativeSeries,
+  getNetSeries,
+  monthLabels,
+  roundToCents,
+} from "./model.js";
+import {
+  getChartThemeColors,
+  getPaletteCategoryColor,
+  getPaletteColor,
+} from "./palette.js";
+import { findOverBudgetMonths } from "./targets.js";
+import { createDefaultSettings } from "./workspace.js";
+
+// Colours in the settings' palette for the theme, and money in the
+// settings' currency, for the builders below
+function createChartStyle(settings, theme) {
+  return {
+    // Colour of a chart role ("income", "expense", "overBudget"...)
+    chartColor: (role, alpha) =>
+      getPaletteColor(settings.chartPalette, role, alpha, theme),
+    categoryColor: (kind, index, alpha) =>
+      getPaletteCategoryColor(settings.chartPalette, kind, index, alpha, theme),
+    // Text, grid and tooltip colours
+    colors: getChartThemeColors(theme),
+    formatMoney: (value) => formatCurrency(value, settings),
+  };
+}
+
+// An axis with its labels and grid lines in the theme's colours
+function buildScale(colors, { ticks = {}, ...scale } = {}) {
+  return {
+    ...scale,
+    ticks: { color: colors.text, ...ticks },
+    grid: { color: colors.grid },
+    border: { color: colors.grid },
+  };
+}
+
+// Legend and tooltip in the theme's colours
+function buildPlugins(colors, legendPosition, tooltipCallbacks) {
+  return {
+    legend: {
+      display: true,
+      position: legendPosition,
+      labels: { color: colors.text },
+    },
+    tooltip: {
+      backgroundColor: colors.tooltipBackground,
+      titleColor: colors.tooltipText,
+      bodyColor: colors.tooltipText,
+      footerColor: colors.tooltipText,
+      callbacks: tooltipCallbacks,
+    },
+  };
+}
+
+// Grouped view: income and expense bars, with the comparison year (if any)
+// overlaid as dashed lines and monthly targets as stepped lines. Months over
+// their expense budget are drawn in amber.
+function buildGroupedDatasets(
+  { incomeData, expenseData, targets, forecast },
+  year,
+  comparison,
+  { chartColor, colors },
+) {
+  const yearSuffix = comparison ? ` (${year})` : "";
+  const overMonths = findOverBudgetMonths(expenseData, targets.expense).map(
+    ({ month }) => month,
+  );
+  // One colour per month only when some months need flagging
+  const expenseColor = (alpha) =>
+    overMonths.length
+      ? expenseData.map((_, month) =>
+          overMonths.includes(month)
+            ? chartColor("overBudget", alpha)
+            : chartColor("expense", alpha),
+        )
+      : chartColor("expense", alpha);
+
+  const datasets = [
+    {
+      label: "Income" + yearSuffix,
+      data: incomeData,
+      backgroundColor: chartColor("income", 0.7),
+      borderColor: chartColor("income", 1),
+      borderWidth: 1,
+      comparisonData: comparison ? comparison.incomeData : null,
+    },
+    {
+      label: "Expenses" + yearSuffix,
+      data: expenseData,
+      backgroundColor: expenseColor(0.7),
+      borderColor: expenseColor(1),
+      borderWidth: 1,
+      comparisonData: comparison ? comparison.expenseData : null,
+      targetData: targets.expense,
+    },
+  ];
+
+  // Projected months continue from the last entered month as dashed lines
+  if (forecast && forecast.firstMonth < 12) {
+    [
+      ["Income (forecast)", incomeData, forecast.income, "income"],
+      ["Expenses (forecast)", expenseData, forecast.expense, "expense"],
+    ].forEach(([label, actual, projected, role]) => {
+      datasets.push({
+        type: "line",
+        label,
+        data: projected.map((value, month) =>
+          month === forecast.firstMonth - 1 ? actual[month] : value,
+        ),
+        borderColor: chartColor(role, 1),
+        // Hollow points, filled with the background
+        backgroundColor: colors.surface,
+        borderDash: [8, 4],
+        pointStyle: "rectRot",
+        fill: false,
+      });
+    });
+  }
+
+  [
+    ["income", "Income goal", "incomeGoal"],
+    ["expense", "Expense budget", "expenseBudget"],
+  ].forEach(([kind, label, role]) => {
+    if (targets[kind].some((target) => target !== null)) {
+      datasets.push({
+        type: "line",
+        label,
+        data: targets[kind],
+        borderColor: chartColor(role, 1),
+        backgroundColor: chartColor(role, 0.2),
+        borderWidth: 2,
+        borderDash: [2, 2],
+        stepped: "middle",
+        pointRadius: 0,
+        fill: false,
+      });
+    }
+  });
+
+  if (comparison) {
+    datasets.push(
+      {
+        type: "line",
+        label: `Income (${comparison.year})`,
+        data: comparison.incomeData,
+        borderColor: chartColor("income", 1),
+        backgroundColor: chartColor("income", 0.2),
+        borderDash: [6, 4],
+        fill: false,
+      },
+      {
+        type: "line",
+        label: `Expenses (${comparison.year})`,
+        data: comparison.expenseData,
+        borderColor: chartColor("expense", 1),
+        backgroundColor: chartColor("expense", 0.2),
+        borderDash: [6, 4],
+        fill: false,
+      },
+    );
+  }
+
+  return datasets;
+}
+
+// Stacked view: one bar stack for income and one for expenses, split by
+// category where categories exist
+function buildStackedDatasets(
+  { incomeData, expenseData, categories },
+  { chartColor, categoryColor },
+) {
+  const stackFor = (kind, label, totals) =>
+    categories[kind].length
+      ? categories[kind].map((category, index) => ({
+          label: category.name,
+          data: category.data,
+          stack: kind,
+          backgroundColor: categoryColor(kind, index, 0.7),
+          borderColor: categoryColor(kind, index, 1),
+          borderWidth: 1,
+        }))
+      : [
+          {
+            label,
+            data: totals,
+            stack: kind,
+            backgroundColor: chartColor(kind, 0.7),
+            borderColor: chartColor(kind, 1),
+            borderWidth: 1,
+          },
+        ];
+
+  return [
+    ...stackFor("income", "Income", incomeData),
+    ...stackFor("expense", "Expenses", expenseData),
+  ];
+}
+
+// Net view: one line of income minus expenses, in the income colour above
+// zero and the expense colour below
+function buildNetDatasets(incomeData, expenseData, { chartColor }) {
+  const netData = getNetSeries(incomeData, expenseData);
+  const colorFor = (value, alpha) =>
+    chartColor(value < 0 ? "expense" : "income", alpha);
+
+  return [
+    {
+      label: "Net savings",
+      data: netData,
+      borderColor: chartColor("income", 1),
+      pointBackgroundColor: netData.map((value) => colorFor(value, 1)),
+      pointBorderColor: netData.map((value) => colorFor(value, 1)),
+      // Colour each segment by the month it ends on
+      segment: {
+        borderColor: (context) => colorFor(context.p1.parsed.y, 1),
+      },
+      fill: {
+        target: "origin",
+        above: chartColor("income", 0.15),
+        below: chartColor("expense", 0.15),
+      },
+    },
+  ];
+}
+
+// Cumulative view: the running balance as a filled area, starting from the
+// opening balance
+function buildCumulativeDatasets(
+  incomeData,
+  expenseData,
+  openingBalance,
+  { chartColor },
+) {
+  return [
+    {
+      label: "Balance",
+      data: getCumulativeSeries(
+        getNetSeries(incomeData, expenseData),
+        openingBalance,
+      ),
+      borderColor: chartColor("balance", 1),
+      backgroundColor: chartColor("balance", 0.2),
+      fill: "origin",
+    },
+  ];
+}
+
+// Scenarios view: a net savings line for each compared scenario
+function buildScenarioDatasets(scenarioSeries, { categoryColor }) {
+  return scenarioSeries.map(({ name, incomeData, expenseData }, index) => ({
+    label: name,
+    data: getNetSeries(incomeData, expenseData),
+    borderColor: categoryColor("income", index, 1),
+    backgroundColor: categoryColor("income", index, 0.2),
+    pointBackgroundColor: categoryColor("income", index, 1),
+  }));
+}
+
+// Bar chart options shared by the grouped and stacked views
+function buildBarChartOptions(isStacked, compareYear, { formatMoney, colors }) {
+  return {
+    responsive: true,
+    scales: {
+      x: buildScale(colors, {
+        stacked: isStacked,
+      }),
+      y: buildScale(colors, {
+        stacked: isStacked,
+        beginAtZero: true,
+        ticks: {
+          callback: function (value) {
+            return formatMoney(value);
+          },
+        },
+      }),
+    },
+    plugins: buildPlugins(colors, "top", {
+      label: function (context) {
+        let label =
+          context.dataset.label + ": " + formatMoney(context.parsed.y);
+
+        // Warn about months over their expense budget
+        const target = context.dataset.targetData
+          ? context.dataset.targetData[context.dataIndex]
+          : null;
+        if (target !== null && context.parsed.y > target) {
+          label += ` – over budget by ${formatMoney(
+            roundToCents(context.parsed.y - target),
+          )}`;
+        }
+
+        // Show the change against the comparison year
+        const previous = context.dataset.comparisonData;
+        if (previous) {
+          const delta = context.parsed.y - previous[context.dataIndex];
+          label +=
+            ` (${delta < 0 ? "-" : "+"}` +
+            `${formatMoney(Math.abs(delta))} vs ${compareYear})`;
+        }
+        return label;
+      },
+    }),
+  };
+}
+
+// Line chart options for the net and cumulative views; values can go
+// below zero
+function buildLineChartOptions({ formatMoney, colors }) {
+  return {
+    responsive: true,
+    scales: {
+      x: buildScale(colors),
+      y: buildScale(colors, {
+        ticks: {
+          callback: function (value) {
+            return formatMoney(value);
+          },
+        },
+      }),
+    },
+    plugins: buildPlugins(colors, "top", {
+      label: function (context) {
+        return context.dataset.label + ": " + formatMoney(context.parsed.y);
+      },
+    }),
+  };
+}
+
+// Doughnut options for the annual and category charts
+function buildDoughnutOptions({ formatMoney, colors }) {
+  return {
+    responsive: true,
+    plugins: buildPlugins(colors, "right", {
+      label: function (context) {
+        return context.label + ": " + formatMoney(context.parsed);
+      },
+    }),
+  };
+}
+
+// Annual view: a doughnut of the year's total income and expenses
+function buildAnnualChartConfig(incomeData, expenseData, style) {
+  const { chartColor, colors } = style;
+  const totals = getAnnualTotals(incomeData, expenseData);
+
+  return {
+    type: "doughnut",
+    data: {
+      labels: ["Income", "Expenses"],
+      datasets: [
+        {
+          label: "Annual totals",
+          data: [totals.income, totals.expense],
+          backgroundColor: [
+            chartColor("income", 0.8),
+            chartColor("expense", 0.8),
+          ],
+          // Slices are separated by the background
+          borderColor: colors.surface,
+          borderWidth: 1,
+        },
+      ],
+    },
+    options: buildDoughnutOptions(style),
+  };
+}
+
+// Chart.js config and title for the chosen chart view. data is what the
+// form collected ({ incomeData, expenseData, categories, targets, forecast });
+// options hold the selected year, the workspace settings, the theme to draw
+// in ("light", "dark" or "highContrast"), the comparison year's
+// { year, incomeData, expenseData } and the compared scenarios' series.
+export function buildChartConfig(
+  view,
+  data,
+  {
+    year = "",
+    settings = createDefaultSettings(),
+    theme = "light",
+    comparison = null,
+    scenarioSeries = [],
+  } = {},
+) {
+  const { incomeData, expenseData } = data;
+  const style = createChartStyle(settings, theme);
+
+  if (view === "net") {
+    return {
+      title: `Net Savings ${year}`,
+      config: {
+        type: "line",
+        data: {
+          labels: monthLabels,
+          datasets: buildNetDatasets(incomeData, expenseData, style),
+        },
+        options: buildLineChartOptions(style),
+      },
+    };
+  }
+
+  if (view === "cumulative") {
+    return {
+      title: `Cumulative Balance ${year}`,
+      config: {
+        type: "line",
+        data: {
+          labels: monthLabels,
+          datasets: buildCumulativeDatasets(
+            incomeData,
+            expenseData,
+            settings.openingBalance,
+            style,
+          ),
+        },
+        options: buildLineChartOptions(style),
+      },
+    };
+  }
+
+  if (view === "scenarios") {
+    return {
+      title: `Net Savings by Scenario ${year}`,
+      config: {
+        type: "line",
+        data: {
+          labels: monthLabels,
+          datasets: buildScenarioDatasets(scenarioSeries, style),
+        },
+        options: buildLineChartOptions(style),
+      },
+    };
+  }
+
+  if (view === "annual") {
+    return {
+      title: `Annual Totals ${year}`,
+      config: buildAnnualChartConfig(incomeData, expenseData, style),
+    };
+  }
+
+  // Previous-year values are overlaid as dashed lines on the grouped bars
+  const isStacked = view === "stacked";
+  const shownComparison = isStacked ? null : comparison;
+
+  return {
+    title:
+      `Income vs Expenses ${year}` +
+      (shownComparison ? ` vs ${shownComparison.year}` : "") +
+      (isStacked ? " by Category" : ""),
+    config: {
+      type: "bar",
+      data: {
+        labels: monthLabels,
+        datasets: isStacked
+          ? buildStackedDatasets(data, style)
+          : buildGroupedDatasets(data, year, shownComparison, style),
+      },
+      options: buildBarChartOptions(
+        isStacked,
+        shownComparison ? shownComparison.year : null,
+        style,
+      ),
+    },
+  };
+}
+
+// Doughnut of one month's split between the categories of a kind
+export function buildCategoryChartConfig(
+  series,
+  month,
+  kind,
+  settings = createDefaultSettings(),
+  theme = "light",
+) {
+  const style = createChartStyle(settings, theme);
+
+  return {
+    type: "doughnut",
+    data: {
+      labels: series.map((category) => category.name),
+      datasets: [
+        {
+          label: `${fullMonthNames[month]} ${kind === "income" ? "income" : "expenses"}`,
+          data: series.map((category) => category.data[month]),
+          backgroundColor: series.map((_, index) =>
+            style.categoryColor(kind, index, 0.8),
+          ),
+          borderColor: style.colors.surface,
+          borderWidth: 1,
+        },
+      ],
+    },
+    options: buildDoughnutOptions(style),
+  };
+}
+
+// Show a config on an existing chart of the same type by changing its data
+// and options in place, so Chart.js animates from the old values instead of
+// drawing a new chart. Datasets with the same label and type keep their
+// objects, and with them their elements and legend visibility. Returns
+// false when the chart has to be recreated.
+function updateChartInPlace(chart, config) {
+  if (!chart || chart.config.type !== config.type) {
+    return false;
+  }
+
+  const { data } = chart;
+  data.labels = config.data.labels;
+  data.datasets = config.data.datasets.map((dataset, index) => {
+    const current = data.datasets[index];
+    if (
+      !current ||
+      current.label !== dataset.label ||
+      current.type !== dataset.type
+    ) {
+      return dataset;
+    }
+    Object.keys(current).forEach((key) => {
+      if (!(key in dataset)) {
+        delete current[key];
+      }
+    });
+    return Object.assign(current, dataset);
+  });
+  chart.options = config.options;
+  chart.update();
+  return true;
+}
+
+// Draw a config on a canvas and return the chart showing it. The chart
+// already there (or null) is reused while the view keeps its chart type;
+// switching between bars/lines and the doughnut needs a new one.
+export function drawChart(chart, canvas, config) {
+  if (updateChartInPlace(chart, config)) {
+    return chart;
+  }
+  if (chart) {
+    chart.destroy();
+  }
+  return new Chart(canvas.getContext("2d"), config);
+}
+
+// Draw a config once at a fixed size, without animation, with a background
+// colour painted under it (transparent without one). The caller destroys
+// the returned chart.
+export function drawFixedSizeChart(
+  canvas,
+  config,
+  { width, height, pixelRatio, background = null },
+) {
+  canvas.width = width;
+  canvas.height = height;
+  const backgroundPlugin = {
+    id: "exportBackground",
+    beforeDraw(chart) {
+      const { ctx } = chart;
+      ctx.save();
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, chart.width, chart.height);
+      ctx.restore();
+    },
+  };
+  return new Chart(canvas.getContext("2d"), {
+    ...config,
+    options: {
+      ...config.options,
+      responsive: false,
+      animation: false,
+      devicePixelRatio: pixelRatio,
+    },
+    plugins: [
+      ...(config.plugins || []),
+      ...(background ? [backgroundPlugin] : []),
+    ],
+  });
+}
+
+// Indexes of the datasets not hidden through the legend
+export function getVisibleDatasetIndexes(chart) {
+  return chart.config.data.datasets
+    .map((_, index) => index)
+    .filter((index) => chart.isDatasetVisible(index));
+}
+
+// Show the tooltip for the given { datasetIndex, index } points, or hide it
+// for none
+export function highlightChartPoints(chart, points) {
+  chart.setActiveElements(points);
+  chart.tooltip.setActiveElements(points, { x: 0, y: 0 });
+  chart.update();
+}
@@ -0,0 +1,294 @@
+// CSV import/export for the monthly income/expense table
+import { hasLedger } from "./ledger.js";
+import { normalizeLocaleAmount } from "./locale.js";
+import { fullMonthNames, monthLabels, parseBudgetValue } from "./model.js";
+import {
+  CATEGORY_KINDS,
+  createDefaultSettings,
+  getBudgetYear,
+  hasCategories,
+} from "./workspace.js";
+
+const CSV_DELIMITERS = [",", ";", "\t", "|"];
+const CSV_HEADERS = ["Month", "Income", "Expense", "Net"];
+
+// Header names are lower-cased with punctuation removed before matching, so
+// "Income ($)" and "Total income" both find the income column
+const csvColumnPatterns = {
+  month: /\b(month|period|date)\b/,
+  income: /\b(income|incomes|revenue|earnings|money in|credits?)\b/,
+  expense: /\b(expenses?|spending|spend|costs?|money out|debits?)\b/,
+};
+
+// Guess the delimiter from the first line, ignoring quoted text
+export function detectCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, "");
+  let best = ",";
+  let bestCount = 0;
+
+  CSV_DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+// Split CSV text into rows of fields (RFC 4180 quoting, CRLF or LF)
+export function parseCsv(text, delimiter = detectCsvDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+// Quote a field if it contains the delimiter, quotes or line breaks
+function formatCsvField(value, delimiter = ",") {
+  const text = String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? '"' + text.replace(/"/g, '""') + '"'
+    : text;
+}
+
+// Build a CSV document from collected income/expense data. Locales with a
+// decimal comma get "," in amounts and should pass a ";" delimiter.
+export function budgetToCsv(
+  { incomeData, expenseData },
+  delimiter = ",",
+  decimal = ".",
+) {
+  const lines = [CSV_HEADERS.join(delimiter)];
+
+  monthLabels.forEach((month, index) => {
+    const income = incomeData[index] || 0;
+    const expense = expenseData[index] || 0;
+    const net = Math.round((income - expense) * 100) / 100;
+    lines.push(
+      [month, income, expense, net]
+        .map((value) =>
+          formatCsvField(String(value).replace(".", decimal), delimiter),
+        )
+        .join(delimiter),
+    );
+  });
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Match "Jan", "sept", "January", "1", "01" or "2024-01" to a month index
+function parseCsvMonth(value) {
+  const text = value.trim().toLowerCase();
+  const isoMatch = text.match(/^\d{4}-(\d{1,2})(-\d{1,2})?$/);
+  const number = isoMatch ? Number(isoMatch[1]) : Number(text);
+
+  if (text === "") {
+    return -1;
+  }
+  if (Number.isInteger(number)) {
+    return number >= 1 && number <= 12 ? number - 1 : -1;
+  }
+
+  return text.length < 3
+    ? -1
+    : fullMonthNames.findIndex((name) => name.toLowerCase().startsWith(text));
+}
+
+// Strip currency symbols and spreadsheet number formatting from an amount.
+// Amounts are read in the workspace locale first ("1.234,56" in de-DE,
+// "1 234,56" in fr-FR), then in the common English and European forms.
+function normalizeCsvAmount(value, delimiter, locale) {
+  let text = value.trim().replace(/^[$€£¥]\s*|\s*[$€£¥]$/g, "");
+
+  const localeAmount = normalizeLocaleAmount(text, locale);
+  if (localeAmount !== text) {
+    return localeAmount;
+  }
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    // 1,234.56
+    text = text.replace(/,/g, "");
+  } else if (delimiter !== "," && /^-?\d+,\d+$/.test(text)) {
+    // 1234,56 from semicolon-separated European exports
+    text = text.replace(",", ".");
+  }
+
+  return text;
+}
+
+// Locate the month/income/expense columns from a header row
+function findCsvColumns(headerRow) {
+  const columns = {};
+
+  headerRow.forEach((name, index) => {
+    const header = name
+      .toLowerCase()
+      .replace(/[^a-z]+/g, " ")
+      .trim();
+    Object.entries(csvColumnPatterns).forEach(([key, pattern]) => {
+      if (columns[key] === undefined && pattern.test(header)) {
+        columns[key] = index;
+      }
+    });
+  });
+
+  return columns.income !== undefined && columns.expense !== undefined
+    ? columns
+    : null;
+}
+
+// Parse a CSV file into raw form values per month plus per-row errors,
+// reading amounts in the locale of formatSettings
+export function parseBudgetCsv(text, formatSettings = createDefaultSettings()) {
+  const content = text.replace(/^\uFEFF/, "");
+  const delimiter = detectCsvDelimiter(content);
+  const rows = parseCsv(content, delimiter);
+
+  const income = new Array(12).fill(null);
+  const expense = new Array(12).fill(null);
+  const errors = [];
+
+  if (!rows.length) {
+    errors.push({ row: null, month: null, message: "The file is empty." });
+    return { income, expense, errors };
+  }
+
+  // Without a recognisable header assume Month, Income, Expense columns
+  let columns = findCsvColumns(rows[0]);
+  let firstDataRow = 1;
+  if (!columns) {
+    columns = { month: 0, income: 1, expense: 2 };
+    firstDataRow = 0;
+  }
+
+  rows.slice(firstDataRow).forEach((fields, offset) => {
+    const rowNumber = firstDataRow + offset + 1;
+    const monthIndex =
+      columns.month === undefined
+        ? offset
+        : parseCsvMonth(fields[columns.month] || "");
+
+    if (monthIndex < 0 || monthIndex > 11) {
+      errors.push({
+        row: rowNumber,
+        month: null,
+        message:
+          columns.month === undefined
+            ? `Row ${rowNumber}: only 12 months can be imported.`
+            : `Row ${rowNumber}: "${fields[columns.month] || ""}" is not a month.`,
+      });
+      return;
+    }
+
+    const month = monthLabels[monthIndex];
+    if (income[monthIndex] !== null) {
+      errors.push({
+        row: rowNumber,
+        month,
+        message: `Row ${rowNumber}: ${month} appears more than once.`,
+      });
+      return;
+    }
+
+    [
+      ["income", income],
+      ["expense", expense],
+    ].forEach(([field, values]) => {
+      const raw = normalizeCsvAmount(
+        fields[columns[field]] || "",
+        delimiter,
+        formatSettings.locale,
+      );
+      const result = parseBudgetValue(raw);
+
+      values[monthIndex] = raw;
+      if (!result.isValid) {
+        errors.push({
+          row: rowNumber,
+          month,
+          field,
+          message: `Row ${rowNumber} (${month}): ${field} "${raw}" must be a number 0 or greater.`,
+        });
+      }
+    });
+  });
+
+  return { income, expense, errors };
+}
+
+// Import CSV text into the workspace's selected year; returns the errors.
+// Months missing from the file keep their values, and invalid values are
+// stored for the form to mark. Totals of categorised kinds come from their
+// categories, and all totals from the ledger once the year has one, so
+// those columns aren't imported.
+export function importBudgetCsv(workspace, text) {
+  const { income, expense, errors } = parseBudgetCsv(text, workspace.settings);
+  const year = workspace.selectedYear;
+  const yearData = getBudgetYear(workspace, year);
+  const isLedger = hasLedger(workspace, year);
+  const skipped = CATEGORY_KINDS.filter(
+    (kind) => isLedger || hasCategories(workspace, kind),
+  );
+
+  [
+    ["income", income],
+    ["expense", expense],
+  ].forEach(([kind, values]) => {
+    if (skipped.includes(kind)) {
+      return;
+    }
+    values.forEach((value, month) => {
+      if (value !== null) {
+        yearData[kind][month] = value;
+      }
+    });
+  });
+
+  return [
+    ...errors.filter((error) => !skipped.includes(error.field)),
+    ...skipped.map((kind) => ({
+      row: null,
+      month: null,
+      message: `${kind === "income" ? "Income" : "Expense"} totals come from ${isLedger ? "transactions" : "categories"} and were not imported.`,
+    })),
+  ];
+}
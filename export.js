@@ -0,0 +1,75 @@
+// Chart image export options: formats, sizes and file names
+export const EXPORT_FORMATS = {
+  png: { mimeType: "image/png", extension: "png" },
+  jpeg: { mimeType: "image/jpeg", extension: "jpg" },
+  svg: { mimeType: "image/svg+xml", extension: "svg" },
+};
+// Fixed sizes in pixels; "screen" and "screen-2x" use the chart's size on
+// screen, the latter at twice the pixel density
+const EXPORT_SIZES = {
+  "1280x720": { width: 1280, height: 720 },
+  "1920x1080": { width: 1920, height: 1080 },
+  "3840x2160": { width: 3840, height: 2160 },
+};
+const MAX_EXPORT_DIMENSION = 8000;
+// File name template the export dialog starts with
+export const DEFAULT_EXPORT_FILENAME = "budget-chart-{year}";
+
+// Width, height and pixel ratio for a size choice, or an { error }.
+// screenSize is the chart's on-screen size, or null if it isn't shown.
+export function getExportSize(size, screenSize, custom = {}) {
+  if (size === "screen" || size === "screen-2x") {
+    if (!screenSize) {
+      return {
+        error:
+          "Show the chart first to export it at its on-screen size, or pick a fixed size.",
+      };
+    }
+    return {
+      width: Math.round(screenSize.width),
+      height: Math.round(screenSize.height),
+      pixelRatio: size === "screen-2x" ? 2 : 1,
+    };
+  }
+  if (size === "custom") {
+    const width = Number(custom.width);
+    const height = Number(custom.height);
+    const isValid = (value) =>
+      Number.isInteger(value) && value >= 100 && value <= MAX_EXPORT_DIMENSION;
+    if (!isValid(width) || !isValid(height)) {
+      return {
+        error: `Enter a width and height from 100 to ${MAX_EXPORT_DIMENSION} pixels.`,
+      };
+    }
+    return { width, height, pixelRatio: 1 };
+  }
+  return EXPORT_SIZES[size]
+    ? { ...EXPORT_SIZES[size], pixelRatio: 1 }
+    : { error: "Pick a size." };
+}
+
+// Fill in {year}, {view} and {date} ("2026-10-19"), replace characters
+// file systems reject and add the format's extension
+export function formatExportFilename(template, { year, view, date }, format) {
+  const { extension } = EXPORT_FORMATS[format];
+  const name = String(template || "")
+    .replace(/\{year\}/g, year)
+    .replace(/\{view\}/g, view)
+    .replace(/\{date\}/g, date)
+    .replace(/[\\/:*?"<>|]+/g, "-")
+    .trim()
+    .replace(new RegExp(`\\.${extension}$`, "i"), "");
+  return `${name || "budget-chart"}.${extension}`;
+}
+
+// Blob for a base64 data URL such as Chart.js toBase64Image() returns
+export function dataUrlToBlob(dataUrl) {
+  const [header, data] = dataUrl.split(",");
+  const mimeType = (/^data:([^;]+)/.exec(header) || [])[1] || "";
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
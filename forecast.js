@@ -0,0 +1,108 @@
+// Projecting the rest of a year from the months already filled in
+import { roundToCents } from "./model.js";
+
+export const FORECAST_METHODS = ["none", "average", "trend", "lastYear"];
+// Months used by the trailing average
+export const FORECAST_WINDOW = 3;
+
+// Index of the last month with any income, expense or category value typed
+// in, or -1 for an empty year
+export function getLastEnteredMonth({ income, expense, categoryValues = {} }) {
+  const isEntered = (values, month) =>
+    Array.isArray(values) &&
+    typeof values[month] === "string" &&
+    values[month].trim() !== "";
+
+  for (let month = 11; month >= 0; month--) {
+    if (
+      isEntered(income, month) ||
+      isEntered(expense, month) ||
+      Object.values(categoryValues).some((values) => isEntered(values, month))
+    ) {
+      return month;
+    }
+  }
+  return -1;
+}
+
+// The average of the last few months, repeated
+export function forecastTrailingAverage(history, count) {
+  const recent = history.slice(-FORECAST_WINDOW);
+  const average = recent.length
+    ? roundToCents(
+        recent.reduce((sum, value) => sum + value, 0) / recent.length,
+      )
+    : 0;
+  return new Array(count).fill(average);
+}
+
+// A least-squares line through the history, never below zero
+export function forecastLinearTrend(history, count) {
+  if (history.length < 2) {
+    return forecastTrailingAverage(history, count);
+  }
+
+  const n = history.length;
+  const meanX = (n - 1) / 2;
+  const meanY = history.reduce((sum, value) => sum + value, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  history.forEach((value, x) => {
+    covariance += (x - meanX) * (value - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  const slope = covariance / variance;
+
+  return Array.from({ length: count }, (_, index) =>
+    Math.max(0, roundToCents(meanY + slope * (n + index - meanX))),
+  );
+}
+
+// Income/expense projected for the months after lastEnteredMonth (entered
+// months are null), and the balance that leaves at the end of the year.
+// Returns null for "none", or "lastYear" without a previous year.
+export function forecastBudget(
+  { incomeData, expenseData },
+  lastEnteredMonth,
+  method,
+  { previousYear = null, openingBalance = 0 } = {},
+) {
+  if (method === "none" || (method === "lastYear" && !previousYear)) {
+    return null;
+  }
+
+  const firstMonth = lastEnteredMonth + 1;
+  const count = 12 - firstMonth;
+  const project = (values, previousValues) => {
+    const history = values.slice(0, firstMonth);
+    const projected =
+      method === "lastYear"
+        ? previousValues.slice(firstMonth)
+        : method === "trend"
+          ? forecastLinearTrend(history, count)
+          : forecastTrailingAverage(history, count);
+    return [...new Array(firstMonth).fill(null), ...projected];
+  };
+
+  const income = project(incomeData, previousYear && previousYear.incomeData);
+  const expense = project(
+    expenseData,
+    previousYear && previousYear.expenseData,
+  );
+
+  // Actual months up to the last entered one, projected months after it
+  let yearEndBalance = openingBalance;
+  for (let month = 0; month < 12; month++) {
+    yearEndBalance +=
+      month < firstMonth
+        ? incomeData[month] - expenseData[month]
+        : income[month] - expense[month];
+  }
+
+  return {
+    firstMonth,
+    income,
+    expense,
+    yearEndBalance: roundToCents(yearEndBalance),
+  };
+}
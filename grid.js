@@ -0,0 +1,103 @@
+// Spreadsheet-style editing of the monthly grid. The grid is a list of
+// columns of stored "1234.56" strings, one per month; cells are
+// { row, column } and edits are returned as { row, column, value } changes.
+import { roundToCents } from "./model.js";
+
+// Rows of cell text from a tab-separated block copied from a spreadsheet
+export function parsePastedBlock(text) {
+  const lines = String(text ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  // Spreadsheets end a copied block with a line break
+  if (lines.length > 1 && lines.at(-1) === "") {
+    lines.pop();
+  }
+  return lines.map((line) => line.split("\t").map((cell) => cell.trim()));
+}
+
+// The rows and columns between two cells, inclusive
+export function getGridRange(anchor, focus) {
+  return {
+    top: Math.min(anchor.row, focus.row),
+    bottom: Math.max(anchor.row, focus.row),
+    left: Math.min(anchor.column, focus.column),
+    right: Math.max(anchor.column, focus.column),
+  };
+}
+
+// Every cell in a range, row by row
+function listRangeCells({ top, bottom, left, right }) {
+  const cells = [];
+  for (let row = top; row <= bottom; row++) {
+    for (let column = left; column <= right; column++) {
+      cells.push({ row, column });
+    }
+  }
+  return cells;
+}
+
+// Cells a pasted block fills from start; cells past the grid are dropped
+// and reported as clipped
+export function getPasteChanges(block, start, { rows, columns }) {
+  const changes = [];
+  let clipped = false;
+  block.forEach((cells, rowOffset) => {
+    cells.forEach((value, columnOffset) => {
+      const row = start.row + rowOffset;
+      const column = start.column + columnOffset;
+      if (row >= rows || column >= columns) {
+        clipped = true;
+        return;
+      }
+      changes.push({ row, column, value });
+    });
+  });
+  return { changes, clipped };
+}
+
+// Copy the first row of the range into the rows below it
+export function getFillDownChanges(values, range) {
+  return listRangeCells(range)
+    .filter(({ row }) => row !== range.top)
+    .map(({ row, column }) => ({
+      row,
+      column,
+      value: values[column][range.top],
+    }));
+}
+
+// Copy the first column of the range into the columns to its right
+export function getFillRightChanges(values, range) {
+  return listRangeCells(range)
+    .filter(({ column }) => column !== range.left)
+    .map(({ row, column }) => ({
+      row,
+      column,
+      value: values[range.left][row],
+    }));
+}
+
+// Change the amounts in the range by percent, to the nearest cent. Blank
+// and invalid amounts are left as they are.
+export function getPercentChanges(values, range, percent) {
+  return listRangeCells(range).flatMap(({ row, column }) => {
+    const text = String(values[column][row] ?? "").trim();
+    if (text === "" || !Number.isFinite(Number(text))) {
+      return [];
+    }
+    const value = roundToCents(Number(text) * (1 + percent / 100));
+    return [{ row, column, value: String(value) }];
+  });
+}
+
+// The cell an arrow key moves to, staying inside the grid; null for other
+// keys
+export function moveGridCell(cell, key, { rows, columns }) {
+  const moves = {
+    ArrowUp: { row: Math.max(cell.row - 1, 0) },
+    ArrowDown: { row: Math.min(cell.row + 1, rows - 1) },
+    ArrowLeft: { column: Math.max(cell.column - 1, 0) },
+    ArrowRight: { column: Math.min(cell.column + 1, columns - 1) },
+  };
+  return moves[key] ? { ...cell, ...moves[key] } : null;
+}
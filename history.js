@@ -0,0 +1,84 @@
+// Undo/redo history of budget edits as workspace snapshots
+
+// Steps kept before the oldest is dropped
+const HISTORY_LIMIT = 100;
+// Changes to the same field closer together than this undo as one step
+const HISTORY_COALESCE_MS = 1000;
+
+// The budget data undo puts back, as a string so later edits can't change
+// it. Settings such as the chart view and currency aren't budget edits, and
+// the selected year is tracked separately.
+export function createHistorySnapshot({
+  years,
+  categories,
+  recurringRules,
+  scenarios,
+  activeScenario,
+}) {
+  return JSON.stringify({
+    years,
+    categories,
+    recurringRules,
+    scenarios,
+    activeScenario,
+  });
+}
+
+export function restoreHistorySnapshot(workspace, snapshot) {
+  Object.assign(workspace, JSON.parse(snapshot));
+}
+
+// Undo and redo stacks of the states before each change. A change with the
+// same key as the one before, within coalesceMs of it, shares its undo step,
+// so a burst of typing in one field undoes at once.
+export function createUndoHistory({
+  limit = HISTORY_LIMIT,
+  coalesceMs = HISTORY_COALESCE_MS,
+} = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  let lastChange = null;
+
+  return {
+    // Record the state before a change; returns false when the change
+    // joined the previous step
+    record(state, { key = null, time = Date.now() } = {}) {
+      const isSameStep =
+        key !== null &&
+        lastChange !== null &&
+        lastChange.key === key &&
+        time - lastChange.time < coalesceMs;
+      lastChange = { key, time };
+      redoStack.length = 0;
+      if (isSameStep) {
+        return false;
+      }
+
+      undoStack.push(state);
+      if (undoStack.length > limit) {
+        undoStack.shift();
+      }
+      return true;
+    },
+    // The state to go back to, keeping current for redo; null if there's
+    // nothing to undo
+    undo(current) {
+      if (!undoStack.length) {
+        return null;
+      }
+      lastChange = null;
+      redoStack.push(current);
+      return undoStack.pop();
+    },
+    redo(current) {
+      if (!redoStack.length) {
+        return null;
+      }
+      lastChange = null;
+      undoStack.push(current);
+      return redoStack.pop();
+    },
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+  };
+}
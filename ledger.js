@@ -0,0 +1,206 @@
+// Transaction ledger: dated income and expense entries that add up to a
+// year's monthly values
+import { parseBudgetValue, roundToCents } from "./model.js";
+import {
+  CATEGORY_KINDS,
+  getBudgetYear,
+  getCategoryChoiceError,
+} from "./workspace.js";
+
+export function getYearTransactions(workspace, year) {
+  return (getBudgetYear(workspace, year) || {}).transactions || [];
+}
+
+// Once a year has transactions its monthly values come from them
+export function hasLedger(workspace, year) {
+  return getYearTransactions(workspace, year).length > 0;
+}
+
+// Add an entry to a year; ids are "t1", "t2"... and unique within the year
+export function addTransaction(workspace, year, fields = {}) {
+  const yearData = getBudgetYear(workspace, year);
+  if (!yearData) {
+    return null;
+  }
+  if (!yearData.transactions) {
+    yearData.transactions = [];
+  }
+
+  const lastId = Math.max(
+    0,
+    ...yearData.transactions.map(({ id }) => Number(id.slice(1)) || 0),
+  );
+  const transaction = {
+    id: `t${lastId + 1}`,
+    date: `${year}-01-01`,
+    amount: "",
+    type: "expense",
+    categoryId: "",
+    note: "",
+    ...fields,
+  };
+  yearData.transactions.push(transaction);
+  return transaction;
+}
+
+// Fields for a new entry in a year. It's dated in month if one is given,
+// otherwise today if that's in the year or else January 1st, and takes the
+// category and its type if categoryId is one of the workspace's.
+export function getNewTransactionFields(
+  workspace,
+  year,
+  { month = null, categoryId = "" } = {},
+  today = new Date(),
+) {
+  const isThisYear = today.getFullYear() === year;
+  const entryMonth = month ?? (isThisYear ? today.getMonth() : 0);
+  const day =
+    isThisYear && entryMonth === today.getMonth() ? today.getDate() : 1;
+  const kind = CATEGORY_KINDS.find((k) =>
+    workspace.categories[k].some(({ id }) => id === categoryId),
+  );
+
+  return {
+    date: `${year}-${String(entryMonth + 1).padStart(2, "0")}-${String(day).padStart(2, "0")}`,
+    ...(kind ? { type: kind, categoryId } : {}),
+  };
+}
+
+export function removeTransaction(workspace, year, id) {
+  const transactions = getYearTransactions(workspace, year);
+  const index = transactions.findIndex((transaction) => transaction.id === id);
+  if (index === -1) {
+    return false;
+  }
+  transactions.splice(index, 1);
+  return true;
+}
+
+// Month index of a "2025-03-14" date, or -1 if it isn't one
+export function getTransactionMonth({ date }) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) ? Number(date.slice(5, 7)) - 1 : -1;
+}
+
+// Field errors for one entry, e.g. { amount: "Enter an amount of 0 or
+// more." }; an empty object means the entry is valid
+export function validateTransaction(transaction, year, categories) {
+  const errors = {};
+  const { date, amount, type, categoryId } = transaction;
+
+  const day = new Date(`${date}T00:00:00Z`);
+  if (
+    getTransactionMonth(transaction) === -1 ||
+    isNaN(day) ||
+    day.toISOString().slice(0, 10) !== date
+  ) {
+    errors.date = "Enter a date.";
+  } else if (Number(date.slice(0, 4)) !== year) {
+    errors.date = `Pick a date in ${year}.`;
+  }
+
+  const rawAmount = String(amount ?? "").trim();
+  if (rawAmount === "" || !parseBudgetValue(rawAmount).isValid) {
+    errors.amount = "Enter an amount of 0 or more.";
+  }
+
+  if (!CATEGORY_KINDS.includes(type)) {
+    errors.type = "Pick income or expense.";
+    return errors;
+  }
+  const categoryError = getCategoryChoiceError(type, categoryId, categories);
+  if (categoryError) {
+    errors.categoryId = categoryError;
+  }
+  return errors;
+}
+
+// Monthly income, expense and category values added up from entries that
+// passed validateTransaction(), as the "1234.56" strings the form stores;
+// months without entries are blank
+export function ledgerToMonthlyValues(transactions) {
+  const totals = { income: {}, expense: {}, categoryValues: {} };
+  const add = (series, month, value) => {
+    series[month] = roundToCents((series[month] || 0) + value);
+  };
+
+  transactions.forEach((transaction) => {
+    const month = getTransactionMonth(transaction);
+    const value = parseBudgetValue(transaction.amount).value;
+    add(totals[transaction.type], month, value);
+    if (transaction.categoryId) {
+      const id = transaction.categoryId;
+      totals.categoryValues[id] = totals.categoryValues[id] || {};
+      add(totals.categoryValues[id], month, value);
+    }
+  });
+
+  const toValues = (series) =>
+    Array.from({ length: 12 }, (_, month) =>
+      series[month] === undefined ? "" : String(series[month]),
+    );
+  const categoryValues = {};
+  Object.entries(totals.categoryValues).forEach(([id, series]) => {
+    categoryValues[id] = toValues(series);
+  });
+  return {
+    income: toValues(totals.income),
+    expense: toValues(totals.expense),
+    categoryValues,
+  };
+}
+
+// Store the sums of a year's valid entries as its monthly values, as the
+// form does for the selected year, so years edited elsewhere stay current
+export function updateLedgerTotals(workspace, year) {
+  const yearData = getBudgetYear(workspace, year);
+  if (!yearData || !hasLedger(workspace, year)) {
+    return;
+  }
+
+  const validTransactions = yearData.transactions.filter(
+    (transaction) =>
+      !Object.keys(validateTransaction(transaction, year, workspace.categories))
+        .length,
+  );
+  Object.assign(yearData, ledgerToMonthlyValues(validTransactions));
+}
+
+// Entries in one month and/or category; a null filter matches everything
+// and a categoryId of "" matches uncategorised entries
+export function filterTransactions(
+  transactions,
+  { month = null, categoryId = null },
+) {
+  return transactions.filter(
+    (transaction) =>
+      (month === null || getTransactionMonth(transaction) === month) &&
+      (categoryId === null || transaction.categoryId === categoryId),
+  );
+}
+
+// A sorted copy; ties keep date order. Category order is by name, with
+// uncategorised entries last.
+export function sortTransactions(transactions, sort, categories) {
+  const names = {};
+  CATEGORY_KINDS.forEach((kind) => {
+    categories[kind].forEach(({ id, name }) => {
+      names[id] = name;
+    });
+  });
+  const amountOf = ({ amount }) => parseBudgetValue(amount).value;
+  const byDate = (a, b) =>
+    a.date.localeCompare(b.date) ||
+    a.id.localeCompare(b.id, undefined, { numeric: true });
+
+  const compare = {
+    "date-asc": byDate,
+    "date-desc": (a, b) => byDate(b, a),
+    "amount-desc": (a, b) => amountOf(b) - amountOf(a) || byDate(a, b),
+    "amount-asc": (a, b) => amountOf(a) - amountOf(b) || byDate(a, b),
+    category: (a, b) =>
+      (a.categoryId === "") - (b.categoryId === "") ||
+      (names[a.categoryId] || "").localeCompare(names[b.categoryId] || "") ||
+      byDate(a, b),
+  }[sort];
+  return [...transactions].sort(compare || byDate);
+}
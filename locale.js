@@ -0,0 +1,96 @@
+// Currency and number-format settings: reading amounts typed in the user's
+// locale and formatting money with Intl.NumberFormat
+export const SUPPORTED_CURRENCIES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "JPY",
+  "CAD",
+  "AUD",
+  "CHF",
+  "INR",
+];
+export const SUPPORTED_LOCALES = [
+  "en-US",
+  "en-GB",
+  "en-IN",
+  "de-DE",
+  "fr-FR",
+  "es-ES",
+  "it-IT",
+  "ja-JP",
+];
+
+// Group and decimal separators, e.g. { group: ".", decimal: "," } for de-DE
+export function getNumberSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const find = (type) => parts.find((part) => part.type === type);
+  return {
+    group: find("group") ? find("group").value : "",
+    decimal: find("decimal") ? find("decimal").value : ".",
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Convert an amount typed in the locale's format ("1.234,56" in de-DE) to
+// the "1234.56" form that is stored. Anything else is returned trimmed, so
+// plain "1234.56" still works and validation can flag the rest.
+export function normalizeLocaleAmount(text, locale) {
+  const value = String(text ?? "").trim();
+  const { group, decimal } = getNumberSeparators(locale);
+  // fr-FR and others group with (narrow) no-break spaces
+  const groupPattern = /\s/.test(group) ? "\\s" : escapeRegExp(group);
+  const decimalPattern = escapeRegExp(decimal);
+
+  const isPlain = new RegExp(`^-?\\d+(${decimalPattern}\\d+)?$`).test(value);
+  // Thousands groups, or en-IN style lakh groups of two ("12,34,567")
+  const isGrouped =
+    group !== "" &&
+    new RegExp(
+      `^-?\\d{1,3}(${groupPattern}\\d{2,3})*${groupPattern}\\d{3}(${decimalPattern}\\d+)?$`,
+    ).test(value);
+
+  if (!isPlain && !isGrouped) {
+    return value;
+  }
+  return value.replace(new RegExp(groupPattern, "g"), "").replace(decimal, ".");
+}
+
+// Show a stored "1234.56" amount in the locale's format for editing;
+// grouping is left out so the value is easy to change
+export function formatLocaleAmount(value, locale) {
+  const text = String(value ?? "");
+  return /^-?\d+(\.\d+)?$/.test(text)
+    ? text.replace(".", getNumberSeparators(locale).decimal)
+    : text;
+}
+
+// Money in the chosen currency and locale; whole amounts drop the cents
+export function formatCurrency(value, { currency, locale }) {
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency,
+    minimumFractionDigits: 0,
+  }).format(value);
+}
+
+// "$", "€", "¥"... as shown in the locale
+export function getCurrencySymbol({ currency, locale }) {
+  const parts = new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency,
+  }).formatToParts(0);
+  const symbol = parts.find((part) => part.type === "currency");
+  return symbol ? symbol.value : currency;
+}
+
+// A percentage such as 39.7 shown as "39.7%" (or "39,7 %" in de-DE)
+export function formatPercent(value, { locale }) {
+  return new Intl.NumberFormat(locale, {
+    style: "percent",
+    maximumFractionDigits: 1,
+  }).format(value / 100);
+}
@@ -0,0 +1,95 @@
+// Budget data model: the twelve months of a budget year, their income and
+// expense amounts and the values derived from them. Amounts are stored as
+// "1234.56" strings and worked on as numeric series of twelve months.
+export const monthLabels = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+export const fullMonthNames = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// How a stored amount is written: digits and an optional decimal part.
+// Hex, binary and exponent forms that Number() reads are not amounts.
+export const AMOUNT_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Parse one raw amount: empty defaults to 0, negatives and non-numbers are
+// invalid (and count as 0)
+export function parseBudgetValue(rawValue) {
+  const value = String(rawValue ?? "").trim();
+
+  if (value === "") {
+    return { value: 0, isValid: true };
+  }
+  if (!AMOUNT_PATTERN.test(value) || parseFloat(value) < 0) {
+    return { value: 0, isValid: false };
+  }
+  return { value: parseFloat(value), isValid: true };
+}
+
+// Parse twelve stored values; invalid or missing entries count as 0
+export function toMonthlySeries(values) {
+  return Array.from({ length: 12 }, (_, index) =>
+    values && values[index] !== undefined
+      ? parseBudgetValue(values[index]).value
+      : 0,
+  );
+}
+
+// Rounded to cents so sums like 0.1 + 0.2 stay tidy
+export function roundToCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Add monthly values across categories
+export function sumCategorySeries(series) {
+  return Array.from({ length: 12 }, (_, index) =>
+    roundToCents(
+      series.reduce((total, category) => total + category.data[index], 0),
+    ),
+  );
+}
+
+// Income minus expenses for each month
+export function getNetSeries(incomeData, expenseData) {
+  return incomeData.map((income, index) =>
+    roundToCents(income - expenseData[index]),
+  );
+}
+
+// Running balance at the end of each month, starting from openingBalance
+export function getCumulativeSeries(netData, openingBalance = 0) {
+  let balance = openingBalance;
+  return netData.map((net) => {
+    balance = roundToCents(balance + net);
+    return balance;
+  });
+}
+
+// Whole-year income and expense totals
+export function getAnnualTotals(incomeData, expenseData) {
+  const total = (values) =>
+    roundToCents(values.reduce((sum, value) => sum + value, 0));
+  return { income: total(incomeData), expense: total(expenseData) };
+}
@@ -0,0 +1,142 @@
+// Offline support: the app shell the service worker precaches, keeping one
+// cache per shell version and answering requests from it, and spotting a
+// new service worker waiting to take over. The cache functions take the
+// Cache Storage (`caches`) and `fetch` to use, so tests can pass mocks.
+
+// Bump whenever a file below changes, so browsers install the new shell
+// and offer to reload into it
+export const APP_SHELL_VERSION = 3;
+
+const APP_SHELL_CACHE_PREFIX = "bucks2bar-shell-";
+
+// Everything the app needs to start without a network, relative to the
+// service worker
+export const APP_SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./print.css",
+  "./theme.css",
+  "./manifest.webmanifest",
+  "./icons/icon.svg",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+  "./vendor/bootstrap-5.3.3/bootstrap.min.css",
+  "./vendor/bootstrap-5.3.3/bootstrap.bundle.min.js",
+  "./vendor/chart.js-4.5.1/chart.umd.min.js",
+  "./accessibility.js",
+  "./backup.js",
+  "./charts.js",
+  "./csv.js",
+  "./export.js",
+  "./forecast.js",
+  "./grid.js",
+  "./history.js",
+  "./ledger.js",
+  "./locale.js",
+  "./model.js",
+  "./offline.js",
+  "./palette.js",
+  "./recurring.js",
+  "./report.js",
+  "./scenarios.js",
+  "./script.js",
+  "./share.js",
+  "./statement.js",
+  "./stats.js",
+  "./storage.js",
+  "./svg.js",
+  "./targets.js",
+  "./theme.js",
+  "./validation.js",
+  "./workspace.js",
+];
+
+// Message the page sends a waiting service worker to make it take over
+export const SKIP_WAITING_MESSAGE = "skipWaiting";
+
+export function getShellCacheName(version = APP_SHELL_VERSION) {
+  return `${APP_SHELL_CACHE_PREFIX}v${version}`;
+}
+
+// Download the whole shell, relative to baseUrl, into this version's cache.
+// Skips the HTTP cache so a new version never picks up old files, and fails,
+// leaving the previous version in charge, if any file can't be fetched.
+export async function precacheAppShell(
+  cacheStorage,
+  baseUrl,
+  { version = APP_SHELL_VERSION, files = APP_SHELL_FILES } = {},
+) {
+  const cache = await cacheStorage.open(getShellCacheName(version));
+  await cache.addAll(
+    files.map(
+      (file) => new Request(new URL(file, baseUrl), { cache: "reload" }),
+    ),
+  );
+}
+
+// Delete the caches of other shell versions, leaving caches that aren't
+// ours alone. Returns the names deleted.
+export async function deleteOldShellCaches(
+  cacheStorage,
+  version = APP_SHELL_VERSION,
+) {
+  const current = getShellCacheName(version);
+  const oldNames = (await cacheStorage.keys()).filter(
+    (name) => name.startsWith(APP_SHELL_CACHE_PREFIX) && name !== current,
+  );
+  await Promise.all(oldNames.map((name) => cacheStorage.delete(name)));
+  return oldNames;
+}
+
+// Whether the service worker should answer a request: only reads of this
+// app's own files. Other requests go to the network as usual.
+export function isShellRequest(request, origin) {
+  return request.method === "GET" && new URL(request.url).origin === origin;
+}
+
+// Answer from the shell cache, ignoring query strings, and fall back to the
+// network. A page that isn't cached and can't be fetched gets index.html.
+export async function respondFromShell(
+  request,
+  cacheStorage,
+  fetchResource,
+  version = APP_SHELL_VERSION,
+) {
+  const cache = await cacheStorage.open(getShellCacheName(version));
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    return await fetchResource(request);
+  } catch (error) {
+    const page =
+      request.mode === "navigate" ? await cache.match("./index.html") : null;
+    if (page) {
+      return page;
+    }
+    throw error;
+  }
+}
+
+// Call onUpdateReady with the waiting worker once a new version has been
+// installed behind the one controlling the page, whether that happened on
+// an earlier visit or happens while the page is open. Nothing is offered on
+// the first install, when no version controls the page yet.
+export function watchForShellUpdate(registration, container, onUpdateReady) {
+  if (!container.controller) {
+    return;
+  }
+  if (registration.waiting) {
+    onUpdateReady(registration.waiting);
+  }
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed" && container.controller) {
+        onUpdateReady(worker);
+      }
+    });
+  });
+}
@@ -0,0 +1,169 @@
+// Chart colours as RGB triples. Besides the original greens and reds there
+// is a colour-blind safe palette (Okabe-Ito) and a high-contrast one (Paul
+// Tol's), where income and expenses also differ in lightness. A palette's
+// `dark` colours replace ones too dark to see on the dark theme.
+const CHART_PALETTES = {
+  standard: {
+    income: "40, 167, 69",
+    expense: "220, 53, 69",
+    overBudget: "255, 193, 7",
+    incomeGoal: "32, 201, 151",
+    expenseBudget: "253, 126, 20",
+    balance: "13, 110, 253",
+    categories: {
+      income: [
+        "40, 167, 69",
+        "32, 201, 151",
+        "13, 202, 240",
+        "13, 110, 253",
+        "111, 66, 193",
+      ],
+      expense: [
+        "220, 53, 69",
+        "253, 126, 20",
+        "255, 193, 7",
+        "214, 51, 132",
+        "108, 117, 125",
+      ],
+    },
+  },
+  colorBlind: {
+    income: "0, 114, 178",
+    expense: "213, 94, 0",
+    overBudget: "240, 228, 66",
+    incomeGoal: "86, 180, 233",
+    expenseBudget: "230, 159, 0",
+    balance: "0, 158, 115",
+    categories: {
+      income: [
+        "0, 114, 178",
+        "86, 180, 233",
+        "0, 158, 115",
+        "204, 121, 167",
+        "0, 0, 0",
+      ],
+      expense: [
+        "213, 94, 0",
+        "230, 159, 0",
+        "240, 228, 66",
+        "204, 121, 167",
+        "0, 0, 0",
+      ],
+    },
+    dark: {
+      categories: {
+        income: [
+          "0, 114, 178",
+          "86, 180, 233",
+          "0, 158, 115",
+          "204, 121, 167",
+          "255, 255, 255",
+        ],
+        expense: [
+          "213, 94, 0",
+          "230, 159, 0",
+          "240, 228, 66",
+          "204, 121, 167",
+          "255, 255, 255",
+        ],
+      },
+    },
+  },
+  // Bars and slices are drawn solid so they stand out from the background
+  highContrast: {
+    income: "0, 68, 136",
+    expense: "187, 85, 102",
+    overBudget: "221, 170, 51",
+    incomeGoal: "0, 0, 0",
+    expenseBudget: "102, 51, 0",
+    balance: "0, 68, 136",
+    categories: {
+      income: ["0, 68, 136", "0, 0, 0", "68, 119, 170", "34, 34, 85"],
+      expense: ["187, 85, 102", "221, 170, 51", "102, 51, 0", "136, 34, 85"],
+    },
+    dark: {
+      income: "102, 153, 204",
+      incomeGoal: "255, 255, 255",
+      expenseBudget: "204, 153, 102",
+      balance: "102, 153, 204",
+      categories: {
+        income: [
+          "102, 153, 204",
+          "255, 255, 255",
+          "68, 119, 170",
+          "153, 153, 204",
+        ],
+        expense: [
+          "187, 85, 102",
+          "221, 170, 51",
+          "204, 153, 102",
+          "204, 102, 153",
+        ],
+      },
+    },
+    solidFills: true,
+  },
+};
+export const CHART_PALETTE_NAMES = Object.keys(CHART_PALETTES);
+
+// Text, grid lines, tooltips and the surface under the chart for each
+// theme, so the chart matches the page around it
+const CHART_THEME_COLORS = {
+  light: {
+    text: "rgba(33, 37, 41, 1)",
+    grid: "rgba(0, 0, 0, 0.1)",
+    tooltipBackground: "rgba(0, 0, 0, 0.8)",
+    tooltipText: "rgba(255, 255, 255, 1)",
+    surface: "rgba(255, 255, 255, 1)",
+  },
+  dark: {
+    text: "rgba(222, 226, 230, 1)",
+    grid: "rgba(255, 255, 255, 0.15)",
+    tooltipBackground: "rgba(248, 249, 250, 0.95)",
+    tooltipText: "rgba(33, 37, 41, 1)",
+    surface: "rgba(33, 37, 41, 1)",
+  },
+  highContrast: {
+    text: "rgba(0, 0, 0, 1)",
+    grid: "rgba(0, 0, 0, 0.6)",
+    tooltipBackground: "rgba(0, 0, 0, 1)",
+    tooltipText: "rgba(255, 255, 255, 1)",
+    surface: "rgba(255, 255, 255, 1)",
+  },
+};
+
+// A theme's chart colours; unknown themes get the light ones
+export function getChartThemeColors(themeName) {
+  return CHART_THEME_COLORS[themeName] || CHART_THEME_COLORS.light;
+}
+
+// The palette's colours for a theme ("light", "dark" or "highContrast");
+// unknown palettes use the standard one
+function getPalette(paletteName, themeName) {
+  const palette = CHART_PALETTES[paletteName] || CHART_PALETTES.standard;
+  return themeName === "dark" ? { ...palette, ...palette.dark } : palette;
+}
+
+// "rgba(...)" for a chart role ("income", "overBudget"...) in a palette
+export function getPaletteColor(paletteName, role, alpha, themeName = "light") {
+  const palette = getPalette(paletteName, themeName);
+  return `rgba(${palette[role]}, ${getPaletteAlpha(palette, alpha)})`;
+}
+
+// Colour of the nth income or expense category, repeating after the last
+export function getPaletteCategoryColor(
+  paletteName,
+  kind,
+  index,
+  alpha,
+  themeName = "light",
+) {
+  const palette = getPalette(paletteName, themeName);
+  const colors = palette.categories[kind];
+  return `rgba(${colors[index % colors.length]}, ${getPaletteAlpha(palette, alpha)})`;
+}
+
+// Faint area fills keep their transparency in every palette
+function getPaletteAlpha(palette, alpha) {
+  return palette.solidFills && alpha >= 0.5 ? 1 : alpha;
+}
@@ -0,0 +1,284 @@
+// Recurring income and expense rules (salary, rent, subscriptions...) that
+// fill in the month grid. Rules belong to the workspace and can span years;
+// values typed over a generated amount are kept per year as overrides.
+import { hasLedger } from "./ledger.js";
+import { parseBudgetValue, roundToCents } from "./model.js";
+import {
+  CATEGORY_KINDS,
+  getBudgetYear,
+  getCategoryChoiceError,
+  listBudgetYears,
+} from "./workspace.js";
+
+export const RECURRING_FREQUENCIES = [
+  "monthly",
+  "quarterly",
+  "annual",
+  "custom",
+];
+// Months between occurrences; "custom" uses the rule's own interval
+const RECURRING_INTERVALS = { monthly: 1, quarterly: 3, annual: 12 };
+
+// Add a rule starting in January of the given year; ids are "r1", "r2"...
+export function addRecurringRule(workspace, year, fields = {}) {
+  if (!workspace.recurringRules) {
+    workspace.recurringRules = [];
+  }
+
+  const lastId = Math.max(
+    0,
+    ...workspace.recurringRules.map(({ id }) => Number(id.slice(1)) || 0),
+  );
+  const rule = {
+    id: `r${lastId + 1}`,
+    name: "",
+    type: "expense",
+    categoryId: "",
+    amount: "",
+    frequency: "monthly",
+    interval: "1",
+    start: `${year}-01`,
+    end: "",
+    increase: "",
+    ...fields,
+  };
+  workspace.recurringRules.push(rule);
+  return rule;
+}
+
+// Pass the rules from before the removal to applyRecurringRules() to clear
+// the months this one filled in; months changed by hand are kept
+export function removeRecurringRule(workspace, id) {
+  const rules = workspace.recurringRules || [];
+  const index = rules.findIndex((rule) => rule.id === id);
+  if (index === -1) {
+    return false;
+  }
+  rules.splice(index, 1);
+  return true;
+}
+
+// Months since year 0 for a "2025-03" month, or null if it isn't one
+export function parseRuleMonth(text) {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(text || "");
+  return match ? Number(match[1]) * 12 + Number(match[2]) - 1 : null;
+}
+
+function getRuleInterval({ frequency, interval }) {
+  return RECURRING_INTERVALS[frequency] || Number(interval);
+}
+
+// Field errors for one rule, e.g. { start: "Pick a start month." }; an
+// empty object means the rule is valid
+export function validateRecurringRule(rule, categories) {
+  const errors = {};
+  const { type, categoryId, amount, frequency, interval, start, end } = rule;
+
+  if (!CATEGORY_KINDS.includes(type)) {
+    errors.type = "Pick income or expense.";
+  } else {
+    const categoryError = getCategoryChoiceError(type, categoryId, categories);
+    if (categoryError) {
+      errors.categoryId = categoryError;
+    }
+  }
+
+  const rawAmount = String(amount ?? "").trim();
+  if (rawAmount === "" || !parseBudgetValue(rawAmount).isValid) {
+    errors.amount = "Enter an amount of 0 or more.";
+  }
+
+  if (!RECURRING_FREQUENCIES.includes(frequency)) {
+    errors.frequency = "Pick how often it repeats.";
+  } else if (
+    frequency === "custom" &&
+    !(/^\d+$/.test(String(interval).trim()) && Number(interval) >= 1)
+  ) {
+    errors.interval = "Enter a whole number of months, 1 or more.";
+  }
+
+  if (parseRuleMonth(start) === null) {
+    errors.start = "Pick a start month.";
+  } else if (
+    end !== "" &&
+    !(
+      parseRuleMonth(end) !== null &&
+      parseRuleMonth(end) >= parseRuleMonth(start)
+    )
+  ) {
+    errors.end = "Pick an end month on or after the start, or leave it blank.";
+  }
+
+  if (!parseBudgetValue(String(rule.increase ?? "")).isValid) {
+    errors.increase = "Enter a yearly increase of 0% or more.";
+  }
+  return errors;
+}
+
+// Amount a valid rule generates in one month, or null if it doesn't occur.
+// The annual increase compounds on each anniversary of the start month.
+export function getRuleAmount(rule, year, month) {
+  const start = parseRuleMonth(rule.start);
+  const end = rule.end === "" ? Infinity : parseRuleMonth(rule.end);
+  const current = year * 12 + month;
+  if (current < start || current > end) {
+    return null;
+  }
+  if ((current - start) % getRuleInterval(rule) !== 0) {
+    return null;
+  }
+
+  const amount = parseBudgetValue(rule.amount).value;
+  const increase = parseBudgetValue(rule.increase).value;
+  const anniversaries = Math.floor((current - start) / 12);
+  return roundToCents(amount * (1 + increase / 100) ** anniversaries);
+}
+
+// The income, expense and category values valid rules generate for a year,
+// in the shape of a budget year but with { month: "1234.56" } maps, since
+// months no rule covers are left out
+export function generateRecurringValues(rules, year) {
+  const values = createEmptyRecurringMap();
+  rules.forEach((rule) => {
+    let months = values[rule.type];
+    if (rule.categoryId) {
+      values.categoryValues[rule.categoryId] =
+        values.categoryValues[rule.categoryId] || {};
+      months = values.categoryValues[rule.categoryId];
+    }
+
+    for (let month = 0; month < 12; month++) {
+      const amount = getRuleAmount(rule, year, month);
+      if (amount !== null) {
+        months[month] = String(
+          roundToCents(Number(months[month] || 0) + amount),
+        );
+      }
+    }
+  });
+  return values;
+}
+
+export function createEmptyRecurringMap() {
+  return { income: {}, expense: {}, categoryValues: {} };
+}
+
+// Rules that pass validation; only these generate values
+export function getValidRecurringRules(workspace) {
+  return (workspace.recurringRules || []).filter(
+    (rule) =>
+      !Object.keys(validateRecurringRule(rule, workspace.categories)).length,
+  );
+}
+
+// Call back with each generated series of a year, the stored values it
+// fills in and the overrides typed over it
+function forEachRecurringSeries(generated, yearData, callback) {
+  if (!yearData.recurringOverrides) {
+    yearData.recurringOverrides = createEmptyRecurringMap();
+  }
+  const overrides = yearData.recurringOverrides;
+
+  CATEGORY_KINDS.forEach((kind) => {
+    overrides[kind] = overrides[kind] || {};
+    callback(generated[kind], yearData[kind], overrides[kind]);
+  });
+  overrides.categoryValues = overrides.categoryValues || {};
+  Object.entries(generated.categoryValues).forEach(([id, months]) => {
+    yearData.categoryValues[id] =
+      yearData.categoryValues[id] || new Array(12).fill("");
+    overrides.categoryValues[id] = overrides.categoryValues[id] || {};
+    callback(months, yearData.categoryValues[id], overrides.categoryValues[id]);
+  });
+}
+
+// Whether a stored value still holds the generated amount ("1500.00" does
+// for "1500")
+export function isGeneratedAmount(stored, generated) {
+  return (
+    typeof stored === "string" &&
+    stored.trim() !== "" &&
+    Number(stored) === Number(generated)
+  );
+}
+
+// Record every generated month whose stored value was changed by hand as an
+// override, and drop overrides that match the generated amount again.
+// Years with transactions are skipped since their values come from the
+// ledger.
+export function syncRecurringOverrides(workspace, year) {
+  const yearData = getBudgetYear(workspace, year);
+  if (!yearData || hasLedger(workspace, year)) {
+    return;
+  }
+
+  const generated = generateRecurringValues(
+    getValidRecurringRules(workspace),
+    year,
+  );
+  forEachRecurringSeries(generated, yearData, (months, values, overrides) => {
+    Object.entries(months).forEach(([month, value]) => {
+      if (isGeneratedAmount(values[month], value)) {
+        delete overrides[month];
+      } else {
+        overrides[month] = values[month] || "";
+      }
+    });
+  });
+}
+
+// Write the generated values into every year, keeping overrides. Months the
+// previous rules (before an edit) filled in are cleared first, so a month a
+// rule no longer covers doesn't keep its old amount.
+export function applyRecurringRules(workspace, previousRules = []) {
+  const rules = getValidRecurringRules(workspace);
+  listBudgetYears(workspace).forEach((year) => {
+    const yearData = getBudgetYear(workspace, year);
+    if (hasLedger(workspace, year)) {
+      return;
+    }
+
+    const previous = generateRecurringValues(previousRules, year);
+    forEachRecurringSeries(previous, yearData, (months, values, overrides) => {
+      Object.keys(months).forEach((month) => {
+        if (overrides[month] === undefined) {
+          values[month] = "";
+        }
+      });
+    });
+
+    const generated = generateRecurringValues(rules, year);
+    forEachRecurringSeries(generated, yearData, (months, values, overrides) => {
+      Object.entries(months).forEach(([month, value]) => {
+        values[month] =
+          overrides[month] !== undefined ? overrides[month] : value;
+      });
+    });
+
+    // Overrides of months no rule covers any more are plain values now
+    const { recurringOverrides } = yearData;
+    const dropUncovered = (overrides, months = {}) => {
+      Object.keys(overrides).forEach((month) => {
+        if (months[month] === undefined) {
+          delete overrides[month];
+        }
+      });
+    };
+    CATEGORY_KINDS.forEach((kind) => {
+      dropUncovered(recurringOverrides[kind], generated[kind]);
+    });
+    Object.entries(recurringOverrides.categoryValues).forEach(
+      ([id, overrides]) => {
+        dropUncovered(overrides, generated.categoryValues[id]);
+      },
+    );
+  });
+}
+
+// Forget a year's overrides so the rules fill in every month they cover
+export function resetRecurringOverrides(workspace, year) {
+  const yearData = getBudgetYear(workspace, year);
+  if (yearData) {
+    yearData.recurringOverrides = createEmptyRecurringMap();
+  }
+}
@@ -0,0 +1,22 @@
+// Printable annual report: the figures shown for one budget year
+import { getNetSeries } from "./model.js";
+import { calculateBudgetStats } from "./stats.js";
+
+// A row per month with its net, plus the year's summary statistics
+export function buildAnnualReport({ incomeData, expenseData }) {
+  const netData = getNetSeries(incomeData, expenseData);
+  return {
+    rows: incomeData.map((income, month) => ({
+      month,
+      income,
+      expense: expenseData[month],
+      net: netData[month],
+    })),
+    stats: calculateBudgetStats(incomeData, expenseData),
+  };
+}
+
+// Long date in the workspace's number format, e.g. "October 19, 2026"
+export function formatReportDate(date, { locale }) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: "long" }).format(date);
+}
@@ -0,0 +1,197 @@
+// What-if scenarios: named copies of the budget (its years, categories and
+// recurring rules) kept side by side. The scenario being edited lives in the
+// workspace itself; the others keep their budget in their list entry.
+import { roundToCents } from "./model.js";
+import { calculateBudgetStats } from "./stats.js";
+import { getBudgetYear, getYearSeries, listBudgetYears } from "./workspace.js";
+
+export const DEFAULT_SCENARIO_ID = "baseline";
+
+export function createDefaultScenarios() {
+  return [{ id: DEFAULT_SCENARIO_ID, name: "Baseline" }];
+}
+
+export function getScenario(workspace, id) {
+  return workspace.scenarios.find((scenario) => scenario.id === id) || null;
+}
+
+// A scenario's years, categories and recurring rules, or null if there's no
+// such scenario
+function getScenarioBudget(workspace, id) {
+  if (id === workspace.activeScenario) {
+    const { years, categories, recurringRules } = workspace;
+    return { years, categories, recurringRules };
+  }
+  const scenario = getScenario(workspace, id);
+  return scenario ? scenario.budget : null;
+}
+
+// Why a name can't be used for a scenario, or "" if it can. Names are
+// unique ignoring case; id is the scenario being renamed, if any.
+export function getScenarioNameError(workspace, name, id = null) {
+  const trimmedName = String(name ?? "").trim();
+  if (!trimmedName) {
+    return "Enter a name for the scenario.";
+  }
+  if (
+    workspace.scenarios.some(
+      (scenario) =>
+        scenario.id !== id &&
+        scenario.name.toLowerCase() === trimmedName.toLowerCase(),
+    )
+  ) {
+    return `There's already a scenario called "${trimmedName}".`;
+  }
+  return "";
+}
+
+// "Name copy", or "Name copy 2" and so on if that's taken
+export function getScenarioCopyName(workspace, name) {
+  let copyName = `${name} copy`;
+  for (let suffix = 2; getScenarioNameError(workspace, copyName); suffix++) {
+    copyName = `${name} copy ${suffix}`;
+  }
+  return copyName;
+}
+
+// Copy a scenario's budget into a new scenario listed after it; returns
+// the new scenario, or null if the name can't be used
+export function duplicateScenario(workspace, sourceId, name) {
+  const budget = getScenarioBudget(workspace, sourceId);
+  if (!budget || getScenarioNameError(workspace, name)) {
+    return null;
+  }
+
+  const trimmedName = String(name).trim();
+  const ids = workspace.scenarios.map((scenario) => scenario.id);
+  const base =
+    trimmedName
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "scenario";
+  let id = base;
+  for (let suffix = 2; ids.includes(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+
+  const scenario = {
+    id,
+    name: trimmedName,
+    budget: JSON.parse(JSON.stringify(budget)),
+  };
+  workspace.scenarios.splice(ids.indexOf(sourceId) + 1, 0, scenario);
+  return scenario;
+}
+
+// Copy a scenario under the next free "Name copy" name; returns the copy,
+// or null if there's no such scenario
+export function copyScenario(workspace, sourceId) {
+  const source = getScenario(workspace, sourceId);
+  return source
+    ? duplicateScenario(
+        workspace,
+        sourceId,
+        getScenarioCopyName(workspace, source.name),
+      )
+    : null;
+}
+
+// Start a scenario as a copy of the one being edited and edit it instead;
+// returns the new scenario, or null if the name can't be used
+export function addScenario(workspace, name) {
+  const scenario = duplicateScenario(workspace, workspace.activeScenario, name);
+  if (scenario) {
+    switchScenario(workspace, scenario.id);
+  }
+  return scenario;
+}
+
+// Rename a scenario; returns false if the name can't be used
+export function renameScenario(workspace, id, name) {
+  const scenario = getScenario(workspace, id);
+  if (!scenario || getScenarioNameError(workspace, name, id)) {
+    return false;
+  }
+  scenario.name = String(name).trim();
+  return true;
+}
+
+// Edit another scenario: the current budget goes into its scenario's entry
+// and the other scenario's budget takes its place. The selected year is
+// kept if the other scenario has it.
+export function switchScenario(workspace, id) {
+  const scenario = getScenario(workspace, id);
+  if (!scenario || id === workspace.activeScenario) {
+    return false;
+  }
+
+  getScenario(workspace, workspace.activeScenario).budget = getScenarioBudget(
+    workspace,
+    workspace.activeScenario,
+  );
+  Object.assign(workspace, scenario.budget);
+  delete scenario.budget;
+  workspace.activeScenario = id;
+
+  if (!getBudgetYear(workspace, workspace.selectedYear)) {
+    workspace.selectedYear = listBudgetYears(workspace).pop();
+  }
+  return true;
+}
+
+// Remove a scenario, keeping at least one. Removing the scenario being
+// edited switches to the one before it, or after it if it was first.
+export function removeScenario(workspace, id) {
+  const index = workspace.scenarios.findIndex((scenario) => scenario.id === id);
+  if (index === -1 || workspace.scenarios.length === 1) {
+    return false;
+  }
+
+  if (id === workspace.activeScenario) {
+    switchScenario(workspace, workspace.scenarios[index ? index - 1 : 1].id);
+  }
+  workspace.scenarios.splice(index, 1);
+  workspace.settings.compareScenarios =
+    workspace.settings.compareScenarios.filter(
+      (scenarioId) => scenarioId !== id,
+    );
+  return true;
+}
+
+// Income and expense series of the chosen scenarios for a year, in list
+// order. Scenarios without that year are left out.
+export function getScenarioSeries(workspace, ids, year) {
+  return workspace.scenarios
+    .filter((scenario) => ids.includes(scenario.id))
+    .flatMap(({ id, name }) => {
+      const series = getYearSeries(getScenarioBudget(workspace, id), year);
+      return series ? [{ id, name, ...series }] : [];
+    });
+}
+
+// Annual totals, net and savings rate of each scenario, and how its net and
+// savings rate differ from the first scenario's. Savings rates are
+// percentages and their differences percentage points; both are null
+// without income.
+export function compareScenarios(scenarios) {
+  const results = scenarios.map(({ id, name, incomeData, expenseData }) => {
+    const { totals, savingsRate } = calculateBudgetStats(
+      incomeData,
+      expenseData,
+    );
+    return { id, name, ...totals, savingsRate };
+  });
+  if (!results.length) {
+    return [];
+  }
+
+  const [baseline] = results;
+  return results.map((result) => ({
+    ...result,
+    netDifference: roundToCents(result.net - baseline.net),
+    savingsRateDifference:
+      result.savingsRate === null || baseline.savingsRate === null
+        ? null
+        : Math.round((result.savingsRate - baseline.savingsRate) * 10) / 10,
+  }));
+}
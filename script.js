@@ -1,143 +1,3656 @@
+// The page: reads the form into plain data for the modules below, shows
+// their results and wires up the event handlers. index.html loads it as the
+// app's entry module.
+import {
+  buildChartTable,
+  getHalfYearTrend,
+  moveChartFocus,
+} from "./accessibility.js";
+import { createBackup, parseBackup, restoreWorkspace } from "./backup.js";
+import {
+  buildCategoryChartConfig,
+  buildChartConfig,
+  drawChart,
+  drawFixedSizeChart,
+  getVisibleDatasetIndexes,
+  highlightChartPoints,
+} from "./charts.js";
+import { budgetToCsv, importBudgetCsv } from "./csv.js";
+import {
+  DEFAULT_EXPORT_FILENAME,
+  EXPORT_FORMATS,
+  dataUrlToBlob,
+  formatExportFilename,
+  getExportSize,
+} from "./export.js";
+import {
+  FORECAST_WINDOW,
+  forecastBudget,
+  getLastEnteredMonth,
+} from "./forecast.js";
+import {
+  getFillDownChanges,
+  getFillRightChanges,
+  getGridRange,
+  getPasteChanges,
+  getPercentChanges,
+  moveGridCell,
+  parsePastedBlock,
+} from "./grid.js";
+import {
+  createHistorySnapshot,
+  createUndoHistory,
+  restoreHistorySnapshot,
+} from "./history.js";
+import {
+  addTransaction,
+  filterTransactions,
+  getNewTransactionFields,
+  getYearTransactions,
+  hasLedger,
+  ledgerToMonthlyValues,
+  removeTransaction,
+  sortTransactions,
+  validateTransaction,
+} from "./ledger.js";
+import {
+  SUPPORTED_CURRENCIES,
+  SUPPORTED_LOCALES,
+  formatCurrency,
+  formatLocaleAmount,
+  formatPercent,
+  getCurrencySymbol,
+  getNumberSeparators,
+  normalizeLocaleAmount,
+} from "./locale.js";
+import {
+  fullMonthNames,
+  monthLabels,
+  roundToCents,
+  sumCategorySeries,
+} from "./model.js";
+import { SKIP_WAITING_MESSAGE, watchForShellUpdate } from "./offline.js";
+import {
+  addRecurringRule,
+  applyRecurringRules,
+  createEmptyRecurringMap,
+  generateRecurringValues,
+  getValidRecurringRules,
+  isGeneratedAmount,
+  removeRecurringRule,
+  resetRecurringOverrides,
+  syncRecurringOverrides,
+  validateRecurringRule,
+} from "./recurring.js";
+import { buildAnnualReport, formatReportDate } from "./report.js";
+import {
+  DEFAULT_SCENARIO_ID,
+  addScenario,
+  compareScenarios,
+  copyScenario,
+  createDefaultScenarios,
+  getScenario,
+  getScenarioNameError,
+  getScenarioSeries,
+  removeScenario,
+  renameScenario,
+  switchScenario,
+} from "./scenarios.js";
+import {
+  addSharedBudget,
+  canShareBudgets,
+  createSharedWorkspace,
+  decodeShareFragment,
+  encodeShareFragment,
+  getShareFragmentData,
+} from "./share.js";
+import {
+  applyStatementPreview,
+  parseStatement,
+  previewStatement,
+  summarizeStatementPreview,
+} from "./statement.js";
+import { calculateBudgetStats } from "./stats.js";
+import {
+  hasNewerBudgetState,
+  loadBudgetState,
+  saveBudgetState,
+} from "./storage.js";
+import { createSvgCanvas } from "./svg.js";
+import { createEmptyTargets, findOverBudgetMonths } from "./targets.js";
+import { getColorMode, resolveTheme } from "./theme.js";
+import { checkAmount, validateMonthlyAmounts } from "./validation.js";
+import {
+  CATEGORY_KINDS,
+  MAX_BUDGET_YEAR,
+  MIN_BUDGET_YEAR,
+  addBudgetYear,
+  addCategory,
+  createDefaultSettings,
+  createWorkspace,
+  findPreviousBudgetYear,
+  getBudgetYear,
+  getYearSeries,
+  hasCategories,
+  listBudgetYears,
+  removeBudgetYear,
+  removeCategory,
+} from "./workspace.js";
+
 let chartInstance = null;
-const monthLabels = [
-  "Jan",
-  "Feb",
-  "Mar",
-  "Apr",
-  "May",
-  "Jun",
-  "Jul",
-  "Aug",
-  "Sep",
-  "Oct",
-  "Nov",
-  "Dec",
-];
-
-// Validate and collect data from all inputs
-function validateAndCollectData() {
-  const incomeInputs = document.querySelectorAll(".income-input");
-  const expenseInputs = document.querySelectorAll(".expense-input");
-
-  let isValid = true;
-  const incomeData = [];
-  const expenseData = [];
-
-  // Validate and collect income data
-  incomeInputs.forEach((input) => {
-    const value = input.value.trim();
-
-    if (value === "") {
-      // Empty input defaults to 0
-      incomeData.push(0);
-      input.classList.remove("is-invalid");
-    } else if (isNaN(value) || parseFloat(value) < 0) {
-      // Invalid input
-      input.classList.add("is-invalid");
-      isValid = false;
-      incomeData.push(0);
+// Data point the keyboard has moved to on the main chart
+let chartFocus = null;
+// Pending live chart update, while edits are still coming in
+let liveChartTimer = null;
+// How long after the last edit a live chart update waits, in milliseconds
+const LIVE_CHART_DELAY = 300;
+let categoryChartInstance = null;
+let budgetWorkspace = null;
+// Undo/redo steps for budget edits since the page loaded
+let budgetHistory = null;
+// Cells selected in the income/expense grid as { anchor, focus }
+let gridSelection = null;
+// Statement entries waiting for the import to be confirmed
+let pendingStatement = null;
+// While a shared budget link is previewed: the saved workspace and undo
+// history to go back to, and the shared snapshot
+let sharedPreview = null;
+// New service worker version waiting for the reload prompt to be accepted
+let waitingServiceWorker = null;
+
+// Read an amount input and show why it's invalid under it. Invalid amounts
+// count as 0.
+function checkAmountInput(input) {
+  const raw = readAmountInput(input);
+  const result = checkAmount(raw, getFormatSettings());
+  showFieldError(input, result.error);
+  return { raw, ...result };
+}
+
+// Mark an input invalid with the reason in the feedback element after it,
+// which is created if missing and announced as it changes. An
+// empty message clears the error.
+function showFieldError(input, message) {
+  let feedback = input.nextElementSibling;
+  if (feedback && !feedback.classList.contains("invalid-feedback")) {
+    feedback = null;
+  }
+  if (!feedback && message) {
+    feedback = document.createElement("div");
+    feedback.className = "invalid-feedback";
+    input.after(feedback);
+  }
+
+  input.classList.toggle("is-invalid", Boolean(message));
+  if (message) {
+    input.setAttribute("aria-invalid", "true");
+  } else {
+    input.removeAttribute("aria-invalid");
+  }
+  if (!feedback) {
+    return;
+  }
+  feedback.id = feedback.id || `${input.id}-feedback`;
+  feedback.setAttribute("aria-live", "polite");
+  feedback.textContent = message;
+  if (message) {
+    input.setAttribute("aria-describedby", feedback.id);
+  } else {
+    input.removeAttribute("aria-describedby");
+  }
+}
+
+// Currency and locale in use; the defaults before the workspace loads
+function getFormatSettings() {
+  return budgetWorkspace ? budgetWorkspace.settings : createDefaultSettings();
+}
+
+// Money in the workspace currency, e.g. "$1,234.5" or "-1.234,5 €"
+function formatMoney(value) {
+  return formatCurrency(value, getFormatSettings());
+}
+
+// Read an amount input typed in the workspace locale as a stored
+// "1234.56" string
+function readAmountInput(input) {
+  return normalizeLocaleAmount(input.value, getFormatSettings().locale);
+}
+
+// Show a stored amount in an input in the workspace locale
+function writeAmountInput(input, value) {
+  input.value = formatLocaleAmount(value, getFormatSettings().locale);
+}
+
+// Validate the category inputs and write each categorised kind's monthly
+// sums into its read-only income/expense inputs
+function applyCategoryTotals() {
+  const errors = [];
+  const categories = { income: [], expense: [] };
+  const seriesById = {};
+
+  document.querySelectorAll(".category-input").forEach((input) => {
+    const { kind, categoryId, categoryName, month } = input.dataset;
+    const result = checkAmountInput(input);
+    if (result.error) {
+      errors.push({
+        input,
+        label: input.getAttribute("aria-label"),
+        message: result.error,
+      });
+    }
+
+    if (!seriesById[categoryId]) {
+      seriesById[categoryId] = {
+        id: categoryId,
+        name: categoryName,
+        data: new Array(12).fill(0),
+      };
+      categories[kind].push(seriesById[categoryId]);
+    }
+    seriesById[categoryId].data[Number(month)] = result.value;
+  });
+
+  CATEGORY_KINDS.forEach((kind) => {
+    if (!categories[kind].length) {
+      return;
+    }
+    const totals = sumCategorySeries(categories[kind]);
+    document.querySelectorAll(`.${kind}-input`).forEach((input, index) => {
+      writeAmountInput(input, String(totals[index]));
+    });
+  });
+
+  return { errors, categories };
+}
+
+// Validate the selected year's transactions and, when it has any, write
+// their monthly sums into the read-only income, expense and category inputs.
+// Returns the invalid fields as { input, label, message } entries; input is
+// null when the ledger filters hide the entry.
+function applyLedgerTotals() {
+  const { selectedYear, categories } = budgetWorkspace;
+  const transactions = getYearTransactions(budgetWorkspace, selectedYear);
+  const fieldErrors = [];
+  const validTransactions = transactions.filter((transaction) => {
+    const errors = validateTransaction(transaction, selectedYear, categories);
+    showTransactionErrors(transaction.id, errors);
+    Object.entries(errors).forEach(([field, message]) => {
+      fieldErrors.push({
+        input: document.getElementById(
+          `transaction-${transaction.id}-${field}`,
+        ),
+        label: `Transaction on ${transaction.date || "no date"}`,
+        message,
+      });
+    });
+    return !Object.keys(errors).length;
+  });
+
+  if (!transactions.length) {
+    return fieldErrors;
+  }
+
+  const values = ledgerToMonthlyValues(validTransactions);
+  CATEGORY_KINDS.forEach((kind) => {
+    document.querySelectorAll(`.${kind}-input`).forEach((input, month) => {
+      writeAmountInput(input, values[kind][month]);
+    });
+  });
+  document.querySelectorAll(".category-input").forEach((input) => {
+    const series = values.categoryValues[input.dataset.categoryId];
+    writeAmountInput(input, series ? series[Number(input.dataset.month)] : "");
+  });
+  return fieldErrors;
+}
+
+// Mark a transaction row's invalid fields and explain them at the row's end
+function showTransactionErrors(id, errors) {
+  const row = document.querySelector(
+    `#ledgerTable tr[data-transaction-id="${id}"]`,
+  );
+  if (!row) {
+    return;
+  }
+
+  row.querySelectorAll(".ledger-input").forEach((input) => {
+    input.classList.toggle("is-invalid", Boolean(errors[input.dataset.field]));
+  });
+  row.querySelector(".ledger-row-error").textContent =
+    Object.values(errors).join(" ");
+}
+
+// Validate and collect data from all inputs. Each invalid field is marked
+// with its reason and listed in the form's error summary.
+export function validateAndCollectData() {
+  // Ledger and categorised totals are derived, so update them before reading
+  // the inputs
+  const ledgerErrors = budgetWorkspace ? applyLedgerTotals() : [];
+  const categoryResult = applyCategoryTotals();
+  const errors = [...ledgerErrors, ...categoryResult.errors];
+
+  // Validate and collect income and expense data, marking invalid months on
+  // their inputs
+  const inputs = {};
+  const rawValues = {};
+  CATEGORY_KINDS.forEach((kind) => {
+    inputs[kind] = Array.from(document.querySelectorAll(`.${kind}-input`));
+    rawValues[kind] = inputs[kind].map((input) => readAmountInput(input));
+  });
+  const amounts = validateMonthlyAmounts(rawValues, getFormatSettings());
+  CATEGORY_KINDS.forEach((kind) => {
+    inputs[kind].forEach((input, month) => {
+      const error = amounts.errors.find(
+        (entry) => entry.kind === kind && entry.month === month,
+      );
+      showFieldError(input, error ? error.message : "");
+    });
+  });
+  amounts.errors.forEach(({ kind, month, label, message }) => {
+    errors.push({ input: inputs[kind][month], label, message });
+  });
+
+  // Validate and collect targets; blank months have no target
+  const targets = {
+    income: new Array(12).fill(null),
+    expense: new Array(12).fill(null),
+  };
+  document.querySelectorAll(".target-input").forEach((input) => {
+    const result = checkAmountInput(input);
+    if (result.error) {
+      errors.push({
+        input,
+        label: input.getAttribute("aria-label"),
+        message: result.error,
+      });
+    } else if (result.raw !== "") {
+      targets[input.dataset.kind][Number(input.dataset.month)] = result.value;
+    }
+  });
+  applyTargetWarnings(amounts.expenseData, targets);
+  if (budgetWorkspace) {
+    applyRecurringMarkers();
+  }
+  renderErrorSummary(errors);
+
+  return {
+    isValid: !errors.length,
+    incomeData: amounts.incomeData,
+    expenseData: amounts.expenseData,
+    categories: categoryResult.categories,
+    targets,
+  };
+}
+
+// List the invalid fields above the form, each linking to its input
+function renderErrorSummary(errors) {
+  const summary = document.getElementById("formErrorSummary");
+  summary.classList.toggle("d-none", !errors.length);
+  document.getElementById("formErrorSummaryTitle").textContent =
+    errors.length === 1
+      ? "There is 1 problem with this year's values"
+      : `There are ${errors.length} problems with this year's values`;
+
+  const items = errors.map(({ input, label, message }) => {
+    const item = document.createElement("li");
+    if (!input) {
+      item.textContent = `${label}: ${message}`;
+      return item;
+    }
+    const link = document.createElement("a");
+    link.href = `#${input.id}`;
+    link.className = "alert-link";
+    link.dataset.focusInput = input.id;
+    link.textContent = `${label}: ${message}`;
+    item.appendChild(link);
+    return item;
+  });
+  summary.querySelector("ul").replaceChildren(...items);
+}
+
+// Show the tab an input is on, then move focus to it
+function focusFormInput(input) {
+  const pane = input.closest(".tab-pane");
+  if (pane && !pane.classList.contains("active") && window.bootstrap) {
+    window.bootstrap.Tab.getOrCreateInstance(
+      document.querySelector(`[data-bs-target="#${pane.id}"]`),
+    ).show();
+  }
+  input.focus();
+}
+
+// Point out the invalid values when an action needs a valid form: a toast
+// wherever the action was started, and focus on the error summary when the
+// Data tab is showing
+function reportInvalidForm(action) {
+  showToast(`Fix the invalid values listed on the Data tab before ${action}.`, {
+    type: "danger",
+  });
+  const summary = document.getElementById("formErrorSummary");
+  if (summary.closest(".tab-pane.active")) {
+    summary.focus();
+  }
+}
+
+// A non-blocking notification in the corner of the page. Errors are
+// announced at once and stay until closed; other messages are announced
+// when the screen reader is idle and success messages hide themselves.
+export function showToast(message, { type = "success", details = [] } = {}) {
+  const toast = document.createElement("div");
+  toast.className = `toast align-items-center text-bg-${type} border-0`;
+  toast.setAttribute("role", type === "danger" ? "alert" : "status");
+  toast.setAttribute("aria-live", type === "danger" ? "assertive" : "polite");
+  toast.setAttribute("aria-atomic", "true");
+
+  const body = document.createElement("div");
+  body.className = "toast-body";
+  body.textContent = message;
+  if (details.length) {
+    const list = document.createElement("ul");
+    list.className = "mb-0 mt-1";
+    details.forEach((detail) => {
+      const item = document.createElement("li");
+      item.textContent = detail;
+      list.appendChild(item);
+    });
+    body.appendChild(list);
+  }
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  // Warnings have dark text, so their close button stays dark
+  closeButton.className = `btn-close${type === "warning" ? "" : " btn-close-white"} me-2 mt-2 align-self-start`;
+  closeButton.dataset.bsDismiss = "toast";
+  closeButton.setAttribute("aria-label", "Close");
+
+  const layout = document.createElement("div");
+  layout.className = "d-flex";
+  layout.append(body, closeButton);
+  toast.appendChild(layout);
+  document.getElementById("toastContainer").appendChild(toast);
+
+  if (window.bootstrap) {
+    toast.addEventListener("hidden.bs.toast", () => toast.remove());
+    window.bootstrap.Toast.getOrCreateInstance(toast, {
+      autohide: type === "success",
+    }).show();
+  } else {
+    toast.classList.add("show");
+    closeButton.addEventListener("click", () => toast.remove());
+  }
+  return toast;
+}
+
+// Flag months whose expenses are over budget in the form; returns them
+function applyTargetWarnings(expenseData, targets) {
+  const overBudget = findOverBudgetMonths(expenseData, targets.expense);
+  const overMonths = overBudget.map(({ month }) => month);
+
+  document.querySelectorAll(".expense-input").forEach((input, month) => {
+    input.classList.toggle("border-warning", overMonths.includes(month));
+  });
+  document.querySelectorAll(".target-status").forEach((cell) => {
+    const entry = overBudget.find(
+      ({ month }) => month === Number(cell.dataset.month),
+    );
+    cell.textContent = entry ? `Over by ${formatMoney(entry.over)}` : "";
+  });
+
+  // Shown above the form and above the chart
+  document.querySelectorAll(".target-warning").forEach((warning) => {
+    warning.classList.toggle("d-none", !overBudget.length);
+    warning.textContent = overBudget.length
+      ? `Over budget in ${overMonths.map((month) => fullMonthNames[month]).join(", ")}.`
+      : "";
+  });
+  return overBudget;
+}
+
+// Shade the inputs recurring rules fill in, and outline the ones whose
+// generated amount was typed over
+function applyRecurringMarkers() {
+  const { selectedYear } = budgetWorkspace;
+  const generated = hasLedger(budgetWorkspace, selectedYear)
+    ? createEmptyRecurringMap()
+    : generateRecurringValues(
+        getValidRecurringRules(budgetWorkspace),
+        selectedYear,
+      );
+
+  const markInput = (input, value) => {
+    const isCovered = value !== undefined;
+    const isOverride =
+      isCovered && !isGeneratedAmount(readAmountInput(input), value);
+    input.classList.toggle("bg-info-subtle", isCovered && !isOverride);
+    input.classList.toggle("border-info", isOverride);
+    input.title = isCovered
+      ? `Recurring amount: ${formatMoney(Number(value))}${isOverride ? " (changed for this month)" : ""}`
+      : "";
+  };
+
+  CATEGORY_KINDS.forEach((kind) => {
+    document.querySelectorAll(`.${kind}-input`).forEach((input, month) => {
+      markInput(input, generated[kind][month]);
+    });
+  });
+  document.querySelectorAll(".category-input").forEach((input) => {
+    const months = generated.categoryValues[input.dataset.categoryId] || {};
+    markInput(input, months[input.dataset.month]);
+  });
+}
+
+// Read the income/expense input values so they can be saved; amounts are
+// stored as "1234.56" whatever the locale
+function collectBudgetInputs() {
+  const readValues = (selector) =>
+    Array.from(document.querySelectorAll(selector), readAmountInput);
+
+  const categoryValues = {};
+  document.querySelectorAll(".category-input").forEach((input) => {
+    const { categoryId, month } = input.dataset;
+    if (!categoryValues[categoryId]) {
+      categoryValues[categoryId] = new Array(12).fill("");
+    }
+    categoryValues[categoryId][Number(month)] = readAmountInput(input);
+  });
+
+  const targets = createEmptyTargets();
+  document.querySelectorAll(".target-input").forEach((input) => {
+    targets[input.dataset.kind][Number(input.dataset.month)] =
+      readAmountInput(input);
+  });
+
+  return {
+    income: readValues(".income-input"),
+    expense: readValues(".expense-input"),
+    categoryValues,
+    targets,
+  };
+}
+
+// Fill the income/expense inputs from a saved budget state
+function restoreBudgetInputs(state) {
+  const writeValues = (selector, values) => {
+    if (!Array.isArray(values)) {
+      return;
+    }
+    document.querySelectorAll(selector).forEach((input, index) => {
+      writeAmountInput(
+        input,
+        typeof values[index] === "string" ? values[index] : "",
+      );
+    });
+  };
+
+  writeValues(".income-input", state.income);
+  writeValues(".expense-input", state.expense);
+}
+
+// Load the saved workspace, or start one for this year from the form values
+function initBudgetWorkspace() {
+  const savedState = loadBudgetState();
+
+  if (savedState && savedState.years) {
+    budgetWorkspace = savedState;
+    // Fill in any settings missing from the saved state
+    budgetWorkspace.settings = {
+      ...createDefaultSettings(),
+      ...savedState.settings,
+    };
+    if (!getBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear)) {
+      budgetWorkspace.selectedYear = listBudgetYears(budgetWorkspace).pop();
+    }
+    if (!budgetWorkspace.scenarios) {
+      budgetWorkspace.scenarios = createDefaultScenarios();
+      budgetWorkspace.activeScenario = DEFAULT_SCENARIO_ID;
+    }
+  } else {
+    budgetWorkspace = createWorkspace(
+      new Date().getFullYear(),
+      collectBudgetInputs(),
+    );
+  }
+  // Its data is kept for that version, so nothing here is saved
+  if (hasNewerBudgetState()) {
+    showToast(
+      "Your saved budget is from a newer version of Bucks2Bar, so it wasn't opened and changes made here won't be saved. Reload the page to get the newer version.",
+      { type: "warning" },
+    );
+  }
+
+  budgetHistory = createUndoHistory();
+  showSelectedYear();
+  updateHistoryButtons();
+}
+
+// Fill the form with the selected year and refresh the controls that
+// depend on it
+function showSelectedYear() {
+  restoreBudgetInputs(
+    getBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear),
+  );
+  renderCategoryTable();
+  renderTargetTable();
+  renderLedgerTable();
+  renderRecurringTable();
+  renderScenarioTable();
+  // Refresh is-invalid markers and category totals for the loaded values
+  validateAndCollectData();
+  renderYearOptions();
+  const reportNotesInput = document.getElementById("reportNotesInput");
+  reportNotesInput.value =
+    getBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear).notes || "";
+  reportNotesInput.readOnly = Boolean(sharedPreview);
+  renderReportNotes();
+}
+
+// Build the category grid for the selected year: a row per month and a
+// column per category
+function renderCategoryTable() {
+  const categoryTable = document.getElementById("categoryTable");
+  const yearData = getBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear);
+  const columns = CATEGORY_KINDS.flatMap((kind) =>
+    budgetWorkspace.categories[kind].map((category) => ({ kind, category })),
+  );
+
+  // Categorised and ledger totals are derived and can't be typed over, and
+  // neither can a shared budget until it's adopted
+  const isLedger = hasLedger(budgetWorkspace, budgetWorkspace.selectedYear);
+  CATEGORY_KINDS.forEach((kind) => {
+    document.querySelectorAll(`.${kind}-input`).forEach((input) => {
+      input.readOnly =
+        Boolean(sharedPreview) ||
+        isLedger ||
+        hasCategories(budgetWorkspace, kind);
+    });
+  });
+
+  if (!columns.length) {
+    const hint = document.createElement("p");
+    hint.className = "text-muted";
+    hint.textContent =
+      "No categories yet. Add one to split monthly income or expenses.";
+    categoryTable.replaceChildren(hint);
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "table table-sm align-middle";
+
+  const headerRow = table.createTHead().insertRow();
+  const monthHeader = document.createElement("th");
+  monthHeader.textContent = "Month";
+  headerRow.appendChild(monthHeader);
+
+  columns.forEach(({ kind, category }) => {
+    const header = document.createElement("th");
+    header.textContent = category.name + " ";
+
+    const kindLabel = document.createElement("small");
+    kindLabel.className = "text-muted fw-normal";
+    kindLabel.textContent = kind === "income" ? "(income)" : "(expense)";
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "btn btn-sm btn-link text-danger p-0 ms-1";
+    removeButton.textContent = "×";
+    removeButton.setAttribute("aria-label", `Remove ${category.name}`);
+    removeButton.dataset.removeCategory = category.id;
+    removeButton.dataset.kind = kind;
+
+    header.append(kindLabel, removeButton);
+    headerRow.appendChild(header);
+  });
+
+  const body = table.createTBody();
+  monthLabels.forEach((label, month) => {
+    const row = body.insertRow();
+    const monthCell = document.createElement("th");
+    monthCell.scope = "row";
+    monthCell.textContent = label;
+    row.appendChild(monthCell);
+
+    columns.forEach(({ kind, category }) => {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.inputMode = "decimal";
+      input.className = "form-control form-control-sm category-input";
+      input.id = `category-${kind}-${category.id}-${month}`;
+      input.placeholder = "0";
+      input.readOnly = isLedger;
+      input.dataset.kind = kind;
+      input.dataset.categoryId = category.id;
+      input.dataset.categoryName = category.name;
+      input.dataset.month = String(month);
+      input.setAttribute(
+        "aria-label",
+        `${category.name} ${fullMonthNames[month]}`,
+      );
+
+      const values = yearData.categoryValues[category.id];
+      writeAmountInput(
+        input,
+        values && typeof values[month] === "string" ? values[month] : "",
+      );
+
+      row.insertCell().appendChild(input);
+    });
+  });
+
+  categoryTable.replaceChildren(table);
+}
+
+// Save the workspace, unless the form is showing a shared budget preview
+function saveBudgetWorkspace() {
+  return sharedPreview ? false : saveBudgetState(budgetWorkspace);
+}
+
+// A shared budget preview can only be added to the budget or closed, so
+// changes to it would be lost. Returns the message shown when one is open.
+function reportSharedPreviewOpen(action) {
+  if (!sharedPreview) {
+    return null;
+  }
+  const message = `Add the shared budget to yours or close the preview before ${action}.`;
+  showToast(message, { type: "warning" });
+  return message;
+}
+
+// Copy the form into the selected year and save the workspace
+function saveSelectedYear() {
+  Object.assign(
+    getBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear),
+    collectBudgetInputs(),
+  );
+  // Values typed over recurring amounts are kept when the rules change
+  syncRecurringOverrides(budgetWorkspace, budgetWorkspace.selectedYear);
+  saveBudgetWorkspace();
+}
+
+// Show another year's values in the form
+function switchBudgetYear(year) {
+  if (!getBudgetYear(budgetWorkspace, year)) {
+    return;
+  }
+
+  saveSelectedYear();
+  budgetWorkspace.selectedYear = year;
+  showSelectedYear();
+  saveBudgetWorkspace();
+}
+
+// Run change(), recording the budget as it was so the change can be undone.
+// Changes with the same key in quick succession, like typing in one field,
+// undo as one step.
+function recordBudgetChange(change, key = null) {
+  const before = createHistorySnapshot(budgetWorkspace);
+  const year = budgetWorkspace.selectedYear;
+  const result = change();
+
+  if (createHistorySnapshot(budgetWorkspace) !== before) {
+    budgetHistory.record({ snapshot: before, year }, { key });
+    updateHistoryButtons();
+    scheduleLiveChartUpdate();
+  }
+  return result;
+}
+
+// Undo or redo the last change, showing the year it was made in and
+// redrawing the chart to match the form
+function stepBudgetHistory(direction) {
+  saveSelectedYear();
+  const entry = budgetHistory[direction]({
+    snapshot: createHistorySnapshot(budgetWorkspace),
+    year: budgetWorkspace.selectedYear,
+  });
+  if (!entry) {
+    return false;
+  }
+
+  restoreHistorySnapshot(budgetWorkspace, entry.snapshot);
+  budgetWorkspace.selectedYear = getBudgetYear(budgetWorkspace, entry.year)
+    ? entry.year
+    : listBudgetYears(budgetWorkspace).pop();
+  showSelectedYear();
+  saveBudgetWorkspace();
+  updateHistoryButtons();
+
+  if (validateAndCollectData().isValid) {
+    renderChart();
+  }
+  return true;
+}
+
+export function undoBudgetChange() {
+  return stepBudgetHistory("undo");
+}
+
+function redoBudgetChange() {
+  return stepBudgetHistory("redo");
+}
+
+function updateHistoryButtons() {
+  document.getElementById("undoBtn").disabled = !budgetHistory.canUndo();
+  document.getElementById("redoBtn").disabled = !budgetHistory.canRedo();
+}
+
+// The income and expense inputs as grid columns of 12 months
+function getGridInputs() {
+  return CATEGORY_KINDS.map((kind) =>
+    Array.from(document.querySelectorAll(`.${kind}-input`)),
+  );
+}
+
+function getGridValues() {
+  return getGridInputs().map((inputs) => inputs.map(readAmountInput));
+}
+
+// An input's { row, column } in the grid, or null if it isn't in it
+function getGridCell(input) {
+  const column = CATEGORY_KINDS.findIndex((kind) =>
+    input.classList.contains(`${kind}-input`),
+  );
+  if (column === -1) {
+    return null;
+  }
+  return { row: getGridInputs()[column].indexOf(input), column };
+}
+
+// Select the cells from anchor to focus and highlight them
+function selectGridCells(anchor, focus = anchor) {
+  gridSelection = { anchor, focus };
+  const { top, bottom, left, right } = getGridRange(anchor, focus);
+  getGridInputs().forEach((inputs, column) => {
+    inputs.forEach((input, row) => {
+      input.classList.toggle(
+        "bg-primary-subtle",
+        row >= top && row <= bottom && column >= left && column <= right,
+      );
+    });
+  });
+
+  const months =
+    top === bottom
+      ? fullMonthNames[top]
+      : `${fullMonthNames[top]}–${fullMonthNames[bottom]}`;
+  const kinds = ["income", "expenses"].slice(left, right + 1).join(" and ");
+  document.getElementById("gridSelectionStatus").textContent =
+    top === bottom && left === right ? "" : `Selected: ${months} ${kinds}`;
+}
+
+function getSelectedGridRange() {
+  return gridSelection
+    ? getGridRange(gridSelection.anchor, gridSelection.focus)
+    : null;
+}
+
+// Write grid changes through the same validation as typing, as one undo
+// step. Totals that come from categories or transactions are left as they
+// are. Returns the number of cells written.
+function applyGridChanges(changes) {
+  if (reportSharedPreviewOpen("changing amounts")) {
+    return 0;
+  }
+  const inputs = getGridInputs();
+  const writable = changes.filter(
+    ({ row, column }) => !inputs[column][row].readOnly,
+  );
+
+  recordBudgetChange(() => {
+    writable.forEach(({ row, column, value }) => {
+      writeAmountInput(inputs[column][row], value);
+    });
+    validateAndCollectData();
+    saveSelectedYear();
+  });
+
+  if (writable.length < changes.length) {
+    showToast(
+      "Totals that come from categories or transactions were left as they are.",
+      { type: "warning" },
+    );
+  }
+  return writable.length;
+}
+
+// Paste a tab-separated block copied from a spreadsheet across the grid,
+// starting at the input pasted into. Returns false for a single value,
+// which pastes as usual.
+export function pasteIntoGrid(input, text) {
+  const block = parsePastedBlock(text);
+  const start = getGridCell(input);
+  if (!start || (block.length === 1 && block[0].length === 1)) {
+    return false;
+  }
+
+  const settings = getFormatSettings();
+  const symbol = getCurrencySymbol(settings);
+  const amounts = block.map((cells) =>
+    cells.map((cell) =>
+      normalizeLocaleAmount(cell.replace(symbol, ""), settings.locale),
+    ),
+  );
+  const { changes, clipped } = getPasteChanges(amounts, start, {
+    rows: monthLabels.length,
+    columns: CATEGORY_KINDS.length,
+  });
+
+  applyGridChanges(changes);
+  selectGridCells(start, changes.at(-1));
+  if (clipped) {
+    showToast("Only the cells that fit in the grid were pasted.", {
+      type: "warning",
+    });
+  }
+  return true;
+}
+
+// Fill the selection from its first row. A single row is filled from the
+// row above, as in spreadsheets.
+function fillGridDown() {
+  const range = getSelectedGridRange();
+  if (!range) {
+    return warnNoGridSelection();
+  }
+  const source =
+    range.top === range.bottom
+      ? { ...range, top: Math.max(range.top - 1, 0) }
+      : range;
+  return applyGridChanges(getFillDownChanges(getGridValues(), source));
+}
+
+// Fill the selection from its first column, or a single column from the
+// column to its left
+function fillGridRight() {
+  const range = getSelectedGridRange();
+  if (!range) {
+    return warnNoGridSelection();
+  }
+  const source =
+    range.left === range.right
+      ? { ...range, left: Math.max(range.left - 1, 0) }
+      : range;
+  return applyGridChanges(getFillRightChanges(getGridValues(), source));
+}
+
+// Copy January into every month of the selected columns, or of both
+// columns when nothing is selected
+function copyJanuaryToAllMonths() {
+  const range = getSelectedGridRange();
+  return applyGridChanges(
+    getFillDownChanges(getGridValues(), {
+      top: 0,
+      bottom: monthLabels.length - 1,
+      left: range ? range.left : 0,
+      right: range ? range.right : CATEGORY_KINDS.length - 1,
+    }),
+  );
+}
+
+// Change the selected amounts by the percentage typed next to the Apply
+// button
+function changeSelectionByPercent() {
+  const percentInput = document.getElementById("percentChangeInput");
+  const percent = Number(percentInput.value);
+  if (
+    percentInput.value.trim() === "" ||
+    !Number.isFinite(percent) ||
+    percent < -100
+  ) {
+    showFieldError(
+      percentInput,
+      "Enter a percentage of -100 or more, like 5 or -10.",
+    );
+    return 0;
+  }
+  showFieldError(percentInput, "");
+
+  const range = getSelectedGridRange();
+  if (!range) {
+    return warnNoGridSelection();
+  }
+  return applyGridChanges(getPercentChanges(getGridValues(), range, percent));
+}
+
+function warnNoGridSelection() {
+  showToast("Select the months to change in the income and expense grid.", {
+    type: "warning",
+  });
+  return 0;
+}
+
+// Rebuild the year selector and the chart's comparison year selector
+function renderYearOptions() {
+  const { selectedYear, settings } = budgetWorkspace;
+  const years = listBudgetYears(budgetWorkspace);
+
+  const yearSelect = document.getElementById("yearSelect");
+  yearSelect.replaceChildren(
+    ...years.map(
+      (year) => new Option(year, year, false, year === selectedYear),
+    ),
+  );
+
+  const compareYearSelect = document.getElementById("compareYearSelect");
+  compareYearSelect.replaceChildren(
+    new Option("No comparison", ""),
+    ...years
+      .filter((year) => year !== selectedYear)
+      .map(
+        (year) => new Option(year, year, false, year === settings.compareYear),
+      ),
+  );
+}
+
+// The year to compare the chart against, if one is chosen and still exists
+function getComparisonYear() {
+  if (!budgetWorkspace) {
+    return null;
+  }
+
+  const { selectedYear, settings } = budgetWorkspace;
+  const year = settings.compareYear;
+  return year !== null &&
+    year !== selectedYear &&
+    getBudgetYear(budgetWorkspace, year)
+    ? year
+    : null;
+}
+
+// List the scenarios on the Data tab, each with its name to edit and
+// buttons to edit, duplicate or delete it, and again as checkboxes for the
+// scenario comparison on the Chart tab
+function renderScenarioTable() {
+  const { scenarios, activeScenario, settings } = budgetWorkspace;
+
+  const table = document.createElement("table");
+  table.className = "table table-sm align-middle";
+  const headerRow = table.createTHead().insertRow();
+  ["Scenario", "Actions"].forEach((text) => {
+    const header = document.createElement("th");
+    header.scope = "col";
+    header.textContent = text;
+    headerRow.appendChild(header);
+  });
+
+  const body = table.createTBody();
+  scenarios.forEach(({ id, name }) => {
+    const isActive = id === activeScenario;
+    const row = body.insertRow();
+    row.classList.toggle("table-active", isActive);
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.className = "form-control form-control-sm scenario-name-input";
+    nameInput.id = `scenario-name-${id}`;
+    nameInput.value = name;
+    nameInput.dataset.scenarioId = id;
+    nameInput.setAttribute("aria-label", `Name of the ${name} scenario`);
+    row.insertCell().appendChild(nameInput);
+
+    const actions = row.insertCell();
+    actions.className = "text-nowrap";
+    [
+      ["editScenario", isActive ? "Editing" : "Edit", isActive],
+      ["duplicateScenario", "Duplicate", false],
+      ["deleteScenario", "Delete", scenarios.length === 1],
+    ].forEach(([action, text, disabled]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `btn btn-sm me-1 ${action === "deleteScenario" ? "btn-outline-danger" : "btn-outline-secondary"}`;
+      button.textContent = text;
+      button.disabled = disabled;
+      button.dataset[action] = id;
+      button.setAttribute("aria-label", `${text} ${name}`);
+      actions.appendChild(button);
+    });
+  });
+  document.getElementById("scenarioTable").replaceChildren(table);
+
+  document.getElementById("scenarioCompareList").replaceChildren(
+    ...scenarios.map(({ id, name }) => {
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "form-check-input scenario-compare-check";
+      checkbox.id = `scenario-compare-${id}`;
+      checkbox.value = id;
+      checkbox.checked = settings.compareScenarios.includes(id);
+
+      const label = document.createElement("label");
+      label.className = "form-check-label";
+      label.htmlFor = checkbox.id;
+      label.textContent = name;
+
+      const wrapper = document.createElement("div");
+      wrapper.className = "form-check form-check-inline";
+      wrapper.append(checkbox, label);
+      return wrapper;
+    }),
+  );
+}
+
+// Edit another scenario, keeping the form's values in the current one
+function switchBudgetScenario(id) {
+  saveSelectedYear();
+  if (!switchScenario(budgetWorkspace, id)) {
+    return false;
+  }
+  showSelectedYear();
+  saveBudgetWorkspace();
+  return true;
+}
+
+// Scenarios ticked for comparison, in list order; just the one being edited
+// if none are
+function getComparedScenarioIds() {
+  const { scenarios, activeScenario, settings } = budgetWorkspace;
+  const ids = scenarios
+    .map((scenario) => scenario.id)
+    .filter((id) => settings.compareScenarios.includes(id));
+  return ids.length ? ids : [activeScenario];
+}
+
+// Series of the compared scenarios for the selected year. The scenario being
+// edited uses the values collected from the form.
+function getComparedScenarioSeries({ incomeData, expenseData }) {
+  const { activeScenario, selectedYear } = budgetWorkspace;
+  return getScenarioSeries(
+    budgetWorkspace,
+    getComparedScenarioIds(),
+    selectedYear,
+  ).map((series) =>
+    series.id === activeScenario
+      ? { ...series, incomeData, expenseData }
+      : series,
+  );
+}
+
+// What buildChartConfig() needs besides the form's data: the selected year,
+// the settings, the comparison year and the compared scenarios. Before the
+// workspace loads the charts use the default settings.
+function getChartOptions(view, data) {
+  if (!budgetWorkspace) {
+    return {};
+  }
+
+  const compareYear = getComparisonYear();
+  return {
+    year: budgetWorkspace.selectedYear,
+    settings: budgetWorkspace.settings,
+    theme: getActiveTheme(),
+    comparison:
+      compareYear !== null
+        ? { year: compareYear, ...getYearSeries(budgetWorkspace, compareYear) }
+        : null,
+    scenarioSeries: view === "scenarios" ? getComparedScenarioSeries(data) : [],
+  };
+}
+
+// Build the targets grid for the selected year: an income goal and expense
+// budget per month, and a status cell for overspending
+function renderTargetTable() {
+  const yearData = getBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear);
+  const targets = yearData.targets || createEmptyTargets();
+
+  const table = document.createElement("table");
+  table.className = "table table-sm align-middle";
+
+  const headerRow = table.createTHead().insertRow();
+  ["Month", "Income goal", "Expense budget", ""].forEach((text) => {
+    const header = document.createElement("th");
+    header.textContent = text;
+    headerRow.appendChild(header);
+  });
+
+  const body = table.createTBody();
+  monthLabels.forEach((label, month) => {
+    const row = body.insertRow();
+    const monthCell = document.createElement("th");
+    monthCell.scope = "row";
+    monthCell.textContent = label;
+    row.appendChild(monthCell);
+
+    [
+      ["income", "income goal"],
+      ["expense", "expense budget"],
+    ].forEach(([kind, description]) => {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.inputMode = "decimal";
+      input.className = "form-control form-control-sm target-input";
+      input.id = `target-${kind}-${month}`;
+      input.placeholder = "No target";
+      input.dataset.kind = kind;
+      input.dataset.month = String(month);
+      input.setAttribute(
+        "aria-label",
+        `${fullMonthNames[month]} ${description}`,
+      );
+      input.readOnly = Boolean(sharedPreview);
+      writeAmountInput(input, targets[kind][month] || "");
+      row.insertCell().appendChild(input);
+    });
+
+    const statusCell = row.insertCell();
+    statusCell.className = "target-status small text-warning-emphasis";
+    statusCell.dataset.month = String(month);
+  });
+
+  document.getElementById("targetTable").replaceChildren(table);
+}
+
+// Build the transactions table for the selected year, filtered and sorted by
+// the controls above it; each row is edited in place
+function renderLedgerTable() {
+  const { selectedYear, categories } = budgetWorkspace;
+  const ledgerTable = document.getElementById("ledgerTable");
+  const monthFilter = document.getElementById("ledgerMonthFilter");
+  const categoryFilter = document.getElementById("ledgerCategoryFilter");
+
+  // Keep the category filter in step with the workspace categories
+  const categoryOptions = [
+    new Option("All categories", "all"),
+    new Option("Uncategorised", "none"),
+    ...CATEGORY_KINDS.flatMap((kind) =>
+      categories[kind].map(({ id, name }) => new Option(name, id)),
+    ),
+  ];
+  const selectedCategory = categoryOptions.some(
+    (option) => option.value === categoryFilter.value,
+  )
+    ? categoryFilter.value
+    : "all";
+  categoryFilter.replaceChildren(...categoryOptions);
+  categoryFilter.value = selectedCategory;
+
+  const allTransactions = getYearTransactions(budgetWorkspace, selectedYear);
+  const transactions = sortTransactions(
+    filterTransactions(allTransactions, {
+      month: monthFilter.value === "all" ? null : Number(monthFilter.value),
+      categoryId:
+        selectedCategory === "all"
+          ? null
+          : selectedCategory === "none"
+            ? ""
+            : selectedCategory,
+    }),
+    document.getElementById("ledgerSortSelect").value,
+    categories,
+  );
+
+  if (!transactions.length) {
+    const hint = document.createElement("p");
+    hint.className = "text-muted";
+    hint.textContent = allTransactions.length
+      ? "No transactions match the filters."
+      : `No transactions in ${selectedYear} yet. Add one to fill in the monthly amounts from a ledger.`;
+    ledgerTable.replaceChildren(hint);
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "table table-sm align-middle";
+
+  const headerRow = table.createTHead().insertRow();
+  ["Date", "Amount", "Type", "Category", "Note", "", ""].forEach((text) => {
+    const header = document.createElement("th");
+    header.textContent = text;
+    headerRow.appendChild(header);
+  });
+
+  const body = table.createTBody();
+  transactions.forEach((transaction) => {
+    const row = body.insertRow();
+    row.dataset.transactionId = transaction.id;
+
+    const createField = (tagName, field, label) => {
+      const element = document.createElement(tagName);
+      element.className = `${tagName === "select" ? "form-select" : "form-control"} form-control-sm ledger-input`;
+      element.id = `transaction-${transaction.id}-${field}`;
+      element.dataset.field = field;
+      element.dataset.transactionId = transaction.id;
+      element.setAttribute("aria-label", label);
+      row.insertCell().appendChild(element);
+      return element;
+    };
+
+    const dateInput = createField("input", "date", "Date");
+    dateInput.type = "date";
+    dateInput.min = `${selectedYear}-01-01`;
+    dateInput.max = `${selectedYear}-12-31`;
+    dateInput.value = transaction.date;
+
+    const amountInput = createField("input", "amount", "Amount");
+    amountInput.type = "text";
+    amountInput.inputMode = "decimal";
+    amountInput.placeholder = "0";
+    writeAmountInput(amountInput, transaction.amount);
+
+    const typeSelect = createField("select", "type", "Type");
+    typeSelect.append(
+      new Option("Income", "income"),
+      new Option("Expense", "expense"),
+    );
+    typeSelect.value = transaction.type;
+
+    // Only the categories of the entry's type can be picked
+    const categorySelect = createField("select", "categoryId", "Category");
+    categorySelect.append(
+      new Option("None", ""),
+      ...(categories[transaction.type] || []).map(
+        ({ id, name }) => new Option(name, id),
+      ),
+    );
+    categorySelect.value = transaction.categoryId;
+
+    const noteInput = createField("input", "note", "Note");
+    noteInput.type = "text";
+    noteInput.value = transaction.note;
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "btn btn-sm btn-link text-danger";
+    removeButton.textContent = "Delete";
+    removeButton.dataset.removeTransaction = transaction.id;
+    row.insertCell().appendChild(removeButton);
+
+    const errorCell = row.insertCell();
+    errorCell.className = "ledger-row-error small text-danger";
+  });
+
+  ledgerTable.replaceChildren(table);
+  transactions.forEach((transaction) => {
+    showTransactionErrors(
+      transaction.id,
+      validateTransaction(transaction, selectedYear, categories),
+    );
+  });
+}
+
+// Build the recurring rules table; rules apply to every year, and each row
+// is edited in place
+function renderRecurringTable() {
+  const { categories } = budgetWorkspace;
+  const recurringTable = document.getElementById("recurringTable");
+  const rules = budgetWorkspace.recurringRules || [];
+
+  if (!rules.length) {
+    const hint = document.createElement("p");
+    hint.className = "text-muted";
+    hint.textContent =
+      "No recurring rules yet. Add one for salary, rent or subscriptions to fill in every month they repeat.";
+    recurringTable.replaceChildren(hint);
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "table table-sm align-middle";
+
+  const headerRow = table.createTHead().insertRow();
+  [
+    "Name",
+    "Type",
+    "Category",
+    "Amount",
+    "Repeats",
+    "Every (months)",
+    "From",
+    "Until",
+    "Yearly increase (%)",
+    "",
+    "",
+  ].forEach((text) => {
+    const header = document.createElement("th");
+    header.textContent = text;
+    headerRow.appendChild(header);
+  });
+
+  const body = table.createTBody();
+  rules.forEach((rule) => {
+    const row = body.insertRow();
+    row.dataset.ruleId = rule.id;
+
+    const createField = (tagName, field, label) => {
+      const element = document.createElement(tagName);
+      element.className = `${tagName === "select" ? "form-select" : "form-control"} form-control-sm recurring-input`;
+      element.dataset.field = field;
+      element.dataset.ruleId = rule.id;
+      element.setAttribute("aria-label", label);
+      row.insertCell().appendChild(element);
+      return element;
+    };
+
+    const nameInput = createField("input", "name", "Name");
+    nameInput.type = "text";
+    nameInput.placeholder = "e.g. Rent";
+    nameInput.value = rule.name;
+
+    const typeSelect = createField("select", "type", "Type");
+    typeSelect.append(
+      new Option("Income", "income"),
+      new Option("Expense", "expense"),
+    );
+    typeSelect.value = rule.type;
+
+    // Only the categories of the rule's type can be picked
+    const categorySelect = createField("select", "categoryId", "Category");
+    categorySelect.append(
+      new Option("None", ""),
+      ...(categories[rule.type] || []).map(
+        ({ id, name }) => new Option(name, id),
+      ),
+    );
+    categorySelect.value = rule.categoryId;
+
+    const amountInput = createField("input", "amount", "Amount");
+    amountInput.type = "text";
+    amountInput.inputMode = "decimal";
+    amountInput.placeholder = "0";
+    writeAmountInput(amountInput, rule.amount);
+
+    const frequencySelect = createField("select", "frequency", "Repeats");
+    frequencySelect.append(
+      new Option("Monthly", "monthly"),
+      new Option("Quarterly", "quarterly"),
+      new Option("Annually", "annual"),
+      new Option("Every N months", "custom"),
+    );
+    frequencySelect.value = rule.frequency;
+
+    const intervalInput = createField("input", "interval", "Every N months");
+    intervalInput.type = "number";
+    intervalInput.min = "1";
+    intervalInput.step = "1";
+    intervalInput.value = rule.interval;
+    intervalInput.disabled = rule.frequency !== "custom";
+
+    const startInput = createField("input", "start", "Start month");
+    startInput.type = "month";
+    startInput.value = rule.start;
+
+    const endInput = createField("input", "end", "End month");
+    endInput.type = "month";
+    endInput.value = rule.end;
+
+    const increaseInput = createField("input", "increase", "Yearly increase");
+    increaseInput.type = "text";
+    increaseInput.inputMode = "decimal";
+    increaseInput.placeholder = "0";
+    writeAmountInput(increaseInput, rule.increase);
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "btn btn-sm btn-link text-danger";
+    removeButton.textContent = "Delete";
+    removeButton.dataset.removeRule = rule.id;
+    row.insertCell().appendChild(removeButton);
+
+    const errorCell = row.insertCell();
+    errorCell.className = "recurring-row-error small text-danger";
+  });
+
+  recurringTable.replaceChildren(table);
+  rules.forEach((rule) => {
+    showRuleErrors(rule.id, validateRecurringRule(rule, categories));
+  });
+}
+
+// Mark a rule row's invalid fields and explain them at the row's end
+function showRuleErrors(id, errors) {
+  const row = document.querySelector(
+    `#recurringTable tr[data-rule-id="${id}"]`,
+  );
+  if (!row) {
+    return;
+  }
+
+  row.querySelectorAll(".recurring-input").forEach((input) => {
+    input.classList.toggle("is-invalid", Boolean(errors[input.dataset.field]));
+  });
+  row.querySelector(".recurring-row-error").textContent =
+    Object.values(errors).join(" ");
+}
+
+// Fill the month grid from the rules after they change; overrides are kept
+// and months only the previous rules covered are cleared
+function regenerateRecurringValues(previousRules = []) {
+  applyRecurringRules(budgetWorkspace, previousRules);
+  restoreBudgetInputs(
+    getBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear),
+  );
+  renderCategoryTable();
+  validateAndCollectData();
+  (budgetWorkspace.recurringRules || []).forEach((rule) => {
+    showRuleErrors(
+      rule.id,
+      validateRecurringRule(rule, budgetWorkspace.categories),
+    );
+  });
+  saveBudgetWorkspace();
+}
+
+// Edit the rules through change() and regenerate as one undo step, keyed
+// like recordBudgetChange(). Saving first keeps values typed over the
+// current amounts as overrides.
+function changeRecurringRules(change, key = null) {
+  saveSelectedYear();
+  recordBudgetChange(() => {
+    const previousRules = getValidRecurringRules(budgetWorkspace).map(
+      (rule) => ({ ...rule }),
+    );
+    change();
+    regenerateRecurringValues(previousRules);
+  }, key);
+}
+
+// Download the validated table for the selected year as CSV
+function exportCsv() {
+  const data = validateAndCollectData();
+
+  if (!data.isValid) {
+    reportInvalidForm("exporting a CSV file");
+    return;
+  }
+
+  // Spreadsheets in decimal-comma locales expect semicolon-separated files
+  const { decimal } = getNumberSeparators(getFormatSettings().locale);
+  const csv =
+    decimal === "," ? budgetToCsv(data, ";", decimal) : budgetToCsv(data);
+
+  const downloadLink = document.createElement("a");
+  downloadLink.href = "data:text/csv;charset=utf-8," + encodeURIComponent(csv);
+  downloadLink.download = `budget-${budgetWorkspace.selectedYear}.csv`;
+  downloadLink.click();
+  showToast(`Downloaded ${downloadLink.download}.`);
+}
+
+// Fill the form from CSV text and mark the values that failed validation.
+// Months missing from the file keep their current values.
+export function importCsv(text) {
+  const previewMessage = reportSharedPreviewOpen("importing a CSV file");
+  if (previewMessage) {
+    return [{ row: null, month: null, message: previewMessage }];
+  }
+
+  saveSelectedYear();
+  const errors = recordBudgetChange(() => {
+    const importErrors = importBudgetCsv(budgetWorkspace, text);
+    // Invalid values were filled in too, so showing the year marks them
+    showSelectedYear();
+    saveSelectedYear();
+    return importErrors;
+  });
+
+  if (errors.length) {
+    showToast("Some rows could not be imported:", {
+      type: "warning",
+      details: errors.map((error) => error.message),
+    });
+  } else {
+    showToast("Imported the CSV file.");
+  }
+  return errors;
+}
+
+// Parse an OFX or QIF statement and preview what importing it would add.
+// Nothing changes until the import is confirmed.
+export function previewStatementImport(text, fileName = "") {
+  const previewMessage = reportSharedPreviewOpen("importing a statement");
+  if (previewMessage) {
+    return [{ entry: null, message: previewMessage }];
+  }
+  saveSelectedYear();
+  const { entries, errors } = parseStatement(text, fileName);
+  pendingStatement = entries.length
+    ? previewStatement(entries, budgetWorkspace)
+    : null;
+  renderStatementPreview(errors);
+  return errors;
+}
+
+// Show the pending entries with duplicates marked, the monthly totals they
+// add and what importing changes, above the ledger
+function renderStatementPreview(errors = []) {
+  const panel = document.getElementById("statementPreview");
+  panel.className = "mb-4";
+  const children = [];
+
+  const heading = document.createElement("h5");
+  heading.textContent = "Statement preview";
+  children.push(heading);
+
+  const previewed = pendingStatement || [];
+  const newEntries = previewed.filter(({ isDuplicate }) => !isDuplicate);
+  const duplicateCount = previewed.length - newEntries.length;
+  const summary = document.createElement("p");
+  summary.textContent = `${previewed.length} transaction${previewed.length === 1 ? "" : "s"} found.`;
+  if (duplicateCount) {
+    summary.textContent += ` ${duplicateCount} ${duplicateCount === 1 ? "is" : "are"} already in the ledger or repeated in the file and will be skipped.`;
+  }
+  children.push(summary);
+
+  // Parse problems, and years whose amounts will come from the ledger
+  const notes = errors.map(({ message }) => message);
+  const newYears = new Set(newEntries.map(({ year }) => year));
+  newYears.forEach((year) => {
+    if (!getBudgetYear(budgetWorkspace, year)) {
+      notes.push(`${year} will be added as a budget year.`);
+    } else if (!hasLedger(budgetWorkspace, year)) {
+      notes.push(
+        `${year} has no transactions yet, so its monthly amounts will add up from the imported ones.`,
+      );
+    }
+  });
+  if (notes.length) {
+    const list = document.createElement("ul");
+    list.className = "alert alert-warning ps-4";
+    notes.forEach((note) => {
+      const item = document.createElement("li");
+      item.textContent = note;
+      list.appendChild(item);
+    });
+    children.push(list);
+  }
+
+  if (previewed.length) {
+    const totalsTable = document.createElement("table");
+    totalsTable.className = "table table-sm w-auto";
+    const totalsHeader = totalsTable.createTHead().insertRow();
+    ["Month", "Income", "Expenses"].forEach((text) => {
+      const header = document.createElement("th");
+      header.textContent = text;
+      totalsHeader.appendChild(header);
+    });
+    const totalsBody = totalsTable.createTBody();
+    Object.entries(summarizeStatementPreview(previewed)).forEach(
+      ([year, totals]) => {
+        monthLabels.forEach((label, month) => {
+          if (!totals.income[month] && !totals.expense[month]) {
+            return;
+          }
+          const row = totalsBody.insertRow();
+          row.insertCell().textContent = `${label} ${year}`;
+          row.insertCell().textContent = formatMoney(totals.income[month]);
+          row.insertCell().textContent = formatMoney(totals.expense[month]);
+        });
+      },
+    );
+    children.push(totalsTable);
+
+    const entryTable = document.createElement("table");
+    entryTable.className = "table table-sm align-middle";
+    const entryHeader = entryTable.createTHead().insertRow();
+    ["Date", "Description", "Type", "Category", "Amount", ""].forEach(
+      (text) => {
+        const header = document.createElement("th");
+        header.textContent = text;
+        entryHeader.appendChild(header);
+      },
+    );
+    const entryBody = entryTable.createTBody();
+    previewed.forEach(({ transaction, isDuplicate }) => {
+      const row = entryBody.insertRow();
+      row.className = isDuplicate ? "text-muted" : "";
+      const category = budgetWorkspace.categories[transaction.type].find(
+        ({ id }) => id === transaction.categoryId,
+      );
+      [
+        transaction.date,
+        transaction.note,
+        transaction.type === "income" ? "Income" : "Expense",
+        category ? category.name : "",
+        formatMoney(Number(transaction.amount)),
+        isDuplicate ? "Duplicate" : "New",
+      ].forEach((text) => {
+        row.insertCell().textContent = text;
+      });
+    });
+    children.push(entryTable);
+  }
+
+  const confirmButton = document.createElement("button");
+  confirmButton.type = "button";
+  confirmButton.className = "btn btn-primary me-2";
+  confirmButton.id = "confirmStatementBtn";
+  confirmButton.textContent = `Import ${newEntries.length} Transaction${newEntries.length === 1 ? "" : "s"}`;
+  confirmButton.disabled = !newEntries.length;
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.className = "btn btn-outline-secondary";
+  cancelButton.id = "cancelStatementBtn";
+  cancelButton.textContent = "Cancel";
+  children.push(confirmButton, cancelButton);
+
+  panel.replaceChildren(...children);
+}
+
+// Add the previewed entries to the ledger
+function confirmStatementImport() {
+  if (!pendingStatement || reportSharedPreviewOpen("importing a statement")) {
+    return 0;
+  }
+
+  saveSelectedYear();
+  const added = recordBudgetChange(() => {
+    const count = applyStatementPreview(budgetWorkspace, pendingStatement);
+    showSelectedYear();
+    saveSelectedYear();
+    return count;
+  });
+  pendingStatement = null;
+
+  const panel = document.getElementById("statementPreview");
+  panel.className = "alert alert-success";
+  panel.setAttribute("role", "status");
+  panel.textContent = `Imported ${added} transaction${added === 1 ? "" : "s"}.`;
+  return added;
+}
+
+function cancelStatementImport() {
+  pendingStatement = null;
+  const panel = document.getElementById("statementPreview");
+  panel.className = "d-none";
+  panel.replaceChildren();
+}
+
+// Download the whole workspace as a JSON backup
+function downloadBackup() {
+  saveSelectedYear();
+  const backup = createBackup(budgetWorkspace);
+
+  const downloadLink = document.createElement("a");
+  downloadLink.href =
+    "data:application/json;charset=utf-8," +
+    encodeURIComponent(JSON.stringify(backup, null, 2));
+  downloadLink.download = `bucks2bar-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  downloadLink.click();
+}
+
+// Restore a JSON backup by replacing or merging into the workspace.
+// Nothing changes unless the whole file is valid.
+export function restoreBackup(text, mode = "replace") {
+  const previewMessage = reportSharedPreviewOpen("restoring a backup");
+  if (previewMessage) {
+    return [{ path: "", message: previewMessage }];
+  }
+  const { workspace, errors } = parseBackup(text);
+
+  if (errors.length) {
+    showRestoreStatus(
+      "danger",
+      "The backup could not be restored:",
+      errors.map((error) =>
+        error.path ? `${error.path}: ${error.message}` : error.message,
+      ),
+    );
+    return errors;
+  }
+
+  saveSelectedYear();
+  // Undo puts back the years, categories and rules, not the settings
+  recordBudgetChange(() => {
+    budgetWorkspace = restoreWorkspace(budgetWorkspace, workspace, mode);
+  });
+
+  showSelectedYear();
+  syncFormatControls();
+  syncChartControls();
+  applyTheme();
+  redrawChartInTheme();
+  saveBudgetWorkspace();
+
+  const yearCount = Object.keys(workspace.years).length;
+  showRestoreStatus(
+    "success",
+    `Restored ${yearCount} budget year${yearCount === 1 ? "" : "s"}.`,
+  );
+  return errors;
+}
+
+// Show the outcome of a restore above the form
+function showRestoreStatus(type, heading, details = []) {
+  const restoreStatus = document.getElementById("restoreStatus");
+  restoreStatus.className = `alert alert-${type}`;
+  restoreStatus.textContent = heading;
+
+  if (details.length) {
+    const list = document.createElement("ul");
+    list.className = "mb-0";
+    details.forEach((detail) => {
+      const item = document.createElement("li");
+      item.textContent = detail;
+      list.appendChild(item);
+    });
+    restoreStatus.appendChild(list);
+  }
+}
+
+// Build a link to the selected year's income, expenses and chart view and
+// copy it, showing it under the form as well in case copying isn't allowed.
+// Resolves to the link, or null if the form has invalid values.
+export async function createShareLink() {
+  if (!validateAndCollectData().isValid) {
+    reportInvalidForm("sharing a link");
+    return null;
+  }
+  if (!canShareBudgets()) {
+    showToast("This browser can't create share links.", { type: "danger" });
+    return null;
+  }
+
+  saveSelectedYear();
+  const { selectedYear, settings } = budgetWorkspace;
+  const { income, expense } = getBudgetYear(budgetWorkspace, selectedYear);
+  const fragment = await encodeShareFragment({
+    year: selectedYear,
+    chartView: settings.chartView,
+    income,
+    expense,
+  });
+  const link = window.location.href.split("#")[0] + fragment;
+
+  const shareLinkInput = document.getElementById("shareLinkInput");
+  shareLinkInput.value = link;
+  document.getElementById("shareLinkGroup").classList.remove("d-none");
+  try {
+    await navigator.clipboard.writeText(link);
+    showToast("Copied a link to this budget.");
+  } catch {
+    shareLinkInput.select();
+    showToast("Copy the link shown under the form to share this budget.", {
+      type: "info",
+    });
+  }
+  return link;
+}
+
+// Decode a share link and check its amounts with the same rules as the
+// form. Resolves to { snapshot, errors }.
+export async function readShareLink(hash) {
+  const { snapshot, errors } = await decodeShareFragment(
+    getShareFragmentData(hash),
+  );
+  if (errors.length) {
+    return { snapshot, errors };
+  }
+
+  const amounts = validateMonthlyAmounts(snapshot, getFormatSettings());
+  return amounts.isValid
+    ? { snapshot, errors: [] }
+    : {
+        snapshot: null,
+        errors: amounts.errors.map(
+          ({ label, message }) => `${label}: ${message}`,
+        ),
+      };
+}
+
+// Preview the budget in a "#share=…" fragment. Links that can't be read
+// are reported and leave the form as it was. Resolves to whether the
+// preview opened.
+export async function openShareLink(hash) {
+  if (getShareFragmentData(hash) === null) {
+    return false;
+  }
+  if (!canShareBudgets()) {
+    showToast("This browser can't open shared budget links.", {
+      type: "danger",
+    });
+    return false;
+  }
+
+  const { snapshot, errors } = await readShareLink(hash);
+  if (errors.length) {
+    showToast("The shared budget couldn't be opened:", {
+      type: "danger",
+      details: errors,
+    });
+    return false;
+  }
+  showSharedPreview(snapshot);
+  return true;
+}
+
+// Show a shared budget in the form in place of the workspace. Its amounts
+// are read-only and nothing is saved until it's adopted.
+function showSharedPreview(snapshot) {
+  if (!sharedPreview) {
+    saveSelectedYear();
+    sharedPreview = { workspace: budgetWorkspace, history: budgetHistory };
+  }
+  sharedPreview.snapshot = snapshot;
+
+  budgetWorkspace = createSharedWorkspace(
+    snapshot,
+    sharedPreview.workspace.settings,
+  );
+  budgetHistory = createUndoHistory();
+
+  document.getElementById("sharePreviewText").textContent =
+    `You're looking at a shared budget for ${snapshot.year}. It's read-only and isn't saved unless you add it to your budget.`;
+  document.getElementById("sharePreview").classList.remove("d-none");
+  showSelectedYear();
+  syncChartControls();
+  updateHistoryButtons();
+}
+
+// Go back to the workspace the preview replaced, dropping the fragment so
+// a reload doesn't open the preview again
+function endSharedPreview() {
+  budgetWorkspace = sharedPreview.workspace;
+  budgetHistory = sharedPreview.history;
+  sharedPreview = null;
+  // A theme picked during the preview isn't kept
+  applyTheme();
+
+  document.getElementById("sharePreview").classList.add("d-none");
+  if (getShareFragmentData(window.location.hash) !== null) {
+    window.history.replaceState(null, "", window.location.href.split("#")[0]);
+  }
+}
+
+export function closeSharedPreview() {
+  if (!sharedPreview) {
+    return;
+  }
+  endSharedPreview();
+  showSelectedYear();
+  syncChartControls();
+  updateHistoryButtons();
+  if (validateAndCollectData().isValid) {
+    renderChart();
+  }
+}
+
+// Copy the previewed year and chart view into the workspace, replacing that
+// year's income and expenses after asking. Returns false if cancelled.
+export function adoptSharedBudget() {
+  if (!sharedPreview) {
+    return false;
+  }
+  const { snapshot, workspace } = sharedPreview;
+  const { year } = snapshot;
+  const isExistingYear = Boolean(getBudgetYear(workspace, year));
+  if (
+    isExistingYear &&
+    !confirm(`Replace your ${year} income and expenses with the shared ones?`)
+  ) {
+    return false;
+  }
+
+  endSharedPreview();
+  recordBudgetChange(() => {
+    addSharedBudget(budgetWorkspace, snapshot);
+    showSelectedYear();
+    saveSelectedYear();
+  });
+  syncChartControls();
+  saveBudgetWorkspace();
+  renderChart();
+
+  // Totals that come from categories or transactions win over shared ones
+  const yearData = getBudgetYear(budgetWorkspace, year);
+  const isChanged = ["income", "expense"].some((kind) =>
+    yearData[kind].some((value, month) => value !== snapshot[kind][month]),
+  );
+  if (isChanged) {
+    showToast(
+      `Some shared amounts were replaced by the totals from your categories or transactions for ${year}.`,
+      { type: "warning" },
+    );
+  } else {
+    showToast(
+      isExistingYear
+        ? `Replaced ${year} with the shared budget.`
+        : `Added the shared budget as ${year}.`,
+    );
+  }
+  return true;
+}
+
+// Doughnut of one month's category split; hidden when the chosen kind has
+// no categories
+function renderCategoryChart(categories) {
+  const { categoryMonth, breakdownKind } = budgetWorkspace.settings;
+  const series = categories[breakdownKind];
+
+  document
+    .getElementById("categoryChartSection")
+    .classList.toggle("d-none", !series.length);
+  if (!series.length) {
+    if (categoryChartInstance) {
+      categoryChartInstance.destroy();
+      categoryChartInstance = null;
+    }
+    return;
+  }
+
+  const canvas = document.getElementById("categoryChart");
+  canvas.setAttribute(
+    "aria-label",
+    `${fullMonthNames[categoryMonth]} ${breakdownKind === "income" ? "income" : "expenses"} by category: ` +
+      series
+        .map(
+          (category) =>
+            `${category.name} ${formatMoney(category.data[categoryMonth])}`,
+        )
+        .join(", "),
+  );
+  categoryChartInstance = drawChart(
+    categoryChartInstance,
+    canvas,
+    buildCategoryChartConfig(
+      series,
+      categoryMonth,
+      breakdownKind,
+      budgetWorkspace.settings,
+      getActiveTheme(),
+    ),
+  );
+}
+
+// Fill the statistics panel under the chart
+function renderStatsPanel({ incomeData, expenseData }) {
+  const stats = calculateBudgetStats(incomeData, expenseData);
+  const statsPanel = document.getElementById("statsPanel");
+
+  const summaryRow = document.createElement("div");
+  summaryRow.className = "row g-3 mb-3";
+  [
+    ["Total income", formatMoney(stats.totals.income), "text-success"],
+    ["Total expenses", formatMoney(stats.totals.expense), "text-danger"],
+    [
+      "Net",
+      formatMoney(stats.totals.net),
+      stats.totals.net < 0 ? "text-danger" : "text-success",
+    ],
+    [
+      "Savings rate",
+      stats.savingsRate === null
+        ? "—"
+        : formatPercent(stats.savingsRate, getFormatSettings()),
+      "",
+    ],
+  ].forEach(([label, value, className]) => {
+    const column = document.createElement("div");
+    column.className = "col-6 col-md-3";
+    const card = document.createElement("div");
+    card.className = "border rounded p-2 h-100";
+    const labelElement = document.createElement("div");
+    labelElement.className = "small text-muted";
+    labelElement.textContent = label;
+    const valueElement = document.createElement("div");
+    valueElement.className = `fs-5 fw-semibold ${className}`.trim();
+    valueElement.textContent = value;
+    valueElement.dataset.stat = label;
+    card.append(labelElement, valueElement);
+    column.appendChild(card);
+    summaryRow.appendChild(column);
+  });
+
+  // Monthly average and median per series
+  const table = document.createElement("table");
+  table.className = "table table-sm mb-3";
+  table.innerHTML =
+    "<thead><tr><th>Monthly</th><th>Income</th><th>Expenses</th><th>Net</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  [
+    ["Average", stats.averages],
+    ["Median", stats.medians],
+  ].forEach(([label, values]) => {
+    const row = document.createElement("tr");
+    [
+      label,
+      formatMoney(values.income),
+      formatMoney(values.expense),
+      formatMoney(values.net),
+    ].forEach((text, index) => {
+      const cell = document.createElement(index === 0 ? "th" : "td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+
+  const monthList = document.createElement("ul");
+  monthList.className = "list-unstyled mb-0";
+  [
+    [
+      "Best month",
+      `${fullMonthNames[stats.bestMonth.month]} (${formatMoney(stats.bestMonth.net)})`,
+    ],
+    [
+      "Worst month",
+      `${fullMonthNames[stats.worstMonth.month]} (${formatMoney(stats.worstMonth.net)})`,
+    ],
+    [
+      "Expenses over income",
+      stats.deficitMonths.length
+        ? stats.deficitMonths.map((month) => monthLabels[month]).join(", ")
+        : "None",
+    ],
+  ].forEach(([label, value]) => {
+    const item = document.createElement("li");
+    const labelElement = document.createElement("strong");
+    labelElement.textContent = `${label}: `;
+    item.append(labelElement, value);
+    item.dataset.stat = label;
+    monthList.appendChild(item);
+  });
+
+  statsPanel.replaceChildren(summaryRow, table, monthList);
+  return stats;
+}
+
+// Compare the annual net and savings rate of the compared scenarios, as
+// differences from the first, under the chart in the scenarios view. Hidden
+// when data is null.
+function renderScenarioSummary(data) {
+  const section = document.getElementById("scenarioSummarySection");
+  section.classList.toggle("d-none", data === null);
+  if (data === null) {
+    return null;
+  }
+
+  const year = budgetWorkspace.selectedYear;
+  const series = getComparedScenarioSeries(data);
+  const comparison = compareScenarios(series);
+  const missing = budgetWorkspace.scenarios.filter(
+    ({ id }) =>
+      getComparedScenarioIds().includes(id) &&
+      !series.some((item) => item.id === id),
+  );
+  const notes = missing.length
+    ? [`No ${year} budget in ${missing.map(({ name }) => name).join(", ")}.`]
+    : [];
+  if (comparison.length < 2) {
+    notes.push(
+      `Tick two or more scenarios with a ${year} budget to compare them.`,
+    );
+  }
+  const noteElements = notes.map((text) => {
+    const note = document.createElement("p");
+    note.className = "text-muted mb-1";
+    note.textContent = text;
+    return note;
+  });
+  const summary = document.getElementById("scenarioSummary");
+  if (comparison.length < 2) {
+    summary.replaceChildren(...noteElements);
+    return comparison;
+  }
+
+  const formatRate = (rate) =>
+    rate === null ? "—" : formatPercent(rate, getFormatSettings());
+  const formatPoints = (points) =>
+    points === null
+      ? "—"
+      : `${points > 0 ? "+" : ""}${formatLocaleAmount(points, getFormatSettings().locale)} pts`;
+  const formatDifference = (value) =>
+    `${value > 0 ? "+" : ""}${formatMoney(value)}`;
+
+  const table = document.createElement("table");
+  table.className = "table table-sm mb-2";
+  const [baseline] = comparison;
+  const headerRow = table.createTHead().insertRow();
+  [
+    "Scenario",
+    "Income",
+    "Expenses",
+    "Annual net",
+    "Savings rate",
+    `Net vs ${baseline.name}`,
+    `Savings rate vs ${baseline.name}`,
+  ].forEach((text) => {
+    const header = document.createElement("th");
+    header.scope = "col";
+    header.textContent = text;
+    headerRow.appendChild(header);
+  });
+
+  const body = table.createTBody();
+  comparison.forEach((result, index) => {
+    const row = body.insertRow();
+    row.dataset.scenarioId = result.id;
+    [
+      result.name,
+      formatMoney(result.income),
+      formatMoney(result.expense),
+      formatMoney(result.net),
+      formatRate(result.savingsRate),
+      index ? formatDifference(result.netDifference) : "—",
+      index ? formatPoints(result.savingsRateDifference) : "—",
+    ].forEach((text, column) => {
+      const cell = document.createElement(column === 0 ? "th" : "td");
+      if (column === 0) {
+        cell.scope = "row";
+      }
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+  });
+
+  summary.replaceChildren(table, ...noteElements);
+  return comparison;
+}
+
+// Forecast for the rest of the selected year, or null when switched off
+function getForecast(data) {
+  const { selectedYear, settings } = budgetWorkspace;
+  const previousYear = findPreviousBudgetYear(budgetWorkspace, selectedYear);
+
+  return forecastBudget(
+    data,
+    getLastEnteredMonth(collectBudgetInputs()),
+    settings.forecastMethod,
+    {
+      previousYear:
+        previousYear !== null
+          ? getYearSeries(budgetWorkspace, previousYear)
+          : null,
+      openingBalance: settings.openingBalance,
+    },
+  );
+}
+
+// One line under the chart with the projected year-end balance
+function renderForecastSummary(forecast) {
+  const forecastSummary = document.getElementById("forecastSummary");
+  forecastSummary.classList.toggle("d-none", !forecast);
+  if (!forecast) {
+    forecastSummary.textContent = "";
+    return;
+  }
+
+  const { selectedYear, settings } = budgetWorkspace;
+  if (forecast.firstMonth === 12) {
+    forecastSummary.textContent = `Every month of ${selectedYear} is filled in, so there is nothing to forecast.`;
+    return;
+  }
+
+  const basis = {
+    average: `the ${FORECAST_WINDOW}-month trailing average`,
+    trend: "the linear trend",
+    lastYear: `the same months of ${findPreviousBudgetYear(budgetWorkspace, selectedYear)}`,
+  }[settings.forecastMethod];
+  const months =
+    forecast.firstMonth === 11
+      ? monthLabels[11]
+      : `${monthLabels[forecast.firstMonth]}–${monthLabels[11]}`;
+
+  forecastSummary.textContent =
+    `Projected year-end balance: ${formatMoney(forecast.yearEndBalance)} ` +
+    `(${months} projected from ${basis}).`;
+}
+
+// Show the currency and number format in the Data tab controls and the
+// table headings
+function syncFormatControls() {
+  const settings = getFormatSettings();
+
+  document.getElementById("currencySelect").value = settings.currency;
+  document.getElementById("localeSelect").value = settings.locale;
+  document.querySelectorAll(".currency-symbol").forEach((element) => {
+    element.textContent = getCurrencySymbol(settings);
+  });
+}
+
+// Switch currency or number format. The form is saved first so values typed
+// in the old format are read correctly, then shown again in the new one.
+function changeFormatSettings(changes) {
+  saveSelectedYear();
+  Object.assign(budgetWorkspace.settings, changes);
+  saveBudgetWorkspace();
+  showSelectedYear();
+  syncFormatControls();
+}
+
+// The theme to draw with: the chosen one, or the system's light or dark
+// preference for "system"
+function getActiveTheme() {
+  const prefersDark =
+    typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-color-scheme: dark)").matches;
+  return resolveTheme(budgetWorkspace.settings.theme, prefersDark);
+}
+
+// Show the workspace's theme in the page's colour mode and the theme picker
+function applyTheme() {
+  document.documentElement.dataset.bsTheme = getColorMode(getActiveTheme());
+  document.getElementById("themeSelect").value = budgetWorkspace.settings.theme;
+}
+
+// Switch themes and redraw the charts in the new colours
+function changeTheme(theme) {
+  budgetWorkspace.settings.theme = theme;
+  saveBudgetWorkspace();
+  applyTheme();
+  redrawChartInTheme();
+}
+
+// Charts already drawn take their colours from the theme, so they're drawn
+// again when it changes; the form is left alone if it has errors
+function redrawChartInTheme() {
+  if (chartInstance && validateAndCollectData().isValid) {
+    renderChart();
+  }
+}
+
+// Show the chart settings saved in the workspace in the Chart tab controls
+function syncChartControls() {
+  const { settings } = budgetWorkspace;
+
+  document.getElementById("chartViewSelect").value = settings.chartView;
+  document.getElementById("chartPaletteSelect").value = settings.chartPalette;
+  document.getElementById("liveChartCheck").checked = settings.liveChart;
+  document.getElementById("forecastMethodSelect").value =
+    settings.forecastMethod;
+  document.getElementById("breakdownKindSelect").value = settings.breakdownKind;
+  document.getElementById("categoryMonthSelect").value = String(
+    settings.categoryMonth,
+  );
+
+  const openingBalanceInput = document.getElementById("openingBalanceInput");
+  openingBalanceInput.value = String(settings.openingBalance);
+  openingBalanceInput.classList.remove("is-invalid");
+}
+
+// Render the chart for the chosen view
+export function renderChart() {
+  const data = validateAndCollectData();
+
+  if (!data.isValid) {
+    reportInvalidForm("updating the chart");
+    return;
+  }
+
+  const view = budgetWorkspace ? budgetWorkspace.settings.chartView : "grouped";
+  const forecast = budgetWorkspace ? getForecast(data) : null;
+  const chartData = { ...data, forecast };
+  const { title, config } = buildChartConfig(
+    view,
+    chartData,
+    getChartOptions(view, chartData),
+  );
+
+  if (budgetWorkspace) {
+    document.getElementById("chartTitle").textContent = title;
+    // Comparison only applies to the grouped bars; the opening balance only
+    // to the cumulative balance
+    document.getElementById("compareYearSelect").disabled = view !== "grouped";
+    document
+      .getElementById("openingBalanceGroup")
+      .classList.toggle("d-none", view !== "cumulative");
+    document
+      .getElementById("scenarioCompareGroup")
+      .classList.toggle("d-none", view !== "scenarios");
+    // "Same as last year" needs an earlier year
+    document.querySelector(
+      '#forecastMethodSelect option[value="lastYear"]',
+    ).disabled =
+      findPreviousBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear) ===
+      null;
+    renderForecastSummary(forecast);
+  }
+
+  chartInstance = drawChart(
+    chartInstance,
+    document.getElementById("budgetChart"),
+    config,
+  );
+  renderChartAlternatives(title, config, data);
+  renderStatsPanel(data);
+  if (budgetWorkspace) {
+    renderScenarioSummary(view === "scenarios" ? data : null);
+  }
+
+  if (budgetWorkspace) {
+    renderCategoryChart(data.categories);
+  }
+}
+
+// Redraw the chart shortly after the last edit when live updates are on.
+// Only a chart that has been drawn is updated, and it is left as it is
+// while the form has invalid values.
+function scheduleLiveChartUpdate() {
+  if (!budgetWorkspace.settings.liveChart || !chartInstance) {
+    return;
+  }
+
+  clearTimeout(liveChartTimer);
+  liveChartTimer = setTimeout(function () {
+    liveChartTimer = null;
+    if (validateAndCollectData().isValid) {
+      renderChart();
+    }
+  }, LIVE_CHART_DELAY);
+}
+
+// Text versions of the chart for screen readers and keyboard users: a label
+// on the canvas, a summary of the year's trends and a table of the plotted
+// values
+function renderChartAlternatives(title, config, data) {
+  document
+    .getElementById("budgetChart")
+    .setAttribute(
+      "aria-label",
+      `${title} chart. Use the arrow keys to move between values; the data table lists them all.`,
+    );
+  chartFocus = null;
+  document.getElementById("chartAnnouncer").textContent = "";
+  document.getElementById("chartSummary").textContent =
+    describeBudgetTrends(data).join(" ");
+  renderChartDataTable(title, config.data);
+}
+
+// Full month name for a chart label such as "Mar"; other labels as they are
+function getChartLabelName(label) {
+  const month = monthLabels.indexOf(label);
+  return month === -1 ? label : fullMonthNames[month];
+}
+
+// Sentences describing the year: whether income and expenses rose or fell
+// between the two halves of the year, their peak months, the months
+// expenses were higher than income and the net savings
+function describeBudgetTrends({ incomeData, expenseData }) {
+  const stats = calculateBudgetStats(incomeData, expenseData);
+  const sentences = [];
+
+  [
+    ["Income", incomeData],
+    ["Expenses", expenseData],
+  ].forEach(([name, values]) => {
+    const { first, second, direction } = getHalfYearTrend(values);
+    if (direction === "flat") {
+      sentences.push(
+        `${name} held steady at about ${formatMoney(roundToCents((first + second) / 2))} a month.`,
+      );
     } else {
-      // Valid input
-      incomeData.push(parseFloat(value));
-      input.classList.remove("is-invalid");
+      sentences.push(
+        `${name} ${direction === "up" ? "rose" : "fell"} from an average of ${formatMoney(first)} a month in January to June to ${formatMoney(second)} in July to December.`,
+      );
     }
+
+    const highest = Math.max(...values);
+    if (highest > 0) {
+      sentences.push(
+        `${name} peaked in ${fullMonthNames[values.indexOf(highest)]} at ${formatMoney(highest)}.`,
+      );
+    }
+  });
+
+  sentences.push(
+    stats.deficitMonths.length
+      ? `Expenses were higher than income in ${stats.deficitMonths.map((month) => fullMonthNames[month]).join(", ")}.`
+      : "Income covered expenses every month.",
+    `Net savings for the year are ${formatMoney(stats.totals.net)}.`,
+  );
+  return sentences;
+}
+
+// The plotted values as a table with a row per label and a column per
+// dataset
+function renderChartDataTable(title, chartData) {
+  const { columns, rows } = buildChartTable(chartData);
+  const table = document.createElement("table");
+  table.className = "table table-sm table-striped w-auto";
+  table.createCaption().textContent = `${title} data`;
+
+  const headerRow = table.createTHead().insertRow();
+  const isMonthly = monthLabels.includes(chartData.labels[0]);
+  [isMonthly ? "Month" : "", ...columns].forEach((text) => {
+    const header = document.createElement("th");
+    header.scope = "col";
+    header.textContent = text;
+    headerRow.appendChild(header);
+  });
+
+  const body = table.createTBody();
+  rows.forEach(({ label, values }) => {
+    const row = body.insertRow();
+    const header = document.createElement("th");
+    header.scope = "row";
+    header.textContent = getChartLabelName(label);
+    row.appendChild(header);
+    values.forEach((value) => {
+      row.insertCell().textContent = value === null ? "—" : formatMoney(value);
+    });
+  });
+
+  document.getElementById("chartDataTable").replaceChildren(table);
+}
+
+// Move between the chart's values with the arrow keys, Home and End,
+// highlighting the value and announcing it
+function handleChartKeydown(event) {
+  if (!chartInstance) {
+    return;
+  }
+  const { labels, datasets } = chartInstance.config.data;
+  const next = moveChartFocus(chartFocus, event.key, {
+    pointCount: labels.length,
+    visibleDatasets: getVisibleDatasetIndexes(chartInstance),
+  });
+  if (!next) {
+    return;
+  }
+
+  event.preventDefault();
+  chartFocus = next;
+  highlightChartPoints(chartInstance, [next]);
+  const dataset = datasets[next.datasetIndex];
+  const value = dataset.data[next.index];
+  document.getElementById("chartAnnouncer").textContent =
+    `${getChartLabelName(labels[next.index])}, ${dataset.label}: ` +
+    `${typeof value === "number" ? formatMoney(value) : "no value"}. ` +
+    `${next.index + 1} of ${labels.length}.`;
+}
+
+// Draw the Chart tab's view off screen at a fixed size, on a detached
+// <canvas> unless another canvas-like object (such as an SVG canvas) is
+// given. A background colour is painted under the chart; without one it
+// stays transparent. The caller destroys the returned chart.
+function createOffscreenChart(
+  data,
+  {
+    width,
+    height,
+    pixelRatio = window.devicePixelRatio || 1,
+    background = null,
+    canvas = document.createElement("canvas"),
+  },
+) {
+  const view = budgetWorkspace.settings.chartView;
+  const chartData = { ...data, forecast: getForecast(data) };
+  // Exported and printed charts are drawn in the light theme, like paper
+  const { title, config } = buildChartConfig(view, chartData, {
+    ...getChartOptions(view, chartData),
+    theme: "light",
+  });
+  const chart = drawFixedSizeChart(canvas, config, {
+    width,
+    height,
+    pixelRatio,
+    background,
+  });
+  return { title, chart };
+}
+
+// The Chart tab's view as an image, so the report doesn't depend on the
+// Chart tab being shown
+function createReportChartImage(data) {
+  const { title, chart } = createOffscreenChart(data, {
+    width: 960,
+    height: 480,
   });
+  const image = chart.toBase64Image();
+  chart.destroy();
+  return { title, image };
+}
+
+// Options chosen in the export dialog
+function readExportOptions() {
+  const format = document.getElementById("exportFormatSelect").value;
+  const transparentCheck = document.getElementById("exportTransparentCheck");
+  // JPEG has no transparency
+  const isTransparent = format !== "jpeg" && transparentCheck.checked;
+  return {
+    format,
+    size: document.getElementById("exportSizeSelect").value,
+    custom: {
+      width: document.getElementById("exportWidthInput").value,
+      height: document.getElementById("exportHeightInput").value,
+    },
+    background: isTransparent
+      ? null
+      : document.getElementById("exportBackgroundInput").value,
+    filename: document.getElementById("exportFilenameInput").value,
+  };
+}
 
-  // Validate and collect expense data
-  expenseInputs.forEach((input) => {
-    const value = input.value.trim();
+// Show the custom size fields and the transparency choice only when they
+// apply
+function updateExportDialog() {
+  const { format, size } = readExportOptions();
+  document
+    .getElementById("exportCustomSize")
+    .classList.toggle("d-none", size !== "custom");
+  const transparentCheck = document.getElementById("exportTransparentCheck");
+  transparentCheck.disabled = format === "jpeg";
+  document.getElementById("exportBackgroundInput").disabled =
+    format !== "jpeg" && transparentCheck.checked;
+  showChartExportStatus("");
+}
 
-    if (value === "") {
-      // Empty input defaults to 0
-      expenseData.push(0);
-      input.classList.remove("is-invalid");
-    } else if (isNaN(value) || parseFloat(value) < 0) {
-      // Invalid input
-      input.classList.add("is-invalid");
-      isValid = false;
-      expenseData.push(0);
-    } else {
-      // Valid input
-      expenseData.push(parseFloat(value));
-      input.classList.remove("is-invalid");
-    }
+// An inline message in the export dialog; an empty message hides it
+function showChartExportStatus(message, type = "danger") {
+  const status = document.getElementById("chartExportStatus");
+  status.textContent = message;
+  status.className = message ? `alert alert-${type} py-2 mb-0` : "d-none";
+}
+
+// Render the chart with the dialog's options and return { dataUrl, filename },
+// or { error } when there's nothing to export
+function createChartExport(options) {
+  const data = validateAndCollectData();
+  if (!data.isValid) {
+    return { error: "Fix the highlighted values before exporting the chart." };
+  }
+
+  const chartCanvas = document.getElementById("budgetChart");
+  const screenSize =
+    chartInstance && chartCanvas.clientWidth
+      ? { width: chartCanvas.clientWidth, height: chartCanvas.clientHeight }
+      : null;
+  const size = getExportSize(options.size, screenSize, options.custom);
+  if (size.error) {
+    return { error: size.error };
+  }
+
+  const isSvg = options.format === "svg";
+  // Vector output has no pixel density
+  const svgCanvas = isSvg ? createSvgCanvas(size.width, size.height) : null;
+  const { chart } = createOffscreenChart(data, {
+    ...size,
+    pixelRatio: isSvg ? 1 : size.pixelRatio,
+    background: options.background,
+    ...(isSvg ? { canvas: svgCanvas } : {}),
   });
+  const { mimeType } = EXPORT_FORMATS[options.format];
+  const dataUrl = isSvg
+    ? `data:${mimeType};charset=utf-8,${encodeURIComponent(svgCanvas.toSvg())}`
+    : chart.toBase64Image(mimeType, 0.92);
+  chart.destroy();
 
-  return { isValid, incomeData, expenseData };
+  const { selectedYear, settings } = budgetWorkspace;
+  const filename = formatExportFilename(
+    options.filename,
+    {
+      year: selectedYear,
+      view: settings.chartView,
+      date: new Date().toISOString().slice(0, 10),
+    },
+    options.format,
+  );
+  return { dataUrl, filename };
 }
 
-// Render the bar chart
-function renderChart() {
-  const { isValid, incomeData, expenseData } = validateAndCollectData();
+function hideChartExportDialog() {
+  const modal = document.getElementById("chartExportModal");
+  if (window.bootstrap) {
+    window.bootstrap.Modal.getOrCreateInstance(modal).hide();
+  }
+}
 
-  if (!isValid) {
-    alert("Please fix the validation errors before updating the chart.");
+function exportChart() {
+  const { dataUrl, filename, error } = createChartExport(readExportOptions());
+  if (error) {
+    showChartExportStatus(error);
     return;
   }
 
-  const ctx = document.getElementById("budgetChart").getContext("2d");
+  const downloadLink = document.createElement("a");
+  downloadLink.href = dataUrl;
+  downloadLink.download = filename;
+  downloadLink.click();
+  hideChartExportDialog();
+  showToast(`Downloaded ${filename}.`);
+}
 
-  // Destroy existing chart if it exists
-  if (chartInstance) {
-    chartInstance.destroy();
+// Copy the chart as a PNG, the image type browsers can put on the clipboard
+export async function copyChartToClipboard() {
+  if (
+    !navigator.clipboard ||
+    !navigator.clipboard.write ||
+    typeof ClipboardItem === "undefined"
+  ) {
+    showChartExportStatus(
+      "This browser can't copy images. Download the chart instead.",
+    );
+    return;
+  }
+  const { dataUrl, error } = createChartExport({
+    ...readExportOptions(),
+    format: "png",
+  });
+  if (error) {
+    showChartExportStatus(error);
+    return;
   }
 
-  // Create new chart with grouped bars
-  chartInstance = new Chart(ctx, {
-    type: "bar",
-    data: {
-      labels: monthLabels,
-      datasets: [
-        {
-          label: "Income",
-          data: incomeData,
-          backgroundColor: "rgba(40, 167, 69, 0.7)",
-          borderColor: "rgba(40, 167, 69, 1)",
-          borderWidth: 1,
-        },
-        {
-          label: "Expenses",
-          data: expenseData,
-          backgroundColor: "rgba(220, 53, 69, 0.7)",
-          borderColor: "rgba(220, 53, 69, 1)",
-          borderWidth: 1,
-        },
-      ],
-    },
-    options: {
-      responsive: true,
-      scales: {
-        y: {
-          beginAtZero: true,
-          ticks: {
-            callback: function (value) {
-              return "$" + value.toLocaleString();
-            },
-          },
-        },
-      },
-      plugins: {
-        legend: {
-          display: true,
-          position: "top",
-        },
-        tooltip: {
-          callbacks: {
-            label: function (context) {
-              return (
-                context.dataset.label +
-                ": $" +
-                context.parsed.y.toLocaleString()
-              );
-            },
-          },
-        },
-      },
-    },
+  try {
+    await navigator.clipboard.write([
+      new ClipboardItem({ "image/png": dataUrlToBlob(dataUrl) }),
+    ]);
+    showChartExportStatus("Chart copied to the clipboard.", "success");
+  } catch {
+    showChartExportStatus(
+      "The chart couldn't be copied. Allow clipboard access or download it instead.",
+    );
+  }
+}
+
+// Build the printable report for the selected year: a header, the chart,
+// summary totals and the monthly table with its net column. Returns false
+// if the form has invalid values.
+export function renderReport() {
+  const reportContent = document.getElementById("reportContent");
+  const data = validateAndCollectData();
+  if (!data.isValid) {
+    const message = document.createElement("p");
+    message.className = "alert alert-warning";
+    message.textContent =
+      "Fix the highlighted values on the Data tab to see the report.";
+    reportContent.replaceChildren(message);
+    return false;
+  }
+
+  const { selectedYear, settings } = budgetWorkspace;
+  const { rows, stats } = buildAnnualReport(data);
+  const createElement = (tagName, className, text) => {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  };
+
+  const header = createElement("header", "report-header mb-4");
+  header.append(
+    createElement("h2", "mb-1", `Budget Report ${selectedYear}`),
+    createElement(
+      "p",
+      "text-muted mb-2",
+      `Generated ${formatReportDate(new Date(), settings)} · Amounts in ${settings.currency}`,
+    ),
+  );
+
+  const chartSection = createElement("section", "report-section mb-4");
+  const { title, image } = createReportChartImage(data);
+  const chartImage = document.createElement("img");
+  chartImage.className = "img-fluid";
+  chartImage.src = image;
+  chartImage.alt = `${title} chart`;
+  chartSection.append(createElement("h5", "", title), chartImage);
+
+  const summarySection = createElement("section", "report-section mb-4");
+  const summaryTable = createElement("table", "table table-sm w-auto mb-0");
+  const summaryBody = summaryTable.createTBody();
+  [
+    ["Total income", formatMoney(stats.totals.income)],
+    ["Total expenses", formatMoney(stats.totals.expense)],
+    ["Net", formatMoney(stats.totals.net)],
+    [
+      "Savings rate",
+      stats.savingsRate === null
+        ? "—"
+        : formatPercent(stats.savingsRate, settings),
+    ],
+    [
+      "Best month",
+      `${fullMonthNames[stats.bestMonth.month]} (${formatMoney(stats.bestMonth.net)})`,
+    ],
+    [
+      "Worst month",
+      `${fullMonthNames[stats.worstMonth.month]} (${formatMoney(stats.worstMonth.net)})`,
+    ],
+  ].forEach(([label, value]) => {
+    const row = summaryBody.insertRow();
+    row.appendChild(createElement("th", "pe-4", label));
+    row.insertCell().textContent = value;
+  });
+  summarySection.append(createElement("h5", "", "Summary"), summaryTable);
+
+  // The monthly table starts a new page when printed
+  const monthSection = createElement(
+    "section",
+    "report-section report-page-break mb-4",
+  );
+  const monthTable = createElement("table", "table table-sm mb-0");
+  const headerRow = monthTable.createTHead().insertRow();
+  ["Month", "Income", "Expenses", "Net"].forEach((text) => {
+    headerRow.appendChild(createElement("th", "", text));
   });
+  const monthBody = monthTable.createTBody();
+  rows.forEach(({ month, income, expense, net }) => {
+    const row = monthBody.insertRow();
+    row.insertCell().textContent = fullMonthNames[month];
+    row.insertCell().textContent = formatMoney(income);
+    row.insertCell().textContent = formatMoney(expense);
+    const netCell = row.insertCell();
+    netCell.textContent = formatMoney(net);
+    netCell.className = net < 0 ? "text-danger" : "";
+  });
+  const totalRow = monthTable.createTFoot().insertRow();
+  totalRow.className = "fw-semibold";
+  [
+    "Total",
+    formatMoney(stats.totals.income),
+    formatMoney(stats.totals.expense),
+    formatMoney(stats.totals.net),
+  ].forEach((text) => {
+    totalRow.insertCell().textContent = text;
+  });
+  monthSection.append(createElement("h5", "", "Monthly figures"), monthTable);
+
+  reportContent.replaceChildren(
+    header,
+    chartSection,
+    summarySection,
+    monthSection,
+  );
+  renderReportNotes();
+  return true;
+}
+
+// Show the selected year's notes at the end of the report; the section is
+// left out when there are none
+function renderReportNotes() {
+  const notes =
+    getBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear).notes || "";
+  document.getElementById("reportNotesText").textContent = notes;
+  document
+    .getElementById("reportNotes")
+    .classList.toggle("d-none", notes.trim() === "");
+}
+
+function printReport() {
+  if (!renderReport()) {
+    reportInvalidForm("printing the report");
+    return;
+  }
+  window.print();
+}
+
+// The service worker that keeps the app working offline, when the page is
+// served over HTTP(S). Resolves to its registration, or null without one.
+async function registerServiceWorker() {
+  if (
+    !("serviceWorker" in navigator) ||
+    !/^https?:$/.test(window.location.protocol)
+  ) {
+    return null;
+  }
+  try {
+    const registration = await navigator.serviceWorker.register("sw.js", {
+      type: "module",
+    });
+    watchForShellUpdate(
+      registration,
+      navigator.serviceWorker,
+      showUpdatePrompt,
+    );
+    return registration;
+  } catch (error) {
+    console.warn("Could not set up offline use.", error);
+    return null;
+  }
+}
+
+// A new version waits until asked to take over, so the open page keeps
+// running one version's files
+function showUpdatePrompt(worker) {
+  waitingServiceWorker = worker;
+  document.getElementById("updatePrompt").classList.remove("d-none");
+}
+
+// Let the waiting version take over and reload into it. The budget is
+// saved on every edit, so nothing is lost.
+function reloadIntoUpdate() {
+  if (!waitingServiceWorker) {
+    return;
+  }
+  navigator.serviceWorker.addEventListener(
+    "controllerchange",
+    () => window.location.reload(),
+    { once: true },
+  );
+  waitingServiceWorker.postMessage(SKIP_WAITING_MESSAGE);
+}
+
+function dismissUpdatePrompt() {
+  document.getElementById("updatePrompt").classList.add("d-none");
 }
 
 window.onload = function () {
+  // Restore saved years and save again on every edit
+  initBudgetWorkspace();
+
+  // Page and chart theme; "system" follows the system's light or dark
+  // preference as it changes
+  applyTheme();
+  const themeSelect = document.getElementById("themeSelect");
+  themeSelect.addEventListener("change", function () {
+    changeTheme(themeSelect.value);
+  });
+  if (typeof window.matchMedia === "function") {
+    window
+      .matchMedia("(prefers-color-scheme: dark)")
+      .addEventListener("change", function () {
+        if (budgetWorkspace.settings.theme === "system") {
+          applyTheme();
+          redrawChartInTheme();
+        }
+      });
+  }
+
+  // Amount inputs that feed the totals, warnings and recurring markers
+  const isAmountInput = (element) =>
+    ["category-input", "income-input", "expense-input", "target-input"].some(
+      (className) => element.classList.contains(className),
+    );
+  const budgetForm = document.getElementById("budgetForm");
+  budgetForm.addEventListener("input", function (event) {
+    // Recurring rules have their own handler below
+    if (event.target.classList.contains("recurring-input")) {
+      return;
+    }
+    // Keep categorised totals, over-budget warnings, recurring markers and
+    // error messages current while typing
+    recordBudgetChange(() => {
+      if (isAmountInput(event.target)) {
+        validateAndCollectData();
+      }
+      saveSelectedYear();
+    }, event.target.id);
+  });
+  // Spreadsheet-style editing of the income and expense grid: arrow keys
+  // move between cells (left and right once the caret reaches the end of
+  // the value), Shift extends the selection, Ctrl+D and Ctrl+R fill down and
+  // right, and a pasted block fills several cells
+  budgetForm.addEventListener("keydown", function (event) {
+    const cell = getGridCell(event.target);
+    if (!cell) {
+      return;
+    }
+
+    const key = event.key.toLowerCase();
+    if ((event.ctrlKey || event.metaKey) && ["d", "r"].includes(key)) {
+      event.preventDefault();
+      if (key === "d") {
+        fillGridDown();
+      } else {
+        fillGridRight();
+      }
+      return;
+    }
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+
+    const { selectionStart, selectionEnd, value } = event.target;
+    if (
+      (event.key === "ArrowLeft" && selectionEnd !== 0) ||
+      (event.key === "ArrowRight" && selectionStart !== value.length)
+    ) {
+      return;
+    }
+    const from = event.shiftKey && gridSelection ? gridSelection.focus : cell;
+    const next = moveGridCell(from, event.key, {
+      rows: monthLabels.length,
+      columns: CATEGORY_KINDS.length,
+    });
+    if (!next) {
+      return;
+    }
+
+    event.preventDefault();
+    selectGridCells(
+      event.shiftKey && gridSelection ? gridSelection.anchor : next,
+      next,
+    );
+    getGridInputs()[next.column][next.row].focus();
+  });
+  budgetForm.addEventListener("mousedown", function (event) {
+    const cell = getGridCell(event.target);
+    if (cell) {
+      selectGridCells(
+        event.shiftKey && gridSelection ? gridSelection.anchor : cell,
+        cell,
+      );
+    }
+  });
+  // Tabbing into a cell selects it; arrow keys and clicks select before
+  // moving focus
+  budgetForm.addEventListener("focusin", function (event) {
+    const cell = getGridCell(event.target);
+    const isSelected =
+      gridSelection &&
+      cell &&
+      gridSelection.focus.row === cell.row &&
+      gridSelection.focus.column === cell.column;
+    if (cell && !isSelected) {
+      selectGridCells(cell);
+    }
+  });
+  budgetForm.addEventListener("paste", function (event) {
+    const text = event.clipboardData
+      ? event.clipboardData.getData("text/plain")
+      : "";
+    if (pasteIntoGrid(event.target, text)) {
+      event.preventDefault();
+    }
+  });
+  document
+    .getElementById("fillDownBtn")
+    .addEventListener("click", fillGridDown);
+  document
+    .getElementById("fillRightBtn")
+    .addEventListener("click", fillGridRight);
+  document
+    .getElementById("copyJanuaryBtn")
+    .addEventListener("click", copyJanuaryToAllMonths);
+  document
+    .getElementById("applyPercentBtn")
+    .addEventListener("click", changeSelectionByPercent);
+
+  // Check a value again when leaving it, e.g. after a paste
+  budgetForm.addEventListener("focusout", function (event) {
+    if (isAmountInput(event.target)) {
+      validateAndCollectData();
+    }
+  });
+
+  // Links in the error summary move focus to the field they describe
+  document
+    .getElementById("formErrorSummary")
+    .addEventListener("click", function (event) {
+      const link = event.target.closest("[data-focus-input]");
+      const input = link && document.getElementById(link.dataset.focusInput);
+      if (input) {
+        event.preventDefault();
+        focusFormInput(input);
+      }
+    });
+
+  // Undo and redo buttons and shortcuts. Text fields that aren't part of
+  // the budget, like the new category name, keep the browser's own undo.
+  document
+    .getElementById("undoBtn")
+    .addEventListener("click", undoBudgetChange);
+  document
+    .getElementById("redoBtn")
+    .addEventListener("click", redoBudgetChange);
+  document.addEventListener("keydown", function (event) {
+    const key = event.key.toLowerCase();
+    if (!(event.ctrlKey || event.metaKey) || !["z", "y"].includes(key)) {
+      return;
+    }
+    const { target } = event;
+    const isTextField =
+      target.matches("textarea, input:not([type=checkbox], [type=file])") &&
+      target.id !== "reportNotesInput" &&
+      !isAmountInput(target) &&
+      !target.closest("#ledgerTable, #recurringTable");
+    if (isTextField) {
+      return;
+    }
+
+    event.preventDefault();
+    if (key === "y" || event.shiftKey) {
+      redoBudgetChange();
+    } else {
+      undoBudgetChange();
+    }
+  });
+
+  // Year selector and add/remove year buttons
+  const yearSelect = document.getElementById("yearSelect");
+  yearSelect.addEventListener("change", function () {
+    switchBudgetYear(Number(yearSelect.value));
+  });
+
+  const addYearBtn = document.getElementById("addYearBtn");
+  addYearBtn.addEventListener("click", function () {
+    if (reportSharedPreviewOpen("adding a year")) {
+      return;
+    }
+    recordBudgetChange(() => {
+      const newYearInput = document.getElementById("newYearInput");
+      const year = Number(newYearInput.value);
+
+      if (!addBudgetYear(budgetWorkspace, year)) {
+        showFieldError(
+          newYearInput,
+          `Enter a year between ${MIN_BUDGET_YEAR} and ${MAX_BUDGET_YEAR} that hasn't been added yet.`,
+        );
+        newYearInput.focus();
+        return;
+      }
+
+      showFieldError(newYearInput, "");
+      newYearInput.value = "";
+      // Recurring rules fill in the new year straight away
+      applyRecurringRules(budgetWorkspace);
+      switchBudgetYear(year);
+    });
+  });
+
+  const removeYearBtn = document.getElementById("removeYearBtn");
+  removeYearBtn.addEventListener("click", function () {
+    const year = budgetWorkspace.selectedYear;
+
+    if (reportSharedPreviewOpen("deleting a year")) {
+      return;
+    }
+    if (listBudgetYears(budgetWorkspace).length === 1) {
+      showToast("At least one budget year is required.", { type: "warning" });
+      return;
+    }
+    if (!confirm(`Delete all budget data for ${year}?`)) {
+      return;
+    }
+
+    recordBudgetChange(() => {
+      removeBudgetYear(budgetWorkspace, year);
+      showSelectedYear();
+      saveBudgetWorkspace();
+    });
+  });
+
+  // Scenarios: a new one starts as a copy of the scenario being edited
+  const scenarioNameInput = document.getElementById("scenarioNameInput");
+  document
+    .getElementById("addScenarioBtn")
+    .addEventListener("click", function () {
+      if (reportSharedPreviewOpen("adding a scenario")) {
+        return;
+      }
+      const error = getScenarioNameError(
+        budgetWorkspace,
+        scenarioNameInput.value,
+      );
+      showFieldError(scenarioNameInput, error);
+      if (error) {
+        scenarioNameInput.focus();
+        return;
+      }
+
+      recordBudgetChange(() => {
+        saveSelectedYear();
+        addScenario(budgetWorkspace, scenarioNameInput.value);
+        showSelectedYear();
+        saveBudgetWorkspace();
+      });
+      scenarioNameInput.value = "";
+    });
+
+  const scenarioTable = document.getElementById("scenarioTable");
+  scenarioTable.addEventListener("click", function (event) {
+    const button = event.target.closest("button");
+    if (!button) {
+      return;
+    }
+    const {
+      editScenario,
+      duplicateScenario: sourceId,
+      deleteScenario,
+    } = button.dataset;
+
+    if (reportSharedPreviewOpen("changing scenarios")) {
+      return;
+    }
+    if (editScenario) {
+      switchBudgetScenario(editScenario);
+    } else if (sourceId) {
+      recordBudgetChange(() => {
+        saveSelectedYear();
+        copyScenario(budgetWorkspace, sourceId);
+        renderScenarioTable();
+        saveBudgetWorkspace();
+      });
+    } else if (deleteScenario) {
+      const { name } = getScenario(budgetWorkspace, deleteScenario);
+      if (!confirm(`Delete the "${name}" scenario and all its budget years?`)) {
+        return;
+      }
+      recordBudgetChange(() => {
+        saveSelectedYear();
+        removeScenario(budgetWorkspace, deleteScenario);
+        showSelectedYear();
+        saveBudgetWorkspace();
+      });
+    }
+  });
+
+  // Names are saved when the field is left, so an unfinished name isn't
+  // checked against the others
+  scenarioTable.addEventListener("change", function (event) {
+    const input = event.target;
+    if (!input.classList.contains("scenario-name-input")) {
+      return;
+    }
+    const id = input.dataset.scenarioId;
+    if (reportSharedPreviewOpen("renaming a scenario")) {
+      input.value = getScenario(budgetWorkspace, id).name;
+      return;
+    }
+    const error = getScenarioNameError(budgetWorkspace, input.value, id);
+    showFieldError(input, error);
+    if (error) {
+      return;
+    }
+
+    recordBudgetChange(() => {
+      renameScenario(budgetWorkspace, id, input.value);
+      saveBudgetWorkspace();
+    });
+
+    // Relabel the row in place so focus stays where it moved to
+    const { name } = getScenario(budgetWorkspace, id);
+    input.value = name;
+    input.setAttribute("aria-label", `Name of the ${name} scenario`);
+    input
+      .closest("tr")
+      .querySelectorAll("button")
+      .forEach((button) => {
+        button.setAttribute("aria-label", `${button.textContent} ${name}`);
+      });
+    document.querySelector(`label[for="scenario-compare-${id}"]`).textContent =
+      name;
+  });
+
+  document
+    .getElementById("scenarioCompareList")
+    .addEventListener("change", function () {
+      budgetWorkspace.settings.compareScenarios = Array.from(
+        document.querySelectorAll(".scenario-compare-check:checked"),
+        (checkbox) => checkbox.value,
+      );
+      saveBudgetWorkspace();
+      renderChart();
+    });
+
+  // Category management
+  const addCategoryBtn = document.getElementById("addCategoryBtn");
+  addCategoryBtn.addEventListener("click", function () {
+    if (reportSharedPreviewOpen("adding a category")) {
+      return;
+    }
+    recordBudgetChange(() => {
+      const categoryNameInput = document.getElementById("categoryNameInput");
+      const kind = document.getElementById("categoryKindSelect").value;
+
+      saveSelectedYear();
+      if (!addCategory(budgetWorkspace, kind, categoryNameInput.value)) {
+        showFieldError(
+          categoryNameInput,
+          "Enter a category name that isn't already in use.",
+        );
+        categoryNameInput.focus();
+        return;
+      }
+
+      showFieldError(categoryNameInput, "");
+      categoryNameInput.value = "";
+      showSelectedYear();
+      saveBudgetWorkspace();
+    });
+  });
+
+  const categoryTable = document.getElementById("categoryTable");
+  categoryTable.addEventListener("click", function (event) {
+    const removeButton = event.target.closest("[data-remove-category]");
+    if (!removeButton || reportSharedPreviewOpen("removing a category")) {
+      return;
+    }
+
+    const { removeCategory: id, kind } = removeButton.dataset;
+    const category = budgetWorkspace.categories[kind].find(
+      (item) => item.id === id,
+    );
+    if (
+      !confirm(
+        `Remove the "${category.name}" category and its values in every year?`,
+      )
+    ) {
+      return;
+    }
+
+    recordBudgetChange(() => {
+      saveSelectedYear();
+      removeCategory(budgetWorkspace, kind, id);
+      showSelectedYear();
+      saveBudgetWorkspace();
+    });
+  });
+
+  // Transaction ledger
+  const ledgerMonthFilter = document.getElementById("ledgerMonthFilter");
+  ledgerMonthFilter.replaceChildren(
+    new Option("All months", "all"),
+    ...fullMonthNames.map((name, month) => new Option(name, month)),
+  );
+  ["ledgerMonthFilter", "ledgerCategoryFilter", "ledgerSortSelect"].forEach(
+    (id) => {
+      document.getElementById(id).addEventListener("change", renderLedgerTable);
+    },
+  );
+
+  const addTransactionBtn = document.getElementById("addTransactionBtn");
+  addTransactionBtn.addEventListener("click", function () {
+    if (reportSharedPreviewOpen("adding a transaction")) {
+      return;
+    }
+    const year = budgetWorkspace.selectedYear;
+    // New entries go in the filtered month and category, so they stay in view
+    const fields = getNewTransactionFields(budgetWorkspace, year, {
+      month:
+        ledgerMonthFilter.value === "all"
+          ? null
+          : Number(ledgerMonthFilter.value),
+      categoryId: document.getElementById("ledgerCategoryFilter").value,
+    });
+
+    const transaction = recordBudgetChange(() => {
+      saveSelectedYear();
+      const added = addTransaction(budgetWorkspace, year, fields);
+      showSelectedYear();
+      saveSelectedYear();
+      return added;
+    });
+
+    const amountInput = document.querySelector(
+      `#ledgerTable [data-transaction-id="${transaction.id}"][data-field="amount"]`,
+    );
+    if (amountInput) {
+      amountInput.focus();
+    }
+  });
+
+  const ledgerTable = document.getElementById("ledgerTable");
+  ledgerTable.addEventListener("input", function (event) {
+    const { transactionId, field } = event.target.dataset;
+    const transaction = getYearTransactions(
+      budgetWorkspace,
+      budgetWorkspace.selectedYear,
+    ).find(({ id }) => id === transactionId);
+    if (!transaction || !field) {
+      return;
+    }
+
+    recordBudgetChange(() => {
+      transaction[field] =
+        field === "amount" ? readAmountInput(event.target) : event.target.value;
+      // The category list depends on the type
+      if (field === "type") {
+        transaction.categoryId = "";
+        renderLedgerTable();
+      }
+      validateAndCollectData();
+      saveSelectedYear();
+    }, event.target.id);
+  });
+
+  ledgerTable.addEventListener("click", function (event) {
+    const removeButton = event.target.closest("[data-remove-transaction]");
+    if (!removeButton || reportSharedPreviewOpen("deleting a transaction")) {
+      return;
+    }
+
+    recordBudgetChange(() => {
+      saveSelectedYear();
+      removeTransaction(
+        budgetWorkspace,
+        budgetWorkspace.selectedYear,
+        removeButton.dataset.removeTransaction,
+      );
+      // Deleting the last entry leaves its totals as plain monthly values
+      showSelectedYear();
+      saveSelectedYear();
+    });
+  });
+
+  // Bank statement import, applied once the preview is confirmed
+  const importStatementInput = document.getElementById("importStatementInput");
+  const importStatementBtn = document.getElementById("importStatementBtn");
+  importStatementBtn.addEventListener("click", function () {
+    importStatementInput.click();
+  });
+  importStatementInput.addEventListener("change", async function () {
+    const [file] = importStatementInput.files;
+    if (!file) {
+      return;
+    }
+
+    previewStatementImport(await file.text(), file.name);
+    importStatementInput.value = "";
+  });
+
+  const statementPreview = document.getElementById("statementPreview");
+  statementPreview.addEventListener("click", function (event) {
+    if (event.target.id === "confirmStatementBtn") {
+      confirmStatementImport();
+    } else if (event.target.id === "cancelStatementBtn") {
+      cancelStatementImport();
+    }
+  });
+
+  // Recurring rules
+  const addRecurringRuleBtn = document.getElementById("addRecurringRuleBtn");
+  addRecurringRuleBtn.addEventListener("click", function () {
+    if (reportSharedPreviewOpen("adding a recurring rule")) {
+      return;
+    }
+    recordBudgetChange(() => {
+      saveSelectedYear();
+      addRecurringRule(budgetWorkspace, budgetWorkspace.selectedYear);
+      showSelectedYear();
+      saveBudgetWorkspace();
+    });
+  });
+
+  const resetOverridesBtn = document.getElementById("resetOverridesBtn");
+  resetOverridesBtn.addEventListener("click", function () {
+    if (reportSharedPreviewOpen("resetting recurring values")) {
+      return;
+    }
+    recordBudgetChange(() => {
+      resetRecurringOverrides(budgetWorkspace, budgetWorkspace.selectedYear);
+      regenerateRecurringValues();
+    });
+  });
+
+  const recurringTable = document.getElementById("recurringTable");
+  recurringTable.addEventListener("input", function (event) {
+    const { ruleId, field } = event.target.dataset;
+    const rule = (budgetWorkspace.recurringRules || []).find(
+      ({ id }) => id === ruleId,
+    );
+    if (!rule || !field) {
+      return;
+    }
+
+    changeRecurringRules(() => {
+      rule[field] = ["amount", "increase"].includes(field)
+        ? readAmountInput(event.target)
+        : event.target.value;
+      // The category list and interval input depend on the type and frequency
+      if (field === "type") {
+        rule.categoryId = "";
+      }
+      if (field === "type" || field === "frequency") {
+        renderRecurringTable();
+      }
+    }, `rule-${ruleId}-${field}`);
+  });
+
+  recurringTable.addEventListener("click", function (event) {
+    const removeButton = event.target.closest("[data-remove-rule]");
+    if (!removeButton || reportSharedPreviewOpen("deleting a recurring rule")) {
+      return;
+    }
+
+    changeRecurringRules(() => {
+      removeRecurringRule(budgetWorkspace, removeButton.dataset.removeRule);
+    });
+    renderRecurringTable();
+  });
+
+  // CSV export and import
+  const exportCsvBtn = document.getElementById("exportCsvBtn");
+  exportCsvBtn.addEventListener("click", exportCsv);
+
+  const importCsvInput = document.getElementById("importCsvInput");
+  const importCsvBtn = document.getElementById("importCsvBtn");
+  importCsvBtn.addEventListener("click", function () {
+    importCsvInput.click();
+  });
+  importCsvInput.addEventListener("change", async function () {
+    const [file] = importCsvInput.files;
+    if (!file) {
+      return;
+    }
+
+    importCsv(await file.text());
+    // Allow importing the same file again
+    importCsvInput.value = "";
+  });
+
+  // JSON backup download and restore
+  const downloadBackupBtn = document.getElementById("downloadBackupBtn");
+  downloadBackupBtn.addEventListener("click", downloadBackup);
+
+  const restoreBackupInput = document.getElementById("restoreBackupInput");
+  const restoreBackupBtn = document.getElementById("restoreBackupBtn");
+  restoreBackupBtn.addEventListener("click", function () {
+    restoreBackupInput.click();
+  });
+  restoreBackupInput.addEventListener("change", async function () {
+    const [file] = restoreBackupInput.files;
+    if (!file) {
+      return;
+    }
+
+    const mode = document.getElementById("restoreModeSelect").value;
+    restoreBackup(await file.text(), mode);
+    restoreBackupInput.value = "";
+  });
+
+  // Currency and number format selectors
+  const currencySelect = document.getElementById("currencySelect");
+  currencySelect.replaceChildren(
+    ...SUPPORTED_CURRENCIES.map(
+      (currency) =>
+        new Option(
+          `${currency} (${getCurrencySymbol({ currency, locale: "en-US" })})`,
+          currency,
+        ),
+    ),
+  );
+  currencySelect.addEventListener("change", function () {
+    changeFormatSettings({ currency: currencySelect.value });
+  });
+
+  const localeSelect = document.getElementById("localeSelect");
+  const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+  localeSelect.replaceChildren(
+    ...SUPPORTED_LOCALES.map(
+      (locale) =>
+        new Option(
+          `${languageNames.of(locale)} – ${new Intl.NumberFormat(locale).format(1234.5)}`,
+          locale,
+        ),
+    ),
+  );
+  localeSelect.addEventListener("change", function () {
+    changeFormatSettings({ locale: localeSelect.value });
+  });
+  syncFormatControls();
+
+  // Chart view and category breakdown selectors on the Chart tab
+  const categoryMonthSelect = document.getElementById("categoryMonthSelect");
+  categoryMonthSelect.replaceChildren(
+    ...fullMonthNames.map((name, index) => new Option(name, index)),
+  );
+  syncChartControls();
+
+  const chartViewSelect = document.getElementById("chartViewSelect");
+  chartViewSelect.addEventListener("change", function () {
+    budgetWorkspace.settings.chartView = chartViewSelect.value;
+    saveBudgetWorkspace();
+    renderChart();
+  });
+
+  const chartPaletteSelect = document.getElementById("chartPaletteSelect");
+  chartPaletteSelect.addEventListener("change", function () {
+    budgetWorkspace.settings.chartPalette = chartPaletteSelect.value;
+    saveBudgetWorkspace();
+    renderChart();
+  });
+
+  const liveChartCheck = document.getElementById("liveChartCheck");
+  liveChartCheck.addEventListener("change", function () {
+    budgetWorkspace.settings.liveChart = liveChartCheck.checked;
+    saveBudgetWorkspace();
+  });
+
+  // Keyboard access to the chart's values and its data table
+  const budgetChart = document.getElementById("budgetChart");
+  budgetChart.addEventListener("keydown", handleChartKeydown);
+  budgetChart.addEventListener("blur", function () {
+    if (chartInstance && chartFocus) {
+      highlightChartPoints(chartInstance, []);
+    }
+  });
+
+  const chartTableToggle = document.getElementById("chartTableToggle");
+  chartTableToggle.addEventListener("click", function () {
+    const isShown = !document
+      .getElementById("chartDataTable")
+      .classList.toggle("d-none");
+    chartTableToggle.setAttribute("aria-expanded", String(isShown));
+    chartTableToggle.textContent = isShown
+      ? "Hide data table"
+      : "Show data table";
+  });
+
+  const forecastMethodSelect = document.getElementById("forecastMethodSelect");
+  forecastMethodSelect.addEventListener("change", function () {
+    budgetWorkspace.settings.forecastMethod = forecastMethodSelect.value;
+    saveBudgetWorkspace();
+    renderChart();
+  });
+
+  const breakdownKindSelect = document.getElementById("breakdownKindSelect");
+  breakdownKindSelect.addEventListener("change", function () {
+    budgetWorkspace.settings.breakdownKind = breakdownKindSelect.value;
+    saveBudgetWorkspace();
+    renderChart();
+  });
+
+  categoryMonthSelect.addEventListener("change", function () {
+    budgetWorkspace.settings.categoryMonth = Number(categoryMonthSelect.value);
+    saveBudgetWorkspace();
+    renderChart();
+  });
+
+  // Opening balance for the cumulative view; may be negative
+  const openingBalanceInput = document.getElementById("openingBalanceInput");
+  openingBalanceInput.addEventListener("input", function () {
+    const raw = openingBalanceInput.value.trim();
+    const openingBalance = raw === "" ? 0 : Number(raw);
+    const isValid = Number.isFinite(openingBalance);
+
+    openingBalanceInput.classList.toggle("is-invalid", !isValid);
+    if (!isValid) {
+      return;
+    }
+
+    budgetWorkspace.settings.openingBalance = openingBalance;
+    saveBudgetWorkspace();
+    renderChart();
+  });
+
+  // Comparison year selector on the Chart tab
+  const compareYearSelect = document.getElementById("compareYearSelect");
+  compareYearSelect.addEventListener("change", function () {
+    budgetWorkspace.settings.compareYear = compareYearSelect.value
+      ? Number(compareYearSelect.value)
+      : null;
+    saveBudgetWorkspace();
+    renderChart();
+  });
+
   // Update Chart button click handler
   const updateChartBtn = document.getElementById("updateChartBtn");
   updateChartBtn.addEventListener("click", renderChart);
@@ -146,23 +3659,71 @@ window.onload = function () {
   const chartTab = document.getElementById("chart-tab");
   chartTab.addEventListener("shown.bs.tab", renderChart);
 
-  // Download Chart button click handler
-  const downloadChartBtn = document.getElementById("downloadChartBtn");
-  downloadChartBtn.addEventListener("click", function () {
-    if (!chartInstance) {
-      alert("Please update the chart first before downloading.");
-      return;
-    }
+  // Printable report, also refreshed when printing from the browser menu
+  const reportTab = document.getElementById("report-tab");
+  reportTab.addEventListener("shown.bs.tab", renderReport);
+  // The report prints in the light theme, whichever one is shown
+  window.addEventListener("beforeprint", function () {
+    document.documentElement.dataset.bsTheme = "light";
+    renderReport();
+  });
+  window.addEventListener("afterprint", applyTheme);
 
-    // Get chart as base64 image
-    const imageData = chartInstance.toBase64Image();
+  const printReportBtn = document.getElementById("printReportBtn");
+  printReportBtn.addEventListener("click", printReport);
 
-    // Create temporary link element
-    const downloadLink = document.createElement("a");
-    downloadLink.href = imageData;
-    downloadLink.download = "budget-chart.png";
+  const reportNotesInput = document.getElementById("reportNotesInput");
+  reportNotesInput.addEventListener("input", function () {
+    recordBudgetChange(() => {
+      getBudgetYear(budgetWorkspace, budgetWorkspace.selectedYear).notes =
+        reportNotesInput.value;
+    }, reportNotesInput.id);
+    renderReportNotes();
+    saveBudgetWorkspace();
+  });
+
+  // Export dialog: options take effect on the next export and aren't saved
+  document.getElementById("exportFilenameInput").value =
+    DEFAULT_EXPORT_FILENAME;
+  document
+    .getElementById("downloadChartBtn")
+    .addEventListener("click", updateExportDialog);
+  ["exportFormatSelect", "exportSizeSelect", "exportTransparentCheck"].forEach(
+    (id) => {
+      document
+        .getElementById(id)
+        .addEventListener("change", updateExportDialog);
+    },
+  );
+  document
+    .getElementById("exportChartBtn")
+    .addEventListener("click", exportChart);
+  document
+    .getElementById("copyChartBtn")
+    .addEventListener("click", copyChartToClipboard);
 
-    // Trigger download
-    downloadLink.click();
+  // Share links: the page can be opened with one, or one can be pasted
+  // into the address bar of an open page
+  document
+    .getElementById("shareLinkBtn")
+    .addEventListener("click", createShareLink);
+  document
+    .getElementById("adoptShareBtn")
+    .addEventListener("click", adoptSharedBudget);
+  document
+    .getElementById("closeShareBtn")
+    .addEventListener("click", closeSharedPreview);
+  window.addEventListener("hashchange", function () {
+    openShareLink(window.location.hash);
   });
+  openShareLink(window.location.hash);
+
+  // Offline use and updates
+  document
+    .getElementById("reloadAppBtn")
+    .addEventListener("click", reloadIntoUpdate);
+  document
+    .getElementById("dismissUpdateBtn")
+    .addEventListener("click", dismissUpdatePrompt);
+  registerServiceWorker();
 };
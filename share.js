@@ -0,0 +1,219 @@
+// Shareable budget links: one year's income and expenses and the chart view,
+// packed into the URL fragment as deflated JSON in base64url. The checksum
+// in the deflate data catches links that were cut short or edited by hand.
+import {
+  CHART_VIEWS,
+  MAX_BUDGET_YEAR,
+  MIN_BUDGET_YEAR,
+  addBudgetYear,
+  createWorkspace,
+  getBudgetYear,
+  isValidBudgetYear,
+} from "./workspace.js";
+
+const SHARE_PARAM = "share";
+const SHARE_VERSION = 1;
+const SHARE_DAMAGED_MESSAGE =
+  "The link is damaged or incomplete. Ask for the budget to be shared again.";
+// A real share link decompresses to well under this; a link crafted to
+// inflate further is treated as damaged instead of filling memory
+const MAX_SHARE_BYTES = 1024 * 1024;
+
+// Whether this browser can compress and decompress share links
+export function canShareBudgets() {
+  return (
+    typeof CompressionStream === "function" &&
+    typeof DecompressionStream === "function"
+  );
+}
+
+// Run bytes through a compression or decompression stream, giving up once
+// the output passes maxLength
+async function transformBytes(bytes, stream, maxLength = Infinity) {
+  const writer = stream.writable.getWriter();
+  // Bad input also fails the reads below, which is where it's reported
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let length = 0;
+  let chunk = await reader.read();
+  while (!chunk.done) {
+    chunks.push(chunk.value);
+    length += chunk.value.length;
+    if (length > maxLength) {
+      reader.cancel().catch(() => {});
+      throw new RangeError("Output is larger than allowed.");
+    }
+    chunk = await reader.read();
+  }
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((value) => {
+    result.set(value, offset);
+    offset += value.length;
+  });
+  return result;
+}
+
+// base64url keeps the fragment free of characters URLs escape
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]+$/.test(text)) {
+    throw new Error("Not base64url");
+  }
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+// The "#share=…" fragment for a snapshot of { year, chartView, income,
+// expense }, with the amounts as the stored "1234.56" strings
+export async function encodeShareFragment({
+  year,
+  chartView,
+  income,
+  expense,
+}) {
+  const json = JSON.stringify({
+    v: SHARE_VERSION,
+    year,
+    view: chartView,
+    income,
+    expense,
+  });
+  const bytes = await transformBytes(
+    new TextEncoder().encode(json),
+    new CompressionStream("deflate"),
+  );
+  return `#${SHARE_PARAM}=${toBase64Url(bytes)}`;
+}
+
+// The encoded snapshot in a URL fragment, or null if it isn't a share link
+export function getShareFragmentData(hash) {
+  const prefix = `#${SHARE_PARAM}=`;
+  return String(hash ?? "").startsWith(prefix)
+    ? String(hash).slice(prefix.length)
+    : null;
+}
+
+// Check the shape of a decoded payload. Returns { snapshot, errors }, with
+// a null snapshot when there are errors. The amounts are strings here; the
+// caller checks them with the form's rules.
+export function readSharePayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { snapshot: null, errors: [SHARE_DAMAGED_MESSAGE] };
+  }
+  if (payload.v !== SHARE_VERSION) {
+    return {
+      snapshot: null,
+      errors: [
+        Number(payload.v) > SHARE_VERSION
+          ? "The link was made by a newer version of Bucks2Bar. Reload the page to update it."
+          : SHARE_DAMAGED_MESSAGE,
+      ],
+    };
+  }
+
+  const errors = [];
+  if (!isValidBudgetYear(payload.year)) {
+    errors.push(
+      `Budget year: Must be a whole number from ${MIN_BUDGET_YEAR} to ${MAX_BUDGET_YEAR}.`,
+    );
+  }
+  if (!CHART_VIEWS.includes(payload.view)) {
+    errors.push(
+      `Chart view: Must be one of ${CHART_VIEWS.map((view) => `"${view}"`).join(", ")}.`,
+    );
+  }
+  [
+    ["income", "Income"],
+    ["expense", "Expenses"],
+  ].forEach(([kind, label]) => {
+    const values = payload[kind];
+    if (
+      !Array.isArray(values) ||
+      values.length !== 12 ||
+      !values.every((value) => typeof value === "string")
+    ) {
+      errors.push(`${label}: Must be a list of 12 monthly amounts.`);
+    }
+  });
+  if (errors.length) {
+    return { snapshot: null, errors };
+  }
+
+  return {
+    snapshot: {
+      year: payload.year,
+      chartView: payload.view,
+      income: [...payload.income],
+      expense: [...payload.expense],
+    },
+    errors,
+  };
+}
+
+// Decode the data after "#share=". Anything that doesn't decompress to
+// JSON is reported as a damaged link rather than read as empty amounts.
+export async function decodeShareFragment(data) {
+  let payload;
+  try {
+    const bytes = await transformBytes(
+      fromBase64Url(data),
+      new DecompressionStream("deflate"),
+      MAX_SHARE_BYTES,
+    );
+    payload = JSON.parse(
+      new TextDecoder("utf-8", { fatal: true }).decode(bytes),
+    );
+  } catch {
+    return { snapshot: null, errors: [SHARE_DAMAGED_MESSAGE] };
+  }
+  return readSharePayload(payload);
+}
+
+// A workspace holding just a shared budget, to preview it with the viewer's
+// formats and palette. Year comparisons and the forecast are left off.
+export function createSharedWorkspace(
+  { year, chartView, income, expense },
+  settings,
+) {
+  const workspace = createWorkspace(year, {
+    income: [...income],
+    expense: [...expense],
+  });
+  workspace.settings = {
+    ...settings,
+    compareYear: null,
+    forecastMethod: "none",
+    chartView,
+  };
+  return workspace;
+}
+
+// Add a shared budget's year to a workspace, replacing that year's income
+// and expenses if it has one, and select it in the shared chart view
+export function addSharedBudget(
+  workspace,
+  { year, chartView, income, expense },
+) {
+  addBudgetYear(workspace, year);
+  Object.assign(getBudgetYear(workspace, year), {
+    income: [...income],
+    expense: [...expense],
+  });
+  workspace.selectedYear = year;
+  workspace.settings.chartView = chartView;
+}
@@ -0,0 +1,343 @@
+// Bank statement import: OFX and QIF files parsed in the browser into
+// ledger transactions. Credits become income and debits expenses.
+import {
+  addTransaction,
+  getTransactionMonth,
+  getYearTransactions,
+  updateLedgerTotals,
+} from "./ledger.js";
+import { roundToCents } from "./model.js";
+import { addBudgetYear, getBudgetYear } from "./workspace.js";
+
+const STATEMENT_FORMATS = ["ofx", "qif"];
+
+// OFX 1.x is SGML where leaf tags have no closing tag; OFX 2.x is XML.
+// Both close the <STMTTRN> blocks, so each is read field by field.
+function parseOfx(text) {
+  const entries = [];
+  const errors = [];
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  if (!blocks.length) {
+    errors.push({ entry: null, message: "No transactions found in the file." });
+  }
+
+  blocks.forEach((block, index) => {
+    const entryNumber = index + 1;
+    const field = (tag) => {
+      const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, "i").exec(block);
+      return match ? decodeOfxText(match[1].trim()) : "";
+    };
+
+    const date = parseOfxDate(field("DTPOSTED"));
+    const amount = parseStatementAmount(field("TRNAMT"));
+    if (!date) {
+      errors.push({
+        entry: entryNumber,
+        message: `Transaction ${entryNumber}: "${field("DTPOSTED")}" is not a date.`,
+      });
+      return;
+    }
+    if (amount === null) {
+      errors.push({
+        entry: entryNumber,
+        message: `Transaction ${entryNumber}: "${field("TRNAMT")}" is not an amount.`,
+      });
+      return;
+    }
+
+    entries.push({
+      id: field("FITID"),
+      date,
+      amount,
+      payee: field("NAME") || field("PAYEE"),
+      memo: field("MEMO"),
+      category: "",
+    });
+  });
+
+  return { entries, errors };
+}
+
+function decodeOfxText(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// "20250314", "20250314120000[-5:EST]"... to "2025-03-14", or null
+function parseOfxDate(text) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(text);
+  return match ? toStatementDate(match[1], match[2], match[3]) : null;
+}
+
+// QIF records are lines starting with a field code, each record ending with
+// "^". Only bank, cash, credit card and asset/liability sections are read.
+function parseQif(text) {
+  const entries = [];
+  const errors = [];
+  let section = "bank";
+  let record = {};
+  let entryNumber = 0;
+
+  const finishRecord = () => {
+    if (!Object.keys(record).length) {
+      return;
+    }
+    const current = record;
+    record = {};
+    if (section !== "bank") {
+      return;
+    }
+    entryNumber++;
+
+    const date = parseQifDate(current.D || "");
+    const amount = parseStatementAmount(current.T ?? current.U ?? "");
+    if (!date) {
+      errors.push({
+        entry: entryNumber,
+        message: `Transaction ${entryNumber}: "${current.D || ""}" is not a date.`,
+      });
+      return;
+    }
+    if (amount === null) {
+      errors.push({
+        entry: entryNumber,
+        message: `Transaction ${entryNumber}: "${current.T ?? current.U ?? ""}" is not an amount.`,
+      });
+      return;
+    }
+
+    entries.push({
+      id: "",
+      date,
+      amount,
+      payee: current.P || "",
+      memo: current.M || "",
+      // "[Savings]" is a transfer to another account, not a category
+      category: /^\[.*\]$/.test(current.L || "") ? "" : current.L || "",
+    });
+  };
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (line.startsWith("!")) {
+      finishRecord();
+      // Account lists ("!Account") and category lists come before the
+      // "!Type:" of each account's transactions
+      const header = line.toLowerCase();
+      if (header.startsWith("!type:")) {
+        section = /^!type:(bank|cash|ccard|oth [al])$/.test(header)
+          ? "bank"
+          : "other";
+      } else if (header === "!account") {
+        section = "other";
+      }
+      return;
+    }
+    if (line === "^") {
+      finishRecord();
+    } else if (line) {
+      // Split lines ("S", "E", "$") describe category splits; the record's
+      // own category and total are used
+      const code = line[0];
+      if (record[code] === undefined) {
+        record[code] = line.slice(1).trim();
+      }
+    }
+  });
+  finishRecord();
+
+  if (!entries.length && !errors.length) {
+    errors.push({ entry: null, message: "No transactions found in the file." });
+  }
+  return { entries, errors };
+}
+
+// QIF dates are usually month first: "3/14/2025", "03/14'25", "3-14-25".
+// Day-first dates are recognised when the first number can't be a month,
+// and "2025-03-14" is read as is.
+export function parseQifDate(text) {
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (iso) {
+    return toStatementDate(iso[1], iso[2], iso[3]);
+  }
+
+  const match = /^(\d{1,2})[/.-](\d{1,2})\s*['/.-]\s*(\d{2}|\d{4})$/.exec(
+    text.replace(/\s+/g, " ").trim(),
+  );
+  if (!match) {
+    return null;
+  }
+  const [first, second] = [Number(match[1]), Number(match[2])];
+  const year = match[3].length === 2 ? 2000 + Number(match[3]) : match[3];
+  return first > 12
+    ? toStatementDate(year, second, first)
+    : toStatementDate(year, first, second);
+}
+
+// A "2025-03-14" date if the parts make a real day, otherwise null
+function toStatementDate(year, month, day) {
+  const date = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date
+    ? date
+    : null;
+}
+
+// Signed amount from "-1,234.56", "1234,56" or "+20", or null
+function parseStatementAmount(text) {
+  let value = String(text).trim().replace(/\s/g, "");
+  if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) {
+    value = value.replace(/,/g, "");
+  } else if (/^[-+]?\d+,\d{1,2}$/.test(value)) {
+    value = value.replace(",", ".");
+  }
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(value) ? Number(value) : null;
+}
+
+// Pick the parser from the file name, or from the content when the
+// extension is missing or unknown
+export function detectStatementFormat(text, fileName = "") {
+  const extension = (fileName.match(/\.([a-z]+)$/i) || [])[1];
+  if (extension && STATEMENT_FORMATS.includes(extension.toLowerCase())) {
+    return extension.toLowerCase();
+  }
+  if (/<OFX>|OFXHEADER/i.test(text)) {
+    return "ofx";
+  }
+  return /^\s*!Type:/im.test(text) ? "qif" : null;
+}
+
+export function parseStatement(text, fileName = "") {
+  const content = text.replace(/^\uFEFF/, "");
+  const format = detectStatementFormat(content, fileName);
+  if (!format) {
+    return {
+      format: null,
+      entries: [],
+      errors: [
+        { entry: null, message: "The file is not an OFX or QIF statement." },
+      ],
+    };
+  }
+  return { format, ...(format === "ofx" ? parseOfx : parseQif)(content) };
+}
+
+// Category id for a statement category, matched by name among the
+// categories of the entry's type. "Food:Groceries" tries the full name,
+// then "Groceries", then "Food".
+function findStatementCategory(name, type, categories) {
+  const parts = name.split(":");
+  const candidates = [name, parts[parts.length - 1], parts[0]].map(
+    (candidate) => candidate.trim().toLowerCase(),
+  );
+  const kindCategories = categories[type] || [];
+  const match = candidates
+    .map((candidate) =>
+      kindCategories.find(
+        ({ name: categoryName }) => categoryName.toLowerCase() === candidate,
+      ),
+    )
+    .find(Boolean);
+  return match ? match.id : "";
+}
+
+// Same-day entries of the same amount and type count as the same
+// transaction
+function isSameTransaction(a, b) {
+  return (
+    a.date === b.date &&
+    a.type === b.type &&
+    Number(a.amount) === Number(b.amount)
+  );
+}
+
+// Turn parsed entries into ledger transaction fields, flagging duplicates:
+// entries whose bank id appeared earlier in the file, or that match a
+// ledger entry. Each ledger entry matches one statement entry, so two
+// identical purchases on the same day are only both skipped if the ledger
+// has both.
+export function previewStatement(entries, workspace) {
+  const seenIds = new Set();
+  const unmatched = {};
+
+  return entries.map((entry) => {
+    const type = entry.amount < 0 ? "expense" : "income";
+    const year = Number(entry.date.slice(0, 4));
+    const transaction = {
+      date: entry.date,
+      amount: String(roundToCents(Math.abs(entry.amount))),
+      type,
+      categoryId: entry.category
+        ? findStatementCategory(entry.category, type, workspace.categories)
+        : "",
+      note: [entry.payee, entry.memo]
+        .filter((text, index, parts) => text && parts.indexOf(text) === index)
+        .join(" - "),
+    };
+
+    let isDuplicate = Boolean(entry.id) && seenIds.has(entry.id);
+    if (entry.id) {
+      seenIds.add(entry.id);
+    }
+    if (!isDuplicate) {
+      unmatched[year] = unmatched[year] || [
+        ...getYearTransactions(workspace, year),
+      ];
+      const index = unmatched[year].findIndex((existing) =>
+        isSameTransaction(existing, transaction),
+      );
+      if (index !== -1) {
+        unmatched[year].splice(index, 1);
+        isDuplicate = true;
+      }
+    }
+    return { year, transaction, isDuplicate };
+  });
+}
+
+// Monthly income and expense totals of the entries that would be added,
+// keyed by year
+export function summarizeStatementPreview(previewed) {
+  const totals = {};
+  previewed.forEach(({ year, transaction, isDuplicate }) => {
+    if (isDuplicate) {
+      return;
+    }
+    totals[year] = totals[year] || {
+      income: new Array(12).fill(0),
+      expense: new Array(12).fill(0),
+    };
+    const month = getTransactionMonth(transaction);
+    totals[year][transaction.type][month] = roundToCents(
+      totals[year][transaction.type][month] + Number(transaction.amount),
+    );
+  });
+  return totals;
+}
+
+// Add the entries that aren't duplicates to the ledger, adding any years
+// the workspace doesn't have yet, and store the new monthly totals of each
+// year. Returns the number of entries added.
+export function applyStatementPreview(workspace, previewed) {
+  const years = new Set();
+  let added = 0;
+  previewed.forEach(({ year, transaction, isDuplicate }) => {
+    if (
+      isDuplicate ||
+      (!getBudgetYear(workspace, year) && !addBudgetYear(workspace, year))
+    ) {
+      return;
+    }
+    addTransaction(workspace, year, transaction);
+    years.add(year);
+    added++;
+  });
+
+  years.forEach((year) => updateLedgerTotals(workspace, year));
+  return added;
+}
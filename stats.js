@@ -0,0 +1,66 @@
+// Summary statistics for one year of monthly income/expense data
+import { getNetSeries, roundToCents } from "./model.js";
+
+function sumValues(values) {
+  return roundToCents(values.reduce((total, value) => total + value, 0));
+}
+
+function averageValues(values) {
+  return values.length ? roundToCents(sumValues(values) / values.length) : 0;
+}
+
+function medianValues(values) {
+  if (!values.length) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : roundToCents((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// Index of the month with the highest (or lowest) net; ties go to the
+// earlier month
+function findExtremeMonth(netData, isBetter) {
+  return netData.reduce(
+    (best, net, index) => (isBetter(net, netData[best]) ? index : best),
+    0,
+  );
+}
+
+// Totals, averages, medians, savings rate and notable months for the
+// validateAndCollectData() income/expense series
+export function calculateBudgetStats(incomeData, expenseData) {
+  const netData = getNetSeries(incomeData, expenseData);
+  const totals = {
+    income: sumValues(incomeData),
+    expense: sumValues(expenseData),
+    net: sumValues(netData),
+  };
+  const bestMonth = findExtremeMonth(netData, (net, best) => net > best);
+  const worstMonth = findExtremeMonth(netData, (net, best) => net < best);
+
+  return {
+    totals,
+    averages: {
+      income: averageValues(incomeData),
+      expense: averageValues(expenseData),
+      net: averageValues(netData),
+    },
+    medians: {
+      income: medianValues(incomeData),
+      expense: medianValues(expenseData),
+      net: medianValues(netData),
+    },
+    // Share of income left over, as a percentage; null without income
+    savingsRate:
+      totals.income > 0
+        ? Math.round((totals.net / totals.income) * 1000) / 10
+        : null,
+    bestMonth: { month: bestMonth, net: netData[bestMonth] },
+    worstMonth: { month: worstMonth, net: netData[worstMonth] },
+    deficitMonths: netData.flatMap((net, index) => (net < 0 ? [index] : [])),
+  };
+}
@@ -0,0 +1,275 @@
+// Versioned persistence for the budget form
+const STORAGE_KEY = "bucks2bar:budget";
+const STORAGE_VERSION = 14;
+
+// Migrations keyed by the version they upgrade from. Each one receives the
+// stored state at that version and returns the state for the next version.
+const storageMigrations = {
+  // v1 held a single anonymous year; file it under the current year
+  1: (state) => {
+    const year = new Date().getFullYear();
+    return {
+      selectedYear: year,
+      years: {
+        [year]: { income: state.income || [], expense: state.expense || [] },
+      },
+      settings: { compareYear: null },
+    };
+  },
+  // v3 added income/expense categories and chart view settings
+  2: (state) => {
+    const years = {};
+    Object.entries(state.years || {}).forEach(([year, yearData]) => {
+      years[year] = { categoryValues: {}, ...yearData };
+    });
+    return {
+      ...state,
+      years,
+      categories: { income: [], expense: [] },
+      settings: {
+        chartView: "grouped",
+        categoryMonth: 0,
+        breakdownKind: "expense",
+        ...state.settings,
+      },
+    };
+  },
+  // v4 added the opening balance for the cumulative balance chart
+  3: (state) => ({
+    ...state,
+    settings: { openingBalance: 0, ...state.settings },
+  }),
+  // v5 added currency and number-format settings; stored amounts were
+  // already plain "1234.56" strings
+  4: (state) => ({
+    ...state,
+    settings: { currency: "USD", locale: "en-US", ...state.settings },
+  }),
+  // v6 added monthly income goals and expense budgets to each year
+  5: (state) => {
+    const years = {};
+    Object.entries(state.years || {}).forEach(([year, yearData]) => {
+      years[year] = {
+        targets: {
+          income: new Array(12).fill(""),
+          expense: new Array(12).fill(""),
+        },
+        ...yearData,
+      };
+    });
+    return { ...state, years };
+  },
+  // v7 added the forecast method setting
+  6: (state) => ({
+    ...state,
+    settings: { forecastMethod: "none", ...state.settings },
+  }),
+  // v8 added a transaction ledger to each year
+  7: (state) => {
+    const years = {};
+    Object.entries(state.years || {}).forEach(([year, yearData]) => {
+      years[year] = { transactions: [], ...yearData };
+    });
+    return { ...state, years };
+  },
+  // v9 added recurring rules, and per-year overrides of the amounts they
+  // generate
+  8: (state) => {
+    const years = {};
+    Object.entries(state.years || {}).forEach(([year, yearData]) => {
+      years[year] = {
+        recurringOverrides: { income: {}, expense: {}, categoryValues: {} },
+        ...yearData,
+      };
+    });
+    return { recurringRules: [], ...state, years };
+  },
+  // v10 added report notes to each year
+  9: (state) => {
+    const years = {};
+    Object.entries(state.years || {}).forEach(([year, yearData]) => {
+      years[year] = { notes: "", ...yearData };
+    });
+    return { ...state, years };
+  },
+  // v11 added the chart palette setting
+  10: (state) => ({
+    ...state,
+    settings: { chartPalette: "standard", ...state.settings },
+  }),
+  // v12 added live chart updates, off by default
+  11: (state) => ({
+    ...state,
+    settings: { liveChart: false, ...state.settings },
+  }),
+  // v13 added what-if scenarios; the saved budget became the first one
+  12: (state) => ({
+    scenarios: [{ id: "baseline", name: "Baseline" }],
+    activeScenario: "baseline",
+    ...state,
+    settings: { compareScenarios: [], ...state.settings },
+  }),
+  // v14 added themes, following the system's light/dark preference
+  13: (state) => ({
+    ...state,
+    settings: { theme: "system", ...state.settings },
+  }),
+};
+
+let storageBackend = null;
+// Set when the saved budget is from a newer release. Saving is skipped for
+// the session so that release's data isn't overwritten.
+let isNewerStateSaved = false;
+// The last budget that couldn't be written, e.g. with storage full. Loading
+// returns it until a later save gets through.
+let unsavedPayload = null;
+
+// In-memory stand-in used when localStorage is blocked
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    isPersistent: false,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+// Return localStorage if it can be written to, otherwise a memory fallback
+function getStorageBackend() {
+  if (storageBackend) {
+    return storageBackend;
+  }
+
+  try {
+    const probeKey = STORAGE_KEY + ":probe";
+    window.localStorage.setItem(probeKey, "1");
+    window.localStorage.removeItem(probeKey);
+    storageBackend = {
+      isPersistent: true,
+      getItem: (key) => window.localStorage.getItem(key),
+      setItem: (key, value) => window.localStorage.setItem(key, value),
+      removeItem: (key) => window.localStorage.removeItem(key),
+    };
+  } catch {
+    // Private browsing or blocked cookies: keep the budget for this session
+    storageBackend = createMemoryStorage();
+  }
+
+  return storageBackend;
+}
+
+function isQuotaExceededError(error) {
+  return (
+    Boolean(error) &&
+    (error.name === "QuotaExceededError" ||
+      error.name === "NS_ERROR_DOM_QUOTA_REACHED")
+  );
+}
+
+// Upgrade a stored state to STORAGE_VERSION, or return null if it can't be
+export function migrateBudgetState(state, migrations = storageMigrations) {
+  if (!state || typeof state !== "object") {
+    return null;
+  }
+
+  let migrated = state;
+  let version = Number.isInteger(state.version) ? state.version : 0;
+
+  // Data written by a newer release is left untouched for that release
+  if (version > STORAGE_VERSION) {
+    return null;
+  }
+
+  while (version < STORAGE_VERSION) {
+    const migrate = migrations[version];
+    if (typeof migrate !== "function") {
+      return null;
+    }
+    migrated = { ...migrate(migrated), version: version + 1 };
+    version = migrated.version;
+  }
+
+  return migrated;
+}
+
+// Load the saved budget state, migrating older versions as needed
+export function loadBudgetState() {
+  const backend = getStorageBackend();
+  let raw;
+
+  try {
+    raw = unsavedPayload ?? backend.getItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn("Could not read saved budget.", error);
+    return null;
+  }
+
+  if (raw === null) {
+    return null;
+  }
+
+  let state;
+  try {
+    state = JSON.parse(raw);
+  } catch (error) {
+    console.warn("Saved budget is corrupt and was ignored.", error);
+    return null;
+  }
+
+  if (state && state.version > STORAGE_VERSION) {
+    console.warn("Saved budget is from a newer version and was left as is.");
+    isNewerStateSaved = true;
+    return null;
+  }
+
+  const migrated = migrateBudgetState(state);
+  if (migrated && migrated.version !== state.version) {
+    saveBudgetState(migrated);
+  }
+  return migrated;
+}
+
+// Whether loading found a budget from a newer release, which isn't saved over
+export function hasNewerBudgetState() {
+  return isNewerStateSaved;
+}
+
+// Save the budget state; returns false if it could only be kept in memory
+export function saveBudgetState(state) {
+  if (isNewerStateSaved) {
+    return false;
+  }
+
+  const payload = JSON.stringify({
+    ...state,
+    version: STORAGE_VERSION,
+    updatedAt: new Date().toISOString(),
+  });
+
+  const backend = getStorageBackend();
+  try {
+    backend.setItem(STORAGE_KEY, payload);
+  } catch (error) {
+    // Storage stays in use, so the next save tries it again
+    const reason = isQuotaExceededError(error)
+      ? "Storage quota exceeded"
+      : "Could not save budget";
+    console.warn(reason + ", keeping it in memory for now.", error);
+    unsavedPayload = payload;
+    return false;
+  }
+
+  unsavedPayload = null;
+  return backend.isPersistent;
+}
+
+// Remove any saved budget state
+export function clearBudgetState() {
+  unsavedPayload = null;
+  try {
+    getStorageBackend().removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn("Could not clear saved budget.", error);
+  }
+}
@@ -0,0 +1,368 @@
+// A canvas stand-in whose 2D context records drawing as SVG, so Chart.js can
+// render a chart as vector graphics. It covers the paths, text, transforms,
+// dashes and clipping Chart.js uses; gradients and images are not drawn.
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// Numbers rounded to 2 decimals keep the markup small
+function formatSvgNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function escapeSvgText(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Apply an [a, b, c, d, e, f] matrix to a point
+function transformSvgPoint([a, b, c, d, e, f], x, y) {
+  return [a * x + c * y + e, b * x + d * y + f];
+}
+
+function multiplySvgMatrix([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1,
+  ];
+}
+
+let svgMeasureContext;
+
+// Width of text in a CSS font, measured on a real canvas when there is one
+function measureSvgText(text, font) {
+  if (svgMeasureContext === undefined) {
+    svgMeasureContext =
+      (typeof document !== "undefined" &&
+        document.createElement("canvas").getContext("2d")) ||
+      null;
+  }
+  const context = svgMeasureContext;
+  if (context && typeof context.measureText === "function") {
+    context.font = font;
+    return context.measureText(text).width;
+  }
+  const size = Number((/(\d+(\.\d+)?)px/.exec(font) || [])[1]) || 10;
+  return String(text).length * size * 0.6;
+}
+
+// An object that passes for a <canvas> with Chart.js; call toSvg() after
+// the chart has drawn
+export function createSvgCanvas(width, height) {
+  const elements = [];
+  const clipPaths = [];
+  const stack = [];
+  let path = [];
+  let hasCurrentPoint = false;
+  let state = {
+    matrix: [1, 0, 0, 1, 0, 0],
+    fillStyle: "#000000",
+    strokeStyle: "#000000",
+    lineWidth: 1,
+    lineCap: "butt",
+    lineJoin: "miter",
+    lineDash: [],
+    lineDashOffset: 0,
+    globalAlpha: 1,
+    font: "10px sans-serif",
+    textAlign: "start",
+    textBaseline: "alphabetic",
+    clip: null,
+  };
+
+  const point = (x, y) =>
+    transformSvgPoint(state.matrix, x, y).map(formatSvgNumber).join(" ");
+  // How much the current transform scales lengths, assuming no skew
+  const scale = () => {
+    const [a, b, c, d] = state.matrix;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  };
+  const paint = (style) => (typeof style === "string" ? style : "none");
+  const commonAttributes = () =>
+    (state.globalAlpha < 1
+      ? ` opacity="${formatSvgNumber(state.globalAlpha)}"`
+      : "") + (state.clip ? ` clip-path="url(#${state.clip})"` : "");
+
+  const addEllipse = (x, y, rx, ry, rotation, start, end, anticlockwise) => {
+    const fullTurn = Math.PI * 2;
+    let sweep = anticlockwise ? start - end : end - start;
+    const isFullEllipse = sweep >= fullTurn;
+    sweep = isFullEllipse
+      ? fullTurn
+      : ((sweep % fullTurn) + fullTurn) % fullTurn;
+
+    const [a, b, c, d] = state.matrix;
+    const pointAt = (angle) => {
+      const cos = Math.cos(rotation);
+      const sin = Math.sin(rotation);
+      const px = rx * Math.cos(angle);
+      const py = ry * Math.sin(angle);
+      return [x + px * cos - py * sin, y + px * sin + py * cos];
+    };
+    const [startX, startY] = pointAt(start);
+    path.push(`${hasCurrentPoint ? "L" : "M"}${point(startX, startY)}`);
+    hasCurrentPoint = true;
+
+    const direction = anticlockwise ? -1 : 1;
+    const mirrored = a * d - b * c < 0;
+    const sweepFlag = anticlockwise !== mirrored ? 0 : 1;
+    const rotationDegrees = ((rotation + Math.atan2(b, a)) * 180) / Math.PI;
+    const radii = `${formatSvgNumber(rx * scale())} ${formatSvgNumber(ry * scale())}`;
+    // SVG can't draw a full ellipse as one arc, so it takes two halves
+    const steps = isFullEllipse ? [Math.PI, Math.PI] : [sweep];
+    let angle = start;
+    steps.forEach((step) => {
+      angle += direction * step;
+      const [endX, endY] = pointAt(angle);
+      path.push(
+        `A${radii} ${formatSvgNumber(rotationDegrees)} ${step > Math.PI ? 1 : 0} ${sweepFlag} ${point(endX, endY)}`,
+      );
+    });
+  };
+
+  const context = {
+    get canvas() {
+      return canvas;
+    },
+    save() {
+      stack.push({ ...state, lineDash: [...state.lineDash] });
+    },
+    restore() {
+      if (stack.length) {
+        state = stack.pop();
+      }
+    },
+    translate(x, y) {
+      state.matrix = multiplySvgMatrix(state.matrix, [1, 0, 0, 1, x, y]);
+    },
+    rotate(angle) {
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      state.matrix = multiplySvgMatrix(state.matrix, [
+        cos,
+        sin,
+        -sin,
+        cos,
+        0,
+        0,
+      ]);
+    },
+    scale(x, y) {
+      state.matrix = multiplySvgMatrix(state.matrix, [x, 0, 0, y, 0, 0]);
+    },
+    transform(a, b, c, d, e, f) {
+      state.matrix = multiplySvgMatrix(state.matrix, [a, b, c, d, e, f]);
+    },
+    setTransform(a, b, c, d, e, f) {
+      state.matrix =
+        typeof a === "object"
+          ? [a.a, a.b, a.c, a.d, a.e, a.f]
+          : [a, b, c, d, e, f];
+    },
+    resetTransform() {
+      state.matrix = [1, 0, 0, 1, 0, 0];
+    },
+    getTransform() {
+      const [a, b, c, d, e, f] = state.matrix;
+      return { a, b, c, d, e, f };
+    },
+    setLineDash(segments) {
+      state.lineDash = [...segments];
+    },
+    getLineDash() {
+      return [...state.lineDash];
+    },
+    beginPath() {
+      path = [];
+      hasCurrentPoint = false;
+    },
+    closePath() {
+      path.push("Z");
+    },
+    moveTo(x, y) {
+      path.push(`M${point(x, y)}`);
+      hasCurrentPoint = true;
+    },
+    lineTo(x, y) {
+      path.push(`${hasCurrentPoint ? "L" : "M"}${point(x, y)}`);
+      hasCurrentPoint = true;
+    },
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+      path.push(`C${point(cp1x, cp1y)} ${point(cp2x, cp2y)} ${point(x, y)}`);
+      hasCurrentPoint = true;
+    },
+    quadraticCurveTo(cpx, cpy, x, y) {
+      path.push(`Q${point(cpx, cpy)} ${point(x, y)}`);
+      hasCurrentPoint = true;
+    },
+    arc(x, y, radius, start, end, anticlockwise = false) {
+      addEllipse(x, y, radius, radius, 0, start, end, anticlockwise);
+    },
+    ellipse(x, y, rx, ry, rotation, start, end, anticlockwise = false) {
+      addEllipse(x, y, rx, ry, rotation, start, end, anticlockwise);
+    },
+    rect(x, y, w, h) {
+      path.push(
+        `M${point(x, y)}L${point(x + w, y)}L${point(x + w, y + h)}L${point(x, y + h)}Z`,
+      );
+      hasCurrentPoint = true;
+    },
+    fill(fillRule = "nonzero") {
+      if (!path.length) {
+        return;
+      }
+      elements.push(
+        `<path d="${path.join("")}" fill="${escapeSvgText(paint(state.fillStyle))}"` +
+          (fillRule === "evenodd" ? ' fill-rule="evenodd"' : "") +
+          `${commonAttributes()}/>`,
+      );
+    },
+    stroke() {
+      if (!path.length) {
+        return;
+      }
+      const dash = state.lineDash.length
+        ? ` stroke-dasharray="${state.lineDash.map((length) => formatSvgNumber(length * scale())).join(" ")}"` +
+          (state.lineDashOffset
+            ? ` stroke-dashoffset="${formatSvgNumber(state.lineDashOffset * scale())}"`
+            : "")
+        : "";
+      elements.push(
+        `<path d="${path.join("")}" fill="none" stroke="${escapeSvgText(paint(state.strokeStyle))}"` +
+          ` stroke-width="${formatSvgNumber(state.lineWidth * scale())}"` +
+          ` stroke-linecap="${state.lineCap}" stroke-linejoin="${state.lineJoin}"` +
+          `${dash}${commonAttributes()}/>`,
+      );
+    },
+    // Clipping uses the current path; nested clips keep the innermost one
+    clip() {
+      const id = `clip${clipPaths.length + 1}`;
+      clipPaths.push(
+        `<clipPath id="${id}"><path d="${path.join("")}"/></clipPath>`,
+      );
+      state.clip = id;
+    },
+    fillRect(x, y, w, h) {
+      const savedPath = path;
+      context.beginPath();
+      context.rect(x, y, w, h);
+      context.fill();
+      path = savedPath;
+    },
+    strokeRect(x, y, w, h) {
+      const savedPath = path;
+      context.beginPath();
+      context.rect(x, y, w, h);
+      context.stroke();
+      path = savedPath;
+    },
+    // Clearing the whole canvas starts the drawing over
+    clearRect(x, y, w, h) {
+      const [left, top] = transformSvgPoint(state.matrix, x, y);
+      const [right, bottom] = transformSvgPoint(state.matrix, x + w, y + h);
+      if (
+        left <= 0 &&
+        top <= 0 &&
+        right >= canvas.width &&
+        bottom >= canvas.height
+      ) {
+        elements.length = 0;
+      }
+    },
+    fillText(text, x, y) {
+      const anchor =
+        { center: "middle", right: "end", end: "end" }[state.textAlign] ||
+        "start";
+      const baseline =
+        {
+          top: "text-before-edge",
+          hanging: "hanging",
+          middle: "central",
+          bottom: "text-after-edge",
+          ideographic: "ideographic",
+        }[state.textBaseline] || "alphabetic";
+      elements.push(
+        `<text transform="matrix(${state.matrix.map(formatSvgNumber).join(" ")})"` +
+          ` x="${formatSvgNumber(x)}" y="${formatSvgNumber(y)}"` +
+          ` fill="${escapeSvgText(paint(state.fillStyle))}"` +
+          ` style="font: ${escapeSvgText(state.font)}"` +
+          ` text-anchor="${anchor}" dominant-baseline="${baseline}"` +
+          `${commonAttributes()}>${escapeSvgText(text)}</text>`,
+      );
+    },
+    strokeText() {},
+    measureText(text) {
+      return { width: measureSvgText(text, state.font) };
+    },
+    drawImage() {},
+    createLinearGradient() {
+      return { addColorStop() {} };
+    },
+    createRadialGradient() {
+      return { addColorStop() {} };
+    },
+    createPattern() {
+      return null;
+    },
+    isPointInPath() {
+      return false;
+    },
+  };
+
+  // Styles live in the saved state so save() and restore() cover them
+  [
+    "fillStyle",
+    "strokeStyle",
+    "lineWidth",
+    "lineCap",
+    "lineJoin",
+    "lineDashOffset",
+    "globalAlpha",
+    "font",
+    "textAlign",
+    "textBaseline",
+  ].forEach((property) => {
+    Object.defineProperty(context, property, {
+      get: () => state[property],
+      set: (value) => {
+        state[property] = value;
+      },
+    });
+  });
+
+  // Enough of an element for Chart.js to attach to
+  const attributes = {};
+  const canvas = {
+    width,
+    height,
+    style: {},
+    getContext: () => context,
+    getAttribute: (name) =>
+      name === "width" || name === "height"
+        ? String(canvas[name])
+        : (attributes[name] ?? null),
+    setAttribute: (name, value) => {
+      attributes[name] = String(value);
+    },
+    removeAttribute: (name) => {
+      delete attributes[name];
+    },
+    addEventListener() {},
+    removeEventListener() {},
+    toSvg() {
+      return (
+        `<svg xmlns="${SVG_NAMESPACE}" width="${canvas.width}" height="${canvas.height}"` +
+        ` viewBox="0 0 ${canvas.width} ${canvas.height}">` +
+        (clipPaths.length ? `<defs>${clipPaths.join("")}</defs>` : "") +
+        elements.join("") +
+        "</svg>"
+      );
+    },
+  };
+  return canvas;
+}
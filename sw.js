@@ -0,0 +1,34 @@
+// Service worker: precaches the app shell so the budget tracker starts and
+// works offline. script.js registers it as a module worker; the caching
+// itself lives in offline.js.
+import {
+  SKIP_WAITING_MESSAGE,
+  deleteOldShellCaches,
+  isShellRequest,
+  precacheAppShell,
+  respondFromShell,
+} from "./offline.js";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precacheAppShell(caches, self.location.href));
+});
+
+// A new version waits until the page asks it to take over, so a page is
+// never running files from two versions
+self.addEventListener("message", (event) => {
+  if (event.data === SKIP_WAITING_MESSAGE) {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    deleteOldShellCaches(caches).then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  if (isShellRequest(event.request, self.location.origin)) {
+    event.respondWith(respondFromShell(event.request, caches, fetch));
+  }
+});
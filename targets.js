@@ -0,0 +1,40 @@
+// Monthly income goals and expense budgets, compared with actual amounts
+import { parseBudgetValue, roundToCents } from "./model.js";
+import { getBudgetYear } from "./workspace.js";
+
+export function createEmptyTargets() {
+  return {
+    income: new Array(12).fill(""),
+    expense: new Array(12).fill(""),
+  };
+}
+
+// Numeric targets for twelve stored values; blank months have no target
+// (null) rather than a target of 0
+export function toTargetSeries(values) {
+  return Array.from({ length: 12 }, (_, index) => {
+    const raw =
+      values && typeof values[index] === "string" ? values[index].trim() : "";
+    const result = parseBudgetValue(raw);
+    return raw === "" || !result.isValid ? null : result.value;
+  });
+}
+
+// Income goal and expense budget series for a stored year
+export function getYearTargets(workspace, year) {
+  const targets = (getBudgetYear(workspace, year) || {}).targets || {};
+  return {
+    income: toTargetSeries(targets.income),
+    expense: toTargetSeries(targets.expense),
+  };
+}
+
+// Months whose expenses are above their budget, with the overspend
+export function findOverBudgetMonths(expenseData, expenseTargets) {
+  return expenseData.flatMap((expense, month) => {
+    const target = expenseTargets[month];
+    return target !== null && expense > target
+      ? [{ month, expense, target, over: roundToCents(expense - target) }]
+      : [];
+  });
+}
@@ -0,0 +1,241 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("chart text alternatives", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should lay the datasets out as table rows", () => {
+    const table = window.buildChartTable({
+      labels: ["Jan", "Feb"],
+      datasets: [
+        { label: "Income", data: [100, 200] },
+        { label: "Goal", data: [null, 150] },
+      ],
+    });
+
+    assert.deepStrictEqual(plain(table), {
+      columns: ["Income", "Goal"],
+      rows: [
+        { label: "Jan", values: [100, null] },
+        { label: "Feb", values: [200, 150] },
+      ],
+    });
+  });
+
+  it("should compare the two halves of the year", () => {
+    assert.deepStrictEqual(plain(window.getHalfYearTrend(incomeValues)), {
+      first: 350,
+      second: 950,
+      direction: "up",
+    });
+    assert.strictEqual(
+      window.getHalfYearTrend([...incomeValues].reverse()).direction,
+      "down",
+    );
+    assert.strictEqual(
+      window.getHalfYearTrend([...new Array(11).fill(100), 110]).direction,
+      "flat",
+    );
+    assert.strictEqual(
+      window.getHalfYearTrend(new Array(12).fill(0)).direction,
+      "flat",
+    );
+  });
+
+  it("should move between points and visible datasets", () => {
+    const options = { pointCount: 12, visibleDatasets: [0, 2] };
+    const start = window.moveChartFocus(null, "ArrowRight", options);
+    assert.deepStrictEqual(plain(start), { datasetIndex: 0, index: 0 });
+
+    const moves = [
+      ["ArrowRight", { datasetIndex: 0, index: 1 }],
+      ["ArrowDown", { datasetIndex: 2, index: 1 }],
+      ["ArrowDown", { datasetIndex: 2, index: 1 }],
+      ["End", { datasetIndex: 2, index: 11 }],
+      ["ArrowRight", { datasetIndex: 2, index: 11 }],
+      ["ArrowUp", { datasetIndex: 0, index: 11 }],
+      ["Home", { datasetIndex: 0, index: 0 }],
+      ["ArrowLeft", { datasetIndex: 0, index: 0 }],
+    ];
+    moves.reduce((focus, [key, expected]) => {
+      const next = window.moveChartFocus(focus, key, options);
+      assert.deepStrictEqual(plain(next), expected, key);
+      return next;
+    }, start);
+
+    assert.strictEqual(window.moveChartFocus(start, "Enter", options), null);
+    assert.strictEqual(
+      window.moveChartFocus(null, "ArrowRight", {
+        pointCount: 12,
+        visibleDatasets: [],
+      }),
+      null,
+    );
+  });
+
+  it("should fall back to the standard palette", () => {
+    assert.strictEqual(
+      window.getPaletteColor("colorBlind", "income", 0.7),
+      "rgba(0, 114, 178, 0.7)",
+    );
+    assert.strictEqual(
+      window.getPaletteColor("highContrast", "expense", 0.7),
+      "rgba(187, 85, 102, 1)",
+    );
+    assert.strictEqual(
+      window.getPaletteColor("highContrast", "balance", 0.1),
+      "rgba(0, 68, 136, 0.1)",
+    );
+    assert.strictEqual(
+      window.getPaletteColor("missing", "income", 1),
+      "rgba(40, 167, 69, 1)",
+    );
+    assert.strictEqual(
+      window.getPaletteCategoryColor("standard", "expense", 5, 1),
+      "rgba(220, 53, 69, 1)",
+    );
+  });
+});
+
+describe("accessible chart", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+    window.renderChart();
+  });
+
+  function pressKey(key) {
+    const event = new window.KeyboardEvent("keydown", {
+      key,
+      cancelable: true,
+    });
+    document.getElementById("budgetChart").dispatchEvent(event);
+    return event;
+  }
+
+  it("should label the canvas and summarise the year", () => {
+    assert.match(
+      document.getElementById("budgetChart").getAttribute("aria-label"),
+      /^Income vs Expenses \d{4} chart\. Use the arrow keys/,
+    );
+    assert.strictEqual(
+      document.getElementById("chartSummary").textContent,
+      "Income rose from an average of $350 a month in January to June to $950 in July to December. " +
+        "Income peaked in December at $1,200. " +
+        "Expenses rose from an average of $175 a month in January to June to $475 in July to December. " +
+        "Expenses peaked in December at $600. " +
+        "Income covered expenses every month. " +
+        "Net savings for the year are $3,900.",
+    );
+  });
+
+  it("should name the months where expenses were higher", () => {
+    document.getElementById("expense-feb").value = "500";
+    document.getElementById("expense-jun").value = "900";
+    window.renderChart();
+
+    assert.match(
+      document.getElementById("chartSummary").textContent,
+      /Expenses were higher than income in February, June\./,
+    );
+  });
+
+  it("should mirror the datasets in a data table", () => {
+    const table = document.querySelector("#chartDataTable table");
+    const headers = [...table.tHead.rows[0].cells].map(
+      (cell) => cell.textContent,
+    );
+    assert.deepStrictEqual(headers, ["Month", "Income", "Expenses"]);
+    assert.strictEqual(table.tBodies[0].rows.length, 12);
+    assert.deepStrictEqual(
+      [...table.tBodies[0].rows[2].cells].map((cell) => cell.textContent),
+      ["March", "$300", "$150"],
+    );
+    assert.strictEqual(
+      table.tBodies[0].rows[2].cells[0].getAttribute("scope"),
+      "row",
+    );
+  });
+
+  it("should show and hide the data table", () => {
+    const toggle = document.getElementById("chartTableToggle");
+    const container = document.getElementById("chartDataTable");
+
+    toggle.click();
+    assert.strictEqual(container.classList.contains("d-none"), false);
+    assert.strictEqual(toggle.getAttribute("aria-expanded"), "true");
+    assert.strictEqual(toggle.textContent, "Hide data table");
+
+    toggle.click();
+    assert.strictEqual(container.classList.contains("d-none"), true);
+    assert.strictEqual(toggle.getAttribute("aria-expanded"), "false");
+  });
+
+  it("should announce the value the arrow keys move to", () => {
+    const announcer = document.getElementById("chartAnnouncer");
+    const chart = MockChart.instances.at(-1);
+
+    assert.strictEqual(pressKey("ArrowRight").defaultPrevented, true);
+    assert.strictEqual(
+      announcer.textContent,
+      "January, Income: $100. 1 of 12.",
+    );
+
+    pressKey("ArrowRight");
+    pressKey("ArrowDown");
+    assert.strictEqual(
+      announcer.textContent,
+      "February, Expenses: $100. 2 of 12.",
+    );
+    assert.deepStrictEqual(plain(chart.activeElements), [
+      { datasetIndex: 1, index: 1 },
+    ]);
+
+    assert.strictEqual(pressKey("Tab").defaultPrevented, false);
+  });
+
+  it("should clear the highlight when the chart loses focus", () => {
+    const canvas = document.getElementById("budgetChart");
+    pressKey("End");
+
+    canvas.dispatchEvent(new window.FocusEvent("blur"));
+
+    assert.deepStrictEqual(
+      plain(MockChart.instances.at(-1).activeElements),
+      [],
+    );
+  });
+
+  it("should redraw and remember the chosen palette", () => {
+    const select = document.getElementById("chartPaletteSelect");
+    select.value = "colorBlind";
+    select.dispatchEvent(new window.Event("change"));
+
+    const [income, expenses] = MockChart.lastConfig.data.datasets;
+    assert.strictEqual(income.backgroundColor, "rgba(0, 114, 178, 0.7)");
+    assert.strictEqual(expenses.borderColor, "rgba(213, 94, 0, 1)");
+    assert.strictEqual(
+      window.loadBudgetState().settings.chartPalette,
+      "colorBlind",
+    );
+  });
+});
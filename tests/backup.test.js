@@ -0,0 +1,685 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+function createValidBackup() {
+  return {
+    format: "bucks2bar-backup",
+    version: 1,
+    workspace: {
+      selectedYear: 2025,
+      years: {
+        2024: {
+          income: new Array(12).fill(10),
+          expense: new Array(12).fill(5),
+        },
+        2025: { income: incomeValues, expense: expenseValues },
+      },
+      settings: { compareYear: 2024 },
+    },
+  };
+}
+
+describe("createBackup()", () => {
+  it("should write every year as numbers with blanks as null", async () => {
+    const window = await createAppWindow();
+    const workspace = window.createWorkspace(2025, {
+      income: ["100", "", "12.5"],
+      expense: ["abc"],
+    });
+    window.addBudgetYear(workspace, 2024);
+
+    const backup = plain(window.createBackup(workspace));
+
+    assert.strictEqual(backup.format, "bucks2bar-backup");
+    assert.strictEqual(backup.version, 12);
+    assert.ok(!Number.isNaN(Date.parse(backup.exportedAt)));
+    assert.deepStrictEqual(Object.keys(backup.workspace.years), [
+      "2024",
+      "2025",
+    ]);
+    assert.deepStrictEqual(backup.workspace.years[2025].income.slice(0, 4), [
+      100,
+      null,
+      12.5,
+      null,
+    ]);
+    assert.strictEqual(backup.workspace.years[2025].expense[0], null);
+    assert.strictEqual(backup.workspace.settings.compareYear, null);
+    assert.strictEqual(backup.workspace.settings.chartView, "grouped");
+  });
+});
+
+describe("validateBackup()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  const paths = (errors) => plain(errors.map((error) => error.path));
+
+  it("should accept a valid backup", () => {
+    assert.strictEqual(window.validateBackup(createValidBackup()).length, 0);
+  });
+
+  it("should reject files that are not Bucks2Bar backups", () => {
+    assert.deepStrictEqual(paths(window.validateBackup([])), [""]);
+    assert.deepStrictEqual(paths(window.validateBackup({ format: "other" })), [
+      "format",
+    ]);
+  });
+
+  it("should reject backups from a newer version", () => {
+    const backup = { ...createValidBackup(), version: 13 };
+
+    const errors = window.validateBackup(backup);
+
+    assert.deepStrictEqual(paths(errors), ["version"]);
+    assert.ok(errors[0].message.includes("newer version"));
+  });
+
+  it("should name the field and month of each invalid amount", () => {
+    const backup = createValidBackup();
+    backup.workspace.years[2025].expense = [...expenseValues];
+    backup.workspace.years[2025].expense[2] = -5;
+    backup.workspace.years[2024].income = [...incomeValues];
+    backup.workspace.years[2024].income[11] = "lots";
+
+    const errors = window.validateBackup(backup);
+
+    assert.deepStrictEqual(paths(errors), [
+      "workspace.years.2024.income[11]",
+      "workspace.years.2025.expense[2]",
+    ]);
+    assert.ok(errors[0].message.startsWith("Dec 2024 income"));
+    assert.ok(errors[1].message.startsWith("Mar 2025 expense"));
+  });
+
+  it("should require 12 months, valid years and known selected years", () => {
+    const backup = createValidBackup();
+    backup.workspace.years[2025].income = [1, 2, 3];
+    backup.workspace.years.abc = { income: [], expense: [] };
+    backup.workspace.selectedYear = 2030;
+    backup.workspace.settings.compareYear = 1999;
+
+    assert.deepStrictEqual(paths(window.validateBackup(backup)), [
+      "workspace.years.2025.income",
+      "workspace.years.abc",
+      "workspace.selectedYear",
+      "workspace.settings.compareYear",
+    ]);
+  });
+});
+
+describe("parseBackup()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should report invalid JSON", () => {
+    const { workspace, errors } = window.parseBackup("{oops");
+
+    assert.strictEqual(workspace, null);
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0].message.startsWith("Not valid JSON"));
+  });
+
+  it("should round-trip a workspace through a backup", () => {
+    const workspace = window.createWorkspace(2025, {
+      income: incomeValues.map(String),
+      expense: ["", ...expenseValues.slice(1).map(String)],
+    });
+
+    const text = JSON.stringify(window.createBackup(workspace));
+    const restored = window.parseBackup(text).workspace;
+
+    assert.strictEqual(restored.selectedYear, 2025);
+    assert.deepStrictEqual(
+      plain(restored.years[2025]),
+      plain(workspace.years[2025]),
+    );
+  });
+});
+
+describe("mergeWorkspaces()", () => {
+  it("should add and overwrite years but keep selection and settings", async () => {
+    const window = await createAppWindow();
+    const target = window.createWorkspace(2025);
+    window.addBudgetYear(target, 2023);
+    target.settings.compareYear = 2023;
+    const source = window.createWorkspace(2024, {
+      income: ["1"],
+      expense: ["2"],
+    });
+    source.years[2025] = { income: ["9"], expense: ["9"] };
+
+    const merged = window.mergeWorkspaces(target, source);
+
+    assert.deepStrictEqual(
+      plain(window.listBudgetYears(merged)),
+      [2023, 2024, 2025],
+    );
+    assert.strictEqual(merged.years[2025].income[0], "9");
+    assert.strictEqual(merged.selectedYear, 2025);
+    assert.strictEqual(merged.settings.compareYear, 2023);
+  });
+});
+
+describe("restoreWorkspace()", () => {
+  it("should replace the budget but keep the other scenarios", async () => {
+    const window = await createAppWindow();
+    const current = window.createWorkspace(2025);
+    window.duplicateScenario(current, "baseline", "Lean year");
+    current.settings.compareScenarios = ["baseline", "lean-year"];
+    const restored = window.createWorkspace(2030);
+    restored.settings.chartView = "net";
+
+    const workspace = window.restoreWorkspace(current, restored);
+
+    assert.deepStrictEqual(plain(window.listBudgetYears(workspace)), [2030]);
+    assert.strictEqual(workspace.settings.chartView, "net");
+    assert.deepStrictEqual(plain(workspace.scenarios.map(({ id }) => id)), [
+      "baseline",
+      "lean-year",
+    ]);
+    assert.deepStrictEqual(plain(workspace.settings.compareScenarios), [
+      "baseline",
+      "lean-year",
+    ]);
+    assert.deepStrictEqual(
+      plain(
+        window.listBudgetYears(
+          window.restoreWorkspace(current, restored, "merge"),
+        ),
+      ),
+      [2025, 2030],
+    );
+  });
+});
+
+describe("backup download and restore", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  it("should download the workspace as a JSON file", () => {
+    const createdLinks = [];
+    const originalCreateElement = document.createElement.bind(document);
+    document.createElement = (tagName) => {
+      const element = originalCreateElement(tagName);
+      if (tagName === "a") {
+        createdLinks.push(element);
+      }
+      return element;
+    };
+
+    document.getElementById("downloadBackupBtn").click();
+
+    assert.strictEqual(createdLinks.length, 1);
+    assert.match(
+      createdLinks[0].download,
+      /^bucks2bar-backup-\d{4}-\d{2}-\d{2}\.json$/,
+    );
+    const json = decodeURIComponent(
+      createdLinks[0].href.slice(createdLinks[0].href.indexOf(",") + 1),
+    );
+    const backup = JSON.parse(json);
+    const year = new Date().getFullYear();
+    assert.deepStrictEqual(backup.workspace.years[year].income, incomeValues);
+  });
+
+  it("should replace the workspace and show the restored year", () => {
+    window.restoreBackup(JSON.stringify(createValidBackup()), "replace");
+
+    const options = Array.from(document.getElementById("yearSelect").options);
+    assert.deepStrictEqual(
+      options.map((option) => option.value),
+      ["2024", "2025"],
+    );
+    assert.strictEqual(document.getElementById("yearSelect").value, "2025");
+    assert.strictEqual(window.validateAndCollectData().incomeData[0], 100);
+
+    const restoreStatus = document.getElementById("restoreStatus");
+    assert.ok(restoreStatus.classList.contains("alert-success"));
+    assert.strictEqual(window.loadBudgetState().selectedYear, 2025);
+  });
+
+  it("should merge backup years into the current workspace", () => {
+    window.restoreBackup(JSON.stringify(createValidBackup()), "merge");
+
+    const options = Array.from(document.getElementById("yearSelect").options);
+    assert.deepStrictEqual(
+      options.map((option) => Number(option.value)),
+      [2024, 2025, new Date().getFullYear()],
+    );
+    assert.strictEqual(
+      document.getElementById("yearSelect").value,
+      String(new Date().getFullYear()),
+    );
+  });
+
+  it("should list every error and leave the workspace untouched", () => {
+    const backup = createValidBackup();
+    backup.workspace.years[2025].income = [...incomeValues];
+    backup.workspace.years[2025].income[1] = -1;
+
+    const errors = window.restoreBackup(JSON.stringify(backup), "replace");
+
+    assert.strictEqual(errors.length, 1);
+    const restoreStatus = document.getElementById("restoreStatus");
+    assert.ok(restoreStatus.classList.contains("alert-danger"));
+    const items = restoreStatus.querySelectorAll("li");
+    assert.strictEqual(items.length, 1);
+    assert.ok(items[0].textContent.includes("workspace.years.2025.income[1]"));
+    assert.ok(items[0].textContent.includes("Feb 2025 income"));
+    assert.strictEqual(document.getElementById("yearSelect").options.length, 1);
+  });
+});
+
+describe("category backups", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should round-trip categories and chart settings", () => {
+    const workspace = window.createWorkspace(2025);
+    window.addCategory(workspace, "expense", "Rent");
+    workspace.years[2025].categoryValues.rent = ["500", "", "510"];
+    workspace.settings.chartView = "stacked";
+    workspace.settings.openingBalance = -250.5;
+    workspace.settings.currency = "EUR";
+
+    const backup = plain(window.createBackup(workspace));
+    assert.deepStrictEqual(backup.workspace.categories.expense, [
+      { id: "rent", name: "Rent" },
+    ]);
+    assert.deepStrictEqual(
+      backup.workspace.years[2025].categories.rent.slice(0, 3),
+      [500, null, 510],
+    );
+
+    const restored = window.parseBackup(JSON.stringify(backup)).workspace;
+    assert.strictEqual(restored.categories.expense[0].name, "Rent");
+    assert.deepStrictEqual(
+      plain(restored.years[2025].categoryValues.rent.slice(0, 3)),
+      ["500", "", "510"],
+    );
+    assert.strictEqual(restored.settings.chartView, "stacked");
+    assert.strictEqual(restored.settings.openingBalance, -250.5);
+    assert.strictEqual(restored.settings.currency, "EUR");
+  });
+
+  it("should restore version 1 backups without categories", () => {
+    const { workspace, errors } = window.parseBackup(
+      JSON.stringify(createValidBackup()),
+    );
+
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(workspace.categories.expense.length, 0);
+    assert.strictEqual(workspace.settings.chartView, "grouped");
+    assert.strictEqual(workspace.settings.openingBalance, 0);
+    assert.deepStrictEqual(plain(workspace.years[2025].categoryValues), {});
+  });
+
+  it("should report unknown categories and invalid category amounts", () => {
+    const backup = createValidBackup();
+    backup.version = 2;
+    backup.workspace.categories = {
+      income: [],
+      expense: [
+        { id: "rent", name: "Rent" },
+        { id: "rent", name: "Rent again" },
+      ],
+    };
+    const rent = new Array(12).fill(null);
+    rent[4] = -1;
+    backup.workspace.years[2025].categories = {
+      rent,
+      travel: new Array(12).fill(0),
+    };
+    backup.workspace.settings.chartView = "radar";
+    backup.workspace.settings.openingBalance = "lots";
+    backup.workspace.settings.currency = "DOGE";
+    backup.workspace.settings.locale = "xx";
+    backup.workspace.settings.forecastMethod = "crystal ball";
+    backup.workspace.settings.chartPalette = "neon";
+    backup.workspace.settings.liveChart = "yes";
+    backup.workspace.settings.theme = "sepia";
+
+    const errors = window.validateBackup(backup);
+
+    assert.deepStrictEqual(plain(errors.map((error) => error.path)), [
+      "workspace.categories.expense[1].id",
+      "workspace.years.2025.categories.rent[4]",
+      "workspace.years.2025.categories.travel",
+      "workspace.settings.chartView",
+      "workspace.settings.openingBalance",
+      "workspace.settings.currency",
+      "workspace.settings.locale",
+      "workspace.settings.forecastMethod",
+      "workspace.settings.chartPalette",
+      "workspace.settings.liveChart",
+      "workspace.settings.theme",
+    ]);
+    assert.ok(errors[1].message.startsWith('May 2025 "rent"'));
+  });
+
+  it("should merge categories the workspace doesn't have yet", () => {
+    const target = window.createWorkspace(2025);
+    window.addCategory(target, "expense", "Rent");
+    const source = window.createWorkspace(2024);
+    window.addCategory(source, "expense", "Rent");
+    window.addCategory(source, "expense", "Travel");
+
+    const merged = window.mergeWorkspaces(target, source);
+
+    assert.deepStrictEqual(
+      plain(merged.categories.expense.map((category) => category.id)),
+      ["rent", "travel"],
+    );
+  });
+});
+
+describe("target backups", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should round-trip income goals and expense budgets", () => {
+    const workspace = window.createWorkspace(2025);
+    workspace.years[2025].targets.expense[0] = "400";
+    workspace.years[2025].targets.income[11] = "1000.5";
+
+    const backup = plain(window.createBackup(workspace));
+    assert.strictEqual(backup.workspace.years[2025].targets.expense[0], 400);
+    assert.strictEqual(backup.workspace.years[2025].targets.expense[1], null);
+
+    const restored = window.parseBackup(JSON.stringify(backup)).workspace;
+    assert.strictEqual(restored.years[2025].targets.expense[0], "400");
+    assert.strictEqual(restored.years[2025].targets.income[11], "1000.5");
+  });
+
+  it("should give older backups empty targets", () => {
+    const { workspace } = window.parseBackup(
+      JSON.stringify(createValidBackup()),
+    );
+
+    assert.deepStrictEqual(
+      plain(workspace.years[2024].targets.expense),
+      new Array(12).fill(""),
+    );
+  });
+
+  it("should report invalid targets by month", () => {
+    const backup = createValidBackup();
+    const budgets = new Array(12).fill(null);
+    budgets[6] = -10;
+    backup.workspace.years[2025].targets = { expense: budgets };
+    backup.workspace.years[2024].targets = [];
+
+    const errors = window.validateBackup(backup);
+
+    assert.deepStrictEqual(plain(errors.map((error) => error.path)), [
+      "workspace.years.2024.targets",
+      "workspace.years.2025.targets.expense[6]",
+    ]);
+    assert.ok(errors[1].message.startsWith("Jul 2025 expense budget"));
+  });
+});
+
+describe("transaction backups", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should round-trip a year's transactions", () => {
+    const workspace = window.createWorkspace(2025);
+    window.addCategory(workspace, "expense", "Rent");
+    window.addTransaction(workspace, 2025, {
+      date: "2025-03-01",
+      amount: "950",
+      categoryId: "rent",
+      note: "March rent",
+    });
+    window.addTransaction(workspace, 2025, {
+      date: "2025-03-14",
+      amount: "",
+      type: "income",
+    });
+
+    const backup = plain(window.createBackup(workspace));
+    assert.deepStrictEqual(backup.workspace.years[2025].transactions, [
+      {
+        date: "2025-03-01",
+        amount: 950,
+        type: "expense",
+        categoryId: "rent",
+        note: "March rent",
+      },
+      {
+        date: "2025-03-14",
+        amount: null,
+        type: "income",
+        categoryId: null,
+        note: "",
+      },
+    ]);
+
+    const restored = window.parseBackup(JSON.stringify(backup)).workspace;
+    assert.deepStrictEqual(plain(restored.years[2025].transactions), [
+      {
+        id: "t1",
+        date: "2025-03-01",
+        amount: "950",
+        type: "expense",
+        categoryId: "rent",
+        note: "March rent",
+      },
+      {
+        id: "t2",
+        date: "2025-03-14",
+        amount: "",
+        type: "income",
+        categoryId: "",
+        note: "",
+      },
+    ]);
+  });
+
+  it("should give older backups an empty ledger", () => {
+    const { workspace } = window.parseBackup(
+      JSON.stringify(createValidBackup()),
+    );
+
+    assert.deepStrictEqual(plain(workspace.years[2025].transactions), []);
+  });
+
+  it("should report invalid transactions by field", () => {
+    const backup = createValidBackup();
+    backup.workspace.years[2024].transactions = {};
+    backup.workspace.years[2025].transactions = [
+      { date: "2025-01-02", amount: 5, type: "expense" },
+      { date: 20250102, amount: -5, type: "gift", categoryId: "rent" },
+      null,
+    ];
+
+    const errors = window.validateBackup(backup);
+
+    assert.deepStrictEqual(plain(errors.map((error) => error.path)), [
+      "workspace.years.2024.transactions",
+      "workspace.years.2025.transactions[1].date",
+      "workspace.years.2025.transactions[1].amount",
+      "workspace.years.2025.transactions[1].type",
+      "workspace.years.2025.transactions[1].categoryId",
+      "workspace.years.2025.transactions[2]",
+    ]);
+    assert.ok(errors[2].message.startsWith("Transaction 2 of 2025"));
+  });
+});
+
+describe("recurring rule backups", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should round-trip rules and each year's overrides", () => {
+    const workspace = window.createWorkspace(2025);
+    window.addCategory(workspace, "expense", "Rent");
+    window.addRecurringRule(workspace, 2025, {
+      name: "Rent",
+      categoryId: "rent",
+      amount: "950",
+      increase: "3",
+    });
+    window.addRecurringRule(workspace, 2025, {
+      type: "income",
+      amount: "200",
+      frequency: "custom",
+      interval: "2",
+      start: "2025-02",
+      end: "2025-10",
+    });
+    workspace.years[2025].recurringOverrides.categoryValues.rent = {
+      4: "1000",
+    };
+    workspace.years[2025].recurringOverrides.income = { 3: "" };
+
+    const backup = plain(window.createBackup(workspace));
+    assert.deepStrictEqual(backup.workspace.recurringRules[1], {
+      name: "",
+      type: "income",
+      categoryId: null,
+      amount: 200,
+      frequency: "custom",
+      interval: 2,
+      start: "2025-02",
+      end: "2025-10",
+      increase: null,
+    });
+    assert.deepStrictEqual(backup.workspace.years[2025].recurringOverrides, {
+      income: { 3: null },
+      expense: {},
+      categories: { rent: { 4: 1000 } },
+    });
+
+    const restored = window.parseBackup(JSON.stringify(backup)).workspace;
+    assert.deepStrictEqual(
+      plain(restored.recurringRules),
+      plain(workspace.recurringRules),
+    );
+    assert.deepStrictEqual(
+      plain(restored.years[2025].recurringOverrides),
+      plain(workspace.years[2025].recurringOverrides),
+    );
+  });
+
+  it("should give older backups no rules or overrides", () => {
+    const { workspace } = window.parseBackup(
+      JSON.stringify(createValidBackup()),
+    );
+
+    assert.deepStrictEqual(plain(workspace.recurringRules), []);
+    assert.deepStrictEqual(plain(workspace.years[2024].recurringOverrides), {
+      income: {},
+      expense: {},
+      categoryValues: {},
+    });
+  });
+
+  it("should report invalid rules and overrides by field", () => {
+    const backup = createValidBackup();
+    backup.workspace.recurringRules = [
+      { type: "expense", amount: 5, frequency: "monthly", start: "2025-01" },
+      {
+        type: "expense",
+        amount: -5,
+        frequency: "weekly",
+        interval: 1.5,
+        start: "2025-13",
+        end: "soon",
+      },
+    ];
+    backup.workspace.years[2025].recurringOverrides = {
+      income: { 12: 5 },
+      expense: { 1: "5" },
+      categories: { rent: {} },
+    };
+
+    const errors = window.validateBackup(backup);
+
+    assert.deepStrictEqual(plain(errors.map((error) => error.path)), [
+      "workspace.years.2025.recurringOverrides.income.12",
+      "workspace.years.2025.recurringOverrides.expense.1",
+      "workspace.years.2025.recurringOverrides.categories.rent",
+      "workspace.recurringRules[1].amount",
+      "workspace.recurringRules[1].frequency",
+      "workspace.recurringRules[1].interval",
+      "workspace.recurringRules[1].start",
+      "workspace.recurringRules[1].end",
+    ]);
+  });
+});
+
+describe("report note backups", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should round-trip each year's notes", () => {
+    const workspace = window.createWorkspace(2025);
+    workspace.years[2025].notes = "Bonus paid in March.";
+
+    const backup = plain(window.createBackup(workspace));
+    assert.strictEqual(
+      backup.workspace.years[2025].notes,
+      "Bonus paid in March.",
+    );
+
+    const restored = window.parseBackup(JSON.stringify(backup)).workspace;
+    assert.strictEqual(restored.years[2025].notes, "Bonus paid in March.");
+    assert.strictEqual(
+      window.parseBackup(JSON.stringify(createValidBackup())).workspace
+        .years[2024].notes,
+      "",
+    );
+  });
+
+  it("should reject notes that aren't text", () => {
+    const backup = createValidBackup();
+    backup.workspace.years[2025].notes = 42;
+
+    const errors = window.validateBackup(backup);
+
+    assert.deepStrictEqual(plain(errors), [
+      { path: "workspace.years.2025.notes", message: "Must be text." },
+    ]);
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart } from "./helpers.js";
+import {
+  buildCategoryChartConfig,
+  buildChartConfig,
+  drawChart,
+  drawFixedSizeChart,
+} from "../charts.js";
+import { getPaletteColor } from "../palette.js";
+import { createDefaultSettings } from "../workspace.js";
+
+const data = {
+  incomeData: [1000, 1000, 900, ...new Array(9).fill(0)],
+  expenseData: [800, 1200, 900, ...new Array(9).fill(0)],
+  categories: { income: [], expense: [] },
+  targets: {
+    income: new Array(12).fill(null),
+    expense: [null, 900, ...new Array(10).fill(null)],
+  },
+  forecast: null,
+};
+
+describe("chart configs", () => {
+  it("should plot net savings coloured by sign", () => {
+    const { title, config } = buildChartConfig("net", data, { year: 2025 });
+
+    assert.strictEqual(title, "Net Savings 2025");
+    assert.strictEqual(config.type, "line");
+    assert.strictEqual(config.data.labels[0], "Jan");
+    const [net] = config.data.datasets;
+    assert.deepStrictEqual(net.data.slice(0, 3), [200, -200, 0]);
+    assert.strictEqual(
+      net.pointBackgroundColor[1],
+      getPaletteColor("standard", "expense", 1),
+    );
+  });
+
+  it("should overlay the comparison year on the grouped bars only", () => {
+    const comparison = {
+      year: 2024,
+      incomeData: new Array(12).fill(950),
+      expenseData: new Array(12).fill(700),
+    };
+
+    const grouped = buildChartConfig("grouped", data, {
+      year: 2025,
+      comparison,
+    });
+    assert.strictEqual(grouped.title, "Income vs Expenses 2025 vs 2024");
+    assert.deepStrictEqual(
+      grouped.config.data.datasets.map(({ label }) => label),
+      [
+        "Income (2025)",
+        "Expenses (2025)",
+        "Expense budget",
+        "Income (2024)",
+        "Expenses (2024)",
+      ],
+    );
+    // February is over its budget of 900
+    assert.strictEqual(
+      grouped.config.data.datasets[1].backgroundColor[1],
+      getPaletteColor("standard", "overBudget", 0.7),
+    );
+    assert.strictEqual(
+      grouped.config.data.datasets[1].backgroundColor[0],
+      getPaletteColor("standard", "expense", 0.7),
+    );
+
+    const stacked = buildChartConfig("stacked", data, {
+      year: 2025,
+      comparison,
+    });
+    assert.strictEqual(stacked.title, "Income vs Expenses 2025 by Category");
+    assert.deepStrictEqual(
+      stacked.config.data.datasets.map(({ stack }) => stack),
+      ["income", "expense"],
+    );
+  });
+
+  it("should format money and pick colours from the settings", () => {
+    const settings = {
+      ...createDefaultSettings(),
+      currency: "EUR",
+      locale: "de-DE",
+      chartPalette: "highContrast",
+      openingBalance: 500,
+    };
+
+    const { config } = buildChartConfig("cumulative", data, { settings });
+
+    assert.deepStrictEqual(
+      config.data.datasets[0].data.slice(0, 3),
+      [700, 500, 500],
+    );
+    assert.strictEqual(
+      config.data.datasets[0].borderColor,
+      getPaletteColor("highContrast", "balance", 1),
+    );
+    assert.strictEqual(
+      config.options.scales.y.ticks.callback(1500),
+      "1.500\u00a0€",
+    );
+  });
+
+  it("should draw one net line per compared scenario", () => {
+    const { title, config } = buildChartConfig("scenarios", data, {
+      year: 2025,
+      scenarioSeries: [
+        { id: "baseline", name: "Baseline", ...data },
+        {
+          id: "new-job",
+          name: "New job",
+          incomeData: new Array(12).fill(1500),
+          expenseData: new Array(12).fill(1000),
+        },
+      ],
+    });
+
+    assert.strictEqual(title, "Net Savings by Scenario 2025");
+    assert.deepStrictEqual(
+      config.data.datasets.map(({ label, data: values }) => [label, values[0]]),
+      [
+        ["Baseline", 200],
+        ["New job", 500],
+      ],
+    );
+  });
+
+  it("should split a month between its categories", () => {
+    const config = buildCategoryChartConfig(
+      [
+        { id: "rent", name: "Rent", data: [900, 950] },
+        { id: "food", name: "Food", data: [300, 320] },
+      ],
+      1,
+      "expense",
+    );
+
+    assert.strictEqual(config.type, "doughnut");
+    assert.deepStrictEqual(config.data.labels, ["Rent", "Food"]);
+    assert.strictEqual(config.data.datasets[0].label, "February expenses");
+    assert.deepStrictEqual(config.data.datasets[0].data, [950, 320]);
+    assert.strictEqual(
+      config.options.plugins.tooltip.callbacks.label({
+        label: "Rent",
+        parsed: 950,
+      }),
+      "Rent: $950",
+    );
+  });
+});
+
+describe("drawing charts", () => {
+  const canvas = { getContext: () => ({ canvas: {} }) };
+
+  beforeEach(() => {
+    globalThis.Chart = MockChart;
+    MockChart.reset();
+  });
+
+  afterEach(() => {
+    delete globalThis.Chart;
+  });
+
+  it("should update a chart of the same type in place", () => {
+    const net = buildChartConfig("net", data).config;
+    const chart = drawChart(null, canvas, net);
+
+    const cumulative = buildChartConfig("cumulative", data).config;
+    assert.strictEqual(drawChart(chart, canvas, cumulative), chart);
+
+    assert.strictEqual(MockChart.instances.length, 1);
+    assert.strictEqual(chart.updates, 1);
+    assert.strictEqual(chart.data.datasets[0].label, "Balance");
+  });
+
+  it("should replace a chart when the type changes", () => {
+    const chart = drawChart(
+      null,
+      canvas,
+      buildChartConfig("grouped", data).config,
+    );
+
+    const doughnut = drawChart(
+      chart,
+      canvas,
+      buildChartConfig("annual", data).config,
+    );
+
+    assert.notStrictEqual(doughnut, chart);
+    assert.strictEqual(chart.destroyed, true);
+    assert.strictEqual(doughnut.config.type, "doughnut");
+  });
+
+  it("should draw a fixed-size chart without animation", () => {
+    const target = { getContext: () => ({}) };
+
+    const chart = drawFixedSizeChart(
+      target,
+      buildChartConfig("net", data).config,
+      { width: 800, height: 400, pixelRatio: 2, background: "#ffffff" },
+    );
+
+    assert.strictEqual(target.width, 800);
+    assert.strictEqual(target.height, 400);
+    assert.strictEqual(chart.options.responsive, false);
+    assert.strictEqual(chart.options.animation, false);
+    assert.strictEqual(chart.options.devicePixelRatio, 2);
+    assert.strictEqual(chart.config.plugins[0].id, "exportBackground");
+  });
+});
@@ -0,0 +1,301 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare arrays created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("parseCsv()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should split rows and fields with CRLF or LF line endings", () => {
+    const rows = window.parseCsv("a,b\r\nc,d\ne,f\n");
+
+    assert.deepStrictEqual(plain(rows), [
+      ["a", "b"],
+      ["c", "d"],
+      ["e", "f"],
+    ]);
+  });
+
+  it("should handle quoted fields with delimiters, quotes and newlines", () => {
+    const rows = window.parseCsv('"Jan, 2024","say ""hi""","two\nlines"');
+
+    assert.deepStrictEqual(plain(rows), [
+      ["Jan, 2024", 'say "hi"', "two\nlines"],
+    ]);
+  });
+
+  it("should detect semicolon, tab and pipe delimiters", () => {
+    assert.strictEqual(window.detectCsvDelimiter("Month;Income;Expense"), ";");
+    assert.strictEqual(
+      window.detectCsvDelimiter("Month\tIncome\tExpense"),
+      "\t",
+    );
+    assert.strictEqual(window.detectCsvDelimiter("Month|Income|Expense"), "|");
+    assert.strictEqual(window.detectCsvDelimiter('"a;b",c,d'), ",");
+  });
+});
+
+describe("budgetToCsv()", () => {
+  it("should write month, income, expense and net columns", async () => {
+    const window = await createAppWindow();
+    const csv = window.budgetToCsv({
+      incomeData: incomeValues,
+      expenseData: expenseValues.map((value) => value + 0.1),
+    });
+    const lines = csv.trim().split("\r\n");
+
+    assert.strictEqual(lines.length, 13);
+    assert.strictEqual(lines[0], "Month,Income,Expense,Net");
+    assert.strictEqual(lines[1], "Jan,100,50.1,49.9");
+    assert.strictEqual(lines[12], "Dec,1200,600.1,599.9");
+  });
+});
+
+describe("parseBudgetCsv()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should round-trip an exported CSV", () => {
+    const csv = window.budgetToCsv({
+      incomeData: incomeValues,
+      expenseData: expenseValues,
+    });
+
+    const { income, expense, errors } = window.parseBudgetCsv(csv);
+
+    assert.strictEqual(errors.length, 0);
+    assert.deepStrictEqual(plain(income), incomeValues.map(String));
+    assert.deepStrictEqual(plain(expense), expenseValues.map(String));
+  });
+
+  it("should accept a BOM, semicolons, decimal commas and header variations", () => {
+    const csv =
+      "\uFEFFMonat/Month;Total Income (€);Expenses (€)\r\n" +
+      "January;1234;99,50\r\n" +
+      '"Feb";"2000,25";"€ 10"\r\n';
+
+    const { income, expense, errors } = window.parseBudgetCsv(csv);
+
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(income[0], "1234");
+    assert.strictEqual(expense[0], "99.50");
+    assert.strictEqual(income[1], "2000.25");
+    assert.strictEqual(expense[1], "10");
+    assert.strictEqual(income[2], null);
+  });
+
+  it("should read columns in any order and thousands separators", () => {
+    const csv = 'Expense,Month,Income\n"1,500.75",03,"12,000"\n';
+
+    const { income, expense } = window.parseBudgetCsv(csv);
+
+    assert.strictEqual(income[2], "12000");
+    assert.strictEqual(expense[2], "1500.75");
+  });
+
+  it("should read German thousands and decimals in a de-DE workspace", () => {
+    const csv = "Month;Income;Expense\nJan;1.234,56;2.000\n";
+
+    const { income, expense, errors } = window.parseBudgetCsv(csv, {
+      locale: "de-DE",
+    });
+
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(income[0], "1234.56");
+    assert.strictEqual(expense[0], "2000");
+  });
+
+  it("should read space-grouped amounts in a fr-FR workspace", () => {
+    const csv = "Month;Income;Expense\nJan;1 234,56;1 000 €\n";
+
+    const { income, expense, errors } = window.parseBudgetCsv(csv, {
+      locale: "fr-FR",
+    });
+
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(income[0], "1234.56");
+    assert.strictEqual(expense[0], "1000");
+  });
+
+  it("should assume Month, Income, Expense when there is no header", () => {
+    const { income, expense } = window.parseBudgetCsv("2024-06\t10\t20\n");
+
+    assert.strictEqual(income[5], "10");
+    assert.strictEqual(expense[5], "20");
+  });
+
+  it("should treat empty amounts as valid", () => {
+    const { income, errors } = window.parseBudgetCsv(
+      "Month,Income,Expense\nApr,,5\n",
+    );
+
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(income[3], "");
+  });
+
+  it("should report invalid amounts, unknown months and duplicates by row", () => {
+    const csv =
+      "Month,Income,Expense\n" +
+      "Jan,-10,5\n" +
+      "Smarch,1,1\n" +
+      "Feb,1,abc\n" +
+      "Jan,2,2\n";
+
+    const { errors } = window.parseBudgetCsv(csv);
+
+    assert.deepStrictEqual(
+      plain(errors.map((error) => [error.row, error.month, error.field])),
+      [
+        [2, "Jan", "income"],
+        [3, null, null],
+        [4, "Feb", "expense"],
+        [5, "Jan", null],
+      ],
+    );
+    assert.ok(errors[1].message.includes("Smarch"));
+  });
+});
+
+describe("importBudgetCsv()", () => {
+  it("should fill the selected year but not totals that come from categories", async () => {
+    const window = await createAppWindow();
+    const workspace = window.createWorkspace(2025, {
+      income: ["1", "2"],
+      expense: ["3", "4"],
+    });
+    window.addCategory(workspace, "expense", "Rent");
+
+    const errors = window.importBudgetCsv(
+      workspace,
+      "Month,Income,Expense\nFeb,20,abc\nMar,x,40\n",
+    );
+
+    assert.deepStrictEqual(plain(workspace.years[2025].income.slice(0, 3)), [
+      "1",
+      "20",
+      "x",
+    ]);
+    assert.deepStrictEqual(plain(workspace.years[2025].expense), ["3", "4"]);
+    assert.deepStrictEqual(
+      plain(errors.map(({ row, field }) => [row, field ?? null])),
+      [
+        [3, "income"],
+        [null, null],
+      ],
+    );
+    assert.match(errors[1].message, /Expense totals come from categories/);
+  });
+});
+
+describe("CSV import and export buttons", () => {
+  let window, document, alertCalls;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    alertCalls = [];
+    window.alert = (message) => alertCalls.push(message);
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  it("should download the current year as a CSV data URL", () => {
+    const createdLinks = [];
+    const originalCreateElement = document.createElement.bind(document);
+    document.createElement = (tagName) => {
+      const element = originalCreateElement(tagName);
+      if (tagName === "a") {
+        createdLinks.push(element);
+      }
+      return element;
+    };
+
+    document.getElementById("exportCsvBtn").click();
+
+    assert.strictEqual(createdLinks.length, 1);
+    assert.strictEqual(
+      createdLinks[0].download,
+      `budget-${new Date().getFullYear()}.csv`,
+    );
+    const csv = decodeURIComponent(
+      createdLinks[0].href.split(",").slice(1).join(","),
+    );
+    assert.ok(csv.startsWith("Month,Income,Expense,Net\r\nJan,100,50,50"));
+  });
+
+  it("should refuse to export while inputs are invalid", () => {
+    setInputValues(window, [-1], []);
+
+    document.getElementById("exportCsvBtn").click();
+
+    assert.strictEqual(alertCalls.length, 0);
+    const toast = document.querySelector("#toastContainer .toast");
+    assert.strictEqual(toast.getAttribute("role"), "alert");
+    assert.match(toast.textContent, /before exporting a CSV file/);
+  });
+
+  it("should fill the form and save the imported values", () => {
+    const errors = window.importCsv("Month,Income,Expense\nMar,333,111\n");
+
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(alertCalls.length, 0);
+    const { incomeData, expenseData } = window.validateAndCollectData();
+    assert.strictEqual(incomeData[2], 333);
+    assert.strictEqual(expenseData[2], 111);
+    // Months missing from the file are unchanged
+    assert.strictEqual(incomeData[0], 100);
+
+    const state = window.loadBudgetState();
+    assert.strictEqual(state.years[state.selectedYear].income[2], "333");
+  });
+
+  it("should read amounts in the workspace's number format", () => {
+    const localeSelect = document.getElementById("localeSelect");
+    localeSelect.value = "de-DE";
+    localeSelect.dispatchEvent(new window.Event("change"));
+
+    const errors = window.importCsv("Month;Income;Expense\nMar;1.234,56;99\n");
+
+    assert.strictEqual(errors.length, 0);
+    const state = window.loadBudgetState();
+    assert.strictEqual(state.years[state.selectedYear].income[2], "1234.56");
+  });
+
+  it("should mark invalid imported values with is-invalid and report them", () => {
+    window.importCsv("Month,Income,Expense\nJan,abc,5\nFeb,7,-3\n");
+
+    const incomeInputs = document.querySelectorAll(".income-input");
+    const expenseInputs = document.querySelectorAll(".expense-input");
+    assert.strictEqual(incomeInputs[0].classList.contains("is-invalid"), true);
+    assert.strictEqual(
+      expenseInputs[0].classList.contains("is-invalid"),
+      false,
+    );
+    assert.strictEqual(expenseInputs[1].classList.contains("is-invalid"), true);
+    assert.strictEqual(alertCalls.length, 0);
+    const toast = document.querySelector("#toastContainer .toast");
+    assert.match(toast.textContent, /Some rows could not be imported/);
+    assert.deepStrictEqual(
+      [...toast.querySelectorAll("li")].map((item) =>
+        item.textContent.slice(0, 11),
+      ),
+      ["Row 2 (Jan)", "Row 3 (Feb)"],
+    );
+  });
+});
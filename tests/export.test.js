@@ -0,0 +1,307 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("export options", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should size exports from presets, the screen or custom fields", () => {
+    assert.deepStrictEqual(plain(window.getExportSize("1920x1080", null)), {
+      width: 1920,
+      height: 1080,
+      pixelRatio: 1,
+    });
+    assert.deepStrictEqual(
+      plain(window.getExportSize("screen-2x", { width: 640.4, height: 320 })),
+      { width: 640, height: 320, pixelRatio: 2 },
+    );
+    assert.deepStrictEqual(
+      plain(
+        window.getExportSize("custom", null, { width: "1000", height: "500" }),
+      ),
+      { width: 1000, height: 500, pixelRatio: 1 },
+    );
+  });
+
+  it("should reject sizes it can't render", () => {
+    assert.match(window.getExportSize("screen", null).error, /Show the chart/);
+    assert.strictEqual(
+      window.getExportSize("custom", null, { width: "99", height: "500" })
+        .error,
+      "Enter a width and height from 100 to 8000 pixels.",
+    );
+    assert.ok(
+      window.getExportSize("custom", null, { width: "1.5", height: "500" })
+        .error,
+    );
+    assert.strictEqual(
+      window.getExportSize("huge", null).error,
+      "Pick a size.",
+    );
+  });
+
+  it("should fill in the file name template", () => {
+    const values = { year: 2025, view: "net", date: "2025-06-30" };
+
+    assert.strictEqual(
+      window.formatExportFilename("budget-{year}-{view}", values, "jpeg"),
+      "budget-2025-net.jpg",
+    );
+    assert.strictEqual(
+      window.formatExportFilename("report {date}.svg", values, "svg"),
+      "report 2025-06-30.svg",
+    );
+    assert.strictEqual(
+      window.formatExportFilename("a/b:c?", values, "png"),
+      "a-b-c-.png",
+    );
+    assert.strictEqual(
+      window.formatExportFilename("  ", values, "png"),
+      "budget-chart.png",
+    );
+  });
+
+  it("should turn a data URL into a blob", async () => {
+    const blob = window.dataUrlToBlob("data:image/png;base64,aGVsbG8=");
+
+    assert.strictEqual(blob.type, "image/png");
+    assert.strictEqual(blob.size, 5);
+  });
+});
+
+describe("createSvgCanvas()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should record paths, text and transforms as SVG", () => {
+    const canvas = window.createSvgCanvas(200, 100);
+    const ctx = canvas.getContext("2d");
+
+    ctx.fillStyle = "#ff0000";
+    ctx.fillRect(0, 0, 10, 20);
+    ctx.save();
+    ctx.translate(5, 5);
+    ctx.strokeStyle = "blue";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 2]);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 10);
+    ctx.stroke();
+    ctx.restore();
+    ctx.textAlign = "center";
+    ctx.fillText("Jan & Feb", 50, 60);
+
+    const svg = canvas.toSvg();
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    assert.match(svg, /viewBox="0 0 200 100"/);
+    assert.match(svg, /<path d="M0 0L10 0L10 20L0 20Z" fill="#ff0000"\/>/);
+    assert.match(svg, /d="M5 5L15 15" fill="none" stroke="blue"/);
+    assert.match(svg, /stroke-width="2"/);
+    assert.match(svg, /stroke-dasharray="4 2"/);
+    assert.match(svg, /text-anchor="middle"[^>]*>Jan &amp; Feb<\/text>/);
+    // restore() dropped the dash and the translation
+    assert.deepStrictEqual(plain(ctx.getLineDash()), []);
+    assert.deepStrictEqual(plain(ctx.getTransform()), {
+      a: 1,
+      b: 0,
+      c: 0,
+      d: 1,
+      e: 0,
+      f: 0,
+    });
+  });
+
+  it("should draw full circles as two arcs and clip with clip paths", () => {
+    const canvas = window.createSvgCanvas(100, 100);
+    const ctx = canvas.getContext("2d");
+
+    ctx.beginPath();
+    ctx.rect(10, 10, 50, 50);
+    ctx.clip();
+    ctx.beginPath();
+    ctx.arc(50, 50, 10, 0, Math.PI * 2);
+    ctx.fill();
+
+    const svg = canvas.toSvg();
+    assert.match(svg, /<defs><clipPath id="clip1">/);
+    assert.match(svg, /d="M60 50A10 10 0 0 1 40 50A10 10 0 0 1 60 50"/);
+    assert.match(svg, /clip-path="url\(#clip1\)"/);
+  });
+
+  it("should start over when the whole canvas is cleared", () => {
+    const canvas = window.createSvgCanvas(100, 50);
+    const ctx = canvas.getContext("2d");
+
+    ctx.fillRect(0, 0, 5, 5);
+    ctx.clearRect(0, 0, 100, 50);
+
+    assert.doesNotMatch(canvas.toSvg(), /<path/);
+  });
+});
+
+describe("chart export dialog", () => {
+  let window, document, downloads;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+
+    // Let the tests see the size of the canvas the chart was drawn on
+    window.HTMLCanvasElement.prototype.getContext = function () {
+      return { canvas: this };
+    };
+    downloads = [];
+    window.HTMLAnchorElement.prototype.click = function () {
+      downloads.push({ href: this.href, download: this.download });
+    };
+  });
+
+  function setOption(id, value) {
+    const input = document.getElementById(id);
+    if (input.type === "checkbox") {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+    input.dispatchEvent(new window.Event("change", { bubbles: true }));
+  }
+
+  it("should render the chosen size off screen with an opaque background", () => {
+    setOption("exportSizeSelect", "3840x2160");
+    setOption("exportBackgroundInput", "#f0f0f0");
+    document.getElementById("exportChartBtn").click();
+
+    const config = MockChart.lastConfig;
+    const ctx = MockChart.lastContext;
+    assert.strictEqual(config.options.responsive, false);
+    assert.strictEqual(config.options.devicePixelRatio, 1);
+    assert.strictEqual(ctx.canvas.width, 3840);
+    assert.strictEqual(ctx.canvas.height, 2160);
+    assert.ok(
+      config.plugins.some(({ id }) => id === "exportBackground"),
+      "paints a background",
+    );
+    assert.strictEqual(MockChart.instances.at(-1).destroyed, true);
+    assert.strictEqual(downloads.length, 1);
+  });
+
+  it("should leave the background out of transparent PNGs but not JPEGs", () => {
+    setOption("exportTransparentCheck", true);
+    document.getElementById("exportChartBtn").click();
+    assert.strictEqual(MockChart.lastConfig.plugins.length, 0);
+
+    setOption("exportFormatSelect", "jpeg");
+    assert.strictEqual(
+      document.getElementById("exportTransparentCheck").disabled,
+      true,
+    );
+    document.getElementById("exportChartBtn").click();
+    assert.strictEqual(MockChart.lastConfig.plugins.length, 1);
+    assert.match(downloads[1].download, /\.jpg$/);
+  });
+
+  it("should export SVG with a file name from the template", () => {
+    setOption("exportFormatSelect", "svg");
+    document.getElementById("exportFilenameInput").value =
+      "chart-{year}-{view}";
+    document.getElementById("exportChartBtn").click();
+
+    const [download] = downloads;
+    assert.ok(download.href.startsWith("data:image/svg+xml;charset=utf-8,"));
+    assert.match(
+      decodeURIComponent(download.href.split(",")[1]),
+      /^<svg [^>]*width="1920" height="1080"/,
+    );
+    assert.strictEqual(
+      download.download,
+      `chart-${new Date().getFullYear()}-grouped.svg`,
+    );
+  });
+
+  it("should show the custom size fields and reject bad sizes inline", () => {
+    setOption("exportSizeSelect", "custom");
+    assert.strictEqual(
+      document.getElementById("exportCustomSize").classList.contains("d-none"),
+      false,
+    );
+
+    document.getElementById("exportWidthInput").value = "20000";
+    document.getElementById("exportChartBtn").click();
+
+    const status = document.getElementById("chartExportStatus");
+    assert.match(status.textContent, /from 100 to 8000 pixels/);
+    assert.strictEqual(status.classList.contains("alert-danger"), true);
+    assert.strictEqual(downloads.length, 0);
+  });
+
+  it("should report invalid values instead of exporting", () => {
+    const input = document.querySelector("#income-jan");
+    input.value = "abc";
+    document.getElementById("exportChartBtn").click();
+
+    assert.match(
+      document.getElementById("chartExportStatus").textContent,
+      /Fix the highlighted values/,
+    );
+    assert.strictEqual(downloads.length, 0);
+  });
+
+  it("should copy a PNG to the clipboard", async () => {
+    const written = [];
+    window.ClipboardItem = class {
+      constructor(items) {
+        this.items = items;
+      }
+    };
+    Object.defineProperty(window.navigator, "clipboard", {
+      value: { write: async (items) => written.push(...items) },
+      configurable: true,
+    });
+    setOption("exportFormatSelect", "svg");
+    // The mock's image data isn't valid base64
+    const { toBase64Image } = MockChart.prototype;
+    MockChart.prototype.toBase64Image = () => "data:image/png;base64,aGVsbG8=";
+
+    try {
+      await window.copyChartToClipboard();
+    } finally {
+      MockChart.prototype.toBase64Image = toBase64Image;
+    }
+
+    assert.strictEqual(written.length, 1);
+    assert.strictEqual(written[0].items["image/png"].type, "image/png");
+    assert.strictEqual(
+      document.getElementById("chartExportStatus").textContent,
+      "Chart copied to the clipboard.",
+    );
+  });
+
+  it("should explain when the browser can't copy images", async () => {
+    await window.copyChartToClipboard();
+
+    assert.match(
+      document.getElementById("chartExportStatus").textContent,
+      /can't copy images/,
+    );
+  });
+});
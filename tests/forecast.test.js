@@ -0,0 +1,232 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("forecasting", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  const firstHalf = (values) => [...values.slice(0, 6), 0, 0, 0, 0, 0, 0];
+  const data = {
+    incomeData: firstHalf(incomeValues),
+    expenseData: firstHalf(expenseValues),
+  };
+
+  it("should find the last month with anything entered", () => {
+    const blank = new Array(12).fill("");
+    const expense = [...blank];
+    expense[4] = "10";
+    const rent = [...blank];
+    rent[8] = " 5 ";
+
+    assert.strictEqual(
+      window.getLastEnteredMonth({ income: blank, expense }),
+      4,
+    );
+    assert.strictEqual(
+      window.getLastEnteredMonth({
+        income: blank,
+        expense,
+        categoryValues: { rent },
+      }),
+      8,
+    );
+    assert.strictEqual(
+      window.getLastEnteredMonth({ income: blank, expense: blank }),
+      -1,
+    );
+  });
+
+  it("should repeat the trailing three-month average", () => {
+    const forecast = window.forecastBudget(data, 5, "average");
+
+    assert.strictEqual(forecast.firstMonth, 6);
+    assert.deepStrictEqual(plain(forecast.income), [
+      null,
+      null,
+      null,
+      null,
+      null,
+      null,
+      500,
+      500,
+      500,
+      500,
+      500,
+      500,
+    ]);
+    assert.strictEqual(forecast.expense[11], 250);
+    // 2100 - 1050 actual, then 6 × (500 - 250) projected
+    assert.strictEqual(forecast.yearEndBalance, 2550);
+  });
+
+  it("should continue a linear trend", () => {
+    const forecast = window.forecastBudget(data, 5, "trend", {
+      openingBalance: 100,
+    });
+
+    assert.deepStrictEqual(
+      plain(forecast.income.slice(6)),
+      [700, 800, 900, 1000, 1100, 1200],
+    );
+    assert.deepStrictEqual(
+      plain(forecast.expense.slice(6)),
+      [350, 400, 450, 500, 550, 600],
+    );
+    assert.strictEqual(forecast.yearEndBalance, 3900 + 100);
+  });
+
+  it("should not project a falling trend below zero", () => {
+    const projected = window.forecastLinearTrend([300, 200, 100], 3);
+
+    assert.deepStrictEqual(plain(projected), [0, 0, 0]);
+  });
+
+  it("should fall back to the average with a single month", () => {
+    assert.deepStrictEqual(
+      plain(window.forecastLinearTrend([120], 2)),
+      [120, 120],
+    );
+    assert.deepStrictEqual(
+      plain(window.forecastTrailingAverage([], 2)),
+      [0, 0],
+    );
+  });
+
+  it("should reuse last year's months", () => {
+    const previousYear = {
+      incomeData: new Array(12).fill(1000),
+      expenseData: new Array(12).fill(400),
+    };
+
+    const forecast = window.forecastBudget(data, 8, "lastYear", {
+      previousYear,
+    });
+
+    assert.deepStrictEqual(plain(forecast.income.slice(9)), [1000, 1000, 1000]);
+    assert.strictEqual(forecast.expense[9], 400);
+    assert.strictEqual(forecast.expense[8], null);
+  });
+
+  it("should not forecast when switched off or without last year", () => {
+    assert.strictEqual(window.forecastBudget(data, 5, "none"), null);
+    assert.strictEqual(window.forecastBudget(data, 5, "lastYear"), null);
+  });
+
+  it("should have nothing to project for a complete year", () => {
+    const forecast = window.forecastBudget(
+      { incomeData: incomeValues, expenseData: expenseValues },
+      11,
+      "trend",
+    );
+
+    assert.strictEqual(forecast.firstMonth, 12);
+    assert.ok(forecast.income.every((value) => value === null));
+    assert.strictEqual(forecast.yearEndBalance, 3900);
+  });
+});
+
+describe("forecast chart", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    // Leave July onwards to be forecast
+    const blank = new Array(6).fill("");
+    setInputValues(
+      window,
+      [...incomeValues.slice(0, 6), ...blank],
+      [...expenseValues.slice(0, 6), ...blank],
+    );
+    window.onload();
+  });
+
+  function selectMethod(value) {
+    const select = document.getElementById("forecastMethodSelect");
+    select.value = value;
+    select.dispatchEvent(new window.Event("change"));
+  }
+
+  it("should draw projected months as dashed lines", () => {
+    selectMethod("average");
+
+    const { datasets } = MockChart.lastConfig.data;
+    const income = datasets.find(
+      (dataset) => dataset.label === "Income (forecast)",
+    );
+    const expenses = datasets.find(
+      (dataset) => dataset.label === "Expenses (forecast)",
+    );
+    assert.strictEqual(income.type, "line");
+    assert.deepStrictEqual(plain(income.borderDash), [8, 4]);
+    // Joined to the last actual month
+    assert.strictEqual(income.data[4], null);
+    assert.strictEqual(income.data[5], 600);
+    assert.strictEqual(income.data[6], 500);
+    assert.strictEqual(expenses.data[11], 250);
+  });
+
+  it("should show the projected year-end balance", () => {
+    selectMethod("trend");
+
+    const summary = document.getElementById("forecastSummary");
+    assert.strictEqual(summary.classList.contains("d-none"), false);
+    assert.strictEqual(
+      summary.textContent,
+      "Projected year-end balance: $3,900 (Jul–Dec projected from the linear trend).",
+    );
+    assert.strictEqual(
+      window.loadBudgetState().settings.forecastMethod,
+      "trend",
+    );
+  });
+
+  it("should hide the forecast when switched off", () => {
+    selectMethod("average");
+    selectMethod("none");
+
+    assert.strictEqual(
+      document.getElementById("forecastSummary").classList.contains("d-none"),
+      true,
+    );
+    assert.strictEqual(MockChart.lastConfig.data.datasets.length, 2);
+  });
+
+  it("should only offer last year's months when there is a previous year", () => {
+    window.renderChart();
+    const lastYear = document.querySelector(
+      '#forecastMethodSelect option[value="lastYear"]',
+    );
+    assert.strictEqual(lastYear.disabled, true);
+
+    document.getElementById("newYearInput").value = "2000";
+    document.getElementById("addYearBtn").click();
+    setInputValues(window, [900], [300]);
+    document
+      .getElementById("budgetForm")
+      .dispatchEvent(new window.Event("input", { bubbles: true }));
+    document.getElementById("yearSelect").value = String(
+      new Date().getFullYear(),
+    );
+    document
+      .getElementById("yearSelect")
+      .dispatchEvent(new window.Event("change"));
+    window.renderChart();
+
+    assert.strictEqual(lastYear.disabled, false);
+  });
+});
@@ -0,0 +1,313 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("grid editing", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  const values = [
+    ["100", "200", "", "abc"],
+    ["50", "60", "70", "80"],
+  ];
+
+  it("should split a pasted spreadsheet block into rows and cells", () => {
+    assert.deepStrictEqual(
+      plain(window.parsePastedBlock("1\t2\r\n3\t 4 \r\n")),
+      [
+        ["1", "2"],
+        ["3", "4"],
+      ],
+    );
+    assert.deepStrictEqual(plain(window.parsePastedBlock("850")), [["850"]]);
+  });
+
+  it("should paste from the start cell and drop what doesn't fit", () => {
+    const { changes, clipped } = window.getPasteChanges(
+      [
+        ["1", "2", "3"],
+        ["4", "5", "6"],
+      ],
+      { row: 11, column: 0 },
+      { rows: 12, columns: 2 },
+    );
+
+    assert.deepStrictEqual(plain(changes), [
+      { row: 11, column: 0, value: "1" },
+      { row: 11, column: 1, value: "2" },
+    ]);
+    assert.strictEqual(clipped, true);
+  });
+
+  it("should fill down and right from the first row and column", () => {
+    const range = window.getGridRange(
+      { row: 2, column: 1 },
+      { row: 0, column: 0 },
+    );
+    assert.deepStrictEqual(plain(range), {
+      top: 0,
+      bottom: 2,
+      left: 0,
+      right: 1,
+    });
+
+    assert.deepStrictEqual(plain(window.getFillDownChanges(values, range)), [
+      { row: 1, column: 0, value: "100" },
+      { row: 1, column: 1, value: "50" },
+      { row: 2, column: 0, value: "100" },
+      { row: 2, column: 1, value: "50" },
+    ]);
+    assert.deepStrictEqual(plain(window.getFillRightChanges(values, range)), [
+      { row: 0, column: 1, value: "100" },
+      { row: 1, column: 1, value: "200" },
+      { row: 2, column: 1, value: "" },
+    ]);
+  });
+
+  it("should change amounts by a percentage, skipping blanks", () => {
+    const range = { top: 0, bottom: 3, left: 0, right: 0 };
+
+    assert.deepStrictEqual(
+      plain(window.getPercentChanges(values, range, 12.5)),
+      [
+        { row: 0, column: 0, value: "112.5" },
+        { row: 1, column: 0, value: "225" },
+      ],
+    );
+    assert.strictEqual(
+      window.getPercentChanges([["10.01"]], { ...range, bottom: 0 }, -3)[0]
+        .value,
+      "9.71",
+    );
+  });
+
+  it("should move between cells without leaving the grid", () => {
+    const size = { rows: 12, columns: 2 };
+
+    assert.deepStrictEqual(
+      plain(window.moveGridCell({ row: 0, column: 0 }, "ArrowDown", size)),
+      { row: 1, column: 0 },
+    );
+    assert.deepStrictEqual(
+      plain(window.moveGridCell({ row: 0, column: 0 }, "ArrowUp", size)),
+      { row: 0, column: 0 },
+    );
+    assert.deepStrictEqual(
+      plain(window.moveGridCell({ row: 5, column: 1 }, "ArrowRight", size)),
+      { row: 5, column: 1 },
+    );
+    assert.strictEqual(
+      window.moveGridCell({ row: 0, column: 0 }, "Tab", size),
+      null,
+    );
+  });
+});
+
+describe("bulk editing the budget form", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  const valuesOf = (selector) =>
+    Array.from(document.querySelectorAll(selector), (input) => input.value);
+
+  function pressKey(target, key, options = {}) {
+    const event = new window.KeyboardEvent("keydown", {
+      key,
+      bubbles: true,
+      cancelable: true,
+      ...options,
+    });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  function selectCells(fromId, toId) {
+    const from = document.getElementById(fromId);
+    from.dispatchEvent(new window.MouseEvent("mousedown", { bubbles: true }));
+    document
+      .getElementById(toId)
+      .dispatchEvent(
+        new window.MouseEvent("mousedown", { bubbles: true, shiftKey: true }),
+      );
+  }
+
+  it("should paste a block across months and both columns", () => {
+    const input = document.getElementById("income-mar");
+    const event = new window.Event("paste", {
+      bubbles: true,
+      cancelable: true,
+    });
+    event.clipboardData = { getData: () => "1000\t400\n1,100\t-5\n" };
+
+    input.dispatchEvent(event);
+
+    assert.strictEqual(event.defaultPrevented, true);
+    assert.deepStrictEqual(valuesOf(".income-input").slice(2, 5), [
+      "1000",
+      "1100",
+      "500",
+    ]);
+    assert.deepStrictEqual(valuesOf(".expense-input").slice(2, 4), [
+      "400",
+      "-5",
+    ]);
+    // Pasted values are validated like typed ones
+    assert.strictEqual(
+      document.getElementById("expense-apr").classList.contains("is-invalid"),
+      true,
+    );
+    assert.match(
+      document.getElementById("gridSelectionStatus").textContent,
+      /March–April income and expenses/,
+    );
+    const state = window.loadBudgetState();
+    assert.strictEqual(state.years[state.selectedYear].income[3], "1100");
+  });
+
+  it("should leave single values to the browser's paste", () => {
+    assert.strictEqual(
+      window.pasteIntoGrid(document.getElementById("income-jan"), "850\n"),
+      false,
+    );
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+  });
+
+  it("should warn when a paste runs past December", () => {
+    window.pasteIntoGrid(document.getElementById("expense-dec"), "1\t2\n3\t4");
+
+    assert.strictEqual(document.getElementById("expense-dec").value, "1");
+    assert.match(
+      document.querySelector("#toastContainer .toast").textContent,
+      /Only the cells that fit/,
+    );
+  });
+
+  it("should move between cells with the arrow keys", () => {
+    const january = document.getElementById("income-jan");
+    january.focus();
+
+    pressKey(january, "ArrowDown");
+    assert.strictEqual(document.activeElement.id, "income-feb");
+
+    // Left and right only leave the cell at the end of its value
+    const february = document.activeElement;
+    february.setSelectionRange(0, 0);
+    assert.strictEqual(
+      pressKey(february, "ArrowRight").defaultPrevented,
+      false,
+    );
+    february.setSelectionRange(3, 3);
+    pressKey(february, "ArrowRight");
+    assert.strictEqual(document.activeElement.id, "expense-feb");
+  });
+
+  it("should fill down the selection with the button and Ctrl+D", () => {
+    selectCells("income-jan", "income-apr");
+    document.getElementById("fillDownBtn").click();
+    assert.deepStrictEqual(valuesOf(".income-input").slice(0, 5), [
+      "100",
+      "100",
+      "100",
+      "100",
+      "500",
+    ]);
+
+    const june = document.getElementById("expense-jun");
+    june.focus();
+    pressKey(june, "d", { ctrlKey: true });
+    assert.strictEqual(june.value, "250");
+  });
+
+  it("should extend the selection with Shift and the arrow keys", () => {
+    const march = document.getElementById("income-mar");
+    march.focus();
+    pressKey(march, "ArrowDown", { shiftKey: true });
+    pressKey(document.activeElement, "ArrowRight", { shiftKey: true });
+
+    document.getElementById("fillRightBtn").click();
+
+    assert.deepStrictEqual(valuesOf(".expense-input").slice(2, 4), [
+      "300",
+      "400",
+    ]);
+  });
+
+  it("should copy January to all months of the selected column", () => {
+    selectCells("expense-jan", "expense-jan");
+    document.getElementById("copyJanuaryBtn").click();
+
+    assert.deepStrictEqual(
+      valuesOf(".expense-input"),
+      new Array(12).fill("50"),
+    );
+    assert.strictEqual(document.getElementById("income-dec").value, "1200");
+  });
+
+  it("should change the selected months by a percentage as one undo step", () => {
+    selectCells("income-jan", "expense-feb");
+    document.getElementById("percentChangeInput").value = "10";
+    document.getElementById("applyPercentBtn").click();
+
+    assert.deepStrictEqual(valuesOf(".income-input").slice(0, 3), [
+      "110",
+      "220",
+      "300",
+    ]);
+    assert.deepStrictEqual(valuesOf(".expense-input").slice(0, 2), [
+      "55",
+      "110",
+    ]);
+
+    window.undoBudgetChange();
+    assert.deepStrictEqual(valuesOf(".income-input").slice(0, 2), [
+      "100",
+      "200",
+    ]);
+  });
+
+  it("should reject a percentage it can't apply", () => {
+    selectCells("income-jan", "income-jan");
+    const percentInput = document.getElementById("percentChangeInput");
+    percentInput.value = "-150";
+    document.getElementById("applyPercentBtn").click();
+
+    assert.strictEqual(percentInput.classList.contains("is-invalid"), true);
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+  });
+
+  it("should leave totals that come from categories alone", () => {
+    document.getElementById("categoryKindSelect").value = "income";
+    document.getElementById("categoryNameInput").value = "Salary";
+    document.getElementById("addCategoryBtn").click();
+    selectCells("income-jan", "expense-jan");
+
+    document.getElementById("fillDownBtn").click();
+    window.pasteIntoGrid(document.getElementById("income-jan"), "5\t6\n7\t8");
+
+    assert.strictEqual(document.getElementById("income-jan").value, "0");
+    assert.strictEqual(document.getElementById("expense-jan").value, "6");
+    assert.match(
+      document.querySelector("#toastContainer .toast").textContent,
+      /left as they are/,
+    );
+  });
+});
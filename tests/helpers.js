@@ -0,0 +1,381 @@
+import { JSDOM } from "jsdom";
+import { readFileSync } from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { dirname, join } from "node:path";
+import vm from "node:vm";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Mock Chart.js class that tracks constructor calls and instances
+export class MockChart {
+  static instances = [];
+  static lastConfig = null;
+  static lastContext = null;
+
+  constructor(ctx, config) {
+    MockChart.lastContext = ctx;
+    MockChart.lastConfig = config;
+    this.ctx = ctx;
+    this.config = config;
+    this.destroyed = false;
+    this.activeElements = [];
+    this.tooltip = { setActiveElements: () => {} };
+    this.updates = 0;
+    MockChart.instances.push(this);
+  }
+
+  setActiveElements(elements) {
+    this.activeElements = elements;
+  }
+
+  isDatasetVisible() {
+    return true;
+  }
+
+  update() {
+    this.updates++;
+  }
+
+  get data() {
+    return this.config.data;
+  }
+
+  get options() {
+    return this.config.options;
+  }
+
+  set options(options) {
+    this.config.options = options;
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+
+  toBase64Image() {
+    return "data:image/png;base64,mockImageData";
+  }
+
+  static reset() {
+    MockChart.instances = [];
+    MockChart.lastConfig = null;
+    MockChart.lastContext = null;
+  }
+}
+
+// The JSDOM behind each window, whose context the app modules run in
+const budgetDOMs = new WeakMap();
+
+// Helper to create DOM with budget form inputs
+export function createBudgetDOM({ url } = {}) {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <body>
+        <button id="undoBtn" disabled>Undo</button>
+        <button id="redoBtn" disabled>Redo</button>
+        <select id="themeSelect">
+          <option value="system">Match system</option>
+          <option value="light">Light</option>
+          <option value="dark">Dark</option>
+          <option value="highContrast">High contrast</option>
+        </select>
+        <div id="sharePreview" class="d-none">
+          <p id="sharePreviewText"></p>
+          <button id="adoptShareBtn">Add to My Budget</button>
+          <button id="closeShareBtn">Close Preview</button>
+        </div>
+        <div id="updatePrompt" class="d-none">
+          <button id="reloadAppBtn">Reload</button>
+          <button id="dismissUpdateBtn">Later</button>
+        </div>
+        <form id="budgetForm">
+          <div id="formErrorSummary" class="d-none" tabindex="-1">
+            <h2 id="formErrorSummaryTitle"></h2>
+            <ul></ul>
+          </div>
+          <button type="button" id="fillDownBtn">Fill Down</button>
+          <button type="button" id="fillRightBtn">Fill Right</button>
+          <button type="button" id="copyJanuaryBtn">Copy January to All Months</button>
+          <input type="number" id="percentChangeInput" />
+          <button type="button" id="applyPercentBtn">Apply</button>
+          <span id="gridSelectionStatus"></span>
+          ${[
+            "jan",
+            "feb",
+            "mar",
+            "apr",
+            "may",
+            "jun",
+            "jul",
+            "aug",
+            "sep",
+            "oct",
+            "nov",
+            "dec",
+          ]
+            .map(
+              (month) => `
+            <input type="text" inputmode="decimal" class="form-control income-input" id="income-${month}" value="" />
+            <input type="text" inputmode="decimal" class="form-control expense-input" id="expense-${month}" value="" />
+          `,
+            )
+            .join("")}
+          <select id="categoryKindSelect">
+            <option value="expense">Expense</option>
+            <option value="income">Income</option>
+          </select>
+          <input type="text" id="categoryNameInput" />
+          <button type="button" id="addCategoryBtn">Add Category</button>
+          <div id="categoryTable"></div>
+          <div id="targetWarning" class="target-warning d-none"></div>
+          <div id="targetTable"></div>
+          <div id="recurringTable"></div>
+          <button type="button" id="addRecurringRuleBtn">Add Rule</button>
+          <button type="button" id="resetOverridesBtn">
+            Reset Changed Months
+          </button>
+        </form>
+        <select id="yearSelect"></select>
+        <select id="ledgerMonthFilter"></select>
+        <select id="ledgerCategoryFilter"></select>
+        <select id="ledgerSortSelect">
+          <option value="date-asc">Date (oldest first)</option>
+          <option value="date-desc">Date (newest first)</option>
+          <option value="amount-desc">Amount (largest first)</option>
+          <option value="amount-asc">Amount (smallest first)</option>
+          <option value="category">Category</option>
+        </select>
+        <button type="button" id="addTransactionBtn">Add Transaction</button>
+        <button type="button" id="importStatementBtn">Import Statement</button>
+        <input type="file" id="importStatementInput" />
+        <div id="statementPreview" class="d-none"></div>
+        <div id="ledgerTable"></div>
+        <select id="currencySelect"></select>
+        <select id="localeSelect"></select>
+        <span class="currency-symbol">$</span>
+        <button id="downloadBackupBtn">Download Backup</button>
+        <select id="restoreModeSelect">
+          <option value="replace">Replace</option>
+          <option value="merge">Merge</option>
+        </select>
+        <button id="restoreBackupBtn">Restore Backup</button>
+        <input type="file" id="restoreBackupInput" />
+        <div id="restoreStatus"></div>
+        <div id="toastContainer"></div>
+        <input type="number" id="newYearInput" />
+        <button id="addYearBtn">Add Year</button>
+        <button id="removeYearBtn">Remove Year</button>
+        <div id="scenarioTable"></div>
+        <input type="text" id="scenarioNameInput" />
+        <button id="addScenarioBtn">Add Scenario</button>
+        <button id="updateChartBtn">Update Chart</button>
+        <button id="exportCsvBtn">Export CSV</button>
+        <button id="importCsvBtn">Import CSV</button>
+        <input type="file" id="importCsvInput" />
+        <button id="shareLinkBtn">Share Link</button>
+        <div id="shareLinkGroup" class="d-none">
+          <input type="text" id="shareLinkInput" readonly />
+        </div>
+        <button id="downloadChartBtn">Export Chart</button>
+        <div id="chartExportModal">
+          <select id="exportFormatSelect">
+            <option value="png">PNG</option>
+            <option value="jpeg">JPEG</option>
+            <option value="svg">SVG</option>
+          </select>
+          <select id="exportSizeSelect">
+            <option value="screen">As shown on screen</option>
+            <option value="screen-2x">As shown, 2x</option>
+            <option value="1280x720">1280 x 720</option>
+            <option value="1920x1080" selected>1920 x 1080</option>
+            <option value="3840x2160">3840 x 2160</option>
+            <option value="custom">Custom</option>
+          </select>
+          <div id="exportCustomSize" class="d-none">
+            <input type="number" id="exportWidthInput" value="1600" />
+            <input type="number" id="exportHeightInput" value="900" />
+          </div>
+          <input type="color" id="exportBackgroundInput" value="#ffffff" />
+          <input type="checkbox" id="exportTransparentCheck" />
+          <input type="text" id="exportFilenameInput" />
+          <div id="chartExportStatus" class="d-none"></div>
+          <button id="copyChartBtn">Copy to Clipboard</button>
+          <button id="exportChartBtn">Download</button>
+        </div>
+        <button id="chart-tab">Chart Tab</button>
+        <select id="chartViewSelect">
+          <option value="grouped">Grouped</option>
+          <option value="stacked">Stacked</option>
+          <option value="net">Net savings</option>
+          <option value="cumulative">Cumulative balance</option>
+          <option value="annual">Annual totals</option>
+          <option value="scenarios">Compare scenarios</option>
+        </select>
+        <select id="compareYearSelect"></select>
+        <select id="forecastMethodSelect">
+          <option value="none">No forecast</option>
+          <option value="average">Trailing average</option>
+          <option value="trend">Linear trend</option>
+          <option value="lastYear">Same as last year</option>
+        </select>
+        <select id="chartPaletteSelect">
+          <option value="standard">Standard</option>
+          <option value="colorBlind">Colour-blind safe</option>
+          <option value="highContrast">High contrast</option>
+        </select>
+        <input type="checkbox" id="liveChartCheck" />
+        <div id="openingBalanceGroup">
+          <input type="number" id="openingBalanceInput" />
+        </div>
+        <fieldset id="scenarioCompareGroup" class="d-none">
+          <div id="scenarioCompareList"></div>
+        </fieldset>
+        <h4 id="chartTitle">Income vs Expenses</h4>
+        <div id="chartTargetWarning" class="target-warning d-none"></div>
+        <canvas id="budgetChart" role="img" tabindex="0"></canvas>
+        <div id="chartAnnouncer" aria-live="polite"></div>
+        <p id="forecastSummary" class="d-none"></p>
+        <p id="chartSummary"></p>
+        <button id="chartTableToggle" aria-expanded="false">Show data table</button>
+        <div id="chartDataTable" class="d-none"></div>
+        <div id="scenarioSummarySection" class="d-none">
+          <div id="scenarioSummary"></div>
+        </div>
+        <div id="statsPanel"></div>
+        <div id="categoryChartSection">
+          <select id="breakdownKindSelect">
+            <option value="expense">Expenses</option>
+            <option value="income">Income</option>
+          </select>
+          <select id="categoryMonthSelect"></select>
+          <canvas id="categoryChart"></canvas>
+        </div>
+        <button id="report-tab">Report Tab</button>
+        <textarea id="reportNotesInput"></textarea>
+        <button id="printReportBtn">Print Report</button>
+        <article id="reportView">
+          <div id="reportContent"></div>
+          <section id="reportNotes" class="d-none">
+            <p id="reportNotesText"></p>
+          </section>
+        </article>
+      </body>
+    </html>
+  `;
+
+  // Passing a url gives the window a working localStorage
+  const options = { runScripts: "dangerously" };
+  if (url) {
+    options.url = url;
+  }
+
+  const dom = new JSDOM(html, options);
+  budgetDOMs.set(dom.window, dom);
+  return dom;
+}
+
+// Helper to set income/expense values
+export function setInputValues(window, incomeValues, expenseValues) {
+  const incomeInputs = window.document.querySelectorAll(".income-input");
+  const expenseInputs = window.document.querySelectorAll(".expense-input");
+
+  incomeValues.forEach((value, index) => {
+    incomeInputs[index].value = value;
+  });
+
+  expenseValues.forEach((value, index) => {
+    expenseInputs[index].value = value;
+  });
+}
+
+// jsdom doesn't run module scripts, so the app's modules are linked by
+// hand as real ES modules inside the window's context, starting from
+// script.js. Each module sees only what it imports, so a missing import
+// fails like it does in the browser.
+const appModuleSources = new Map();
+
+function readAppModule(file) {
+  if (!appModuleSources.has(file)) {
+    appModuleSources.set(file, readFileSync(file, "utf-8"));
+  }
+  return appModuleSources.get(file);
+}
+
+// Tests reach the modules' exports as window properties through a proxy.
+// The exports stay off the window itself, where they would be globals
+// every module could use without importing them.
+function exposeModuleExports(window, namespaces) {
+  const findNamespace = (name) =>
+    namespaces.find((namespace) => Object.hasOwn(namespace, name));
+  return new Proxy(window, {
+    get(target, name) {
+      const namespace = findNamespace(name);
+      if (namespace) {
+        return namespace[name];
+      }
+      const value = Reflect.get(target, name, target);
+      // Window methods need the window itself as `this`
+      return typeof value === "function" && /^[a-z]/.test(name)
+        ? value.bind(target)
+        : value;
+    },
+    set(target, name, value) {
+      return Reflect.set(target, name, value, target);
+    },
+  });
+}
+
+// Run the app in a window from createBudgetDOM(); resolves to the window
+// with the exports reachable
+export async function loadAppModules(window) {
+  const context = budgetDOMs.get(window).getInternalVMContext();
+  const modules = new Map();
+  const loadModule = (file) => {
+    if (!modules.has(file)) {
+      modules.set(
+        file,
+        new vm.SourceTextModule(readAppModule(file), {
+          context,
+          identifier: pathToFileURL(file).href,
+        }),
+      );
+    }
+    return modules.get(file);
+  };
+
+  const main = loadModule(join(__dirname, "..", "script.js"));
+  await main.link((specifier, referencingModule) =>
+    loadModule(fileURLToPath(new URL(specifier, referencingModule.identifier))),
+  );
+  await main.evaluate();
+
+  return exposeModuleExports(
+    window,
+    Array.from(modules.values(), (module) => module.namespace),
+  );
+}
+
+// Create a budget DOM with Chart.js mocked and the app modules loaded
+export async function createAppWindow({ url } = {}) {
+  const { window } = createBudgetDOM({ url });
+
+  window.HTMLCanvasElement.prototype.getContext = () => ({ canvas: {} });
+  window.Chart = MockChart;
+  window.alert = () => {};
+  window.console.warn = () => {};
+  // jsdom has no compression streams or text encoding, so share links use
+  // Node's
+  [
+    "CompressionStream",
+    "DecompressionStream",
+    "TextEncoder",
+    "TextDecoder",
+  ].forEach((name) => {
+    window[name] = globalThis[name];
+  });
+  MockChart.reset();
+
+  return loadAppModules(window);
+}
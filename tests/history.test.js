@@ -0,0 +1,245 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+describe("createUndoHistory()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should undo and redo in order", () => {
+    const history = window.createUndoHistory();
+    history.record("a");
+    history.record("b");
+
+    assert.strictEqual(history.undo("c"), "b");
+    assert.strictEqual(history.undo("b"), "a");
+    assert.strictEqual(history.undo("a"), null);
+    assert.strictEqual(history.canRedo(), true);
+    assert.strictEqual(history.redo("a"), "b");
+    assert.strictEqual(history.redo("b"), "c");
+    assert.strictEqual(history.redo("c"), null);
+  });
+
+  it("should join quick changes to the same key into one step", () => {
+    const history = window.createUndoHistory({ coalesceMs: 1000 });
+
+    assert.strictEqual(history.record("1", { key: "jan", time: 0 }), true);
+    assert.strictEqual(history.record("12", { key: "jan", time: 600 }), false);
+    assert.strictEqual(
+      history.record("123", { key: "jan", time: 1200 }),
+      false,
+    );
+    // A pause, another field or an unkeyed change starts a new step
+    assert.strictEqual(history.record("x", { key: "jan", time: 3000 }), true);
+    assert.strictEqual(history.record("y", { key: "feb", time: 3100 }), true);
+    assert.strictEqual(history.record("z", { time: 3200 }), true);
+    assert.strictEqual(history.record("w", { time: 3300 }), true);
+
+    assert.strictEqual(history.undo("now"), "w");
+    assert.strictEqual(history.undo("w"), "z");
+    assert.strictEqual(history.undo("z"), "y");
+    assert.strictEqual(history.undo("y"), "x");
+    assert.strictEqual(history.undo("x"), "1");
+    assert.strictEqual(history.canUndo(), false);
+  });
+
+  it("should start a new step after undoing", () => {
+    const history = window.createUndoHistory();
+    history.record("a", { key: "jan", time: 0 });
+    history.undo("b");
+    history.redo("a");
+
+    assert.strictEqual(history.record("b", { key: "jan", time: 10 }), true);
+  });
+
+  it("should forget redo steps after a new change", () => {
+    const history = window.createUndoHistory();
+    history.record("a");
+    history.undo("b");
+
+    history.record("a");
+
+    assert.strictEqual(history.canRedo(), false);
+  });
+
+  it("should drop the oldest steps past the limit", () => {
+    const history = window.createUndoHistory({ limit: 2 });
+    ["a", "b", "c"].forEach((state) => history.record(state));
+
+    assert.strictEqual(history.undo("d"), "c");
+    assert.strictEqual(history.undo("c"), "b");
+    assert.strictEqual(history.undo("b"), null);
+  });
+
+  it("should snapshot the budget data but not the settings", () => {
+    const workspace = window.createWorkspace(2025);
+    const snapshot = window.createHistorySnapshot(workspace);
+    workspace.years[2025].income[0] = "999";
+    workspace.settings.chartView = "net";
+
+    window.restoreHistorySnapshot(workspace, snapshot);
+
+    assert.strictEqual(workspace.years[2025].income[0], "");
+    assert.strictEqual(workspace.settings.chartView, "net");
+  });
+});
+
+describe("undo and redo", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function typeInto(id, value) {
+    const input = document.getElementById(id);
+    input.value = value;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  }
+
+  function pressShortcut(target, key, { shiftKey = false } = {}) {
+    const event = new window.KeyboardEvent("keydown", {
+      key,
+      ctrlKey: true,
+      shiftKey,
+      bubbles: true,
+      cancelable: true,
+    });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  it("should enable the buttons once there is something to undo", () => {
+    const undoBtn = document.getElementById("undoBtn");
+    const redoBtn = document.getElementById("redoBtn");
+    assert.strictEqual(undoBtn.disabled, true);
+
+    typeInto("income-jan", "150");
+    assert.strictEqual(undoBtn.disabled, false);
+    assert.strictEqual(redoBtn.disabled, true);
+
+    undoBtn.click();
+    assert.strictEqual(undoBtn.disabled, true);
+    assert.strictEqual(redoBtn.disabled, false);
+  });
+
+  it("should undo a burst of typing in one step and redo it", () => {
+    typeInto("income-jan", "1");
+    typeInto("income-jan", "15");
+    typeInto("income-jan", "150");
+    typeInto("expense-feb", "75");
+
+    document.getElementById("undoBtn").click();
+    assert.strictEqual(document.getElementById("expense-feb").value, "100");
+    assert.strictEqual(document.getElementById("income-jan").value, "150");
+
+    document.getElementById("undoBtn").click();
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+    assert.strictEqual(window.validateAndCollectData().incomeData[0], 100);
+
+    document.getElementById("redoBtn").click();
+    assert.strictEqual(document.getElementById("income-jan").value, "150");
+    const state = window.loadBudgetState();
+    assert.strictEqual(state.years[state.selectedYear].income[0], "150");
+  });
+
+  it("should redraw the chart after undoing", () => {
+    typeInto("income-mar", "999");
+    const charts = MockChart.instances.length;
+
+    window.undoBudgetChange();
+
+    assert.strictEqual(MockChart.instances.length, charts + 1);
+    assert.strictEqual(MockChart.lastConfig.data.datasets[0].data[2], 300);
+  });
+
+  it("should undo a CSV import", () => {
+    window.importCsv("Month,Income,Expenses\nJanuary,5000,4000\n");
+    assert.strictEqual(document.getElementById("income-jan").value, "5000");
+
+    window.undoBudgetChange();
+
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+    assert.strictEqual(document.getElementById("expense-jan").value, "50");
+  });
+
+  it("should undo adding a year and go back to the year before", () => {
+    const thisYear = new Date().getFullYear();
+    document.getElementById("newYearInput").value = "2000";
+    document.getElementById("addYearBtn").click();
+    assert.strictEqual(document.getElementById("yearSelect").value, "2000");
+
+    window.undoBudgetChange();
+
+    const years = Array.from(
+      document.getElementById("yearSelect").options,
+      (option) => Number(option.value),
+    );
+    assert.deepStrictEqual(years, [thisYear]);
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+  });
+
+  it("should undo removing a category", () => {
+    document.getElementById("categoryNameInput").value = "Rent";
+    document.getElementById("addCategoryBtn").click();
+    typeInto("category-expense-rent-0", "900");
+    window.confirm = () => true;
+    document.querySelector("[data-remove-category]").click();
+    assert.strictEqual(
+      document.getElementById("category-expense-rent-0"),
+      null,
+    );
+
+    window.undoBudgetChange();
+
+    assert.strictEqual(
+      document.getElementById("category-expense-rent-0").value,
+      "900",
+    );
+  });
+
+  it("should not record edits that change nothing", () => {
+    document.getElementById("categoryNameInput").value = "";
+    document.getElementById("addCategoryBtn").click();
+
+    assert.strictEqual(document.getElementById("undoBtn").disabled, true);
+  });
+
+  it("should undo with Ctrl+Z and redo with Ctrl+Shift+Z or Ctrl+Y", () => {
+    typeInto("income-jan", "150");
+    const input = document.getElementById("income-jan");
+
+    assert.strictEqual(pressShortcut(input, "z").defaultPrevented, true);
+    assert.strictEqual(input.value, "100");
+    pressShortcut(document.body, "Z", { shiftKey: true });
+    assert.strictEqual(input.value, "150");
+    pressShortcut(document.body, "z");
+    pressShortcut(document.body, "y");
+    assert.strictEqual(input.value, "150");
+  });
+
+  it("should leave the browser's undo to other text fields", () => {
+    typeInto("income-jan", "150");
+
+    const event = pressShortcut(
+      document.getElementById("categoryNameInput"),
+      "z",
+    );
+
+    assert.strictEqual(event.defaultPrevented, false);
+    assert.strictEqual(document.getElementById("income-jan").value, "150");
+  });
+});
@@ -0,0 +1,426 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("ledger", () => {
+  let window, workspace;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    workspace = window.createWorkspace(2025);
+    window.addCategory(workspace, "expense", "Rent");
+    window.addCategory(workspace, "expense", "Food");
+  });
+
+  const entry = (fields) => ({
+    id: "t1",
+    date: "2025-03-14",
+    amount: "12.5",
+    type: "income",
+    categoryId: "",
+    note: "",
+    ...fields,
+  });
+
+  it("should add entries with ids unique within the year", () => {
+    const first = window.addTransaction(workspace, 2025);
+    const second = window.addTransaction(workspace, 2025, {
+      date: "2025-06-30",
+    });
+    window.removeTransaction(workspace, 2025, first.id);
+    const third = window.addTransaction(workspace, 2025);
+
+    assert.strictEqual(first.date, "2025-01-01");
+    assert.strictEqual(second.id, "t2");
+    assert.strictEqual(third.id, "t3");
+    assert.strictEqual(window.hasLedger(workspace, 2025), true);
+    assert.strictEqual(window.addTransaction(workspace, 1999), null);
+  });
+
+  it("should date new entries in the chosen month, or today in this year", () => {
+    const today = new Date(2025, 4, 20);
+    const [rent] = workspace.categories.expense;
+
+    assert.deepStrictEqual(
+      plain(window.getNewTransactionFields(workspace, 2025, {}, today)),
+      { date: "2025-05-20" },
+    );
+    assert.deepStrictEqual(
+      plain(
+        window.getNewTransactionFields(
+          workspace,
+          2025,
+          { month: 2, categoryId: rent.id },
+          today,
+        ),
+      ),
+      { date: "2025-03-01", type: "expense", categoryId: rent.id },
+    );
+    assert.strictEqual(
+      window.getNewTransactionFields(workspace, 2026, {}, today).date,
+      "2026-01-01",
+    );
+  });
+
+  it("should accept a complete entry", () => {
+    assert.deepStrictEqual(
+      plain(window.validateTransaction(entry(), 2025, workspace.categories)),
+      {},
+    );
+  });
+
+  it("should report each invalid field", () => {
+    const errors = window.validateTransaction(
+      entry({ date: "2025-02-30", amount: "-4" }),
+      2025,
+      workspace.categories,
+    );
+
+    assert.deepStrictEqual(plain(errors), {
+      date: "Enter a date.",
+      amount: "Enter an amount of 0 or more.",
+    });
+    assert.strictEqual(
+      window.validateTransaction(
+        entry({ date: "2024-12-31" }),
+        2025,
+        workspace.categories,
+      ).date,
+      "Pick a date in 2025.",
+    );
+    assert.strictEqual(
+      window.validateTransaction(
+        entry({ amount: " " }),
+        2025,
+        workspace.categories,
+      ).amount,
+      "Enter an amount of 0 or more.",
+    );
+  });
+
+  it("should need a category for kinds that have categories", () => {
+    const { categories } = workspace;
+
+    assert.strictEqual(
+      window.validateTransaction(entry({ type: "expense" }), 2025, categories)
+        .categoryId,
+      "Pick a category for this expense.",
+    );
+    assert.strictEqual(
+      window.validateTransaction(
+        entry({ type: "income", categoryId: "rent" }),
+        2025,
+        categories,
+      ).categoryId,
+      "Pick one of the income categories.",
+    );
+  });
+
+  it("should add entries up into monthly and category values", () => {
+    const values = window.ledgerToMonthlyValues([
+      entry({ amount: "1000" }),
+      entry({ amount: "0.1", date: "2025-03-01" }),
+      entry({ amount: "0.2", date: "2025-03-31" }),
+      entry({ type: "expense", amount: "400", categoryId: "rent" }),
+      entry({ type: "expense", amount: "60.5", categoryId: "food" }),
+      entry({
+        type: "expense",
+        amount: "9.5",
+        date: "2025-12-02",
+        categoryId: "food",
+      }),
+    ]);
+
+    assert.strictEqual(values.income[2], "1000.3");
+    assert.strictEqual(values.income[3], "");
+    assert.strictEqual(values.expense[2], "460.5");
+    assert.strictEqual(values.expense[11], "9.5");
+    assert.deepStrictEqual(plain(Object.keys(values.categoryValues)), [
+      "rent",
+      "food",
+    ]);
+    assert.strictEqual(values.categoryValues.food[11], "9.5");
+    assert.strictEqual(values.categoryValues.rent[0], "");
+  });
+
+  it("should filter by month and category", () => {
+    const transactions = [
+      entry({ id: "t1", date: "2025-01-05" }),
+      entry({ id: "t2", type: "expense", categoryId: "rent" }),
+      entry({ id: "t3", type: "expense", categoryId: "food" }),
+    ];
+    const ids = (list) => plain(list.map(({ id }) => id));
+
+    assert.deepStrictEqual(
+      ids(window.filterTransactions(transactions, { month: 2 })),
+      ["t2", "t3"],
+    );
+    assert.deepStrictEqual(
+      ids(window.filterTransactions(transactions, { categoryId: "" })),
+      ["t1"],
+    );
+    assert.deepStrictEqual(
+      ids(
+        window.filterTransactions(transactions, {
+          month: 2,
+          categoryId: "food",
+        }),
+      ),
+      ["t3"],
+    );
+  });
+
+  it("should sort by date, amount or category name", () => {
+    const transactions = [
+      entry({ id: "t1", date: "2025-05-01", amount: "5" }),
+      entry({ id: "t2", date: "2025-01-01", amount: "50", categoryId: "rent" }),
+      entry({
+        id: "t3",
+        date: "2025-03-01",
+        amount: "abc",
+        categoryId: "food",
+      }),
+      entry({ id: "t10", date: "2025-03-01", amount: "20" }),
+    ];
+    const ids = (sort) =>
+      plain(
+        window
+          .sortTransactions(transactions, sort, workspace.categories)
+          .map(({ id }) => id),
+      );
+
+    assert.deepStrictEqual(ids("date-asc"), ["t2", "t3", "t10", "t1"]);
+    assert.deepStrictEqual(ids("date-desc"), ["t1", "t10", "t3", "t2"]);
+    assert.deepStrictEqual(ids("amount-desc"), ["t2", "t10", "t1", "t3"]);
+    assert.deepStrictEqual(ids("amount-asc"), ["t3", "t1", "t10", "t2"]);
+    assert.deepStrictEqual(ids("category"), ["t3", "t2", "t10", "t1"]);
+    // The original order is left alone
+    assert.strictEqual(transactions[0].id, "t1");
+  });
+
+  it("should uncategorise entries when their category is removed", () => {
+    const transaction = window.addTransaction(workspace, 2025, {
+      categoryId: "rent",
+    });
+
+    window.removeCategory(workspace, "expense", "rent");
+
+    assert.strictEqual(transaction.categoryId, "");
+  });
+});
+
+describe("transactions tab", () => {
+  let window, document, year;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    year = new Date().getFullYear();
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function addTransaction() {
+    document.getElementById("addTransactionBtn").click();
+    const rows = document.querySelectorAll("#ledgerTable tbody tr");
+    return rows[rows.length - 1];
+  }
+
+  function setField(row, field, value) {
+    const input = row.querySelector(`[data-field="${field}"]`);
+    input.value = value;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  }
+
+  function findRow(id) {
+    return document.querySelector(
+      `#ledgerTable tr[data-transaction-id="${id}"]`,
+    );
+  }
+
+  function selectOption(id, value) {
+    const select = document.getElementById(id);
+    select.value = value;
+    select.dispatchEvent(new window.Event("change"));
+  }
+
+  const rowIds = () =>
+    Array.from(
+      document.querySelectorAll("#ledgerTable tbody tr"),
+      (row) => row.dataset.transactionId,
+    );
+
+  it("should start with no transactions and editable monthly inputs", () => {
+    assert.match(
+      document.getElementById("ledgerTable").textContent,
+      /No transactions in \d{4} yet/,
+    );
+    assert.strictEqual(
+      document.querySelectorAll(".income-input")[0].readOnly,
+      false,
+    );
+  });
+
+  it("should derive the monthly amounts from the ledger", () => {
+    const row = addTransaction();
+    setField(row, "date", `${year}-02-10`);
+    setField(row, "amount", "75.5");
+
+    const incomeInputs = document.querySelectorAll(".income-input");
+    const expenseInputs = document.querySelectorAll(".expense-input");
+    assert.strictEqual(expenseInputs[1].value, "75.5");
+    assert.strictEqual(expenseInputs[0].value, "");
+    assert.strictEqual(incomeInputs[0].value, "");
+    assert.strictEqual(expenseInputs[1].readOnly, true);
+    assert.strictEqual(incomeInputs[1].readOnly, true);
+
+    const { isValid, expenseData } = window.validateAndCollectData();
+    assert.strictEqual(isValid, true);
+    assert.strictEqual(expenseData[1], 75.5);
+
+    const saved = window.loadBudgetState().years[year];
+    assert.strictEqual(saved.expense[1], "75.5");
+    assert.strictEqual(saved.transactions[0].amount, "75.5");
+  });
+
+  it("should fill category amounts from categorised entries", () => {
+    document.getElementById("categoryKindSelect").value = "expense";
+    document.getElementById("categoryNameInput").value = "Rent";
+    document.getElementById("addCategoryBtn").click();
+
+    const row = addTransaction();
+    setField(row, "date", `${year}-04-01`);
+    setField(row, "amount", "900");
+    setField(row, "categoryId", "rent");
+
+    const rentInput = document.querySelector(
+      '.category-input[data-category-id="rent"][data-month="3"]',
+    );
+    assert.strictEqual(rentInput.value, "900");
+    assert.strictEqual(rentInput.readOnly, true);
+    assert.strictEqual(
+      document.querySelectorAll(".expense-input")[3].value,
+      "900",
+    );
+  });
+
+  it("should report validation errors on the row", () => {
+    const row = addTransaction();
+    setField(row, "amount", "-3");
+
+    const amountInput = row.querySelector('[data-field="amount"]');
+    assert.strictEqual(amountInput.classList.contains("is-invalid"), true);
+    assert.strictEqual(
+      row.querySelector(".ledger-row-error").textContent,
+      "Enter an amount of 0 or more.",
+    );
+    assert.strictEqual(window.validateAndCollectData().isValid, false);
+
+    setField(row, "amount", "3");
+    assert.strictEqual(amountInput.classList.contains("is-invalid"), false);
+    assert.strictEqual(row.querySelector(".ledger-row-error").textContent, "");
+  });
+
+  it("should offer the categories of the entry's type", () => {
+    document.getElementById("categoryKindSelect").value = "income";
+    document.getElementById("categoryNameInput").value = "Salary";
+    document.getElementById("addCategoryBtn").click();
+
+    let row = addTransaction();
+    const options = () =>
+      Array.from(
+        findRow(row.dataset.transactionId).querySelector(
+          '[data-field="categoryId"]',
+        ).options,
+        (option) => option.value,
+      );
+    assert.deepStrictEqual(options(), [""]);
+
+    setField(row, "type", "income");
+    assert.deepStrictEqual(options(), ["", "salary"]);
+    row = findRow(row.dataset.transactionId);
+    assert.strictEqual(
+      row.querySelector(".ledger-row-error").textContent,
+      "Enter an amount of 0 or more. Pick a category for this income.",
+    );
+  });
+
+  it("should filter and sort the table", () => {
+    const january = addTransaction();
+    setField(january, "date", `${year}-01-20`);
+    setField(january, "amount", "10");
+    const march = addTransaction();
+    setField(march, "date", `${year}-03-02`);
+    setField(march, "amount", "30");
+    const alsoJanuary = addTransaction();
+    setField(alsoJanuary, "date", `${year}-01-05`);
+    setField(alsoJanuary, "amount", "20");
+
+    selectOption("ledgerSortSelect", "date-asc");
+    assert.deepStrictEqual(rowIds(), ["t3", "t1", "t2"]);
+
+    selectOption("ledgerSortSelect", "amount-desc");
+    assert.deepStrictEqual(rowIds(), ["t2", "t3", "t1"]);
+
+    selectOption("ledgerMonthFilter", "0");
+    assert.deepStrictEqual(rowIds(), ["t3", "t1"]);
+
+    selectOption("ledgerCategoryFilter", "none");
+    assert.deepStrictEqual(rowIds(), ["t3", "t1"]);
+
+    selectOption("ledgerMonthFilter", "5");
+    assert.strictEqual(
+      document.getElementById("ledgerTable").textContent,
+      "No transactions match the filters.",
+    );
+  });
+
+  it("should add entries in the filtered month", () => {
+    selectOption("ledgerMonthFilter", "6");
+
+    const row = addTransaction();
+
+    assert.strictEqual(
+      row.querySelector('[data-field="date"]').value,
+      `${year}-07-01`,
+    );
+  });
+
+  it("should keep the totals when the last entry is deleted", () => {
+    const row = addTransaction();
+    setField(row, "date", `${year}-02-10`);
+    setField(row, "amount", "75.5");
+
+    row.querySelector("[data-remove-transaction]").click();
+
+    const expenseInputs = document.querySelectorAll(".expense-input");
+    assert.strictEqual(expenseInputs[1].value, "75.5");
+    assert.strictEqual(expenseInputs[1].readOnly, false);
+    const saved = window.loadBudgetState().years[year];
+    assert.deepStrictEqual(plain(saved.transactions), []);
+    assert.strictEqual(saved.expense[1], "75.5");
+  });
+
+  it("should not import CSV totals over a ledger", () => {
+    const row = addTransaction();
+    setField(row, "amount", "5");
+
+    const errors = window.importCsv("Month,Income,Expense\nJan,1,2\n");
+
+    assert.deepStrictEqual(plain(errors.map((error) => error.message)), [
+      "Income totals come from transactions and were not imported.",
+      "Expense totals come from transactions and were not imported.",
+    ]);
+    assert.strictEqual(document.querySelectorAll(".income-input")[0].value, "");
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+describe("normalizeLocaleAmount()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should read grouped and decimal-comma amounts", () => {
+    assert.strictEqual(
+      window.normalizeLocaleAmount("1.234,56", "de-DE"),
+      "1234.56",
+    );
+    assert.strictEqual(window.normalizeLocaleAmount("99,5", "de-DE"), "99.5");
+    assert.strictEqual(
+      window.normalizeLocaleAmount("1,234.5", "en-US"),
+      "1234.5",
+    );
+    assert.strictEqual(
+      window.normalizeLocaleAmount("12,34,567", "en-IN"),
+      "1234567",
+    );
+  });
+
+  it("should accept spaces as the group separator in fr-FR", () => {
+    assert.strictEqual(
+      window.normalizeLocaleAmount("1 234,5", "fr-FR"),
+      "1234.5",
+    );
+    // Intl formats fr-FR groups with a narrow no-break space
+    assert.strictEqual(
+      window.normalizeLocaleAmount("1\u202f234,5", "fr-FR"),
+      "1234.5",
+    );
+  });
+
+  it("should still accept plain amounts", () => {
+    assert.strictEqual(window.normalizeLocaleAmount(" 12.5 ", "de-DE"), "12.5");
+    assert.strictEqual(window.normalizeLocaleAmount("", "de-DE"), "");
+  });
+
+  it("should leave anything else for validation to reject", () => {
+    assert.strictEqual(window.normalizeLocaleAmount("1,5", "en-US"), "1,5");
+    assert.strictEqual(window.normalizeLocaleAmount("abc", "de-DE"), "abc");
+    assert.strictEqual(window.normalizeLocaleAmount("-3,5", "de-DE"), "-3.5");
+  });
+});
+
+describe("money formatting", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should format amounts in the currency and locale", () => {
+    const usd = { currency: "USD", locale: "en-US" };
+    const eur = { currency: "EUR", locale: "de-DE" };
+
+    assert.strictEqual(window.formatCurrency(7800, usd), "$7,800");
+    assert.strictEqual(window.formatCurrency(-12.5, usd), "-$12.5");
+    assert.strictEqual(window.formatCurrency(1234.56, eur), "1.234,56 €");
+    assert.strictEqual(
+      window.formatCurrency(391.67, { currency: "JPY", locale: "ja-JP" }),
+      "￥392",
+    );
+  });
+
+  it("should show stored amounts with the locale's decimal separator", () => {
+    assert.strictEqual(window.formatLocaleAmount("1234.5", "de-DE"), "1234,5");
+    assert.strictEqual(window.formatLocaleAmount("1234.5", "en-US"), "1234.5");
+    assert.strictEqual(window.formatLocaleAmount("abc", "de-DE"), "abc");
+  });
+
+  it("should format percentages and currency symbols", () => {
+    assert.strictEqual(
+      window.formatPercent(39.7, { locale: "en-US" }),
+      "39.7%",
+    );
+    assert.strictEqual(
+      window.getCurrencySymbol({ currency: "GBP", locale: "en-GB" }),
+      "£",
+    );
+  });
+});
+
+describe("currency and number format settings", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function selectOption(id, value) {
+    const select = document.getElementById(id);
+    select.value = value;
+    select.dispatchEvent(new window.Event("change"));
+  }
+
+  it("should list the supported currencies and locales", () => {
+    const values = (id) =>
+      Array.from(document.getElementById(id).options, (option) => option.value);
+
+    assert.ok(values("currencySelect").includes("EUR"));
+    assert.ok(values("localeSelect").includes("de-DE"));
+    assert.strictEqual(document.getElementById("currencySelect").value, "USD");
+    assert.strictEqual(document.getElementById("localeSelect").value, "en-US");
+  });
+
+  it("should show saved values in the new format", () => {
+    const incomeInput = document.querySelectorAll(".income-input")[0];
+    incomeInput.value = "1234.5";
+    incomeInput.dispatchEvent(new window.Event("input", { bubbles: true }));
+
+    selectOption("localeSelect", "de-DE");
+
+    assert.strictEqual(incomeInput.value, "1234,5");
+    const state = window.loadBudgetState();
+    assert.strictEqual(state.settings.locale, "de-DE");
+    assert.strictEqual(state.years[state.selectedYear].income[0], "1234.5");
+  });
+
+  it("should read amounts typed in the locale's format", () => {
+    selectOption("localeSelect", "de-DE");
+    const incomeInput = document.querySelectorAll(".income-input")[0];
+    incomeInput.value = "1.234,56";
+    incomeInput.dispatchEvent(new window.Event("input", { bubbles: true }));
+
+    const { isValid, incomeData } = window.validateAndCollectData();
+
+    assert.strictEqual(isValid, true);
+    assert.strictEqual(incomeData[0], 1234.56);
+    const state = window.loadBudgetState();
+    assert.strictEqual(state.years[state.selectedYear].income[0], "1234.56");
+  });
+
+  it("should format the chart axis and tooltips in the currency", () => {
+    selectOption("currencySelect", "EUR");
+    selectOption("localeSelect", "de-DE");
+
+    window.renderChart();
+
+    const { options } = MockChart.lastConfig;
+    assert.strictEqual(options.scales.y.ticks.callback(1500), "1.500 €");
+    assert.strictEqual(
+      options.plugins.tooltip.callbacks.label({
+        dataset: { label: "Income" },
+        parsed: { y: 99.5 },
+      }),
+      "Income: 99,5 €",
+    );
+    assert.strictEqual(
+      document.querySelector(".currency-symbol").textContent,
+      "€",
+    );
+  });
+
+  it("should export semicolon-separated CSV with decimal commas", () => {
+    selectOption("localeSelect", "de-DE");
+    setInputValues(window, ["100,5"], []);
+    const createdLinks = [];
+    const originalCreateElement = document.createElement.bind(document);
+    document.createElement = (tagName) => {
+      const element = originalCreateElement(tagName);
+      if (tagName === "a") {
+        createdLinks.push(element);
+      }
+      return element;
+    };
+
+    document.getElementById("exportCsvBtn").click();
+
+    const csv = decodeURIComponent(
+      createdLinks[0].href.slice(createdLinks[0].href.indexOf(",") + 1),
+    );
+    assert.ok(csv.startsWith("Month;Income;Expense;Net\r\nJan;100,5;50;50,5"));
+    // The export imports back unchanged
+    const { income, errors } = window.parseBudgetCsv(csv);
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(income[0], "100.5");
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getAnnualTotals,
+  getCumulativeSeries,
+  getNetSeries,
+  parseBudgetValue,
+  roundToCents,
+  sumCategorySeries,
+  toMonthlySeries,
+} from "../model.js";
+
+describe("budget amounts", () => {
+  it("should parse blanks as 0 and reject negatives and non-numbers", () => {
+    assert.deepStrictEqual(parseBudgetValue(" 12.5 "), {
+      value: 12.5,
+      isValid: true,
+    });
+    assert.deepStrictEqual(parseBudgetValue(""), { value: 0, isValid: true });
+    assert.deepStrictEqual(parseBudgetValue(undefined), {
+      value: 0,
+      isValid: true,
+    });
+    assert.deepStrictEqual(parseBudgetValue("-5"), {
+      value: 0,
+      isValid: false,
+    });
+    assert.deepStrictEqual(parseBudgetValue("abc"), {
+      value: 0,
+      isValid: false,
+    });
+  });
+
+  it("should not read hex, binary or exponent numbers as amounts", () => {
+    ["0x10", "0b11", "1e3"].forEach((value) => {
+      assert.deepStrictEqual(
+        parseBudgetValue(value),
+        { value: 0, isValid: false },
+        value,
+      );
+    });
+  });
+
+  it("should read twelve stored values, counting missing ones as 0", () => {
+    assert.deepStrictEqual(
+      toMonthlySeries(["100", "", "-5", "abc", "12.5"]),
+      [100, 0, 0, 0, 12.5, 0, 0, 0, 0, 0, 0, 0],
+    );
+    assert.deepStrictEqual(toMonthlySeries(null), new Array(12).fill(0));
+  });
+
+  it("should round to cents", () => {
+    assert.strictEqual(roundToCents(0.1 + 0.2), 0.3);
+    assert.strictEqual(roundToCents(99.999), 100);
+  });
+});
+
+describe("derived values", () => {
+  it("should add categories month by month", () => {
+    const totals = sumCategorySeries([
+      { id: "rent", data: [900, ...new Array(11).fill(950)] },
+      { id: "food", data: new Array(12).fill(0.1) },
+      { id: "fuel", data: new Array(12).fill(0.2) },
+    ]);
+
+    assert.strictEqual(totals.length, 12);
+    assert.strictEqual(totals[0], 900.3);
+    assert.strictEqual(totals[11], 950.3);
+  });
+
+  it("should subtract expenses from income month by month", () => {
+    const net = getNetSeries([100, 0.3, 50], [40, 0.1, 75]);
+
+    assert.deepStrictEqual(net, [60, 0.2, -25]);
+  });
+
+  it("should keep a running balance from the opening balance", () => {
+    assert.deepStrictEqual(
+      getCumulativeSeries([60, 0.2, -25], 100),
+      [160, 160.2, 135.2],
+    );
+    assert.deepStrictEqual(getCumulativeSeries([10, -30]), [10, -20]);
+  });
+
+  it("should total a year's income and expenses", () => {
+    const totals = getAnnualTotals([0.1, 0.2, 100], [50, 25.5, 0]);
+
+    assert.strictEqual(totals.income, 100.3);
+    assert.strictEqual(totals.expense, 75.5);
+  });
+});
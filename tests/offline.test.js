@@ -0,0 +1,288 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync, readdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createAppWindow } from "./helpers.js";
+import {
+  APP_SHELL_FILES,
+  deleteOldShellCaches,
+  getShellCacheName,
+  isShellRequest,
+  precacheAppShell,
+  respondFromShell,
+  watchForShellUpdate,
+} from "../offline.js";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+const workerUrl = "https://budget.example/app/sw.js";
+
+// Cache Storage stand-in: caches hold a string "response" per URL, and
+// relative URLs resolve against the service worker like in a browser
+function createMockCacheStorage() {
+  const toUrl = (request) =>
+    new URL(typeof request === "string" ? request : request.url, workerUrl);
+  const createCache = () => {
+    const responses = new Map();
+    return {
+      responses,
+      added: [],
+      async addAll(requests) {
+        requests.forEach((request) => {
+          this.added.push(request);
+          responses.set(request.url, `response for ${request.url}`);
+        });
+      },
+      async match(request, { ignoreSearch = false } = {}) {
+        const url = toUrl(request);
+        if (ignoreSearch) {
+          url.search = "";
+        }
+        return responses.get(url.href);
+      },
+    };
+  };
+
+  const caches = new Map();
+  return {
+    caches,
+    async open(name) {
+      if (!caches.has(name)) {
+        caches.set(name, createCache());
+      }
+      return caches.get(name);
+    },
+    async keys() {
+      return [...caches.keys()];
+    },
+    async delete(name) {
+      return caches.delete(name);
+    },
+  };
+}
+
+const offline = () => Promise.reject(new TypeError("Failed to fetch"));
+
+describe("app shell precache", () => {
+  it("should fetch every shell file into the version's cache", async () => {
+    const cacheStorage = createMockCacheStorage();
+
+    await precacheAppShell(cacheStorage, workerUrl, { version: 3 });
+
+    const cache = cacheStorage.caches.get("bucks2bar-shell-v3");
+    assert.strictEqual(cache.added.length, APP_SHELL_FILES.length);
+    assert.strictEqual(cache.added[0].url, "https://budget.example/app/");
+    assert.ok(
+      cache.responses.has(
+        "https://budget.example/app/vendor/chart.js-4.5.1/chart.umd.min.js",
+      ),
+    );
+    // New versions mustn't be filled from the browser's HTTP cache
+    assert.ok(cache.added.every((request) => request.cache === "reload"));
+  });
+
+  it("should list every file the page loads", () => {
+    const missing = (file) => !APP_SHELL_FILES.includes(`./${file}`);
+    const modules = readdirSync(root).filter(
+      (file) => file.endsWith(".js") && file !== "sw.js",
+    );
+    const pageFiles = Array.from(
+      readFileSync(join(root, "index.html"), "utf-8").matchAll(
+        /<(?:link|script)[^>]*\s(?:href|src)="([^"]+)"/g,
+      ),
+      (match) => match[1],
+    );
+
+    assert.deepStrictEqual(modules.filter(missing), []);
+    assert.deepStrictEqual(pageFiles.filter(missing), []);
+    assert.deepStrictEqual(
+      APP_SHELL_FILES.filter((file) => !existsSync(join(root, file))),
+      [],
+    );
+  });
+
+  it("should delete older shell versions and leave other caches alone", async () => {
+    const cacheStorage = createMockCacheStorage();
+    await cacheStorage.open(getShellCacheName(1));
+    await cacheStorage.open(getShellCacheName(2));
+    await cacheStorage.open("someone-elses-cache");
+
+    const deleted = await deleteOldShellCaches(cacheStorage, 2);
+
+    assert.deepStrictEqual(deleted, ["bucks2bar-shell-v1"]);
+    assert.deepStrictEqual(await cacheStorage.keys(), [
+      "bucks2bar-shell-v2",
+      "someone-elses-cache",
+    ]);
+  });
+});
+
+describe("answering requests", () => {
+  const request = (path, options = {}) => ({
+    url: new URL(path, workerUrl).href,
+    method: "GET",
+    mode: "no-cors",
+    ...options,
+  });
+
+  async function createPrecachedStorage() {
+    const cacheStorage = createMockCacheStorage();
+    await precacheAppShell(cacheStorage, workerUrl);
+    return cacheStorage;
+  }
+
+  it("should only handle reads of the app's own files", () => {
+    const origin = "https://budget.example";
+
+    assert.strictEqual(isShellRequest(request("script.js"), origin), true);
+    assert.strictEqual(
+      isShellRequest(request("script.js", { method: "POST" }), origin),
+      false,
+    );
+    assert.strictEqual(
+      isShellRequest(request("https://cdn.example/chart.js"), origin),
+      false,
+    );
+  });
+
+  it("should answer from the cache without the network", async () => {
+    const cacheStorage = await createPrecachedStorage();
+
+    const page = await respondFromShell(
+      request("./?year=2025", { mode: "navigate" }),
+      cacheStorage,
+      offline,
+    );
+    const script = await respondFromShell(
+      request("script.js"),
+      cacheStorage,
+      offline,
+    );
+
+    assert.strictEqual(page, "response for https://budget.example/app/");
+    assert.strictEqual(
+      script,
+      "response for https://budget.example/app/script.js",
+    );
+  });
+
+  it("should fetch what isn't cached", async () => {
+    const cacheStorage = await createPrecachedStorage();
+    const fetched = [];
+
+    const response = await respondFromShell(
+      request("notes.txt"),
+      cacheStorage,
+      async (fetchRequest) => {
+        fetched.push(fetchRequest.url);
+        return "fresh";
+      },
+    );
+
+    assert.strictEqual(response, "fresh");
+    assert.deepStrictEqual(fetched, ["https://budget.example/app/notes.txt"]);
+  });
+
+  it("should open the app for pages that can't be fetched offline", async () => {
+    const cacheStorage = await createPrecachedStorage();
+
+    const page = await respondFromShell(
+      request("reports/2025", { mode: "navigate" }),
+      cacheStorage,
+      offline,
+    );
+
+    assert.strictEqual(
+      page,
+      "response for https://budget.example/app/index.html",
+    );
+    await assert.rejects(
+      respondFromShell(request("notes.txt"), cacheStorage, offline),
+      TypeError,
+    );
+  });
+});
+
+describe("app updates", () => {
+  const createRegistration = (waiting = null) =>
+    Object.assign(new EventTarget(), { waiting, installing: null });
+
+  it("should offer a version that was already waiting", () => {
+    const waiting = { state: "installed" };
+    const offered = [];
+
+    watchForShellUpdate(
+      createRegistration(waiting),
+      { controller: {} },
+      (worker) => offered.push(worker),
+    );
+
+    assert.deepStrictEqual(offered, [waiting]);
+  });
+
+  it("should offer a version once it's installed while the page is open", () => {
+    const registration = createRegistration();
+    const offered = [];
+    watchForShellUpdate(registration, { controller: {} }, (worker) =>
+      offered.push(worker),
+    );
+
+    const worker = Object.assign(new EventTarget(), { state: "installing" });
+    registration.installing = worker;
+    registration.dispatchEvent(new Event("updatefound"));
+    assert.deepStrictEqual(offered, []);
+
+    worker.state = "installed";
+    worker.dispatchEvent(new Event("statechange"));
+    assert.deepStrictEqual(offered, [worker]);
+  });
+
+  it("should not offer the first version installed", () => {
+    const offered = [];
+
+    watchForShellUpdate(
+      createRegistration({ state: "installed" }),
+      { controller: null },
+      (worker) => offered.push(worker),
+    );
+
+    assert.deepStrictEqual(offered, []);
+  });
+
+  it("should ask the waiting version to take over when the prompt is accepted", async () => {
+    const window = await createAppWindow({ url: "http://localhost/" });
+    const messages = [];
+    const registered = [];
+    const waiting = { postMessage: (message) => messages.push(message) };
+    Object.defineProperty(window.navigator, "serviceWorker", {
+      value: Object.assign(new EventTarget(), {
+        controller: {},
+        register: async (...args) => {
+          registered.push(args);
+          return Object.assign(new EventTarget(), { waiting });
+        },
+      }),
+    });
+    const prompt = window.document.getElementById("updatePrompt");
+
+    window.onload();
+    for (
+      let tries = 0;
+      tries < 50 && prompt.classList.contains("d-none");
+      tries++
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    assert.strictEqual(prompt.classList.contains("d-none"), false);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(registered[0])), [
+      "sw.js",
+      { type: "module" },
+    ]);
+    window.document.getElementById("reloadAppBtn").click();
+    assert.deepStrictEqual(messages, ["skipWaiting"]);
+
+    window.document.getElementById("dismissUpdateBtn").click();
+    assert.strictEqual(prompt.classList.contains("d-none"), true);
+  });
+});
@@ -0,0 +1,359 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("recurring rules", () => {
+  let window, workspace;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    workspace = window.createWorkspace(2025);
+  });
+
+  const rule = (fields) => ({
+    id: "r1",
+    name: "",
+    type: "expense",
+    categoryId: "",
+    amount: "100",
+    frequency: "monthly",
+    interval: "1",
+    start: "2025-01",
+    end: "",
+    increase: "",
+    ...fields,
+  });
+  const amounts = (fields, year = 2025) =>
+    Array.from({ length: 12 }, (_, month) =>
+      window.getRuleAmount(rule(fields), year, month),
+    );
+
+  it("should repeat monthly, quarterly, annually or every N months", () => {
+    assert.deepStrictEqual(plain(amounts({})), new Array(12).fill(100));
+    assert.deepStrictEqual(plain(amounts({ frequency: "quarterly" })), [
+      100,
+      null,
+      null,
+      100,
+      null,
+      null,
+      100,
+      null,
+      null,
+      100,
+      null,
+      null,
+    ]);
+    assert.deepStrictEqual(
+      plain(amounts({ frequency: "annual", start: "2024-06" })),
+      [null, null, null, null, null, 100, null, null, null, null, null, null],
+    );
+    assert.deepStrictEqual(
+      plain(amounts({ frequency: "custom", interval: "5", start: "2024-11" })),
+      [null, null, null, 100, null, null, null, null, 100, null, null, null],
+    );
+  });
+
+  it("should only run from the start month to the end month", () => {
+    const values = amounts({ start: "2025-03", end: "2025-05" });
+
+    assert.deepStrictEqual(plain(values.slice(0, 7)), [
+      null,
+      null,
+      100,
+      100,
+      100,
+      null,
+      null,
+    ]);
+  });
+
+  it("should compound the yearly increase on each anniversary", () => {
+    const values = amounts({ start: "2023-07", increase: "10" });
+
+    assert.strictEqual(values[5], 110);
+    assert.strictEqual(values[6], 121);
+  });
+
+  it("should report each invalid field", () => {
+    const errors = window.validateRecurringRule(
+      rule({
+        amount: "",
+        frequency: "custom",
+        interval: "1.5",
+        start: "2025-13",
+        increase: "-2",
+      }),
+      workspace.categories,
+    );
+
+    assert.deepStrictEqual(Object.keys(errors).sort(), [
+      "amount",
+      "increase",
+      "interval",
+      "start",
+    ]);
+    assert.strictEqual(
+      window.validateRecurringRule(
+        rule({ start: "2025-06", end: "2025-05" }),
+        workspace.categories,
+      ).end,
+      "Pick an end month on or after the start, or leave it blank.",
+    );
+  });
+
+  it("should need a category for kinds that have categories", () => {
+    window.addCategory(workspace, "expense", "Rent");
+
+    assert.strictEqual(
+      window.validateRecurringRule(rule(), workspace.categories).categoryId,
+      "Pick a category for this expense.",
+    );
+    assert.deepStrictEqual(
+      plain(
+        window.validateRecurringRule(
+          rule({ categoryId: "rent" }),
+          workspace.categories,
+        ),
+      ),
+      {},
+    );
+  });
+
+  it("should add up the values rules generate for a year", () => {
+    window.addCategory(workspace, "income", "Salary");
+
+    const values = window.generateRecurringValues(
+      [
+        rule({ amount: "20" }),
+        rule({ amount: "5.5", frequency: "quarterly" }),
+        rule({ type: "income", categoryId: "salary", amount: "3000" }),
+        rule({ start: "2026-01" }),
+      ],
+      2025,
+    );
+
+    assert.strictEqual(values.expense[0], "25.5");
+    assert.strictEqual(values.expense[1], "20");
+    assert.deepStrictEqual(plain(values.income), {});
+    assert.strictEqual(values.categoryValues.salary[11], "3000");
+  });
+
+  it("should fill every year and keep overrides", () => {
+    window.addBudgetYear(workspace, 2026);
+    window.addRecurringRule(workspace, 2025, { amount: "800" });
+
+    window.applyRecurringRules(workspace);
+    assert.strictEqual(workspace.years[2025].expense[0], "800");
+    assert.strictEqual(workspace.years[2026].expense[11], "800");
+
+    workspace.years[2025].expense[3] = "950";
+    workspace.years[2025].expense[4] = "800.00";
+    window.syncRecurringOverrides(workspace, 2025);
+    assert.deepStrictEqual(
+      plain(workspace.years[2025].recurringOverrides.expense),
+      { 3: "950" },
+    );
+
+    workspace.recurringRules[0].amount = "850";
+    window.applyRecurringRules(workspace);
+    assert.strictEqual(workspace.years[2025].expense[3], "950");
+    assert.strictEqual(workspace.years[2025].expense[4], "850");
+    assert.strictEqual(workspace.years[2026].expense[3], "850");
+
+    window.resetRecurringOverrides(workspace, 2025);
+    window.applyRecurringRules(workspace);
+    assert.strictEqual(workspace.years[2025].expense[3], "850");
+  });
+
+  it("should clear months a changed rule no longer covers", () => {
+    window.addRecurringRule(workspace, 2025, { amount: "60" });
+    window.applyRecurringRules(workspace);
+    const previousRules = plain(workspace.recurringRules);
+
+    workspace.recurringRules[0].frequency = "quarterly";
+    window.applyRecurringRules(workspace, previousRules);
+
+    assert.deepStrictEqual(plain(workspace.years[2025].expense.slice(0, 4)), [
+      "60",
+      "",
+      "",
+      "60",
+    ]);
+  });
+
+  it("should clear the months a removed rule filled in", () => {
+    const { id } = window.addRecurringRule(workspace, 2025, { amount: "40" });
+    window.applyRecurringRules(workspace);
+    workspace.years[2025].expense[2] = "45";
+    window.syncRecurringOverrides(workspace, 2025);
+    const previousRules = plain(workspace.recurringRules);
+
+    window.removeRecurringRule(workspace, id);
+    window.applyRecurringRules(workspace, previousRules);
+
+    assert.strictEqual(workspace.years[2025].expense[6], "");
+    assert.strictEqual(workspace.years[2025].expense[2], "45");
+    assert.deepStrictEqual(
+      plain(workspace.years[2025].recurringOverrides.expense),
+      {},
+    );
+    assert.deepStrictEqual(plain(workspace.recurringRules), []);
+  });
+
+  it("should leave years with transactions alone", () => {
+    window.addTransaction(workspace, 2025, { amount: "5" });
+    window.addRecurringRule(workspace, 2025, { amount: "800" });
+
+    window.applyRecurringRules(workspace);
+
+    assert.strictEqual(workspace.years[2025].expense[0], "");
+  });
+});
+
+describe("recurring rules in the form", () => {
+  let window, document, year;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    year = new Date().getFullYear();
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function addRule() {
+    document.getElementById("addRecurringRuleBtn").click();
+    const rows = document.querySelectorAll("#recurringTable tbody tr");
+    return rows[rows.length - 1].dataset.ruleId;
+  }
+
+  function setField(ruleId, field, value) {
+    const input = document.querySelector(
+      `#recurringTable [data-rule-id="${ruleId}"][data-field="${field}"]`,
+    );
+    input.value = value;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  }
+
+  function typeIntoMonth(selector, month, value) {
+    const input = document.querySelectorAll(selector)[month];
+    input.value = value;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+    return input;
+  }
+
+  it("should fill the months a rule repeats in", () => {
+    const ruleId = addRule();
+    setField(ruleId, "type", "income");
+    setField(ruleId, "frequency", "quarterly");
+    setField(ruleId, "amount", "2500");
+
+    const { isValid, incomeData } = window.validateAndCollectData();
+    assert.strictEqual(isValid, true);
+    assert.deepStrictEqual(
+      plain(incomeData.slice(0, 4)),
+      [2500, 200, 300, 2500],
+    );
+
+    const incomeInput = document.querySelectorAll(".income-input")[0];
+    assert.strictEqual(incomeInput.classList.contains("bg-info-subtle"), true);
+    assert.strictEqual(incomeInput.title, "Recurring amount: $2,500");
+
+    const saved = window.loadBudgetState();
+    assert.strictEqual(saved.years[year].income[3], "2500");
+    assert.strictEqual(saved.recurringRules[0].frequency, "quarterly");
+  });
+
+  it("should keep months typed over when the rule changes", () => {
+    const ruleId = addRule();
+    setField(ruleId, "amount", "1200");
+
+    const changed = typeIntoMonth(".expense-input", 2, "1300");
+    assert.strictEqual(changed.classList.contains("border-info"), true);
+    assert.strictEqual(changed.classList.contains("bg-info-subtle"), false);
+
+    setField(ruleId, "amount", "1250");
+
+    const { expenseData } = window.validateAndCollectData();
+    assert.strictEqual(expenseData[1], 1250);
+    assert.strictEqual(expenseData[2], 1300);
+
+    document.getElementById("resetOverridesBtn").click();
+    assert.strictEqual(window.validateAndCollectData().expenseData[2], 1250);
+  });
+
+  it("should report invalid fields on the rule's row", () => {
+    const ruleId = addRule();
+    setField(ruleId, "frequency", "custom");
+    setField(ruleId, "interval", "0");
+
+    const row = document.querySelector(
+      `#recurringTable tr[data-rule-id="${ruleId}"]`,
+    );
+    assert.strictEqual(
+      row
+        .querySelector('[data-field="interval"]')
+        .classList.contains("is-invalid"),
+      true,
+    );
+    assert.strictEqual(
+      row.querySelector(".recurring-row-error").textContent,
+      "Enter an amount of 0 or more. Enter a whole number of months, 1 or more.",
+    );
+    // An incomplete rule fills nothing in
+    assert.strictEqual(window.validateAndCollectData().expenseData[0], 50);
+  });
+
+  it("should fill category amounts and years added later", () => {
+    document.getElementById("categoryKindSelect").value = "expense";
+    document.getElementById("categoryNameInput").value = "Rent";
+    document.getElementById("addCategoryBtn").click();
+    const ruleId = addRule();
+    setField(ruleId, "categoryId", "rent");
+    setField(ruleId, "amount", "900");
+    setField(ruleId, "start", `${year}-01`);
+
+    const rentInput = document.querySelector(
+      '.category-input[data-category-id="rent"][data-month="5"]',
+    );
+    assert.strictEqual(rentInput.value, "900");
+
+    document.getElementById("newYearInput").value = String(year + 1);
+    document.getElementById("addYearBtn").click();
+    assert.strictEqual(window.validateAndCollectData().expenseData[11], 900);
+  });
+
+  it("should clear the months a deleted rule filled in", () => {
+    const ruleId = addRule();
+    setField(ruleId, "amount", "75");
+    typeIntoMonth(".expense-input", 1, "80");
+
+    document.querySelector(`[data-remove-rule="${ruleId}"]`).click();
+
+    const expenseInput = document.querySelectorAll(".expense-input")[4];
+    assert.strictEqual(expenseInput.value, "");
+    assert.strictEqual(
+      document.querySelectorAll(".expense-input")[1].value,
+      "80",
+    );
+    assert.strictEqual(
+      expenseInput.classList.contains("bg-info-subtle"),
+      false,
+    );
+    assert.match(
+      document.getElementById("recurringTable").textContent,
+      /No recurring rules yet/,
+    );
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 1300,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("buildAnnualReport()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should list each month with its net and the year's totals", () => {
+    const { rows, stats } = window.buildAnnualReport({
+      incomeData: incomeValues,
+      expenseData: expenseValues,
+    });
+
+    assert.strictEqual(rows.length, 12);
+    assert.deepStrictEqual(plain(rows[0]), {
+      month: 0,
+      income: 100,
+      expense: 50,
+      net: 50,
+    });
+    assert.strictEqual(rows[11].net, -100);
+    assert.deepStrictEqual(plain(stats.totals), {
+      income: 7800,
+      expense: 4600,
+      net: 3200,
+    });
+  });
+
+  it("should format the generation date for the locale", () => {
+    const date = new Date(2026, 9, 19);
+
+    assert.strictEqual(
+      window.formatReportDate(date, { locale: "en-US" }),
+      "October 19, 2026",
+    );
+    assert.strictEqual(
+      window.formatReportDate(date, { locale: "de-DE" }),
+      "19. Oktober 2026",
+    );
+  });
+});
+
+describe("report view", () => {
+  let window, document, year, printed;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    year = new Date().getFullYear();
+    printed = 0;
+    window.print = () => {
+      printed++;
+    };
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  it("should show the year, chart, totals and monthly table", () => {
+    assert.strictEqual(window.renderReport(), true);
+
+    const content = document.getElementById("reportContent");
+    assert.strictEqual(
+      content.querySelector("h2").textContent,
+      `Budget Report ${year}`,
+    );
+    assert.match(content.querySelector("header").textContent, /Generated /);
+    assert.strictEqual(
+      content.querySelector("img").src,
+      "data:image/png;base64,mockImageData",
+    );
+    // The chart is drawn off-screen at a fixed size, then thrown away
+    const reportChart = MockChart.instances[MockChart.instances.length - 1];
+    assert.strictEqual(reportChart.config.options.responsive, false);
+    assert.strictEqual(reportChart.destroyed, true);
+
+    const rows = content.querySelectorAll(".report-page-break tbody tr");
+    assert.strictEqual(rows.length, 12);
+    assert.deepStrictEqual(
+      Array.from(rows[11].cells, (cell) => cell.textContent),
+      ["December", "$1,200", "$1,300", "-$100"],
+    );
+    assert.strictEqual(rows[11].cells[3].className, "text-danger");
+    assert.strictEqual(
+      content.querySelector("tfoot").textContent,
+      "Total$7,800$4,600$3,200",
+    );
+    assert.match(content.textContent, /Savings rate41%/);
+  });
+
+  it("should keep notes per year and show them in the report", () => {
+    const notesInput = document.getElementById("reportNotesInput");
+    const notesSection = document.getElementById("reportNotes");
+    assert.strictEqual(notesSection.classList.contains("d-none"), true);
+
+    notesInput.value = "New roof in June.";
+    notesInput.dispatchEvent(new window.Event("input"));
+    assert.strictEqual(notesSection.classList.contains("d-none"), false);
+    assert.strictEqual(
+      document.getElementById("reportNotesText").textContent,
+      "New roof in June.",
+    );
+    assert.strictEqual(
+      window.loadBudgetState().years[year].notes,
+      "New roof in June.",
+    );
+
+    document.getElementById("newYearInput").value = String(year + 1);
+    document.getElementById("addYearBtn").click();
+    assert.strictEqual(notesInput.value, "");
+    assert.strictEqual(notesSection.classList.contains("d-none"), true);
+  });
+
+  it("should render the report before printing", () => {
+    document.getElementById("printReportBtn").click();
+
+    assert.strictEqual(printed, 1);
+    assert.strictEqual(
+      document.querySelectorAll("#reportContent tbody tr").length > 0,
+      true,
+    );
+  });
+
+  it("should not print while the form has errors", () => {
+    document.querySelectorAll(".income-input")[0].value = "-5";
+
+    document.getElementById("printReportBtn").click();
+
+    assert.strictEqual(printed, 0);
+    assert.match(
+      document.getElementById("reportContent").textContent,
+      /Fix the highlighted values/,
+    );
+  });
+
+  it("should refresh the report when printing from the browser", () => {
+    window.dispatchEvent(new window.Event("beforeprint"));
+
+    assert.strictEqual(
+      document.getElementById("reportContent").querySelector("h2").textContent,
+      `Budget Report ${year}`,
+    );
+  });
+});
@@ -0,0 +1,372 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("scenarios", () => {
+  let window, workspace;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    workspace = window.createWorkspace(2025, {
+      income: new Array(12).fill("1000"),
+      expense: new Array(12).fill("800"),
+    });
+  });
+
+  it("should start with a baseline scenario being edited", () => {
+    assert.deepStrictEqual(plain(workspace.scenarios), [
+      { id: "baseline", name: "Baseline" },
+    ]);
+    assert.strictEqual(workspace.activeScenario, "baseline");
+  });
+
+  it("should duplicate a scenario's budget under a new name", () => {
+    const scenario = window.duplicateScenario(
+      workspace,
+      "baseline",
+      " New job ",
+    );
+
+    assert.strictEqual(scenario.id, "new-job");
+    assert.strictEqual(scenario.name, "New job");
+    assert.deepStrictEqual(plain(workspace.scenarios.map(({ id }) => id)), [
+      "baseline",
+      "new-job",
+    ]);
+    // The copy is independent of the budget being edited
+    workspace.years[2025].income[0] = "5";
+    assert.strictEqual(scenario.budget.years[2025].income[0], "1000");
+  });
+
+  it("should keep scenario names unique and non-blank", () => {
+    window.duplicateScenario(workspace, "baseline", "New job");
+
+    assert.strictEqual(
+      window.getScenarioNameError(workspace, "new JOB"),
+      'There\'s already a scenario called "new JOB".',
+    );
+    assert.strictEqual(
+      window.getScenarioNameError(workspace, "  "),
+      "Enter a name for the scenario.",
+    );
+    assert.strictEqual(
+      window.duplicateScenario(workspace, "baseline", "Baseline"),
+      null,
+    );
+    assert.strictEqual(
+      window.renameScenario(workspace, "new-job", "baseline"),
+      false,
+    );
+    assert.strictEqual(
+      window.renameScenario(workspace, "new-job", "New Job"),
+      true,
+    );
+    assert.strictEqual(
+      window.getScenarioCopyName(workspace, "Baseline"),
+      "Baseline copy",
+    );
+    window.duplicateScenario(workspace, "baseline", "Baseline copy");
+    assert.strictEqual(
+      window.getScenarioCopyName(workspace, "Baseline"),
+      "Baseline copy 2",
+    );
+  });
+
+  it("should add a scenario to edit and copy others under a free name", () => {
+    const scenario = window.addScenario(workspace, "Raise");
+
+    assert.strictEqual(workspace.activeScenario, scenario.id);
+    assert.strictEqual(workspace.years[2025].income[0], "1000");
+    assert.strictEqual(window.addScenario(workspace, "raise"), null);
+
+    assert.strictEqual(
+      window.copyScenario(workspace, "baseline").name,
+      "Baseline copy",
+    );
+    assert.strictEqual(window.copyScenario(workspace, "missing"), null);
+    assert.deepStrictEqual(plain(workspace.scenarios.map(({ id }) => id)), [
+      "baseline",
+      "baseline-copy",
+      "raise",
+    ]);
+  });
+
+  it("should swap budgets when switching scenarios", () => {
+    const scenario = window.duplicateScenario(workspace, "baseline", "Move");
+    scenario.budget.years = { 2030: window.createEmptyBudgetYear() };
+
+    assert.strictEqual(window.switchScenario(workspace, "move"), true);
+
+    assert.strictEqual(workspace.activeScenario, "move");
+    assert.deepStrictEqual(Object.keys(workspace.years), ["2030"]);
+    assert.strictEqual(workspace.selectedYear, 2030);
+    assert.strictEqual(
+      window.getScenario(workspace, "baseline").budget.years[2025].income[0],
+      "1000",
+    );
+    assert.strictEqual(window.getScenario(workspace, "move").budget, undefined);
+    assert.strictEqual(window.switchScenario(workspace, "move"), false);
+  });
+
+  it("should delete scenarios but keep one", () => {
+    window.duplicateScenario(workspace, "baseline", "Move");
+    workspace.settings.compareScenarios = ["baseline", "move"];
+
+    assert.strictEqual(window.removeScenario(workspace, "baseline"), true);
+
+    assert.strictEqual(workspace.activeScenario, "move");
+    assert.strictEqual(workspace.years[2025].income[0], "1000");
+    assert.deepStrictEqual(plain(workspace.settings.compareScenarios), [
+      "move",
+    ]);
+    assert.strictEqual(window.removeScenario(workspace, "move"), false);
+  });
+
+  it("should read each scenario's series for a year", () => {
+    const scenario = window.duplicateScenario(workspace, "baseline", "Move");
+    scenario.budget.categories.expense = [{ id: "rent", name: "Rent" }];
+    scenario.budget.years[2025].categoryValues.rent = new Array(12).fill("950");
+    window.duplicateScenario(workspace, "move", "Later");
+    window.getScenario(workspace, "later").budget.years = {};
+
+    const series = window.getScenarioSeries(
+      workspace,
+      ["baseline", "move", "later"],
+      2025,
+    );
+
+    assert.deepStrictEqual(plain(series.map(({ id }) => id)), [
+      "baseline",
+      "move",
+    ]);
+    // Categorised expenses add up from their categories
+    assert.strictEqual(series[1].expenseData[0], 950);
+  });
+
+  it("should compare annual net and savings rate with the first scenario", () => {
+    const comparison = window.compareScenarios([
+      {
+        id: "baseline",
+        name: "Baseline",
+        incomeData: new Array(12).fill(1000),
+        expenseData: new Array(12).fill(800),
+      },
+      {
+        id: "new-job",
+        name: "New job",
+        incomeData: new Array(12).fill(1250),
+        expenseData: new Array(12).fill(850),
+      },
+      {
+        id: "sabbatical",
+        name: "Sabbatical",
+        incomeData: new Array(12).fill(0),
+        expenseData: new Array(12).fill(700.1),
+      },
+    ]);
+
+    assert.deepStrictEqual(plain(comparison), [
+      {
+        id: "baseline",
+        name: "Baseline",
+        income: 12000,
+        expense: 9600,
+        net: 2400,
+        savingsRate: 20,
+        netDifference: 0,
+        savingsRateDifference: 0,
+      },
+      {
+        id: "new-job",
+        name: "New job",
+        income: 15000,
+        expense: 10200,
+        net: 4800,
+        savingsRate: 32,
+        netDifference: 2400,
+        savingsRateDifference: 12,
+      },
+      {
+        id: "sabbatical",
+        name: "Sabbatical",
+        income: 0,
+        expense: 8401.2,
+        net: -8401.2,
+        savingsRate: null,
+        netDifference: -10801.2,
+        savingsRateDifference: null,
+      },
+    ]);
+    assert.deepStrictEqual(plain(window.compareScenarios([])), []);
+  });
+});
+
+describe("scenarios in the form", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow({ url: "http://localhost/" });
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function typeInto(id, value) {
+    const input = document.getElementById(id);
+    input.value = value;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  }
+
+  function addScenario(name) {
+    document.getElementById("scenarioNameInput").value = name;
+    document.getElementById("addScenarioBtn").click();
+  }
+
+  const scenarioNames = () =>
+    Array.from(
+      document.querySelectorAll(".scenario-name-input"),
+      (input) => input.value,
+    );
+
+  it("should copy the budget into a new scenario and edit it separately", () => {
+    addScenario("New job");
+
+    assert.deepStrictEqual(scenarioNames(), ["Baseline", "New job"]);
+    assert.strictEqual(
+      document.querySelector("[data-edit-scenario='new-job']").disabled,
+      true,
+    );
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+
+    typeInto("income-jan", "2500");
+    document.querySelector("[data-edit-scenario='baseline']").click();
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+
+    document.querySelector("[data-edit-scenario='new-job']").click();
+    assert.strictEqual(document.getElementById("income-jan").value, "2500");
+    const state = window.loadBudgetState();
+    assert.strictEqual(state.activeScenario, "new-job");
+    assert.strictEqual(
+      state.scenarios[0].budget.years[state.selectedYear].income[0],
+      "100",
+    );
+  });
+
+  it("should reject a name that's already used", () => {
+    addScenario("baseline");
+
+    const input = document.getElementById("scenarioNameInput");
+    assert.strictEqual(input.classList.contains("is-invalid"), true);
+    assert.deepStrictEqual(scenarioNames(), ["Baseline"]);
+  });
+
+  it("should rename, duplicate and delete scenarios from the list", () => {
+    const nameInput = document.getElementById("scenario-name-baseline");
+    nameInput.value = "Today";
+    nameInput.dispatchEvent(new window.Event("change", { bubbles: true }));
+    assert.strictEqual(window.loadBudgetState().scenarios[0].name, "Today");
+
+    document.querySelector("[data-duplicate-scenario='baseline']").click();
+    assert.deepStrictEqual(scenarioNames(), ["Today", "Today copy"]);
+
+    let question = "";
+    window.confirm = (message) => {
+      question = message;
+      return true;
+    };
+    document.querySelector("[data-delete-scenario='baseline']").click();
+    assert.strictEqual(
+      question,
+      'Delete the "Today" scenario and all its budget years?',
+    );
+    assert.deepStrictEqual(scenarioNames(), ["Today copy"]);
+    assert.strictEqual(
+      document.querySelector("[data-delete-scenario='today-copy']").disabled,
+      true,
+    );
+
+    window.undoBudgetChange();
+    assert.deepStrictEqual(scenarioNames(), ["Today", "Today copy"]);
+  });
+
+  it("should chart the net of each compared scenario with their differences", () => {
+    addScenario("New job");
+    typeInto("income-jan", "2500");
+    document.getElementById("scenario-compare-baseline").checked = true;
+    const newJob = document.getElementById("scenario-compare-new-job");
+    newJob.checked = true;
+    newJob.dispatchEvent(new window.Event("change", { bubbles: true }));
+    const viewSelect = document.getElementById("chartViewSelect");
+    viewSelect.value = "scenarios";
+    viewSelect.dispatchEvent(new window.Event("change"));
+
+    const { datasets } = MockChart.lastConfig.data;
+    assert.deepStrictEqual(plain(datasets.map(({ label }) => label)), [
+      "Baseline",
+      "New job",
+    ]);
+    assert.strictEqual(datasets[0].data[0], 50);
+    assert.strictEqual(datasets[1].data[0], 2450);
+    assert.match(
+      document.getElementById("chartTitle").textContent,
+      /^Net Savings by Scenario \d{4}$/,
+    );
+    assert.strictEqual(
+      document
+        .getElementById("scenarioCompareGroup")
+        .classList.contains("d-none"),
+      false,
+    );
+
+    const rows = document.querySelectorAll("#scenarioSummary tbody tr");
+    assert.deepStrictEqual(
+      Array.from(rows[1].cells, (cell) => cell.textContent),
+      [
+        "New job",
+        "$10,200",
+        "$3,900",
+        "$6,300",
+        "61.8%",
+        "+$2,400",
+        "+11.8 pts",
+      ],
+    );
+    assert.deepStrictEqual(
+      plain(window.loadBudgetState().settings.compareScenarios),
+      ["baseline", "new-job"],
+    );
+  });
+
+  it("should ask for two scenarios to compare", () => {
+    const viewSelect = document.getElementById("chartViewSelect");
+    viewSelect.value = "scenarios";
+    viewSelect.dispatchEvent(new window.Event("change"));
+
+    assert.strictEqual(MockChart.lastConfig.data.datasets.length, 1);
+    assert.match(
+      document.getElementById("scenarioSummary").textContent,
+      /Tick two or more scenarios/,
+    );
+  });
+
+  it("should keep the other scenarios when a backup is restored", () => {
+    addScenario("Move house");
+    const backup = window.createBackup(window.loadBudgetState());
+    assert.strictEqual(backup.workspace.settings.compareScenarios, undefined);
+
+    window.restoreBackup(JSON.stringify(backup));
+
+    assert.deepStrictEqual(scenarioNames(), ["Baseline", "Move house"]);
+    assert.strictEqual(window.loadBudgetState().activeScenario, "move-house");
+  });
+});
@@ -1,106 +1,17 @@
 import { describe, it, beforeEach } from "node:test";
 import assert from "node:assert/strict";
-import { JSDOM } from "jsdom";
-import { readFileSync } from "node:fs";
-import { fileURLToPath } from "node:url";
-import { dirname, join } from "node:path";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Mock Chart.js class that tracks constructor calls and instances
-class MockChart {
-  static instances = [];
-  static lastConfig = null;
-  static lastContext = null;
-
-  constructor(ctx, config) {
-    MockChart.lastContext = ctx;
-    MockChart.lastConfig = config;
-    this.ctx = ctx;
-    this.config = config;
-    this.destroyed = false;
-    MockChart.instances.push(this);
-  }
-
-  destroy() {
-    this.destroyed = true;
-  }
-
-  toBase64Image() {
-    return "data:image/png;base64,mockImageData";
-  }
-
-  static reset() {
-    MockChart.instances = [];
-    MockChart.lastConfig = null;
-    MockChart.lastContext = null;
-  }
-}
-
-// Helper to create DOM with budget form inputs
-function createBudgetDOM() {
-  const html = `
-    <!DOCTYPE html>
-    <html>
-      <body>
-        <form id="budgetForm">
-          ${[
-            "jan",
-            "feb",
-            "mar",
-            "apr",
-            "may",
-            "jun",
-            "jul",
-            "aug",
-            "sep",
-            "oct",
-            "nov",
-            "dec",
-          ]
-            .map(
-              (month) => `
-            <input type="number" class="form-control income-input" id="income-${month}" value="" />
-            <input type="number" class="form-control expense-input" id="expense-${month}" value="" />
-          `,
-            )
-            .join("")}
-        </form>
-        <button id="updateChartBtn">Update Chart</button>
-        <button id="downloadChartBtn">Download</button>
-        <button id="chart-tab">Chart Tab</button>
-        <canvas id="budgetChart"></canvas>
-      </body>
-    </html>
-  `;
-
-  const dom = new JSDOM(html, { runScripts: "dangerously" });
-  return dom;
-}
-
-// Helper to set income/expense values
-function setInputValues(window, incomeValues, expenseValues) {
-  const incomeInputs = window.document.querySelectorAll(".income-input");
-  const expenseInputs = window.document.querySelectorAll(".expense-input");
-
-  incomeValues.forEach((value, index) => {
-    incomeInputs[index].value = value;
-  });
-
-  expenseValues.forEach((value, index) => {
-    expenseInputs[index].value = value;
-  });
-}
-
-// Load script.js content
-const scriptPath = join(__dirname, "..", "script.js");
-const scriptContent = readFileSync(scriptPath, "utf-8");
+import {
+  MockChart,
+  createBudgetDOM,
+  setInputValues,
+  loadAppModules,
+  createAppWindow,
+} from "./helpers.js";
 
 describe("validateAndCollectData()", () => {
   let window, document;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     const dom = createBudgetDOM();
     window = dom.window;
     document = window.document;
@@ -146,8 +57,8 @@ describe("validateAndCollectData()", () => {
 
     MockChart.reset();
 
-    // Execute script in window context
-    window.eval(scriptContent);
+    // Load the app modules in the window
+    window = await loadAppModules(window);
   });
 
   it("should return valid data for all numeric inputs", () => {
@@ -328,7 +239,7 @@ describe("validateAndCollectData()", () => {
 describe("renderChart()", () => {
   let window, document, alertCalls;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     const dom = createBudgetDOM();
     window = dom.window;
     document = window.document;
@@ -374,8 +285,8 @@ describe("renderChart()", () => {
 
     MockChart.reset();
 
-    // Execute script in window context
-    window.eval(scriptContent);
+    // Load the app modules in the window
+    window = await loadAppModules(window);
   });
 
   it("should create Chart with correct configuration for valid data", () => {
@@ -431,7 +342,7 @@ describe("renderChart()", () => {
     assert.ok(datasets[1].backgroundColor.includes("220, 53, 69")); // red for expenses
   });
 
-  it("should show alert and not create chart when validation fails", () => {
+  it("should show an error toast and not create chart when validation fails", () => {
     const incomeValues = [
       -100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
     ];
@@ -442,12 +353,15 @@ describe("renderChart()", () => {
 
     window.renderChart();
 
-    assert.strictEqual(alertCalls.length, 1);
-    assert.ok(alertCalls[0].includes("validation errors"));
+    assert.strictEqual(alertCalls.length, 0);
+    assert.match(
+      document.getElementById("toastContainer").textContent,
+      /before updating the chart/,
+    );
     assert.strictEqual(MockChart.instances.length, 0);
   });
 
-  it("should destroy existing chartInstance before creating new one", () => {
+  it("should update the existing chartInstance instead of creating a new one", () => {
     const incomeValues = [
       100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
     ];
@@ -459,13 +373,17 @@ describe("renderChart()", () => {
     // Create first chart
     window.renderChart();
     const firstChart = MockChart.instances[0];
+    const [incomeDataset] = firstChart.data.datasets;
 
-    // Create second chart
+    // Update it with new values
+    window.document.getElementById("income-jan").value = "150";
     window.renderChart();
 
-    assert.strictEqual(firstChart.destroyed, true);
-    assert.strictEqual(MockChart.instances.length, 2);
-    assert.strictEqual(MockChart.instances[1].destroyed, false);
+    assert.strictEqual(MockChart.instances.length, 1);
+    assert.strictEqual(firstChart.destroyed, false);
+    assert.strictEqual(firstChart.updates, 1);
+    assert.strictEqual(firstChart.data.datasets[0], incomeDataset);
+    assert.strictEqual(incomeDataset.data[0], 150);
   });
 
   it("should configure y-axis with dollar formatting", () => {
@@ -516,7 +434,7 @@ describe("renderChart()", () => {
 describe("window.onload event handlers", () => {
   let window, document, alertCalls;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     const dom = createBudgetDOM();
     window = dom.window;
     document = window.document;
@@ -562,8 +480,8 @@ describe("window.onload event handlers", () => {
 
     MockChart.reset();
 
-    // Execute script in window context
-    window.eval(scriptContent);
+    // Load the app modules in the window
+    window = await loadAppModules(window);
 
     // Trigger window.onload to register event handlers
     if (window.onload) {
@@ -586,7 +504,7 @@ describe("window.onload event handlers", () => {
     assert.strictEqual(MockChart.instances.length, 1);
   });
 
-  it("should register click handler on downloadChartBtn that creates PNG download", () => {
+  it("should register click handler on exportChartBtn that creates PNG download", () => {
     const incomeValues = [
       100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
     ];
@@ -609,23 +527,29 @@ describe("window.onload event handlers", () => {
       return element;
     };
 
-    const downloadBtn = document.getElementById("downloadChartBtn");
-    downloadBtn.click();
+    const exportBtn = document.getElementById("exportChartBtn");
+    exportBtn.click();
 
     assert.strictEqual(createdLinks.length, 1);
     assert.strictEqual(
       createdLinks[0].href,
       "data:image/png;base64,mockImageData",
     );
-    assert.strictEqual(createdLinks[0].download, "budget-chart.png");
+    assert.strictEqual(
+      createdLinks[0].download,
+      `budget-chart-${new Date().getFullYear()}.png`,
+    );
   });
 
-  it("should show alert when download button clicked without chart", () => {
-    const downloadBtn = document.getElementById("downloadChartBtn");
-    downloadBtn.click();
+  it("should show an inline error when exporting at screen size without a chart", () => {
+    document.getElementById("exportSizeSelect").value = "screen";
+    document.getElementById("exportChartBtn").click();
 
-    assert.strictEqual(alertCalls.length, 1);
-    assert.ok(alertCalls[0].includes("update the chart first"));
+    assert.strictEqual(alertCalls.length, 0);
+    assert.match(
+      document.getElementById("chartExportStatus").textContent,
+      /Show the chart first/,
+    );
   });
 
   it("should register shown.bs.tab event on chart tab that triggers renderChart", () => {
@@ -646,3 +570,239 @@ describe("window.onload event handlers", () => {
     assert.strictEqual(MockChart.instances.length, 1);
   });
 });
+
+describe("chart views", () => {
+  const incomeValues = [
+    100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+  ];
+  const expenseValues = [
+    150, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+  ];
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function selectView(view) {
+    const chartViewSelect = document.getElementById("chartViewSelect");
+    chartViewSelect.value = view;
+    chartViewSelect.dispatchEvent(new window.Event("change"));
+  }
+
+  it("should destroy the previous chart when switching views", () => {
+    window.renderChart();
+    const barChart = MockChart.instances[0];
+
+    selectView("net");
+
+    assert.strictEqual(barChart.destroyed, true);
+    assert.strictEqual(MockChart.lastConfig.type, "line");
+    assert.strictEqual(window.loadBudgetState().settings.chartView, "net");
+  });
+
+  it("should plot net savings coloured by sign", () => {
+    selectView("net");
+
+    const [dataset] = MockChart.lastConfig.data.datasets;
+    assert.strictEqual(dataset.label, "Net savings");
+    assert.deepStrictEqual(
+      Array.from(dataset.data.slice(0, 3)),
+      [-50, 100, 150],
+    );
+    assert.strictEqual(dataset.pointBackgroundColor[0], "rgba(220, 53, 69, 1)");
+    assert.strictEqual(dataset.pointBackgroundColor[1], "rgba(40, 167, 69, 1)");
+    assert.strictEqual(
+      dataset.segment.borderColor({ p1: { parsed: { y: -1 } } }),
+      "rgba(220, 53, 69, 1)",
+    );
+    assert.strictEqual(dataset.fill.target, "origin");
+    assert.strictEqual(
+      document.getElementById("chartTitle").textContent,
+      `Net Savings ${new Date().getFullYear()}`,
+    );
+  });
+
+  it("should format negative amounts on the line chart axis", () => {
+    selectView("net");
+
+    const { y } = MockChart.lastConfig.options.scales;
+    assert.strictEqual(y.beginAtZero, undefined);
+    assert.strictEqual(y.ticks.callback(-1500), "-$1,500");
+  });
+
+  it("should add the opening balance to the cumulative balance", () => {
+    selectView("cumulative");
+    const openingBalanceInput = document.getElementById("openingBalanceInput");
+    openingBalanceInput.value = "1000";
+    openingBalanceInput.dispatchEvent(new window.Event("input"));
+
+    const [dataset] = MockChart.lastConfig.data.datasets;
+    assert.strictEqual(MockChart.lastConfig.type, "line");
+    assert.strictEqual(dataset.fill, "origin");
+    assert.deepStrictEqual(
+      Array.from(dataset.data.slice(0, 3)),
+      [950, 1050, 1200],
+    );
+    assert.strictEqual(dataset.data[11], 4800);
+    assert.strictEqual(window.loadBudgetState().settings.openingBalance, 1000);
+  });
+
+  it("should only show the opening balance for the cumulative view", () => {
+    const openingBalanceGroup = document.getElementById("openingBalanceGroup");
+
+    selectView("cumulative");
+    assert.strictEqual(openingBalanceGroup.classList.contains("d-none"), false);
+
+    selectView("grouped");
+    assert.strictEqual(openingBalanceGroup.classList.contains("d-none"), true);
+  });
+
+  it("should treat a blank opening balance as zero", () => {
+    selectView("cumulative");
+    const openingBalanceInput = document.getElementById("openingBalanceInput");
+    openingBalanceInput.value = "500";
+    openingBalanceInput.dispatchEvent(new window.Event("input"));
+    openingBalanceInput.value = "";
+    openingBalanceInput.dispatchEvent(new window.Event("input"));
+
+    const [dataset] = MockChart.lastConfig.data.datasets;
+    assert.strictEqual(dataset.data[0], -50);
+    assert.strictEqual(window.loadBudgetState().settings.openingBalance, 0);
+  });
+
+  it("should draw the annual totals as a doughnut", () => {
+    selectView("annual");
+
+    assert.strictEqual(MockChart.lastConfig.type, "doughnut");
+    assert.deepStrictEqual(Array.from(MockChart.lastConfig.data.labels), [
+      "Income",
+      "Expenses",
+    ]);
+    assert.deepStrictEqual(
+      Array.from(MockChart.lastConfig.data.datasets[0].data),
+      [7800, 4000],
+    );
+
+    const { label } = MockChart.lastConfig.options.plugins.tooltip.callbacks;
+    assert.strictEqual(
+      label({ label: "Income", parsed: 7800 }),
+      "Income: $7,800",
+    );
+  });
+
+  it("should only offer the comparison year for the grouped view", () => {
+    const compareYearSelect = document.getElementById("compareYearSelect");
+
+    selectView("annual");
+    assert.strictEqual(compareYearSelect.disabled, true);
+
+    selectView("grouped");
+    assert.strictEqual(compareYearSelect.disabled, false);
+  });
+});
+
+describe("live chart updates", () => {
+  let window, document, timers;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(
+      window,
+      [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200],
+      [50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600],
+    );
+    window.onload();
+
+    // Run debounced updates when the test says so
+    timers = [];
+    window.setTimeout = (callback) => timers.push(callback);
+    window.clearTimeout = () => timers.pop();
+  });
+
+  function typeInto(id, value) {
+    const input = document.getElementById(id);
+    input.value = value;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  }
+
+  function turnOnLiveUpdates() {
+    const check = document.getElementById("liveChartCheck");
+    check.checked = true;
+    check.dispatchEvent(new window.Event("change"));
+  }
+
+  it("should update the chart in place once edits pause", () => {
+    turnOnLiveUpdates();
+    window.renderChart();
+    const chart = MockChart.instances[0];
+
+    typeInto("income-jan", "1");
+    typeInto("income-jan", "15");
+    typeInto("income-jan", "150");
+    assert.strictEqual(timers.length, 1);
+    timers.pop()();
+
+    assert.strictEqual(MockChart.instances.length, 1);
+    assert.strictEqual(chart.updates, 1);
+    assert.strictEqual(chart.data.datasets[0].data[0], 150);
+    assert.strictEqual(window.loadBudgetState().settings.liveChart, true);
+  });
+
+  it("should wait for the chart to be drawn and for live updates to be on", () => {
+    typeInto("income-jan", "150");
+    turnOnLiveUpdates();
+    typeInto("income-feb", "250");
+    assert.strictEqual(timers.length, 0);
+
+    window.renderChart();
+    document.getElementById("liveChartCheck").checked = false;
+    document
+      .getElementById("liveChartCheck")
+      .dispatchEvent(new window.Event("change"));
+    typeInto("income-mar", "350");
+    assert.strictEqual(timers.length, 0);
+  });
+
+  it("should leave the chart alone while a value is invalid", () => {
+    turnOnLiveUpdates();
+    window.renderChart();
+
+    typeInto("expense-feb", "abc");
+    timers.pop()();
+
+    assert.strictEqual(MockChart.instances[0].updates, 0);
+    assert.strictEqual(document.querySelector("#toastContainer .toast"), null);
+  });
+
+  it("should keep dataset objects and drop properties they no longer have", () => {
+    window.renderChart();
+    const chart = MockChart.instances[0];
+    const [income, expenses] = chart.data.datasets;
+    expenses.borderDash = [4, 4];
+
+    document.getElementById("expense-mar").value = "999";
+    window.renderChart();
+
+    assert.strictEqual(chart.data.datasets[0], income);
+    assert.strictEqual(chart.data.datasets[1], expenses);
+    assert.strictEqual(expenses.data[2], 999);
+    assert.strictEqual("borderDash" in expenses, false);
+  });
+
+  it("should recreate the chart when the view changes its type", () => {
+    window.renderChart();
+    const barChart = MockChart.instances[0];
+    const select = document.getElementById("chartViewSelect");
+
+    select.value = "annual";
+    select.dispatchEvent(new window.Event("change"));
+
+    assert.strictEqual(barChart.destroyed, true);
+    assert.strictEqual(MockChart.instances.at(-1).config.type, "doughnut");
+  });
+});
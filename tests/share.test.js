@@ -0,0 +1,382 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const sharedSnapshot = {
+  year: 2031,
+  chartView: "net",
+  income: ["5000", "5000.5", "", "", "", "", "", "", "", "", "", "6000"],
+  expense: new Array(12).fill("4200"),
+};
+
+describe("share link encoding", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  async function decode(fragment) {
+    return plain(
+      await window.decodeShareFragment(window.getShareFragmentData(fragment)),
+    );
+  }
+
+  it("should round-trip a snapshot through a compact fragment", async () => {
+    const fragment = await window.encodeShareFragment(sharedSnapshot);
+
+    assert.match(fragment, /^#share=[A-Za-z0-9_-]+$/);
+    assert.ok(fragment.length < JSON.stringify(sharedSnapshot).length);
+    assert.deepStrictEqual(await decode(fragment), {
+      snapshot: sharedSnapshot,
+      errors: [],
+    });
+  });
+
+  it("should only read share fragments", () => {
+    assert.strictEqual(window.getShareFragmentData("#share=abc"), "abc");
+    assert.strictEqual(window.getShareFragmentData("#data"), null);
+    assert.strictEqual(window.getShareFragmentData(""), null);
+  });
+
+  it("should report cut-short, edited and garbled links as damaged", async () => {
+    const fragment = await window.encodeShareFragment(sharedSnapshot);
+    const middle = Math.floor(fragment.length / 2);
+    const edited =
+      fragment.slice(0, middle) +
+      (fragment[middle] === "A" ? "B" : "A") +
+      fragment.slice(middle + 1);
+
+    const results = await Promise.all(
+      [fragment.slice(0, -6), edited, "#share=not*base64", "#share="].map(
+        decode,
+      ),
+    );
+    results.forEach(({ snapshot, errors }) => {
+      assert.strictEqual(snapshot, null);
+      assert.match(errors[0], /damaged or incomplete/);
+    });
+  });
+
+  it("should report a link that inflates past 1 MB as damaged", async () => {
+    const json = JSON.stringify({ v: 1, padding: " ".repeat(2 * 1024 * 1024) });
+    const deflated = await new Response(
+      new Blob([json]).stream().pipeThrough(new CompressionStream("deflate")),
+    ).arrayBuffer();
+
+    const { snapshot, errors } = await decode(
+      `#share=${Buffer.from(deflated).toString("base64url")}`,
+    );
+
+    assert.strictEqual(snapshot, null);
+    assert.match(errors[0], /damaged or incomplete/);
+  });
+
+  it("should check the year, chart view and months", () => {
+    const { snapshot, errors } = window.readSharePayload({
+      v: 1,
+      year: 12,
+      view: "pie",
+      income: new Array(11).fill(""),
+      expense: new Array(12).fill(0),
+    });
+
+    assert.strictEqual(snapshot, null);
+    assert.deepStrictEqual(plain(errors), [
+      "Budget year: Must be a whole number from 1900 to 9999.",
+      'Chart view: Must be one of "grouped", "stacked", "net", "cumulative", "annual", "scenarios".',
+      "Income: Must be a list of 12 monthly amounts.",
+      "Expenses: Must be a list of 12 monthly amounts.",
+    ]);
+    assert.match(window.readSharePayload({ v: 2 }).errors[0], /newer version/);
+  });
+});
+
+describe("shared budget workspaces", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should preview a shared year in the viewer's formats", () => {
+    const settings = {
+      ...window.createDefaultSettings(),
+      currency: "EUR",
+      compareYear: 2030,
+      forecastMethod: "average",
+    };
+
+    const workspace = window.createSharedWorkspace(sharedSnapshot, settings);
+
+    assert.deepStrictEqual(plain(window.listBudgetYears(workspace)), [2031]);
+    assert.deepStrictEqual(
+      plain(workspace.years[2031].income),
+      sharedSnapshot.income,
+    );
+    assert.strictEqual(workspace.settings.currency, "EUR");
+    assert.strictEqual(workspace.settings.compareYear, null);
+    assert.strictEqual(workspace.settings.forecastMethod, "none");
+    assert.strictEqual(workspace.settings.chartView, "net");
+  });
+
+  it("should add the shared year, replacing its amounts if it exists", () => {
+    const workspace = window.createWorkspace(2031, {
+      income: new Array(12).fill("1"),
+      expense: new Array(12).fill("1"),
+    });
+    window.addBudgetYear(workspace, 2030);
+    workspace.selectedYear = 2030;
+
+    window.addSharedBudget(workspace, sharedSnapshot);
+
+    assert.strictEqual(workspace.selectedYear, 2031);
+    assert.deepStrictEqual(
+      plain(workspace.years[2031].expense),
+      sharedSnapshot.expense,
+    );
+    assert.strictEqual(workspace.settings.chartView, "net");
+    assert.deepStrictEqual(
+      plain(window.listBudgetYears(workspace)),
+      [2030, 2031],
+    );
+  });
+});
+
+describe("shared budget previews", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow({ url: "http://localhost/" });
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  const valuesOf = (selector) =>
+    Array.from(document.querySelectorAll(selector), (input) => input.value);
+
+  async function openSnapshot(snapshot) {
+    return window.openShareLink(await window.encodeShareFragment(snapshot));
+  }
+
+  it("should show a shared budget as a read-only preview without saving it", async () => {
+    assert.strictEqual(await openSnapshot(sharedSnapshot), true);
+
+    assert.strictEqual(
+      document.getElementById("sharePreview").classList.contains("d-none"),
+      false,
+    );
+    assert.match(
+      document.getElementById("sharePreviewText").textContent,
+      /shared budget for 2031/,
+    );
+    assert.deepStrictEqual(valuesOf(".income-input").slice(0, 3), [
+      "5000",
+      "5000.5",
+      "",
+    ]);
+    assert.strictEqual(document.getElementById("yearSelect").value, "2031");
+    assert.strictEqual(document.getElementById("chartViewSelect").value, "net");
+    assert.strictEqual(document.getElementById("income-jan").readOnly, true);
+
+    // Edits elsewhere in the preview stay out of storage
+    const saved = window.loadBudgetState().years;
+    assert.strictEqual(saved[2031], undefined);
+    document.getElementById("reportNotesInput").value = "Looks good";
+    document
+      .getElementById("reportNotesInput")
+      .dispatchEvent(new window.Event("input"));
+    assert.deepStrictEqual(window.loadBudgetState().years, saved);
+  });
+
+  it("should refuse restores and imports until the preview is closed", async () => {
+    const backup = JSON.stringify(
+      window.createBackup(
+        window.createWorkspace(2040, {
+          income: new Array(12).fill("1"),
+          expense: new Array(12).fill("1"),
+        }),
+      ),
+    );
+    await openSnapshot(sharedSnapshot);
+    const saved = plain(window.loadBudgetState());
+
+    const errors = window.restoreBackup(backup);
+
+    assert.match(errors[0].message, /close the preview before restoring/);
+    assert.match(
+      document.querySelector("#toastContainer .toast").textContent,
+      /close the preview before restoring a backup/,
+    );
+    assert.strictEqual(window.importCsv("Month,Income,Expense").length, 1);
+    assert.strictEqual(document.getElementById("income-jan").value, "5000");
+    assert.deepStrictEqual(plain(window.loadBudgetState()), saved);
+
+    window.closeSharedPreview();
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+    assert.strictEqual(window.restoreBackup(backup).length, 0);
+    assert.ok(window.loadBudgetState().years[2040]);
+  });
+
+  it("should report amounts that break the form's rules and load nothing", async () => {
+    const tampered = {
+      ...sharedSnapshot,
+      income: ["-5", ...sharedSnapshot.income.slice(1)],
+      expense: [...sharedSnapshot.expense.slice(0, 11), "1,000"],
+    };
+
+    assert.strictEqual(await openSnapshot(tampered), false);
+
+    const toast = document.querySelector("#toastContainer .toast");
+    assert.strictEqual(toast.getAttribute("role"), "alert");
+    assert.deepStrictEqual(
+      Array.from(toast.querySelectorAll("li"), (item) => item.textContent),
+      [
+        "January income: Enter 0 or more; amounts can't be negative.",
+        "December expenses: Enter a number, like 1250 or 99.95.",
+      ],
+    );
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+    assert.strictEqual(
+      document.getElementById("sharePreview").classList.contains("d-none"),
+      true,
+    );
+  });
+
+  it("should report a damaged link instead of filling in zeros", async () => {
+    assert.strictEqual(
+      await window.openShareLink("#share=eJyrVkrOz0nNzVex"),
+      false,
+    );
+
+    assert.match(
+      document.querySelector("#toastContainer .toast").textContent,
+      /The shared budget couldn't be opened:The link is damaged or incomplete/,
+    );
+    assert.deepStrictEqual(valuesOf(".income-input"), incomeValues.map(String));
+  });
+
+  it("should go back to the saved budget when the preview is closed", async () => {
+    await openSnapshot(sharedSnapshot);
+
+    document.getElementById("closeShareBtn").click();
+
+    assert.strictEqual(document.getElementById("income-jan").value, "100");
+    assert.strictEqual(document.getElementById("income-jan").readOnly, false);
+    assert.strictEqual(
+      document.getElementById("chartViewSelect").value,
+      "grouped",
+    );
+    assert.strictEqual(
+      document.getElementById("sharePreview").classList.contains("d-none"),
+      true,
+    );
+  });
+
+  it("should add the shared year and chart view, undoably", async () => {
+    await openSnapshot(sharedSnapshot);
+
+    document.getElementById("adoptShareBtn").click();
+
+    const state = window.loadBudgetState();
+    assert.deepStrictEqual(
+      plain(state.years[2031].income),
+      sharedSnapshot.income,
+    );
+    assert.strictEqual(state.selectedYear, 2031);
+    assert.strictEqual(state.settings.chartView, "net");
+    assert.strictEqual(state.years[new Date().getFullYear()].income[0], "100");
+    assert.strictEqual(document.getElementById("income-jan").readOnly, false);
+    // February's net, drawn in the shared net view
+    assert.strictEqual(MockChart.lastConfig.data.datasets[0].data[1], 800.5);
+    assert.match(
+      document.querySelector("#toastContainer .toast").textContent,
+      /Added the shared budget as 2031/,
+    );
+
+    window.undoBudgetChange();
+    assert.strictEqual(window.loadBudgetState().years[2031], undefined);
+  });
+
+  it("should ask before replacing a year that already exists", async () => {
+    const thisYear = new Date().getFullYear();
+    await openSnapshot({ ...sharedSnapshot, year: thisYear });
+    let question = "";
+    window.confirm = (message) => {
+      question = message;
+      return false;
+    };
+
+    assert.strictEqual(window.adoptSharedBudget(), false);
+    assert.match(question, new RegExp(`Replace your ${thisYear} income`));
+    assert.strictEqual(
+      window.loadBudgetState().years[thisYear].income[0],
+      "100",
+    );
+
+    window.confirm = () => true;
+    assert.strictEqual(window.adoptSharedBudget(), true);
+    assert.strictEqual(
+      window.loadBudgetState().years[thisYear].income[0],
+      "5000",
+    );
+  });
+
+  it("should build a link that opens the same budget", async () => {
+    document.getElementById("expense-mar").value = "175.25";
+
+    const link = await window.createShareLink();
+
+    assert.match(link, /^http:\/\/localhost\/#share=/);
+    assert.strictEqual(document.getElementById("shareLinkInput").value, link);
+    const { snapshot } = await window.readShareLink(new URL(link).hash);
+    assert.strictEqual(snapshot.year, new Date().getFullYear());
+    assert.strictEqual(snapshot.chartView, "grouped");
+    assert.strictEqual(snapshot.expense[2], "175.25");
+  });
+
+  it("should not share a form with invalid values", async () => {
+    document.getElementById("income-feb").value = "abc";
+
+    assert.strictEqual(await window.createShareLink(), null);
+    assert.match(
+      document.querySelector("#toastContainer .toast").textContent,
+      /before sharing a link/,
+    );
+  });
+});
+
+describe("opening the page with a share link", () => {
+  it("should open the preview and drop the fragment once it's closed", async () => {
+    const encoder = await createAppWindow();
+    const fragment = await encoder.encodeShareFragment(sharedSnapshot);
+    const window = await createAppWindow({
+      url: `http://localhost/${fragment}`,
+    });
+    const banner = window.document.getElementById("sharePreview");
+
+    window.onload();
+    for (
+      let tries = 0;
+      tries < 50 && banner.classList.contains("d-none");
+      tries++
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    assert.strictEqual(banner.classList.contains("d-none"), false);
+    window.closeSharedPreview();
+    assert.strictEqual(window.location.hash, "");
+  });
+});
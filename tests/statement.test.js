@@ -0,0 +1,284 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createAppWindow } from "./helpers.js";
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), "fixtures");
+const readFixture = (name) => readFileSync(join(fixturesDir, name), "utf-8");
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("parseStatement()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should read OFX 1.x SGML statements", () => {
+    const { format, entries, errors } = window.parseStatement(
+      readFixture("statement.ofx"),
+      "statement.ofx",
+    );
+
+    assert.strictEqual(format, "ofx");
+    assert.deepStrictEqual(plain(errors), []);
+    assert.strictEqual(entries.length, 5);
+    assert.deepStrictEqual(plain(entries[0]), {
+      id: "202503010001",
+      date: "2025-03-01",
+      amount: 2500,
+      payee: "ACME PAYROLL",
+      memo: "Salary",
+      category: "",
+    });
+    assert.strictEqual(entries[2].amount, -42.17);
+    assert.strictEqual(entries[2].payee, "CORNER GROCERY & DELI");
+  });
+
+  it("should read OFX 2.x XML statements and report bad entries", () => {
+    const { entries, errors } = window.parseStatement(
+      readFixture("statement-v2.ofx"),
+    );
+
+    assert.deepStrictEqual(
+      plain(entries.map(({ date, amount }) => [date, amount])),
+      [
+        ["2024-12-30", -120.5],
+        ["2025-01-10", 30],
+      ],
+    );
+    assert.deepStrictEqual(plain(errors), [
+      { entry: 3, message: 'Transaction 3: "2025013" is not a date.' },
+    ]);
+  });
+
+  it("should read QIF bank records and skip other sections", () => {
+    const { format, entries, errors } = window.parseStatement(
+      readFixture("statement.qif"),
+      "statement.qif",
+    );
+
+    assert.strictEqual(format, "qif");
+    assert.deepStrictEqual(
+      plain(
+        entries.map(({ date, amount, category }) => [date, amount, category]),
+      ),
+      [
+        ["2025-03-01", 2500, "Salary"],
+        ["2025-03-03", -950, "Housing:Rent"],
+        ["2025-03-14", -42.17, "Groceries"],
+        ["2025-03-20", -200, ""],
+      ],
+    );
+    assert.strictEqual(entries[2].memo, "Weekly shop");
+    assert.deepStrictEqual(plain(errors.map(({ message }) => message)), [
+      'Transaction 5: "2/30/2025" is not a date.',
+      'Transaction 6: "abc" is not an amount.',
+    ]);
+  });
+
+  it("should detect the format without a file extension", () => {
+    assert.strictEqual(
+      window.detectStatementFormat(readFixture("statement.qif")),
+      "qif",
+    );
+    assert.strictEqual(
+      window.detectStatementFormat(readFixture("statement-v2.ofx"), "cc.xml"),
+      "ofx",
+    );
+    assert.deepStrictEqual(
+      plain(window.parseStatement("Month,Income").errors),
+      [{ entry: null, message: "The file is not an OFX or QIF statement." }],
+    );
+  });
+
+  it("should parse QIF dates month first unless the day comes first", () => {
+    assert.strictEqual(window.parseQifDate("12/31'24"), "2024-12-31");
+    assert.strictEqual(window.parseQifDate("31.12.2024"), "2024-12-31");
+    assert.strictEqual(window.parseQifDate("2024-12-31"), "2024-12-31");
+    assert.strictEqual(window.parseQifDate("13/13/2024"), null);
+  });
+});
+
+describe("previewing a statement", () => {
+  let window, workspace;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    workspace = window.createWorkspace(2025);
+  });
+
+  const preview = (name) =>
+    window.previewStatement(
+      window.parseStatement(readFixture(name), name).entries,
+      workspace,
+    );
+
+  it("should turn credits into income and debits into expenses", () => {
+    const previewed = preview("statement.ofx");
+
+    assert.deepStrictEqual(plain(previewed[0]), {
+      year: 2025,
+      transaction: {
+        date: "2025-03-01",
+        amount: "2500",
+        type: "income",
+        categoryId: "",
+        note: "ACME PAYROLL - Salary",
+      },
+      isDuplicate: false,
+    });
+    assert.strictEqual(previewed[1].transaction.type, "expense");
+    assert.strictEqual(previewed[1].transaction.amount, "950");
+  });
+
+  it("should match categories by name", () => {
+    window.addCategory(workspace, "income", "Salary");
+    window.addCategory(workspace, "expense", "Rent");
+
+    const previewed = preview("statement.qif");
+
+    assert.deepStrictEqual(
+      plain(previewed.map(({ transaction }) => transaction.categoryId)),
+      ["salary", "rent", "", ""],
+    );
+  });
+
+  it("should flag repeated bank ids and entries already in the ledger", () => {
+    window.addTransaction(workspace, 2025, {
+      date: "2025-03-03",
+      amount: "950.00",
+      note: "Rent",
+    });
+
+    const previewed = preview("statement.ofx");
+
+    assert.deepStrictEqual(
+      plain(previewed.map(({ isDuplicate }) => isDuplicate)),
+      [false, true, false, true, false],
+    );
+  });
+
+  it("should only skip as many look-alike entries as the ledger has", () => {
+    window.addTransaction(workspace, 2025, {
+      date: "2025-03-14",
+      amount: "4.5",
+    });
+    const entry = { id: "", date: "2025-03-14", amount: -4.5, payee: "Cafe" };
+
+    const previewed = window.previewStatement([entry, entry], workspace);
+
+    assert.deepStrictEqual(
+      plain(previewed.map(({ isDuplicate }) => isDuplicate)),
+      [true, false],
+    );
+  });
+
+  it("should total the new entries by month", () => {
+    const totals = window.summarizeStatementPreview(preview("statement.ofx"));
+
+    assert.deepStrictEqual(plain(Object.keys(totals)), ["2025"]);
+    assert.strictEqual(totals[2025].income[2], 2500);
+    assert.strictEqual(totals[2025].expense[2], 992.17);
+    assert.strictEqual(totals[2025].expense[3], 15.99);
+  });
+
+  it("should add new entries to the ledger and years it doesn't have", () => {
+    const previewed = preview("statement-v2.ofx");
+
+    const added = window.applyStatementPreview(workspace, previewed);
+
+    assert.strictEqual(added, 2);
+    assert.deepStrictEqual(
+      plain(window.listBudgetYears(workspace)),
+      [2024, 2025],
+    );
+    assert.strictEqual(workspace.years[2024].transactions[0].amount, "120.5");
+    assert.strictEqual(workspace.years[2024].expense[11], "120.5");
+    assert.strictEqual(workspace.years[2025].income[0], "30");
+  });
+});
+
+describe("statement import in the form", () => {
+  let window, document, year;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    window.onload();
+    year = new Date().getFullYear();
+  });
+
+  // A QIF statement dated in the year the form shows
+  const statement = () =>
+    [
+      "!Type:Bank",
+      `D1/15/${year}`,
+      "T1,200.00",
+      "PPayroll",
+      "^",
+      `D2/3/${year}`,
+      "T-80.25",
+      "PPower company",
+      "^",
+    ].join("\n");
+
+  it("should preview the statement without changing anything", () => {
+    window.previewStatementImport(statement(), "bank.qif");
+
+    const panel = document.getElementById("statementPreview");
+    assert.strictEqual(panel.classList.contains("d-none"), false);
+    assert.match(panel.textContent, /2 transactions found\./);
+    assert.match(
+      panel.textContent,
+      new RegExp(`${year} has no transactions yet`),
+    );
+    assert.strictEqual(
+      document.getElementById("confirmStatementBtn").textContent,
+      "Import 2 Transactions",
+    );
+    assert.strictEqual(
+      window.getYearTransactions(window.loadBudgetState(), year).length,
+      0,
+    );
+  });
+
+  it("should add the entries once confirmed", () => {
+    window.previewStatementImport(statement(), "bank.qif");
+    document.getElementById("confirmStatementBtn").click();
+
+    const { incomeData, expenseData } = window.validateAndCollectData();
+    assert.strictEqual(incomeData[0], 1200);
+    assert.strictEqual(expenseData[1], 80.25);
+    assert.strictEqual(
+      document.getElementById("statementPreview").textContent,
+      "Imported 2 transactions.",
+    );
+    assert.strictEqual(
+      window.getYearTransactions(window.loadBudgetState(), year).length,
+      2,
+    );
+
+    // Importing the same statement again adds nothing
+    window.previewStatementImport(statement(), "bank.qif");
+    assert.strictEqual(
+      document.getElementById("confirmStatementBtn").disabled,
+      true,
+    );
+  });
+
+  it("should discard the preview when cancelled", () => {
+    window.previewStatementImport(statement(), "bank.qif");
+    document.getElementById("cancelStatementBtn").click();
+
+    assert.strictEqual(
+      document.getElementById("statementPreview").classList.contains("d-none"),
+      true,
+    );
+    assert.strictEqual(window.validateAndCollectData().incomeData[0], 0);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  150, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 1300,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("calculateBudgetStats()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should total income, expenses and net", () => {
+    const stats = window.calculateBudgetStats(incomeValues, expenseValues);
+
+    assert.deepStrictEqual(plain(stats.totals), {
+      income: 7800,
+      expense: 4700,
+      net: 3100,
+    });
+  });
+
+  it("should average and take the median of each series", () => {
+    const stats = window.calculateBudgetStats(incomeValues, expenseValues);
+
+    assert.strictEqual(stats.averages.income, 650);
+    assert.strictEqual(stats.averages.expense, 391.67);
+    assert.strictEqual(stats.averages.net, 258.33);
+    assert.strictEqual(stats.medians.income, 650);
+    assert.strictEqual(stats.medians.expense, 325);
+    assert.strictEqual(stats.medians.net, 275);
+  });
+
+  it("should take the middle value for an odd number of months", () => {
+    const stats = window.calculateBudgetStats([5, 1, 3], [0, 0, 0]);
+
+    assert.strictEqual(stats.medians.income, 3);
+  });
+
+  it("should work out the savings rate as a percentage of income", () => {
+    const stats = window.calculateBudgetStats(incomeValues, expenseValues);
+
+    assert.strictEqual(stats.savingsRate, 39.7);
+  });
+
+  it("should have no savings rate without income", () => {
+    const stats = window.calculateBudgetStats(
+      new Array(12).fill(0),
+      new Array(12).fill(10),
+    );
+
+    assert.strictEqual(stats.savingsRate, null);
+    assert.strictEqual(stats.totals.net, -120);
+  });
+
+  it("should find the best and worst months by net", () => {
+    const stats = window.calculateBudgetStats(incomeValues, expenseValues);
+
+    assert.deepStrictEqual(plain(stats.bestMonth), { month: 10, net: 550 });
+    assert.deepStrictEqual(plain(stats.worstMonth), { month: 11, net: -100 });
+  });
+
+  it("should pick the earlier month when nets tie", () => {
+    const stats = window.calculateBudgetStats(
+      new Array(12).fill(0),
+      new Array(12).fill(0),
+    );
+
+    assert.strictEqual(stats.bestMonth.month, 0);
+    assert.strictEqual(stats.worstMonth.month, 0);
+    assert.deepStrictEqual(plain(stats.deficitMonths), []);
+  });
+
+  it("should list months where expenses exceeded income", () => {
+    const stats = window.calculateBudgetStats(incomeValues, expenseValues);
+
+    assert.deepStrictEqual(plain(stats.deficitMonths), [0, 11]);
+  });
+});
+
+describe("statistics panel", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  const statText = (label) =>
+    document.querySelector(`#statsPanel [data-stat="${label}"]`).textContent;
+
+  it("should fill the panel when the chart renders", () => {
+    window.renderChart();
+
+    assert.strictEqual(statText("Total income"), "$7,800");
+    assert.strictEqual(statText("Total expenses"), "$4,700");
+    assert.strictEqual(statText("Net"), "$3,100");
+    assert.strictEqual(statText("Savings rate"), "39.7%");
+    assert.strictEqual(statText("Best month"), "Best month: November ($550)");
+    assert.strictEqual(
+      statText("Worst month"),
+      "Worst month: December (-$100)",
+    );
+    assert.strictEqual(
+      statText("Expenses over income"),
+      "Expenses over income: Jan, Dec",
+    );
+
+    const rows = document.querySelectorAll("#statsPanel tbody tr");
+    assert.deepStrictEqual(
+      Array.from(rows[0].children, (cell) => cell.textContent),
+      ["Average", "$650", "$391.67", "$258.33"],
+    );
+  });
+
+  it("should update with the chart after edits", () => {
+    window.renderChart();
+    setInputValues(window, [1100], []);
+    window.renderChart();
+
+    assert.strictEqual(statText("Total income"), "$8,800");
+    assert.strictEqual(
+      statText("Expenses over income"),
+      "Expenses over income: Dec",
+    );
+  });
+
+  it("should leave the panel alone when validation fails", () => {
+    window.renderChart();
+    setInputValues(window, [-1], []);
+    window.renderChart();
+
+    assert.strictEqual(statText("Total income"), "$7,800");
+  });
+});
@@ -0,0 +1,420 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createAppWindow } from "./helpers.js";
+
+// Windows with an origin get a real localStorage, opaque ones do not
+const createBudgetDOM = ({ withOrigin = true } = {}) =>
+  createAppWindow({ url: withOrigin ? "http://localhost/" : undefined });
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("budget storage", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createBudgetDOM();
+  });
+
+  it("should save and load state with a schema version", () => {
+    const saved = window.saveBudgetState({
+      income: ["100", "", "300"],
+      expense: ["50"],
+    });
+
+    assert.strictEqual(saved, true);
+
+    const raw = JSON.parse(window.localStorage.getItem("bucks2bar:budget"));
+    assert.strictEqual(raw.version, 14);
+    assert.ok(!Number.isNaN(Date.parse(raw.updatedAt)));
+
+    const state = window.loadBudgetState();
+    assert.deepStrictEqual(Array.from(state.income), ["100", "", "300"]);
+    assert.deepStrictEqual(Array.from(state.expense), ["50"]);
+  });
+
+  it("should return null when nothing has been saved", () => {
+    assert.strictEqual(window.loadBudgetState(), null);
+  });
+
+  it("should ignore corrupt saved data", () => {
+    window.localStorage.setItem("bucks2bar:budget", "{not json");
+
+    assert.strictEqual(window.loadBudgetState(), null);
+  });
+
+  it("should leave data from a newer schema version untouched", () => {
+    const future = JSON.stringify({ version: 99, income: [] });
+    window.localStorage.setItem("bucks2bar:budget", future);
+
+    assert.strictEqual(window.loadBudgetState(), null);
+    assert.strictEqual(window.localStorage.getItem("bucks2bar:budget"), future);
+  });
+
+  it("should clear saved state", () => {
+    window.saveBudgetState({ income: [], expense: [] });
+    window.clearBudgetState();
+
+    assert.strictEqual(window.loadBudgetState(), null);
+  });
+
+  it("should keep state in memory when localStorage is unavailable", async () => {
+    window = await createBudgetDOM({ withOrigin: false });
+
+    const saved = window.saveBudgetState({ income: ["10"], expense: ["5"] });
+
+    assert.strictEqual(saved, false);
+    assert.deepStrictEqual(Array.from(window.loadBudgetState().income), ["10"]);
+  });
+
+  it("should fall back to memory when the storage quota is exceeded", () => {
+    window.saveBudgetState({ income: ["1"], expense: [] });
+    window.Storage.prototype.setItem = () => {
+      throw new window.DOMException("full", "QuotaExceededError");
+    };
+
+    const saved = window.saveBudgetState({ income: ["2"], expense: [] });
+
+    assert.strictEqual(saved, false);
+    assert.deepStrictEqual(Array.from(window.loadBudgetState().income), ["2"]);
+  });
+
+  it("should save to localStorage again once there's room", () => {
+    window.saveBudgetState({ income: ["1"], expense: [] });
+    const { setItem } = window.Storage.prototype;
+    window.Storage.prototype.setItem = () => {
+      throw new window.DOMException("full", "QuotaExceededError");
+    };
+    window.saveBudgetState({ income: ["2"], expense: [] });
+    window.Storage.prototype.setItem = setItem;
+
+    const saved = window.saveBudgetState({ income: ["3"], expense: [] });
+
+    assert.strictEqual(saved, true);
+    const raw = JSON.parse(window.localStorage.getItem("bucks2bar:budget"));
+    assert.deepStrictEqual(raw.income, ["3"]);
+  });
+});
+
+describe("migrateBudgetState()", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createBudgetDOM();
+  });
+
+  it("should return current-version state unchanged", () => {
+    window.saveBudgetState({ years: {} });
+    const state = JSON.parse(window.localStorage.getItem("bucks2bar:budget"));
+
+    assert.strictEqual(window.migrateBudgetState(state), state);
+  });
+
+  it("should run migrations in order up to the current version", () => {
+    const calls = [];
+    const migrations = {};
+    for (let version = 0; version < 20; version++) {
+      migrations[version] = (state) => {
+        calls.push(version);
+        return { steps: [...state.steps, version] };
+      };
+    }
+
+    const migrated = window.migrateBudgetState({ steps: [] }, migrations);
+
+    assert.ok(migrated.version > 0);
+    assert.deepStrictEqual(
+      calls,
+      Array.from({ length: migrated.version }, (_, index) => index),
+    );
+    assert.deepStrictEqual(Array.from(migrated.steps), calls);
+  });
+
+  it("should file a v1 single-year budget under the current year", () => {
+    const year = new Date().getFullYear();
+    window.localStorage.setItem(
+      "bucks2bar:budget",
+      JSON.stringify({ version: 1, income: ["5"], expense: ["3"] }),
+    );
+
+    const state = window.loadBudgetState();
+
+    assert.strictEqual(state.version, 14);
+    assert.strictEqual(state.selectedYear, year);
+    assert.deepStrictEqual(Array.from(state.years[year].income), ["5"]);
+    assert.deepStrictEqual(Array.from(state.years[year].expense), ["3"]);
+    // The upgraded state is written back
+    const raw = JSON.parse(window.localStorage.getItem("bucks2bar:budget"));
+    assert.strictEqual(raw.version, 14);
+  });
+
+  it("should add empty categories and chart settings to a v2 workspace", () => {
+    window.localStorage.setItem(
+      "bucks2bar:budget",
+      JSON.stringify({
+        version: 2,
+        selectedYear: 2024,
+        years: { 2024: { income: ["5"], expense: ["3"] } },
+        settings: { compareYear: null },
+      }),
+    );
+
+    const state = window.loadBudgetState();
+
+    assert.strictEqual(state.version, 14);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(state.categories)), {
+      income: [],
+      expense: [],
+    });
+    assert.deepStrictEqual(
+      JSON.parse(JSON.stringify(state.years[2024].categoryValues)),
+      {},
+    );
+    assert.strictEqual(state.settings.chartView, "grouped");
+    assert.strictEqual(state.settings.compareYear, null);
+    assert.strictEqual(state.settings.openingBalance, 0);
+  });
+
+  it("should add an opening balance to v3 settings", () => {
+    const migrated = window.migrateBudgetState({
+      version: 3,
+      selectedYear: 2024,
+      years: { 2024: { income: [], expense: [], categoryValues: {} } },
+      categories: { income: [], expense: [] },
+      settings: { compareYear: null, chartView: "stacked" },
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.strictEqual(migrated.settings.openingBalance, 0);
+    assert.strictEqual(migrated.settings.chartView, "stacked");
+  });
+
+  it("should default v4 workspaces to US dollars", () => {
+    const migrated = window.migrateBudgetState({
+      version: 4,
+      selectedYear: 2024,
+      years: { 2024: { income: ["1.5"], expense: [], categoryValues: {} } },
+      categories: { income: [], expense: [] },
+      settings: { compareYear: null, openingBalance: 10 },
+    });
+
+    assert.strictEqual(migrated.settings.currency, "USD");
+    assert.strictEqual(migrated.settings.locale, "en-US");
+    assert.strictEqual(migrated.settings.openingBalance, 10);
+    assert.strictEqual(migrated.years[2024].income[0], "1.5");
+  });
+
+  it("should add empty targets to each v5 year", () => {
+    const migrated = window.migrateBudgetState({
+      version: 5,
+      selectedYear: 2024,
+      years: {
+        2023: { income: [], expense: [], categoryValues: {} },
+        2024: { income: ["7"], expense: [], categoryValues: {} },
+      },
+      categories: { income: [], expense: [] },
+      settings: {},
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.strictEqual(migrated.years[2023].targets.expense.length, 12);
+    assert.strictEqual(migrated.years[2024].targets.income[0], "");
+    assert.strictEqual(migrated.years[2024].income[0], "7");
+  });
+
+  it("should switch forecasting off for v6 state", () => {
+    const migrated = window.migrateBudgetState({
+      version: 6,
+      selectedYear: 2024,
+      years: {},
+      categories: { income: [], expense: [] },
+      settings: { chartView: "net" },
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.strictEqual(migrated.settings.forecastMethod, "none");
+    assert.strictEqual(migrated.settings.chartView, "net");
+  });
+
+  it("should add an empty ledger to each v7 year", () => {
+    const migrated = window.migrateBudgetState({
+      version: 7,
+      selectedYear: 2024,
+      years: { 2024: { income: ["7"], expense: [], categoryValues: {} } },
+      categories: { income: [], expense: [] },
+      settings: {},
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.deepStrictEqual(Array.from(migrated.years[2024].transactions), []);
+    assert.strictEqual(migrated.years[2024].income[0], "7");
+  });
+
+  it("should add recurring rules and overrides to v8 state", () => {
+    const migrated = window.migrateBudgetState({
+      version: 8,
+      selectedYear: 2024,
+      years: {
+        2024: {
+          income: ["7"],
+          expense: [],
+          categoryValues: {},
+          transactions: [],
+        },
+      },
+      categories: { income: [], expense: [] },
+      settings: {},
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.deepStrictEqual(Array.from(migrated.recurringRules), []);
+    assert.deepStrictEqual(
+      JSON.parse(JSON.stringify(migrated.years[2024].recurringOverrides)),
+      { income: {}, expense: {}, categoryValues: {} },
+    );
+  });
+
+  it("should add empty report notes to each v9 year", () => {
+    const migrated = window.migrateBudgetState({
+      version: 9,
+      selectedYear: 2024,
+      years: { 2024: { income: ["7"], expense: [], categoryValues: {} } },
+      categories: { income: [], expense: [] },
+      recurringRules: [],
+      settings: {},
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.strictEqual(migrated.years[2024].notes, "");
+  });
+
+  it("should default the chart palette for v10 state", () => {
+    const migrated = window.migrateBudgetState({
+      version: 10,
+      selectedYear: 2024,
+      years: {},
+      categories: { income: [], expense: [] },
+      recurringRules: [],
+      settings: { chartView: "net" },
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.strictEqual(migrated.settings.chartPalette, "standard");
+    assert.strictEqual(migrated.settings.chartView, "net");
+  });
+
+  it("should leave live chart updates off for v11 state", () => {
+    const migrated = window.migrateBudgetState({
+      version: 11,
+      selectedYear: 2024,
+      years: {},
+      categories: { income: [], expense: [] },
+      recurringRules: [],
+      settings: { chartPalette: "highContrast" },
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.strictEqual(migrated.settings.liveChart, false);
+    assert.strictEqual(migrated.settings.chartPalette, "highContrast");
+  });
+
+  it("should make the v12 budget the first scenario", () => {
+    const migrated = window.migrateBudgetState({
+      version: 12,
+      selectedYear: 2024,
+      years: { 2024: { income: ["100"] } },
+      categories: { income: [], expense: [] },
+      recurringRules: [],
+      settings: { liveChart: true },
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.deepStrictEqual(plain(migrated.scenarios), [
+      { id: "baseline", name: "Baseline" },
+    ]);
+    assert.strictEqual(migrated.activeScenario, "baseline");
+    assert.deepStrictEqual(plain(migrated.settings.compareScenarios), []);
+    assert.strictEqual(migrated.years[2024].income[0], "100");
+  });
+
+  it("should follow the system theme for v13 state", () => {
+    const migrated = window.migrateBudgetState({
+      version: 13,
+      selectedYear: 2024,
+      years: {},
+      categories: { income: [], expense: [] },
+      recurringRules: [],
+      scenarios: [{ id: "baseline", name: "Baseline" }],
+      activeScenario: "baseline",
+      settings: { chartPalette: "colorBlind" },
+    });
+
+    assert.strictEqual(migrated.version, 14);
+    assert.strictEqual(migrated.settings.theme, "system");
+    assert.strictEqual(migrated.settings.chartPalette, "colorBlind");
+  });
+
+  it("should return null when a migration step is missing", () => {
+    assert.strictEqual(window.migrateBudgetState({ version: 0 }, {}), null);
+  });
+
+  it("should return null for non-object state", () => {
+    assert.strictEqual(window.migrateBudgetState("oops"), null);
+    assert.strictEqual(window.migrateBudgetState(null), null);
+  });
+});
+
+describe("persisting the budget form", () => {
+  it("should save input values when the form changes", async () => {
+    const window = await createBudgetDOM();
+    window.onload();
+
+    const input = window.document.getElementById("income-mar");
+    input.value = "420";
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+
+    const state = window.loadBudgetState();
+    const year = state.years[state.selectedYear];
+    assert.strictEqual(year.income[2], "420");
+    assert.strictEqual(year.income.length, 12);
+    assert.strictEqual(year.expense.length, 12);
+  });
+
+  it("should not save over a budget from a newer version", async () => {
+    const window = await createBudgetDOM();
+    const future = JSON.stringify({ version: 15, years: { 2030: {} } });
+    window.localStorage.setItem("bucks2bar:budget", future);
+    window.onload();
+
+    const input = window.document.getElementById("income-mar");
+    input.value = "420";
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+
+    assert.strictEqual(window.localStorage.getItem("bucks2bar:budget"), future);
+    assert.match(
+      window.document.querySelector("#toastContainer .toast").textContent,
+      /from a newer version of Bucks2Bar/,
+    );
+  });
+
+  it("should restore saved values into the inputs on window.onload", async () => {
+    const window = await createBudgetDOM();
+    const income = Array.from({ length: 12 }, (_, i) => String((i + 1) * 100));
+    const expense = new Array(12).fill("");
+    expense[11] = "55.5";
+    window.saveBudgetState({
+      selectedYear: 2024,
+      years: { 2024: { income, expense, categoryValues: {} } },
+      categories: { income: [], expense: [] },
+      settings: { compareYear: null, chartView: "grouped", categoryMonth: 0 },
+    });
+
+    window.onload();
+
+    const { incomeData, expenseData } = window.validateAndCollectData();
+    assert.strictEqual(incomeData[0], 100);
+    assert.strictEqual(incomeData[11], 1200);
+    assert.strictEqual(expenseData[0], 0);
+    assert.strictEqual(expenseData[11], 55.5);
+  });
+});
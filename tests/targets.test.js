@@ -0,0 +1,178 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+// Compare values created inside the jsdom window
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("target series", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should treat blank months as having no target", () => {
+    const targets = window.toTargetSeries(["100", "", "0", "abc", " 5 "]);
+
+    assert.deepStrictEqual(plain(targets.slice(0, 6)), [
+      100,
+      null,
+      0,
+      null,
+      5,
+      null,
+    ]);
+  });
+
+  it("should read a year's income goals and expense budgets", () => {
+    const workspace = window.createWorkspace(2025);
+    workspace.years[2025].targets.expense[2] = "120";
+
+    const targets = window.getYearTargets(workspace, 2025);
+
+    assert.strictEqual(targets.expense[2], 120);
+    assert.strictEqual(targets.income[2], null);
+    assert.strictEqual(targets.income.length, 12);
+  });
+
+  it("should find months whose expenses are over budget", () => {
+    const budgets = new Array(12).fill(null);
+    budgets[0] = 50;
+    budgets[1] = 80.1;
+    budgets[2] = 200;
+
+    const overBudget = window.findOverBudgetMonths(expenseValues, budgets);
+
+    assert.deepStrictEqual(plain(overBudget), [
+      { month: 1, expense: 100, target: 80.1, over: 19.9 },
+    ]);
+  });
+});
+
+describe("targets table", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function setTarget(kind, month, value) {
+    const input = document.querySelector(
+      `.target-input[data-kind="${kind}"][data-month="${month}"]`,
+    );
+    input.value = value;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+    return input;
+  }
+
+  it("should add an income goal and expense budget input per month", () => {
+    assert.strictEqual(
+      document.querySelectorAll('.target-input[data-kind="income"]').length,
+      12,
+    );
+    assert.strictEqual(
+      document.querySelectorAll('.target-input[data-kind="expense"]').length,
+      12,
+    );
+  });
+
+  it("should save targets with the year", () => {
+    setTarget("expense", 3, "180");
+    setTarget("income", 3, "450");
+
+    const state = window.loadBudgetState();
+    const { targets } = state.years[state.selectedYear];
+    assert.strictEqual(targets.expense[3], "180");
+    assert.strictEqual(targets.income[3], "450");
+  });
+
+  it("should flag over-budget months while typing", () => {
+    setTarget("expense", 3, "180");
+
+    const expenseInput = document.querySelectorAll(".expense-input")[3];
+    assert.strictEqual(expenseInput.classList.contains("border-warning"), true);
+    assert.strictEqual(
+      document.querySelector('.target-status[data-month="3"]').textContent,
+      "Over by $20",
+    );
+    const warning = document.getElementById("targetWarning");
+    assert.strictEqual(warning.classList.contains("d-none"), false);
+    assert.strictEqual(warning.textContent, "Over budget in April.");
+
+    setTarget("expense", 3, "200");
+    assert.strictEqual(
+      expenseInput.classList.contains("border-warning"),
+      false,
+    );
+    assert.strictEqual(warning.classList.contains("d-none"), true);
+  });
+
+  it("should validate targets like income and expenses", () => {
+    const input = setTarget("income", 0, "-5");
+
+    const { isValid, targets } = window.validateAndCollectData();
+
+    assert.strictEqual(isValid, false);
+    assert.strictEqual(input.classList.contains("is-invalid"), true);
+    assert.strictEqual(targets.income[0], null);
+  });
+
+  it("should draw targets as stepped lines on the grouped chart", () => {
+    setTarget("expense", 1, "90");
+    setTarget("income", 1, "250");
+
+    window.renderChart();
+
+    const { datasets } = MockChart.lastConfig.data;
+    const budget = datasets.find(
+      (dataset) => dataset.label === "Expense budget",
+    );
+    const goal = datasets.find((dataset) => dataset.label === "Income goal");
+    assert.strictEqual(budget.type, "line");
+    assert.strictEqual(budget.stepped, "middle");
+    assert.strictEqual(budget.data[1], 90);
+    assert.strictEqual(budget.data[0], null);
+    assert.strictEqual(goal.data[1], 250);
+  });
+
+  it("should colour and explain over-budget bars", () => {
+    setTarget("expense", 1, "90");
+
+    window.renderChart();
+
+    const expenses = MockChart.lastConfig.data.datasets[1];
+    assert.strictEqual(expenses.backgroundColor[1], "rgba(255, 193, 7, 0.7)");
+    assert.strictEqual(expenses.backgroundColor[0], "rgba(220, 53, 69, 0.7)");
+
+    const { label } = MockChart.lastConfig.options.plugins.tooltip.callbacks;
+    assert.strictEqual(
+      label({ dataset: expenses, dataIndex: 1, parsed: { y: 100 } }),
+      "Expenses: $100 – over budget by $10",
+    );
+    assert.strictEqual(
+      document
+        .getElementById("chartTargetWarning")
+        .classList.contains("d-none"),
+      false,
+    );
+  });
+
+  it("should leave the chart alone without targets", () => {
+    window.renderChart();
+
+    const { datasets } = MockChart.lastConfig.data;
+    assert.strictEqual(datasets.length, 2);
+    assert.strictEqual(datasets[1].backgroundColor, "rgba(220, 53, 69, 0.7)");
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+import { buildCategoryChartConfig, buildChartConfig } from "../charts.js";
+import {
+  getChartThemeColors,
+  getPaletteCategoryColor,
+  getPaletteColor,
+} from "../palette.js";
+import { getColorMode, resolveTheme } from "../theme.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  150, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+describe("themes", () => {
+  it("should follow the system preference unless a theme is chosen", () => {
+    assert.strictEqual(resolveTheme("system", true), "dark");
+    assert.strictEqual(resolveTheme("system", false), "light");
+    assert.strictEqual(resolveTheme("light", true), "light");
+    assert.strictEqual(resolveTheme("highContrast", true), "highContrast");
+    assert.strictEqual(resolveTheme("sepia", true), "dark");
+  });
+
+  it("should map themes to Bootstrap colour modes", () => {
+    assert.strictEqual(getColorMode("light"), "light");
+    assert.strictEqual(getColorMode("dark"), "dark");
+    assert.strictEqual(getColorMode("highContrast"), "high-contrast");
+  });
+
+  it("should swap colours too dark for the dark theme", () => {
+    assert.strictEqual(
+      getPaletteCategoryColor("colorBlind", "income", 4, 1),
+      "rgba(0, 0, 0, 1)",
+    );
+    assert.strictEqual(
+      getPaletteCategoryColor("colorBlind", "income", 4, 1, "dark"),
+      "rgba(255, 255, 255, 1)",
+    );
+    assert.strictEqual(
+      getPaletteColor("highContrast", "incomeGoal", 1, "dark"),
+      "rgba(255, 255, 255, 1)",
+    );
+    // Colours that show up on both backgrounds stay the same
+    assert.strictEqual(
+      getPaletteColor("standard", "income", 0.7, "dark"),
+      getPaletteColor("standard", "income", 0.7),
+    );
+  });
+});
+
+describe("themed chart configs", () => {
+  const data = {
+    incomeData: incomeValues,
+    expenseData: expenseValues,
+    categories: { income: [], expense: [] },
+    targets: {
+      income: new Array(12).fill(null),
+      expense: new Array(12).fill(null),
+    },
+    forecast: null,
+  };
+  const dark = getChartThemeColors("dark");
+
+  it("should colour axes, legend and tooltips for the theme", () => {
+    const { options } = buildChartConfig("grouped", data, {
+      theme: "dark",
+    }).config;
+
+    ["x", "y"].forEach((axis) => {
+      assert.strictEqual(options.scales[axis].ticks.color, dark.text);
+      assert.strictEqual(options.scales[axis].grid.color, dark.grid);
+    });
+    // Money formatting is kept alongside the tick colour
+    assert.strictEqual(options.scales.y.ticks.callback(1500), "$1,500");
+    assert.strictEqual(options.plugins.legend.labels.color, dark.text);
+    assert.strictEqual(
+      options.plugins.tooltip.backgroundColor,
+      dark.tooltipBackground,
+    );
+    assert.strictEqual(options.plugins.tooltip.bodyColor, dark.tooltipText);
+  });
+
+  it("should draw datasets in the theme's palette", () => {
+    const settings = { chartPalette: "highContrast", currency: "USD" };
+
+    const line = buildChartConfig("cumulative", data, {
+      settings: { ...settings, openingBalance: 0 },
+      theme: "dark",
+    }).config;
+    const doughnut = buildCategoryChartConfig(
+      [{ id: "rent", name: "Rent", data: new Array(12).fill(900) }],
+      0,
+      "expense",
+      settings,
+      "dark",
+    );
+
+    assert.strictEqual(
+      line.data.datasets[0].borderColor,
+      getPaletteColor("highContrast", "balance", 1, "dark"),
+    );
+    assert.strictEqual(line.options.scales.x.grid.color, dark.grid);
+    // Slices are separated by the dark background, not white lines
+    assert.strictEqual(doughnut.data.datasets[0].borderColor, dark.surface);
+    assert.strictEqual(doughnut.options.plugins.legend.labels.color, dark.text);
+  });
+
+  it("should default to the light theme", () => {
+    const { options } = buildChartConfig("net", data).config;
+
+    assert.strictEqual(
+      options.scales.y.ticks.color,
+      getChartThemeColors("light").text,
+    );
+  });
+});
+
+describe("choosing a theme", () => {
+  let window, document, systemPreference;
+
+  // matchMedia stand-in whose dark preference the tests can flip
+  function mockSystemPreference(prefersDark) {
+    const query = {
+      matches: prefersDark,
+      listeners: [],
+      addEventListener: (type, listener) => query.listeners.push(listener),
+    };
+    window.matchMedia = () => query;
+    return {
+      set(matches) {
+        query.matches = matches;
+        query.listeners.forEach((listener) => listener());
+      },
+    };
+  }
+
+  function selectTheme(theme) {
+    const themeSelect = document.getElementById("themeSelect");
+    themeSelect.value = theme;
+    themeSelect.dispatchEvent(new window.Event("change"));
+  }
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    systemPreference = mockSystemPreference(true);
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  it("should follow the system preference by default", () => {
+    assert.strictEqual(document.documentElement.dataset.bsTheme, "dark");
+    assert.strictEqual(document.getElementById("themeSelect").value, "system");
+
+    systemPreference.set(false);
+
+    assert.strictEqual(document.documentElement.dataset.bsTheme, "light");
+  });
+
+  it("should switch Bootstrap's colour mode and save the choice", () => {
+    selectTheme("highContrast");
+
+    assert.strictEqual(
+      document.documentElement.dataset.bsTheme,
+      "high-contrast",
+    );
+    assert.strictEqual(window.loadBudgetState().settings.theme, "highContrast");
+
+    // The chosen theme no longer follows the system
+    systemPreference.set(false);
+    assert.strictEqual(
+      document.documentElement.dataset.bsTheme,
+      "high-contrast",
+    );
+  });
+
+  it("should redraw the chart in the new theme's colours", () => {
+    window.renderChart();
+    const chart = MockChart.instances.at(-1);
+    assert.strictEqual(
+      chart.options.plugins.legend.labels.color,
+      getChartThemeColors("dark").text,
+    );
+
+    selectTheme("light");
+
+    assert.strictEqual(MockChart.instances.at(-1), chart);
+    assert.strictEqual(chart.updates, 1);
+    assert.strictEqual(
+      chart.options.plugins.legend.labels.color,
+      getChartThemeColors("light").text,
+    );
+  });
+
+  it("should print the report in the light theme", () => {
+    window.dispatchEvent(new window.Event("beforeprint"));
+    assert.strictEqual(document.documentElement.dataset.bsTheme, "light");
+
+    window.dispatchEvent(new window.Event("afterprint"));
+    assert.strictEqual(document.documentElement.dataset.bsTheme, "dark");
+  });
+});
@@ -0,0 +1,245 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createAppWindow, setInputValues } from "./helpers.js";
+import { getAmountError, validateMonthlyAmounts } from "../validation.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+describe("getAmountError()", () => {
+  it("should accept blanks, whole numbers and cents", () => {
+    ["", "  ", "0", "1250", "99.95", "1000000000"].forEach((value) => {
+      assert.strictEqual(getAmountError(value), "", value);
+    });
+  });
+
+  it("should explain each kind of invalid amount", () => {
+    assert.strictEqual(
+      getAmountError("abc"),
+      "Enter a number, like 1250 or 99.95.",
+    );
+    assert.strictEqual(
+      getAmountError("-5"),
+      "Enter 0 or more; amounts can't be negative.",
+    );
+    assert.strictEqual(
+      getAmountError("10.005"),
+      "Use no more than 2 decimal places.",
+    );
+    assert.strictEqual(
+      getAmountError("1000000000.01"),
+      "Enter an amount no larger than $1,000,000,000.",
+    );
+  });
+
+  it("should reject hex, binary and exponent numbers", () => {
+    ["0x10", "0b11", "0o7", "1e3", "Infinity"].forEach((value) => {
+      assert.strictEqual(
+        getAmountError(value),
+        "Enter a number, like 1250 or 99.95.",
+        value,
+      );
+    });
+  });
+
+  it("should show the limit in the workspace currency", () => {
+    assert.strictEqual(
+      getAmountError("2000000000", { currency: "EUR", locale: "de-DE" }),
+      "Enter an amount no larger than 1.000.000.000 €.",
+    );
+  });
+});
+
+describe("validateMonthlyAmounts()", () => {
+  const blankMonths = new Array(12).fill("");
+
+  it("should read twelve months of income and expenses as numbers", () => {
+    const result = validateMonthlyAmounts({
+      income: ["1000", "", ...new Array(10).fill("1250.5")],
+      expense: blankMonths,
+    });
+
+    assert.strictEqual(result.isValid, true);
+    assert.deepStrictEqual(result.incomeData.slice(0, 3), [1000, 0, 1250.5]);
+    assert.deepStrictEqual(result.expenseData, new Array(12).fill(0));
+    assert.deepStrictEqual(result.errors, []);
+  });
+
+  it("should name each invalid month and count it as 0", () => {
+    const result = validateMonthlyAmounts({
+      income: ["-5", ...blankMonths.slice(1)],
+      expense: [...blankMonths.slice(0, 2), "abc", ...blankMonths.slice(3)],
+    });
+
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.incomeData[0], 0);
+    assert.deepStrictEqual(result.errors, [
+      {
+        kind: "income",
+        month: 0,
+        label: "January income",
+        message: "Enter 0 or more; amounts can't be negative.",
+      },
+      {
+        kind: "expense",
+        month: 2,
+        label: "March expenses",
+        message: "Enter a number, like 1250 or 99.95.",
+      },
+    ]);
+  });
+});
+
+describe("form validation messages", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function typeInto(input, value, eventType = "input") {
+    input.value = value;
+    input.dispatchEvent(new window.Event(eventType, { bubbles: true }));
+  }
+
+  it("should describe an invalid month under its input while typing", () => {
+    const input = document.querySelectorAll(".income-input")[1];
+    typeInto(input, "12.345");
+
+    assert.strictEqual(input.classList.contains("is-invalid"), true);
+    assert.strictEqual(input.getAttribute("aria-invalid"), "true");
+    const feedback = document.getElementById(
+      input.getAttribute("aria-describedby"),
+    );
+    assert.strictEqual(
+      feedback.textContent,
+      "Use no more than 2 decimal places.",
+    );
+    assert.strictEqual(feedback.getAttribute("aria-live"), "polite");
+
+    typeInto(input, "12.34");
+    assert.strictEqual(input.classList.contains("is-invalid"), false);
+    assert.strictEqual(input.hasAttribute("aria-describedby"), false);
+  });
+
+  it("should check a value again when leaving it", () => {
+    const input = document.querySelectorAll(".expense-input")[0];
+    input.value = "-1";
+    input.dispatchEvent(new window.FocusEvent("focusout", { bubbles: true }));
+
+    assert.strictEqual(input.classList.contains("is-invalid"), true);
+  });
+
+  it("should list every invalid field in the error summary", () => {
+    typeInto(document.querySelectorAll(".income-input")[0], "abc");
+    typeInto(document.querySelectorAll(".expense-input")[11], "-3");
+
+    const summary = document.getElementById("formErrorSummary");
+    assert.strictEqual(summary.classList.contains("d-none"), false);
+    assert.strictEqual(
+      document.getElementById("formErrorSummaryTitle").textContent,
+      "There are 2 problems with this year's values",
+    );
+    const links = [...summary.querySelectorAll("a")];
+    assert.deepStrictEqual(
+      links.map((link) => link.textContent),
+      [
+        "January income: Enter a number, like 1250 or 99.95.",
+        "December expenses: Enter 0 or more; amounts can't be negative.",
+      ],
+    );
+    assert.strictEqual(links[0].getAttribute("href"), "#income-jan");
+
+    typeInto(document.querySelectorAll(".income-input")[0], "5");
+    typeInto(document.querySelectorAll(".expense-input")[11], "5");
+    assert.strictEqual(summary.classList.contains("d-none"), true);
+  });
+
+  it("should focus the field a summary link points to", () => {
+    typeInto(document.querySelectorAll(".expense-input")[4], "lots");
+
+    document.querySelector("#formErrorSummary a").click();
+
+    assert.strictEqual(document.activeElement.id, "expense-may");
+  });
+
+  it("should name category and target fields in the summary", () => {
+    document.getElementById("categoryNameInput").value = "Rent";
+    document.getElementById("addCategoryBtn").click();
+    typeInto(
+      document.querySelector('.category-input[data-month="2"]'),
+      "1,5,0",
+    );
+    typeInto(document.querySelector(".target-input"), "-10");
+
+    const items = [...document.querySelectorAll("#formErrorSummary li")].map(
+      (item) => item.textContent.split(":")[0],
+    );
+    assert.deepStrictEqual(items, ["Rent March", "January income goal"]);
+  });
+
+  it("should explain a category name that can't be added", () => {
+    const nameInput = document.getElementById("categoryNameInput");
+    document.getElementById("addCategoryBtn").click();
+
+    assert.strictEqual(nameInput.classList.contains("is-invalid"), true);
+    assert.strictEqual(
+      nameInput.nextElementSibling.textContent,
+      "Enter a category name that isn't already in use.",
+    );
+
+    nameInput.value = "Food";
+    document.getElementById("addCategoryBtn").click();
+    assert.strictEqual(nameInput.classList.contains("is-invalid"), false);
+  });
+});
+
+describe("toast notifications", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    window.onload();
+  });
+
+  it("should announce successes politely and errors at once", () => {
+    const success = window.showToast("Saved.");
+    const failure = window.showToast("Failed.", { type: "danger" });
+
+    assert.strictEqual(success.getAttribute("role"), "status");
+    assert.strictEqual(success.getAttribute("aria-live"), "polite");
+    assert.strictEqual(failure.getAttribute("role"), "alert");
+    assert.strictEqual(failure.getAttribute("aria-live"), "assertive");
+    assert.strictEqual(
+      document.getElementById("toastContainer").children.length,
+      2,
+    );
+  });
+
+  it("should close when its button is clicked", () => {
+    const toast = window.showToast("Done.");
+
+    toast.querySelector(".btn-close").click();
+
+    assert.strictEqual(
+      document.getElementById("toastContainer").children.length,
+      0,
+    );
+  });
+
+  it("should warn instead of removing the only year", () => {
+    document.getElementById("removeYearBtn").click();
+
+    const toast = document.querySelector("#toastContainer .toast");
+    assert.match(toast.textContent, /At least one budget year is required/);
+    assert.strictEqual(toast.classList.contains("text-bg-warning"), true);
+  });
+});
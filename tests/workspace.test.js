@@ -0,0 +1,510 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockChart, createAppWindow, setInputValues } from "./helpers.js";
+
+const incomeValues = [
+  100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200,
+];
+const expenseValues = [
+  50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600,
+];
+
+describe("budget workspace", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should create a workspace with one empty year selected", () => {
+    const workspace = window.createWorkspace(2025);
+
+    assert.strictEqual(workspace.selectedYear, 2025);
+    assert.deepStrictEqual(
+      Array.from(window.listBudgetYears(workspace)),
+      [2025],
+    );
+    assert.strictEqual(workspace.years[2025].income.length, 12);
+    assert.strictEqual(workspace.settings.compareYear, null);
+  });
+
+  it("should add years once and list them oldest first", () => {
+    const workspace = window.createWorkspace(2025);
+
+    assert.strictEqual(window.addBudgetYear(workspace, 2023), true);
+    assert.strictEqual(window.addBudgetYear(workspace, 2024), true);
+    assert.strictEqual(window.addBudgetYear(workspace, 2024), false);
+    assert.strictEqual(window.addBudgetYear(workspace, 12), false);
+    assert.strictEqual(window.addBudgetYear(workspace, 2024.5), false);
+
+    assert.deepStrictEqual(
+      Array.from(window.listBudgetYears(workspace)),
+      [2023, 2024, 2025],
+    );
+  });
+
+  it("should remove a year but never the last one", () => {
+    const workspace = window.createWorkspace(2025);
+    window.addBudgetYear(workspace, 2024);
+    workspace.settings.compareYear = 2024;
+
+    assert.strictEqual(window.removeBudgetYear(workspace, 2024), true);
+    assert.strictEqual(workspace.settings.compareYear, null);
+    assert.strictEqual(window.removeBudgetYear(workspace, 2025), false);
+  });
+
+  it("should select the latest remaining year when the selected one is removed", () => {
+    const workspace = window.createWorkspace(2024);
+    window.addBudgetYear(workspace, 2022);
+    window.addBudgetYear(workspace, 2023);
+
+    window.removeBudgetYear(workspace, 2024);
+
+    assert.strictEqual(workspace.selectedYear, 2023);
+  });
+
+  it("should find the closest previous year with data", () => {
+    const workspace = window.createWorkspace(2025);
+    window.addBudgetYear(workspace, 2021);
+    window.addBudgetYear(workspace, 2023);
+
+    assert.strictEqual(window.findPreviousBudgetYear(workspace, 2025), 2023);
+    assert.strictEqual(window.findPreviousBudgetYear(workspace, 2021), null);
+  });
+
+  it("should parse stored values into numeric series", () => {
+    const workspace = window.createWorkspace(2025, {
+      income: ["100", "", "-5", "abc"],
+      expense: ["12.5"],
+    });
+
+    const series = window.getYearSeries(workspace, 2025);
+
+    assert.deepStrictEqual(
+      Array.from(series.incomeData),
+      [100, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    );
+    assert.strictEqual(series.expenseData[0], 12.5);
+    assert.strictEqual(series.expenseData.length, 12);
+    assert.strictEqual(window.getYearSeries(workspace, 1999), null);
+  });
+});
+
+describe("year selector", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function addYear(year) {
+    document.getElementById("newYearInput").value = String(year);
+    document.getElementById("addYearBtn").click();
+  }
+
+  it("should list the current year after onload", () => {
+    const options = Array.from(document.getElementById("yearSelect").options);
+
+    assert.deepStrictEqual(
+      options.map((option) => Number(option.value)),
+      [new Date().getFullYear()],
+    );
+  });
+
+  it("should switch to a newly added year with empty inputs", () => {
+    addYear(2000);
+
+    assert.strictEqual(document.getElementById("yearSelect").value, "2000");
+    const { incomeData } = window.validateAndCollectData();
+    incomeData.forEach((value) => assert.strictEqual(value, 0));
+  });
+
+  it("should keep each year's values when switching back and forth", () => {
+    const currentYear = new Date().getFullYear();
+    addYear(2000);
+    setInputValues(window, [42], [7]);
+    document
+      .getElementById("budgetForm")
+      .dispatchEvent(new window.Event("input", { bubbles: true }));
+
+    const yearSelect = document.getElementById("yearSelect");
+    yearSelect.value = String(currentYear);
+    yearSelect.dispatchEvent(new window.Event("change"));
+    assert.strictEqual(window.validateAndCollectData().incomeData[0], 100);
+
+    yearSelect.value = "2000";
+    yearSelect.dispatchEvent(new window.Event("change"));
+    const { incomeData, expenseData } = window.validateAndCollectData();
+    assert.strictEqual(incomeData[0], 42);
+    assert.strictEqual(expenseData[0], 7);
+  });
+
+  it("should explain instead of adding an invalid or duplicate year", () => {
+    addYear(new Date().getFullYear());
+    addYear(42);
+
+    const newYearInput = document.getElementById("newYearInput");
+    assert.strictEqual(newYearInput.classList.contains("is-invalid"), true);
+    assert.match(
+      document.getElementById(newYearInput.getAttribute("aria-describedby"))
+        .textContent,
+      /hasn't been added yet/,
+    );
+    assert.strictEqual(document.getElementById("yearSelect").options.length, 1);
+  });
+
+  it("should remove the selected year after confirmation", () => {
+    addYear(2000);
+    window.confirm = () => true;
+
+    document.getElementById("removeYearBtn").click();
+
+    const options = Array.from(document.getElementById("yearSelect").options);
+    assert.deepStrictEqual(
+      options.map((option) => Number(option.value)),
+      [new Date().getFullYear()],
+    );
+    assert.strictEqual(window.validateAndCollectData().incomeData[0], 100);
+  });
+});
+
+describe("renderChart() year comparison", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    window.onload();
+
+    // 2000 holds last year's numbers, 2001 the current ones
+    document.getElementById("newYearInput").value = "2000";
+    document.getElementById("addYearBtn").click();
+    setInputValues(window, incomeValues, expenseValues);
+    document
+      .getElementById("budgetForm")
+      .dispatchEvent(new window.Event("input", { bubbles: true }));
+
+    document.getElementById("newYearInput").value = "2001";
+    document.getElementById("addYearBtn").click();
+    setInputValues(
+      window,
+      incomeValues.map((value) => value + 50),
+      expenseValues,
+    );
+  });
+
+  function compareWith(year) {
+    const compareYearSelect = document.getElementById("compareYearSelect");
+    compareYearSelect.value = String(year);
+    compareYearSelect.dispatchEvent(new window.Event("change"));
+  }
+
+  it("should only offer other years for comparison", () => {
+    const options = Array.from(
+      document.getElementById("compareYearSelect").options,
+    ).map((option) => option.value);
+
+    assert.ok(options.includes(""));
+    assert.ok(options.includes("2000"));
+    assert.ok(!options.includes("2001"));
+  });
+
+  it("should overlay the comparison year as dashed lines", () => {
+    compareWith(2000);
+
+    const datasets = MockChart.lastConfig.data.datasets;
+    assert.strictEqual(datasets.length, 4);
+    assert.strictEqual(datasets[0].label, "Income (2001)");
+    assert.strictEqual(datasets[2].label, "Income (2000)");
+    assert.strictEqual(datasets[2].type, "line");
+    assert.ok(datasets[2].borderDash.length > 0);
+    assert.strictEqual(datasets[2].data[0], 100);
+    assert.strictEqual(
+      document.getElementById("chartTitle").textContent,
+      "Income vs Expenses 2001 vs 2000",
+    );
+  });
+
+  it("should show the change against the comparison year in tooltips", () => {
+    compareWith(2000);
+
+    const { label } = MockChart.lastConfig.options.plugins.tooltip.callbacks;
+    const datasets = MockChart.lastConfig.data.datasets;
+
+    assert.ok(
+      label({
+        dataset: datasets[0],
+        parsed: { y: 150 },
+        dataIndex: 0,
+      }).includes("+$50 vs 2000"),
+    );
+    assert.ok(
+      label({ dataset: datasets[1], parsed: { y: 40 }, dataIndex: 0 }).includes(
+        "-$10 vs 2000",
+      ),
+    );
+  });
+
+  it("should render only the selected year without a comparison", () => {
+    compareWith("");
+
+    const datasets = MockChart.lastConfig.data.datasets;
+    assert.strictEqual(datasets.length, 2);
+    assert.strictEqual(datasets[0].label, "Income");
+  });
+});
+
+describe("budget categories", () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+  });
+
+  it("should add categories with unique ids across kinds", () => {
+    const workspace = window.createWorkspace(2025);
+
+    const rent = window.addCategory(workspace, "expense", " Rent ");
+    const salary = window.addCategory(workspace, "income", "Salary");
+    const rentIncome = window.addCategory(workspace, "income", "rent");
+
+    assert.strictEqual(rent.id, "rent");
+    assert.strictEqual(rent.name, "Rent");
+    assert.strictEqual(salary.id, "salary");
+    assert.strictEqual(rentIncome.id, "rent-2");
+    assert.strictEqual(window.hasCategories(workspace, "expense"), true);
+  });
+
+  it("should reject blank and duplicate names within a kind", () => {
+    const workspace = window.createWorkspace(2025);
+    window.addCategory(workspace, "expense", "Food");
+
+    assert.strictEqual(window.addCategory(workspace, "expense", "  "), null);
+    assert.strictEqual(window.addCategory(workspace, "expense", "FOOD"), null);
+    assert.strictEqual(workspace.categories.expense.length, 1);
+  });
+
+  it("should sum category values into the year series", () => {
+    const workspace = window.createWorkspace(2025);
+    window.addCategory(workspace, "expense", "Rent");
+    window.addCategory(workspace, "expense", "Food");
+    workspace.years[2025].expense = ["999"];
+    workspace.years[2025].categoryValues = {
+      rent: ["500", "500"],
+      food: ["0.1", "abc"],
+    };
+    workspace.years[2025].income = ["1000"];
+
+    const series = window.getYearSeries(workspace, 2025);
+
+    assert.strictEqual(series.expenseData[0], 500.1);
+    assert.strictEqual(series.expenseData[1], 500);
+    assert.strictEqual(series.expenseData[2], 0);
+    assert.strictEqual(series.incomeData[0], 1000);
+  });
+
+  it("should return per-category series for a year", () => {
+    const workspace = window.createWorkspace(2025);
+    window.addCategory(workspace, "income", "Salary");
+    workspace.years[2025].categoryValues.salary = ["", "20"];
+
+    const [salary] = window.getCategorySeries(workspace, 2025, "income");
+
+    assert.strictEqual(salary.name, "Salary");
+    assert.strictEqual(salary.data.length, 12);
+    assert.strictEqual(salary.data[1], 20);
+  });
+
+  it("should remove a category from every year and keep the last totals", () => {
+    const workspace = window.createWorkspace(2025);
+    window.addBudgetYear(workspace, 2024);
+    window.addCategory(workspace, "expense", "Rent");
+    workspace.years[2024].categoryValues.rent = ["300"];
+    workspace.years[2025].categoryValues.rent = ["400"];
+
+    assert.strictEqual(
+      window.removeCategory(workspace, "expense", "rent"),
+      true,
+    );
+    assert.strictEqual(
+      window.removeCategory(workspace, "expense", "rent"),
+      false,
+    );
+
+    assert.strictEqual(workspace.categories.expense.length, 0);
+    assert.strictEqual(workspace.years[2024].categoryValues.rent, undefined);
+    assert.strictEqual(workspace.years[2024].expense[0], "300");
+    assert.strictEqual(workspace.years[2025].expense[0], "400");
+  });
+});
+
+describe("category table and charts", () => {
+  let window, document;
+
+  beforeEach(async () => {
+    window = await createAppWindow();
+    document = window.document;
+    setInputValues(window, incomeValues, expenseValues);
+    window.onload();
+  });
+
+  function addCategory(kind, name) {
+    document.getElementById("categoryKindSelect").value = kind;
+    document.getElementById("categoryNameInput").value = name;
+    document.getElementById("addCategoryBtn").click();
+  }
+
+  function setCategoryValue(id, month, value) {
+    const input = document.querySelector(
+      `.category-input[data-category-id="${id}"][data-month="${month}"]`,
+    );
+    input.value = value;
+    input.dispatchEvent(new window.Event("input", { bubbles: true }));
+  }
+
+  it("should add a column of month inputs per category", () => {
+    addCategory("expense", "Rent");
+    addCategory("expense", "Food");
+
+    const inputs = document.querySelectorAll(".category-input");
+    assert.strictEqual(inputs.length, 24);
+    assert.strictEqual(
+      document.querySelectorAll('[data-category-id="food"]').length,
+      12,
+    );
+  });
+
+  it("should derive read-only expense totals from the categories", () => {
+    addCategory("expense", "Rent");
+    addCategory("expense", "Food");
+    setCategoryValue("rent", 0, "400");
+    setCategoryValue("food", 0, "150.5");
+
+    const expenseInputs = document.querySelectorAll(".expense-input");
+    assert.strictEqual(expenseInputs[0].readOnly, true);
+    assert.strictEqual(expenseInputs[0].value, "550.5");
+    assert.strictEqual(
+      document.querySelectorAll(".income-input")[0].readOnly,
+      false,
+    );
+
+    const { expenseData, categories } = window.validateAndCollectData();
+    assert.strictEqual(expenseData[0], 550.5);
+    assert.strictEqual(expenseData[1], 0);
+    assert.strictEqual(categories.expense.length, 2);
+    assert.strictEqual(categories.expense[0].name, "Rent");
+    assert.strictEqual(categories.expense[0].data[0], 400);
+    assert.strictEqual(categories.income.length, 0);
+  });
+
+  it("should mark invalid category values and fail validation", () => {
+    addCategory("income", "Salary");
+    setCategoryValue("salary", 3, "-20");
+
+    const { isValid } = window.validateAndCollectData();
+
+    assert.strictEqual(isValid, false);
+    const input = document.querySelector(
+      '.category-input[data-category-id="salary"][data-month="3"]',
+    );
+    assert.strictEqual(input.classList.contains("is-invalid"), true);
+  });
+
+  it("should save category values with the year", () => {
+    addCategory("expense", "Rent");
+    setCategoryValue("rent", 5, "321");
+
+    const state = window.loadBudgetState();
+    assert.strictEqual(state.categories.expense[0].id, "rent");
+    assert.strictEqual(
+      state.years[state.selectedYear].categoryValues.rent[5],
+      "321",
+    );
+  });
+
+  it("should remove a category after confirmation", () => {
+    addCategory("expense", "Rent");
+    setCategoryValue("rent", 0, "77");
+    window.confirm = () => true;
+
+    document.querySelector('[data-remove-category="rent"]').click();
+
+    assert.strictEqual(document.querySelectorAll(".category-input").length, 0);
+    const expenseInput = document.querySelectorAll(".expense-input")[0];
+    assert.strictEqual(expenseInput.readOnly, false);
+    assert.strictEqual(expenseInput.value, "77");
+  });
+
+  it("should stack category datasets when the stacked view is chosen", () => {
+    addCategory("expense", "Rent");
+    addCategory("expense", "Food");
+    setCategoryValue("rent", 0, "400");
+
+    const chartViewSelect = document.getElementById("chartViewSelect");
+    chartViewSelect.value = "stacked";
+    chartViewSelect.dispatchEvent(new window.Event("change"));
+
+    const barChart = MockChart.instances.findLast(
+      (chart) => chart.config.type === "bar",
+    );
+    const { datasets } = barChart.config.data;
+    assert.deepStrictEqual(
+      Array.from(datasets, (dataset) => [dataset.label, dataset.stack]),
+      [
+        ["Income", "income"],
+        ["Rent", "expense"],
+        ["Food", "expense"],
+      ],
+    );
+    assert.strictEqual(barChart.config.options.scales.x.stacked, true);
+    assert.strictEqual(barChart.config.options.scales.y.stacked, true);
+    assert.strictEqual(datasets[1].data[0], 400);
+  });
+
+  it("should draw a doughnut of the chosen month's categories", () => {
+    addCategory("expense", "Rent");
+    addCategory("expense", "Food");
+    setCategoryValue("rent", 2, "400");
+    setCategoryValue("food", 2, "100");
+
+    const categoryMonthSelect = document.getElementById("categoryMonthSelect");
+    categoryMonthSelect.value = "2";
+    categoryMonthSelect.dispatchEvent(new window.Event("change"));
+
+    const doughnut = MockChart.instances.findLast(
+      (chart) => chart.config.type === "doughnut",
+    );
+    assert.ok(doughnut);
+    assert.deepStrictEqual(Array.from(doughnut.config.data.labels), [
+      "Rent",
+      "Food",
+    ]);
+    assert.deepStrictEqual(
+      Array.from(doughnut.config.data.datasets[0].data),
+      [400, 100],
+    );
+    assert.strictEqual(
+      document
+        .getElementById("categoryChartSection")
+        .classList.contains("d-none"),
+      false,
+    );
+  });
+
+  it("should hide the doughnut when there are no categories", () => {
+    window.renderChart();
+
+    assert.ok(
+      !MockChart.instances.some((chart) => chart.config.type === "doughnut"),
+    );
+    assert.strictEqual(
+      document
+        .getElementById("categoryChartSection")
+        .classList.contains("d-none"),
+      true,
+    );
+  });
+});
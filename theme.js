@@ -0,0 +1,19 @@
+// Page themes: light, dark, high contrast, or following the system's
+// light/dark preference. A theme picks Bootstrap's colour mode for the page
+// and the chart colours in palette.js - no DOM access.
+export const THEME_NAMES = ["system", "light", "dark", "highContrast"];
+
+// The theme to draw with ("light", "dark" or "highContrast"); "system" and
+// unknown names follow the system preference
+export function resolveTheme(themeName, prefersDark) {
+  if (THEME_NAMES.includes(themeName) && themeName !== "system") {
+    return themeName;
+  }
+  return prefersDark ? "dark" : "light";
+}
+
+// Value for Bootstrap's `data-bs-theme` attribute. High contrast is a
+// colour mode of our own, styled in theme.css on top of the light one.
+export function getColorMode(theme) {
+  return theme === "highContrast" ? "high-contrast" : theme;
+}
@@ -0,0 +1,67 @@
+// Validation of amounts typed in the budget form, on plain values: the form
+// reads its inputs into arrays of raw strings and shows the errors returned
+// here next to them
+import { formatCurrency } from "./locale.js";
+import { AMOUNT_PATTERN, fullMonthNames, parseBudgetValue } from "./model.js";
+import { createDefaultSettings } from "./workspace.js";
+
+// Largest amount the form accepts for one month
+const MAX_BUDGET_VALUE = 1000000000;
+
+// Why an amount typed in the form is invalid, or "" if it's fine. Blank
+// counts as 0. The limit is shown in the currency of formatSettings.
+export function getAmountError(
+  rawValue,
+  formatSettings = createDefaultSettings(),
+) {
+  const value = String(rawValue ?? "").trim();
+  if (value === "") {
+    return "";
+  }
+  if (!AMOUNT_PATTERN.test(value)) {
+    return "Enter a number, like 1250 or 99.95.";
+  }
+  if (parseFloat(value) < 0) {
+    return "Enter 0 or more; amounts can't be negative.";
+  }
+  if (/\.\d{3,}$/.test(value)) {
+    return "Use no more than 2 decimal places.";
+  }
+  if (parseFloat(value) > MAX_BUDGET_VALUE) {
+    return `Enter an amount no larger than ${formatCurrency(MAX_BUDGET_VALUE, formatSettings)}.`;
+  }
+  return "";
+}
+
+// An amount's value and why it's invalid, if it is. Invalid amounts count
+// as 0.
+export function checkAmount(rawValue, formatSettings) {
+  const error = getAmountError(rawValue, formatSettings);
+  return { value: error ? 0 : parseBudgetValue(rawValue).value, error };
+}
+
+// Check twelve months of raw income and expense amounts. Returns their
+// numeric series and a { kind, month, label, message } entry for each
+// invalid amount, labelled like "March expenses".
+export function validateMonthlyAmounts({ income, expense }, formatSettings) {
+  const errors = [];
+  const [incomeData, expenseData] = [
+    ["income", "income", income],
+    ["expense", "expenses", expense],
+  ].map(([kind, description, values]) =>
+    values.map((rawValue, month) => {
+      const { value, error } = checkAmount(rawValue, formatSettings);
+      if (error) {
+        errors.push({
+          kind,
+          month,
+          label: `${fullMonthNames[month]} ${description}`,
+          message: error,
+        });
+      }
+      return value;
+    }),
+  );
+
+  return { isValid: !errors.length, incomeData, expenseData, errors };
+}
@@ -0,0 +1,242 @@
+// Budget workspace: monthly income/expense values kept per budget year, with
+// optional income/expense categories shared by all years
+import { sumCategorySeries, toMonthlySeries } from "./model.js";
+import { createEmptyRecurringMap } from "./recurring.js";
+import { DEFAULT_SCENARIO_ID, createDefaultScenarios } from "./scenarios.js";
+import { createEmptyTargets } from "./targets.js";
+
+export const MIN_BUDGET_YEAR = 1900;
+export const MAX_BUDGET_YEAR = 9999;
+export const CATEGORY_KINDS = ["income", "expense"];
+export const CHART_VIEWS = [
+  "grouped",
+  "stacked",
+  "net",
+  "cumulative",
+  "annual",
+  "scenarios",
+];
+
+export function createEmptyBudgetYear() {
+  return {
+    income: new Array(12).fill(""),
+    expense: new Array(12).fill(""),
+    categoryValues: {},
+    targets: createEmptyTargets(),
+    transactions: [],
+    recurringOverrides: createEmptyRecurringMap(),
+    notes: "",
+  };
+}
+
+// Chart settings saved with the workspace
+export function createDefaultSettings() {
+  return {
+    compareYear: null,
+    chartView: "grouped",
+    categoryMonth: 0,
+    breakdownKind: "expense",
+    openingBalance: 0,
+    currency: "USD",
+    locale: "en-US",
+    forecastMethod: "none",
+    chartPalette: "standard",
+    liveChart: false,
+    compareScenarios: [],
+    theme: "system",
+  };
+}
+
+export function createWorkspace(year, yearData = createEmptyBudgetYear()) {
+  return {
+    selectedYear: year,
+    years: {
+      [year]: {
+        categoryValues: {},
+        targets: createEmptyTargets(),
+        transactions: [],
+        recurringOverrides: createEmptyRecurringMap(),
+        notes: "",
+        ...yearData,
+      },
+    },
+    categories: { income: [], expense: [] },
+    recurringRules: [],
+    scenarios: createDefaultScenarios(),
+    activeScenario: DEFAULT_SCENARIO_ID,
+    settings: createDefaultSettings(),
+  };
+}
+
+export function isValidBudgetYear(year) {
+  return (
+    Number.isInteger(year) && year >= MIN_BUDGET_YEAR && year <= MAX_BUDGET_YEAR
+  );
+}
+
+// Years with saved data, oldest first
+export function listBudgetYears(workspace) {
+  return Object.keys(workspace.years)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+export function getBudgetYear(workspace, year) {
+  return workspace.years[year] || null;
+}
+
+// Add an empty year; returns false if the year is invalid or already exists
+export function addBudgetYear(workspace, year) {
+  if (!isValidBudgetYear(year) || workspace.years[year]) {
+    return false;
+  }
+  workspace.years[year] = createEmptyBudgetYear();
+  return true;
+}
+
+// Remove a year, keeping at least one; the latest remaining year is selected
+// if the removed year was selected
+export function removeBudgetYear(workspace, year) {
+  const years = listBudgetYears(workspace);
+  if (!workspace.years[year] || years.length === 1) {
+    return false;
+  }
+
+  delete workspace.years[year];
+  const remaining = listBudgetYears(workspace);
+
+  if (workspace.selectedYear === year) {
+    workspace.selectedYear = remaining[remaining.length - 1];
+  }
+  if (workspace.settings.compareYear === year) {
+    workspace.settings.compareYear = null;
+  }
+  return true;
+}
+
+// The closest year before `year` that has data, or null
+export function findPreviousBudgetYear(workspace, year) {
+  const earlier = listBudgetYears(workspace).filter((y) => y < year);
+  return earlier.length ? earlier[earlier.length - 1] : null;
+}
+
+export function hasCategories(workspace, kind) {
+  return workspace.categories[kind].length > 0;
+}
+
+// Problem with the category picked for an income/expense entry, or null.
+// Categorised kinds add up from their categories, so every entry needs one.
+export function getCategoryChoiceError(type, categoryId, categories) {
+  const kindCategories = categories[type];
+  if (categoryId && !kindCategories.some(({ id }) => id === categoryId)) {
+    return `Pick one of the ${type} categories.`;
+  }
+  if (!categoryId && kindCategories.length) {
+    return `Pick a category for this ${type}.`;
+  }
+  return null;
+}
+
+// Per-category numeric series for one kind ("income" or "expense") of a year
+export function getCategorySeries(workspace, year, kind) {
+  const yearData = getBudgetYear(workspace, year);
+  if (!yearData) {
+    return [];
+  }
+
+  return workspace.categories[kind].map((category) => ({
+    id: category.id,
+    name: category.name,
+    data: toMonthlySeries(yearData.categoryValues[category.id]),
+  }));
+}
+
+// Numeric income/expense series for a stored year; categorised kinds are the
+// sum of their categories
+export function getYearSeries(workspace, year) {
+  const yearData = getBudgetYear(workspace, year);
+  if (!yearData) {
+    return null;
+  }
+
+  const seriesFor = (kind) =>
+    hasCategories(workspace, kind)
+      ? sumCategorySeries(getCategorySeries(workspace, year, kind))
+      : toMonthlySeries(yearData[kind]);
+
+  return {
+    incomeData: seriesFor("income"),
+    expenseData: seriesFor("expense"),
+  };
+}
+
+// Add a named category; returns it, or null for a blank or duplicate name
+export function addCategory(workspace, kind, name) {
+  const trimmedName = String(name || "").trim();
+  const categories = workspace.categories[kind];
+
+  if (
+    !trimmedName ||
+    categories.some(
+      (category) => category.name.toLowerCase() === trimmedName.toLowerCase(),
+    )
+  ) {
+    return null;
+  }
+
+  // Ids are unique across both kinds since year values share one map
+  const allIds = CATEGORY_KINDS.flatMap((k) =>
+    workspace.categories[k].map((category) => category.id),
+  );
+  const base =
+    trimmedName
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "category";
+  let id = base;
+  for (let suffix = 2; allIds.includes(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+
+  const category = { id, name: trimmedName };
+  categories.push(category);
+  return category;
+}
+
+// Remove a category and its values from every year
+export function removeCategory(workspace, kind, id) {
+  const categories = workspace.categories[kind];
+  const index = categories.findIndex((category) => category.id === id);
+  if (index === -1) {
+    return false;
+  }
+
+  // Removing the last category keeps its totals as plain monthly values
+  if (categories.length === 1) {
+    listBudgetYears(workspace).forEach((year) => {
+      const totals = sumCategorySeries(
+        getCategorySeries(workspace, year, kind),
+      );
+      getBudgetYear(workspace, year)[kind] = totals.map(String);
+    });
+  }
+
+  categories.splice(index, 1);
+  (workspace.recurringRules || []).forEach((rule) => {
+    if (rule.categoryId === id) {
+      rule.categoryId = "";
+    }
+  });
+  Object.values(workspace.years).forEach((yearData) => {
+    delete yearData.categoryValues[id];
+    if (yearData.recurringOverrides) {
+      delete yearData.recurringOverrides.categoryValues[id];
+    }
+    (yearData.transactions || []).forEach((transaction) => {
+      if (transaction.categoryId === id) {
+        transaction.categoryId = "";
+      }
+    });
+  });
+  return true;
+}